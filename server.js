@@ -5,6 +5,7 @@
  * 1. YouTube Music InnerTube API (translated from Kotlin)
  * 2. yt-dlp audio stream extraction
  * 3. Real-time audio stream proxy
+ * 4. Real-time playback sync over WebSocket (playback rooms)
  * 
  * All endpoints require Bearer token authentication.
  */
@@ -19,8 +20,17 @@ const express = require('express');
 const cors = require('cors');
 
 const authMiddleware = require('./src/middleware/auth');
+const adminAuthMiddleware = require('./src/middleware/adminAuth');
 const youtubeRoutes = require('./src/routes/youtube');
 const streamRoutes = require('./src/routes/stream');
+const adminRoutes = require('./src/routes/admin');
+const jobRoutes = require('./src/routes/jobs');
+const radioRoutes = require('./src/routes/radio');
+const queueRoutes = require('./src/routes/queues');
+const playRoutes = require('./src/routes/plays');
+const statsRoutes = require('./src/routes/stats');
+const { jobQueue } = require('./src/jobs');
+const { attachRoomSocket } = require('./src/rooms/socket');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -31,9 +41,9 @@ const HOST = process.env.HOST || '0.0.0.0';
 
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Range'],
-  exposedHeaders: ['Content-Length', 'Content-Range', 'Accept-Ranges'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'X-Client-Id'],
+  exposedHeaders: ['Content-Length', 'Content-Range', 'Accept-Ranges', 'X-Cache'],
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -72,7 +82,13 @@ app.get('/api/health', (req, res) => {
 // ─── Protected Routes ───────────────────────────────
 
 app.use('/api/youtube', authMiddleware, youtubeRoutes);
-app.use('/api/stream', streamRoutes);
+app.use('/api/stream', streamRoutes); // Bearer token or signed URL, checked per route
+app.use('/api/jobs', authMiddleware, jobRoutes);
+app.use('/api/radio', authMiddleware, radioRoutes);
+app.use('/api/queues', authMiddleware, queueRoutes);
+app.use('/api/plays', authMiddleware, playRoutes);
+app.use('/api/stats', authMiddleware, statsRoutes);
+app.use('/api/admin', adminAuthMiddleware, adminRoutes);
 
 // ─── API Documentation Endpoint ─────────────────────
 
@@ -89,15 +105,15 @@ app.get('/api', authMiddleware, (req, res) => {
       },
       youtube: {
         search: {
-          'GET /api/youtube/search?q=&filter=': 'Search songs/videos/albums/artists',
+          'GET /api/youtube/search?q=&filter=&all=&limit=': 'Search songs/videos/albums/artists (all=true: every page)',
           'GET /api/youtube/search/suggestions?q=': 'Search suggestions',
           'GET /api/youtube/search/summary?q=': 'Search summary (top result + sections)',
           'GET /api/youtube/search/continuation?token=': 'Search results pagination',
         },
         browse: {
-          'GET /api/youtube/home': 'Home page (chips, sections)',
+          'GET /api/youtube/home?all=&limit=': 'Home page (chips, sections)',
           'GET /api/youtube/explore': 'Explore page (new releases, moods)',
-          'GET /api/youtube/charts': 'Music charts',
+          'GET /api/youtube/charts?all=&limit=': 'Music charts',
           'GET /api/youtube/new-releases': 'New release albums',
           'GET /api/youtube/mood-and-genres': 'Mood & genres categories',
           'GET /api/youtube/browse/:browseId': 'Generic browse endpoint',
@@ -106,10 +122,13 @@ app.get('/api', authMiddleware, (req, res) => {
           'GET /api/youtube/album/:browseId': 'Album details + songs',
           'GET /api/youtube/artist/:browseId': 'Artist page',
           'GET /api/youtube/artist/:browseId/albums': 'Artist albums',
-          'GET /api/youtube/artist/:browseId/items': 'Artist items (albums, singles, etc)',
+          'GET /api/youtube/artist/:browseId/items?all=&limit=': 'Artist items (albums, singles, etc)',
           'GET /api/youtube/artist/albums/continuation?token=': 'Artist albums pagination',
-          'GET /api/youtube/playlist/:playlistId': 'Playlist details + songs',
+          'GET /api/youtube/playlist/:playlistId?all=&limit=': 'Playlist details + songs',
+          'GET /api/youtube/playlist/:playlistId/export?format=&links=': 'Playlist file (format=m3u8|xspf|jspf|csv, links=music|play)',
           'GET /api/youtube/lyrics/:browseId': 'Song lyrics',
+          'GET /api/youtube/lyrics/:videoId/find?providers=': 'Lyrics from the first matching lyrics provider',
+          'GET /api/youtube/lyrics/:videoId/synced?format=&providers=': 'Time-coded lyrics (format=json|lrc|srt|vtt)',
           'GET /api/youtube/related/:browseId': 'Related content',
           'GET /api/youtube/transcript/:videoId': 'Video transcript',
         },
@@ -119,7 +138,7 @@ app.get('/api', authMiddleware, (req, res) => {
           'POST /api/youtube/queue': 'Get queue { videoIds, playlistId }',
         },
         library: {
-          'GET /api/youtube/library/:browseId': 'Library items',
+          'GET /api/youtube/library/:browseId?all=&limit=': 'Library items',
           'GET /api/youtube/history': 'Listening history',
           'POST /api/youtube/library/add': 'Add song to library { videoId }',
           'POST /api/youtube/library/remove': 'Remove from library { videoId }',
@@ -128,21 +147,82 @@ app.get('/api', authMiddleware, (req, res) => {
           'POST /api/youtube/like/video': 'Like/unlike video { videoId, like }',
           'POST /api/youtube/like/playlist': 'Like/unlike playlist { playlistId, like }',
           'POST /api/youtube/subscribe': 'Subscribe/unsubscribe { channelId, subscribe }',
-          'POST /api/youtube/playlist/create': 'Create playlist { title }',
+          'POST /api/youtube/playlist/create': 'Create playlist { title, description?, privacyStatus?, videoIds?, collaborative? }',
+          'PATCH /api/youtube/playlist/:playlistId': 'Update playlist { title?, description?, privacyStatus? }',
           'POST /api/youtube/playlist/rename': 'Rename playlist { playlistId, name }',
           'DELETE /api/youtube/playlist/:playlistId': 'Delete playlist',
           'POST /api/youtube/playlist/add': 'Add to playlist { playlistId, videoId }',
           'POST /api/youtube/playlist/remove': 'Remove from playlist { playlistId, videoId, setVideoId }',
+          'POST /api/youtube/playlist/:playlistId/edit': 'Batched edits { actions: [{ type: add|remove|move|rename|description|privacy, ... }] }',
+          'POST /api/youtube/playlist/:playlistId/sync': 'Sync to an ordered list { videoIds } (?dryRun=true to preview)',
+          'POST /api/youtube/playlist/import': 'Create a playlist from an M3U/XSPF/JSPF/CSV/Spotify file (large files run as a job)',
         },
         account: {
           'GET /api/youtube/account': 'Account info',
         },
       },
       stream: {
-        'GET /api/stream/extract?videoId=': 'Extract audio stream URL via yt-dlp',
+        'GET /api/stream/sign?videoId=|url=&ttl=&format=&bitrate=': 'Mint signed, expiring play/proxy/transcode/download URLs (scope: stream)',
+        'GET /api/stream/extract?videoId=&quality=&codec=': 'Extract best audio-only stream URL (quality=low|medium|high, codec=opus|aac)',
         'GET /api/stream/info?videoId=': 'Get full video/audio metadata via yt-dlp',
-        'GET /api/stream/proxy?url=': 'Proxy/pipe a stream URL in real-time',
-        'GET /api/stream/play?videoId=': 'Extract + stream in one step (use as audio src)',
+        'GET /api/stream/proxy?url=&exp=&kid=&sig=': 'Proxy/pipe a stream URL in real-time (signed URL or Bearer)',
+        'GET /api/stream/play?videoId=&quality=&codec=&exp=&kid=&sig=': 'Extract + stream audio in one step (signed URL or Bearer, use as audio src)',
+        'GET /api/stream/transcode?videoId=&format=&bitrate=&exp=&kid=&sig=': 'Transcode audio via ffmpeg (format=mp3|aac|m4a|opus|ogg|flac)',
+        'GET /api/stream/hls/:videoId/playlist.m3u8?exp=&kid=&sig=': 'HLS master playlist (low/medium/high AAC variants, signed URL or Bearer)',
+        'GET /api/stream/hls/:videoId/:variant/index.m3u8': 'HLS media playlist for one variant',
+        'GET /api/stream/hls/:videoId/:variant/:segment.ts': 'HLS MPEG-TS segment (variant encoded once, then cached)',
+        'GET /api/stream/download?videoId=&format=&bitrate=&exp=&kid=&sig=': 'Download a tagged file with cover art and lyrics (format=mp3|m4a|opus|ogg|flac)',
+      },
+      jobs: {
+        'GET /api/jobs?status=&type=': 'List your background jobs',
+        'GET /api/jobs/:id': 'Job status and progress (per-track done/failed for downloads)',
+        'POST /api/jobs/:id/cancel': 'Cancel a queued or running job',
+        'POST /api/jobs/download': 'Start an album/playlist ZIP download { browseId | playlistId, format?, bitrate? } (scope: stream)',
+        'GET /api/jobs/:id/result': 'Download the finished ZIP (scope: stream)',
+      },
+      radio: {
+        'POST /api/radio': 'Start a radio session { videoId | playlistId | artistId | mood: { browseId, params } }',
+        'GET /api/radio/:id': 'Radio session info',
+        'GET /api/radio/:id/next?count=': 'Next songs of the radio (never repeats a song)',
+        'POST /api/radio/:id/feedback': 'Steer the radio { videoId, type: skip|dislike }',
+        'DELETE /api/radio/:id': 'End a radio session',
+      },
+      queues: {
+        'POST /api/queues': 'Create a queue { videoIds | playlistId | browseId, name?, startIndex?, shuffle?, repeat? }',
+        'GET /api/queues': 'List your queues',
+        'GET /api/queues/:id': 'Queue with its items and current song',
+        'DELETE /api/queues/:id': 'Delete a queue',
+        'POST /api/queues/:id/items': 'Add songs { videoIds, playNext? }',
+        'DELETE /api/queues/:id/items/:itemId': 'Remove a song',
+        'POST /api/queues/:id/items/:itemId/move': 'Move a song { toIndex }',
+        'POST /api/queues/:id/shuffle': 'Shuffle on/off, off restores the original order { enabled }',
+        'POST /api/queues/:id/repeat': 'Repeat mode { mode: off|all|one }',
+        'POST /api/queues/:id/jump': 'Play another song of the queue { index | itemId }',
+        'POST /api/queues/:id/next': 'Next song { auto? }',
+        'POST /api/queues/:id/previous': 'Previous song',
+        'GET /api/queues/:id/room?ttl=': 'Signed WebSocket URL of the queue\'s playback room',
+      },
+      rooms: {
+        'WS /api/rooms/:queueId?role=player|remote&name=': 'Playback room: play/pause/seek/track events with server timestamps (Bearer header or signed URL)',
+      },
+      plays: {
+        'POST /api/plays': 'Record plays { videoId, playedAt?, listenedMs?, clientId? } or { plays: [...] }',
+        'GET /api/plays?limit=&before=': 'Recent plays, newest first',
+      },
+      stats: {
+        'GET /api/stats/top-tracks?range=7d|30d|all&limit=': 'Most played songs',
+        'GET /api/stats/top-artists?range=&limit=': 'Most played artists',
+        'GET /api/stats/top-albums?range=&limit=': 'Most played albums',
+        'GET /api/stats/timeline?range=&tz=': 'Plays and listening time per day',
+        'GET /api/stats/report?period=2026-09|2026&tz=&format=json|svg': 'Monthly or yearly listening report, with a genre mix',
+      },
+      admin: {
+        'GET /api/admin/keys': 'List API keys with scopes and last-used timestamps (ADMIN_TOKEN)',
+        'GET /api/admin/keys/:id': 'Get one API key (ADMIN_TOKEN)',
+        'POST /api/admin/keys': 'Issue a key { id?, name?, scopes?, cookie?, visitorData?, dataSyncId? }',
+        'PATCH /api/admin/keys/:id': 'Update a key { name?, scopes?, cookie?, visitorData?, dataSyncId? }',
+        'POST /api/admin/keys/:id/rotate': 'Rotate a key token',
+        'DELETE /api/admin/keys/:id': 'Revoke a key',
       },
     },
   });
@@ -182,7 +262,10 @@ if (process.env.YT_COOKIE) {
 // ─── Start Server ───────────────────────────────────
 
 if (require.main === module) {
-  app.listen(PORT, HOST, () => {
+  const server = app.listen(PORT, HOST, () => {
+    // Resume jobs left queued or running by the previous process
+    jobQueue.start();
+
     console.log('');
     console.log('  ╔══════════════════════════════════════╗');
     console.log('  ║         🎵 Beat API Server 🎵        ║');
@@ -197,8 +280,21 @@ if (require.main === module) {
     console.log('    GET  /api                 (API docs)');
     console.log('    *    /api/youtube/*       (InnerTube)');
     console.log('    *    /api/stream/*        (yt-dlp)');
+    console.log('    *    /api/jobs/*          (background jobs)');
+    console.log('    *    /api/radio/*         (radio sessions)');
+    console.log('    *    /api/queues/*        (play queues)');
+    console.log('    WS   /api/rooms/:queueId  (playback sync)');
+    console.log('    *    /api/plays, /api/stats (play history)');
+    console.log('    *    /api/admin/*         (ADMIN_TOKEN)');
     console.log('');
+
+    if (!process.env.STREAM_SIGNING_SECRET) {
+      console.warn('⚠️ STREAM_SIGNING_SECRET not set. Signed stream URLs will expire on restart.');
+    }
   });
+
+  // Playback rooms (WebSocket upgrades on /api/rooms/:queueId)
+  attachRoomSocket(server);
 }
 
 module.exports = app;
@@ -0,0 +1,57 @@
+/**
+ * Per-Account YouTube Instances
+ *
+ * Resolves the YouTube client for an API key so library, history, likes and
+ * playlist management act on that key's own Google account.
+ * Instances are cached per key id and rebuilt when the key record changes.
+ * Keys without an account share one anonymous instance (and its cache).
+ */
+
+const YouTube = require('./youtube');
+
+const instances = new Map(); // key id → { key, yt }
+
+let sharedInstance = null;
+
+/**
+ * Anonymous instance used by every key that has no account of its own.
+ */
+function getSharedYouTube() {
+  // Explicit nulls keep it anonymous instead of falling back to the
+  // YT_COOKIE environment variable.
+  if (!sharedInstance) sharedInstance = new YouTube({ cookie: null, visitorData: null, dataSyncId: null });
+  return sharedInstance;
+}
+
+/**
+ * Get the YouTube instance bound to an API key.
+ *
+ * @param {object} apiKey - Key record from the key store (see stores/keyStore.js)
+ * @returns {YouTube}
+ */
+function getYouTube(apiKey) {
+  if (!apiKey.cookie && !apiKey.visitorData && !apiKey.dataSyncId) {
+    instances.delete(apiKey.id);
+    return getSharedYouTube();
+  }
+
+  const cached = instances.get(apiKey.id);
+  if (cached && cached.key === apiKey) return cached.yt;
+
+  const yt = new YouTube({
+    cookie: apiKey.cookie || null,
+    visitorData: apiKey.visitorData || null,
+    dataSyncId: apiKey.dataSyncId || null,
+  });
+  instances.set(apiKey.id, { key: apiKey, yt });
+  return yt;
+}
+
+/**
+ * Drop the cached instance for a key (e.g. after it was revoked).
+ */
+function forgetYouTube(keyId) {
+  instances.delete(keyId);
+}
+
+module.exports = { getYouTube, getSharedYouTube, forgetYouTube };
@@ -0,0 +1,163 @@
+/**
+ * InnerTube Response Cache
+ *
+ * Caches raw InnerTube responses in front of InnerTube._post.
+ * Two interchangeable backends share the same async interface:
+ *
+ *   get(key)               → { value, expiresAt } | null
+ *   set(key, value, ttlMs) → void
+ *   delete(key)            → void
+ *
+ * - MemoryCache: in-process LRU (default)
+ * - RedisCache:  any ioredis-compatible client (get / set with "PX" / del)
+ *
+ * Cache results of the current HTTP request are tracked through an
+ * AsyncLocalStorage context so routes can emit X-Cache / Cache-Control headers.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ─── Backends ───────────────────────────────────────
+
+class MemoryCache {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // insertion order = LRU order
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Move to the most-recently-used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+class RedisCache {
+  /**
+   * @param {object} client - ioredis-compatible client
+   * @param {object} [options]
+   * @param {string} [options.prefix] - Key prefix (default: "beat:innertube:")
+   */
+  constructor(client, { prefix = 'beat:innertube:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    if (!raw) return null;
+    return JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    const entry = { value, expiresAt: Date.now() + ttlMs };
+    await this.client.set(this.prefix + key, JSON.stringify(entry), 'PX', ttlMs);
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+/**
+ * Build the configured cache backend (CACHE_BACKEND=memory|redis|none).
+ * The Redis backend needs the optional "ioredis" package and REDIS_URL.
+ */
+function createCache() {
+  const backend = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  if (backend === 'none') return null;
+
+  if (backend === 'redis') {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch {
+      throw new Error('CACHE_BACKEND=redis requires the "ioredis" package (npm install ioredis)');
+    }
+    return new RedisCache(new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379'));
+  }
+
+  return new MemoryCache({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500 });
+}
+
+// ─── Per-request cache status ───────────────────────
+
+const cacheContext = new AsyncLocalStorage();
+
+/**
+ * Record a cache lookup in the current request context (no-op outside one).
+ *
+ * @param {boolean} hit
+ * @param {number} expiresAt - Entry expiry (ms timestamp)
+ */
+function recordCacheResult(hit, expiresAt) {
+  const stats = cacheContext.getStore();
+  if (!stats) return;
+  if (hit) stats.hits++;
+  else stats.misses++;
+  stats.expiresAt = Math.min(stats.expiresAt, expiresAt);
+}
+
+/**
+ * Record an InnerTube call that could not be cached.
+ */
+function recordCacheBypass() {
+  const stats = cacheContext.getStore();
+  if (stats) stats.bypassed++;
+}
+
+/**
+ * Express middleware: sets X-Cache (HIT|MISS) and Cache-Control on JSON responses
+ * based on the InnerTube calls made while handling the request.
+ */
+function cacheHeaders(req, res, next) {
+  const stats = { hits: 0, misses: 0, bypassed: 0, expiresAt: Infinity };
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const cacheable = stats.hits + stats.misses > 0 && stats.bypassed === 0;
+    if (!cacheable || res.statusCode >= 400) {
+      res.set('Cache-Control', 'no-store');
+    } else {
+      const maxAge = Math.max(0, Math.floor((stats.expiresAt - Date.now()) / 1000));
+      res.set('X-Cache', stats.misses === 0 ? 'HIT' : 'MISS');
+      res.set('Cache-Control', `private, max-age=${maxAge}`);
+    }
+    return json(body);
+  };
+
+  cacheContext.run(stats, next);
+}
+
+module.exports = {
+  MemoryCache,
+  RedisCache,
+  createCache,
+  recordCacheResult,
+  recordCacheBypass,
+  cacheHeaders,
+};
@@ -6,6 +6,8 @@
 // const USER_AGENT_WEB = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:140.0) Gecko/20100101 Firefox/140.0';
 const USER_AGENT_WEB = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/145.0.0.0 Safari/537.36';
 
+const USER_AGENT_ANDROID_MUSIC = 'com.google.android.apps.youtube.music/7.21.50 (Linux; U; Android 14) gzip';
+
 const ORIGIN_YOUTUBE_MUSIC = 'https://music.youtube.com';
 const REFERER_YOUTUBE_MUSIC = `${ORIGIN_YOUTUBE_MUSIC}/`;
 const API_URL_YOUTUBE_MUSIC = `${ORIGIN_YOUTUBE_MUSIC}/youtubei/v1/`;
@@ -31,6 +33,17 @@ const CLIENTS = {
     useWebPoTokens: true,
     isEmbedded: false,
   },
+  // Only the mobile app receives time-coded lyrics (timedLyricsModel) from browse
+  ANDROID_MUSIC: {
+    clientName: 'ANDROID_MUSIC',
+    clientVersion: '7.21.50',
+    clientId: '21',
+    userAgent: USER_AGENT_ANDROID_MUSIC,
+    loginSupported: false,
+    useSignatureTimestamp: false,
+    useWebPoTokens: false,
+    isEmbedded: false,
+  },
 };
 
 const SEARCH_FILTERS = {
@@ -54,6 +67,36 @@ const DEFAULT_OTHER_RESULTS = 'Other';
 
 const MAX_GET_QUEUE_SIZE = 1000;
 
+const PLAYLIST_PRIVACY_STATUSES = ['PUBLIC', 'UNLISTED', 'PRIVATE'];
+
+// next() params that make the watch queue an endless radio
+const RADIO_PARAMS = 'wAEB';
+
+// Response cache TTLs (seconds) per InnerTube endpoint. Endpoints not listed are never cached.
+const CACHE_TTLS = {
+  browse: 30 * 60,
+  search: 10 * 60,
+  next: 10 * 60,
+  'music/get_search_suggestions': 60 * 60,
+  'music/get_queue': 60 * 60,
+  get_transcript: 24 * 60 * 60,
+};
+
+// Upper bound for responses cached per logged-in account (library pages change often)
+const CACHE_TTL_AUTHENTICATED = 60;
+
+// Endpoints that change the account's library; a logged-in call drops that account's cached pages
+const CACHE_WRITE_ENDPOINTS = new Set([
+  'browse/edit_playlist',
+  'playlist/create',
+  'playlist/delete',
+  'like/like',
+  'like/removelike',
+  'subscription/subscribe',
+  'subscription/unsubscribe',
+  'feedback',
+]);
+
 module.exports = {
   USER_AGENT_WEB,
   ORIGIN_YOUTUBE_MUSIC,
@@ -65,4 +108,9 @@ module.exports = {
   DEFAULT_TOP_RESULT,
   DEFAULT_OTHER_RESULTS,
   MAX_GET_QUEUE_SIZE,
+  PLAYLIST_PRIVACY_STATUSES,
+  RADIO_PARAMS,
+  CACHE_TTLS,
+  CACHE_TTL_AUTHENTICATED,
+  CACHE_WRITE_ENDPOINTS,
 };
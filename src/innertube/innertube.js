@@ -13,21 +13,46 @@ const {
   ORIGIN_YOUTUBE_MUSIC,
   REFERER_YOUTUBE_MUSIC,
   CLIENTS,
+  CACHE_TTLS,
+  CACHE_TTL_AUTHENTICATED,
+  CACHE_WRITE_ENDPOINTS,
 } = require('./constants');
+const { createCache, recordCacheResult, recordCacheBypass } = require('./cache');
+const { withRetry } = require('../utils/retry');
+
+// Shared by every InnerTube instance; authenticated entries are namespaced per account
+const sharedCache = createCache();
 
 class InnerTube {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.cookie]       - Account cookie (default: YT_COOKIE)
+   * @param {string|null} [options.visitorData]  - Visitor data (default: YT_VISITOR_DATA)
+   * @param {string|null} [options.dataSyncId]   - Data sync ID (default: YT_DATA_SYNC_ID)
+   * @param {object|null} [options.cache]         - Response cache backend (default: shared CACHE_BACKEND cache)
+   */
+  constructor(options = {}) {
+    const {
+      cookie = process.env.YT_COOKIE,
+      visitorData = process.env.YT_VISITOR_DATA,
+      dataSyncId = process.env.YT_DATA_SYNC_ID,
+      cache = sharedCache,
+    } = options;
+
     this.locale = {
       gl: process.env.YT_LOCALE_GL || 'US',
       hl: process.env.YT_LOCALE_HL || 'en',
     };
-    this.visitorData = process.env.YT_VISITOR_DATA || null;
-    this.dataSyncId = process.env.YT_DATA_SYNC_ID || null;
-    this.cookie = process.env.YT_COOKIE || null;
+    this.visitorData = visitorData || null;
+    this.dataSyncId = dataSyncId || null;
+    this.cookie = cookie || null;
     this.cookieMap = {};
     this.proxy = null;
     this.proxyAuth = null;
     this.useLoginForBrowse = false;
+    this.cache = cache;
+    // Bumped on every authenticated write (CACHE_WRITE_ENDPOINTS) so this account's cached pages are skipped
+    this.cacheGeneration = 0;
 
     if (this.cookie) {
       this.cookieMap = this._parseCookieString(this.cookie);
@@ -107,26 +132,37 @@ class InnerTube {
    * Retry wrapper for transient errors with exponential backoff.
    */
   async _withRetry(fn, maxAttempts = 3, initialDelay = 500) {
-    let delay = initialDelay;
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      try {
-        return await fn();
-      } catch (err) {
-        if (attempt >= maxAttempts - 1) throw err;
-        await new Promise((r) => setTimeout(r, delay));
-        delay *= 2;
-      }
-    }
+    return withRetry(() => fn(), { maxAttempts, initialDelay });
+  }
+
+  /**
+   * Cache key for a request: endpoint + params + body without the volatile
+   * context fields (visitorData, experiment flags), namespaced per account
+   * when the request is sent logged in.
+   */
+  _cacheKey(endpointName, client, body, params, authenticated) {
+    const { context, ...rest } = body || {};
+    const account = authenticated
+      ? `${this._sha1(`${this.cookie}|${this.dataSyncId || ''}`)}:${this.cacheGeneration}`
+      : 'public';
+    const fingerprint = JSON.stringify({
+      endpoint: endpointName,
+      client: `${client.clientName}/${client.clientVersion}`,
+      locale: `${context?.client?.gl}/${context?.client?.hl}`,
+      params,
+      body: rest,
+    });
+    return `${account}:${this._sha1(fingerprint)}`;
   }
 
   /**
    * Make a POST request to the InnerTube API.
+   * Read-only endpoints listed in CACHE_TTLS are served from the response cache.
    */
   async _post(endpoint, client, body, params = {}, setLogin = false) {
     const url = endpoint.startsWith('http') ? endpoint : `${API_URL_YOUTUBE_MUSIC}${endpoint}`;
     const headers = this._buildHeaders(client, setLogin);
-
-    return this._withRetry(async () => {
+    const send = () => this._withRetry(async () => {
       const response = await axios.post(url, body, {
         headers,
         params: { prettyPrint: false, ...params },
@@ -134,6 +170,39 @@ class InnerTube {
       });
       return response.data;
     });
+
+    const endpointName = url.slice(url.indexOf('/youtubei/v1/') + '/youtubei/v1/'.length);
+    const authenticated = !!(setLogin && client.loginSupported && this.cookie);
+    let ttl = CACHE_TTLS[endpointName];
+
+    if (authenticated) {
+      if (CACHE_WRITE_ENDPOINTS.has(endpointName)) this.cacheGeneration++;
+      if (process.env.CACHE_AUTHENTICATED === 'bypass') ttl = undefined;
+      else if (ttl !== undefined) ttl = Math.min(ttl, CACHE_TTL_AUTHENTICATED);
+    }
+
+    if (!this.cache || ttl === undefined) {
+      recordCacheBypass();
+      return send();
+    }
+
+    const key = this._cacheKey(endpointName, client, body, params, authenticated);
+    try {
+      const cached = await this.cache.get(key);
+      if (cached) {
+        recordCacheResult(true, cached.expiresAt);
+        return cached.value;
+      }
+    } catch (err) {
+      console.error('[CACHE] Read failed:', err.message);
+    }
+
+    const data = await send();
+    recordCacheResult(false, Date.now() + ttl * 1000);
+    this.cache.set(key, data, ttl * 1000).catch((err) => {
+      console.error('[CACHE] Write failed:', err.message);
+    });
+    return data;
   }
 
   /**
@@ -294,12 +363,25 @@ class InnerTube {
     return this._post('like/removelike', client, body, {}, true);
   }
 
-  async createPlaylist(client, title) {
+  async createPlaylist(client, title, { description, privacyStatus, videoIds, params } = {}) {
     const context = this._buildContext(client, this.visitorData, this.dataSyncId);
-    const body = { context, title };
+    const body = {
+      context,
+      title,
+      ...(description !== undefined && { description }),
+      ...(privacyStatus && { privacyStatus }),
+      ...(videoIds?.length && { videoIds }),
+      ...(params && { params }),
+    };
     return this._post('playlist/create', client, body, {}, true);
   }
 
+  async addToPlaylistMenu(client, videoIds) {
+    const context = this._buildContext(client, this.visitorData, this.dataSyncId);
+    const body = { context, videoIds, excludeWatchLater: true };
+    return this._post('playlist/get_add_to_playlist', client, body, {}, true);
+  }
+
   async deletePlaylist(client, playlistId) {
     const context = this._buildContext(client, this.visitorData, this.dataSyncId);
     const body = { context, playlistId };
@@ -0,0 +1,102 @@
+/**
+ * Pagination
+ *
+ * Walks the continuation tokens of a paginated InnerTube method for the
+ * `?all=true` routes and for helpers that need every item (albumSongs,
+ * fullPlaylist). A Paginator is an async iterator over the items of all
+ * pages:
+ *
+ *   const pager = yt.playlistPages(playlistId);
+ *   for await (const song of pager) { ... }
+ *
+ * It stops after `maxRequests` pages, or when a continuation token comes
+ * back a second time (InnerTube sometimes repeats the last one). Either way
+ * `truncated` is set, since more items may exist.
+ */
+
+// Pages fetched per walk, including the first one
+const MAX_PAGE_REQUESTS = parseInt(process.env.MAX_PAGE_REQUESTS, 10) || 50;
+
+class Paginator {
+  /**
+   * @param {(continuation: string|null) => Promise<object>} fetchPage - Called with null for the first page.
+   *   Every page must have the same shape: items under `itemsKey`, next token under `continuationKey`.
+   * @param {object} [options]
+   * @param {string} [options.itemsKey='items']
+   * @param {string} [options.continuationKey='continuation']
+   * @param {number} [options.maxRequests=MAX_PAGE_REQUESTS]
+   */
+  constructor(fetchPage, { itemsKey = 'items', continuationKey = 'continuation', maxRequests = MAX_PAGE_REQUESTS } = {}) {
+    this.fetchPage = fetchPage;
+    this.itemsKey = itemsKey;
+    this.continuationKey = continuationKey;
+    this.maxRequests = maxRequests;
+
+    this.firstPage = null;
+    this.requests = 0;
+    this.continuation = null;   // Token of the first page that wasn't fetched
+    this.truncated = false;     // Stopped by the request cap or a repeated token
+    this.hasMore = false;       // Items left after the last yielded one
+  }
+
+  async *[Symbol.asyncIterator]() {
+    const seen = new Set();
+    let continuation = null;
+
+    do {
+      if (this.requests >= this.maxRequests) {
+        this.truncated = true;
+        break;
+      }
+      if (continuation) seen.add(continuation);
+
+      const page = await this.fetchPage(continuation);
+      this.requests++;
+      if (!this.firstPage) this.firstPage = page;
+
+      continuation = page?.[this.continuationKey] || null;
+      if (continuation && seen.has(continuation)) {
+        this.truncated = true;
+        continuation = null;
+      }
+      this.continuation = continuation;
+
+      const items = page?.[this.itemsKey] || [];
+      for (let i = 0; i < items.length; i++) {
+        this.hasMore = i < items.length - 1 || !!continuation;
+        yield items[i];
+      }
+    } while (continuation);
+
+    this.hasMore = false;
+  }
+
+  /**
+   * Gather up to `limit` items.
+   *
+   * @returns {Promise<object>} The first page with the gathered items under
+   *   `itemsKey`, the next unfetched token under `continuationKey` and
+   *   `truncated: true` when items were left out.
+   */
+  async collect({ limit = Infinity } = {}) {
+    const items = [];
+    let more = false;
+
+    for await (const item of this) {
+      items.push(item);
+      if (items.length >= limit) {
+        more = this.hasMore;
+        break;
+      }
+    }
+
+    return {
+      ...this.firstPage,
+      [this.itemsKey]: items,
+      [this.continuationKey]: this.continuation,
+      truncated: this.truncated || more,
+    };
+  }
+}
+
+module.exports = { Paginator, MAX_PAGE_REQUESTS };
@@ -5,6 +5,8 @@
  * Extracts and normalizes useful data from raw InnerTube API responses.
  */
 
+const { PLAYLIST_PRIVACY_STATUSES } = require('./constants');
+
 // ─── Utility Helpers ────────────────────────────────
 
 /**
@@ -254,6 +256,8 @@ function parseArtistPage(response, browseId) {
       title,
       thumbnail,
       channelId: immersive?.subscriptionButton?.subscribeButtonRenderer?.channelId,
+      radioPlaylistId: immersive?.startRadioButton?.buttonRenderer?.navigationEndpoint
+        ?.watchPlaylistEndpoint?.playlistId || null,
     },
     sections,
     description: descriptionRuns?.map((r) => r.text).join('') || null,
@@ -463,6 +467,12 @@ function parsePlaylistPage(response, playlistId) {
 
   // If header is available (user playlists, logged-in album playlists), use it
   if (header) {
+    // subtitle: "Playlist • Private • 2024"; secondSubtitle: "42 songs • 2 hours, 31 minutes"
+    const subtitle = oddElements(header.subtitle?.runs).map((r) => r.text);
+    const secondSubtitle = oddElements(header.secondSubtitle?.runs).map((r) => r.text);
+    const editHeader = base?.musicEditablePlaylistDetailHeaderRenderer?.editHeader?.musicPlaylistEditHeaderRenderer;
+    const privacyText = subtitle.find((text) => PLAYLIST_PRIVACY_STATUSES.includes(text.toUpperCase()));
+
     const playlist = {
       id: playlistId,
       title: header.title?.runs?.[0]?.text,
@@ -473,6 +483,11 @@ function parsePlaylistPage(response, playlistId) {
           }
         : null,
       songCountText: header.secondSubtitle?.runs?.[0]?.text,
+      description: header.description?.musicDescriptionShelfRenderer?.description?.runs
+        ?.map((r) => r.text).join('') || null,
+      privacy: editHeader?.privacy || privacyText?.toUpperCase() || null,
+      durationText: secondSubtitle.length > 1 ? secondSubtitle[secondSubtitle.length - 1] : null,
+      year: subtitle.find((text) => /^\d{4}$/.test(text)) || null,
       thumbnail: header.thumbnail?.musicThumbnailRenderer?.thumbnail?.thumbnails?.slice(-1)?.[0]?.url,
       isEditable: editable,
     };
@@ -506,6 +521,10 @@ function parsePlaylistPage(response, playlistId) {
           }
         : null,
       songCountText: `${songs.length} songs`,
+      description: null,
+      privacy: null,
+      durationText: null,
+      year: null,
       thumbnail: firstThumbnail || null,
       isEditable: false,
     };
@@ -542,6 +561,41 @@ function parsePlaylistContinuation(response) {
   return { songs, continuation: nextContinuation };
 }
 
+// ─── Playlist Edit Parser ───────────────────────────
+
+/**
+ * browse/edit_playlist response → { succeeded, added: [{ videoId, setVideoId }] }
+ * (`added` in the order of the ACTION_ADD_VIDEO actions that were applied).
+ */
+function parseEditPlaylistResult(response) {
+  const added = (response?.playlistEditResults || [])
+    .map((result) => result.playlistEditVideoAddedResultData)
+    .filter(Boolean)
+    .map(({ videoId, setVideoId }) => ({ videoId, setVideoId }));
+
+  return { succeeded: response?.status === 'STATUS_SUCCEEDED', added };
+}
+
+/**
+ * playlist/get_add_to_playlist response → the playlist/create `params` that
+ * turn collaboration on, taken from its "New playlist" dialog
+ * (createPlaylistDialogFormViewModel), or null when the dialog doesn't offer
+ * collaboration.
+ */
+function parseCollaborationParams(response) {
+  const pending = [response];
+  while (pending.length) {
+    const node = pending.pop();
+    if (!node || typeof node !== 'object') continue;
+    if (node.createPlaylistDialogFormViewModel) {
+      const form = node.createPlaylistDialogFormViewModel;
+      return (!form.disablePlaylistCollaborate && form.createPlaylistParamsCollaborationEnabled) || null;
+    }
+    pending.push(...Object.values(node));
+  }
+  return null;
+}
+
 // ─── Next/Queue Parser ──────────────────────────────
 
 function parseNextResult(response) {
@@ -592,6 +646,25 @@ function parseLyrics(response) {
   return desc?.map((r) => r.text).join('') || null;
 }
 
+/**
+ * Time-coded lyrics (ANDROID_MUSIC client only).
+ * Returns { lines: [{ startMs, endMs, text }], source } or null.
+ */
+function parseTimedLyrics(response) {
+  const lyricsData = response.contents?.elementRenderer?.newElement?.type?.componentType
+    ?.model?.timedLyricsModel?.lyricsData;
+  const timed = lyricsData?.timedLyricsData;
+  if (!timed?.length) return null;
+
+  const lines = timed.map((line) => ({
+    startMs: parseInt(line.cueRange?.startTimeMilliseconds, 10) || 0,
+    endMs: parseInt(line.cueRange?.endTimeMilliseconds, 10) || 0,
+    text: line.lyricLine || '',
+  }));
+
+  return { lines, source: lyricsData.sourceMessage || null };
+}
+
 // ─── Related Parser ─────────────────────────────────
 
 function parseRelatedPage(response) {
@@ -738,7 +811,7 @@ function parseStreamFormat(format) {
 
 // ─── Transcript Parser ──────────────────────────────
 
-function parseTranscript(response) {
+function parseTranscriptCues(response) {
   const cueGroups = response.actions?.[0]?.updateEngagementPanelAction?.content
     ?.transcriptRenderer?.body?.transcriptBodyRenderer?.cueGroups;
 
@@ -747,13 +820,25 @@ function parseTranscript(response) {
   return cueGroups.map((group) => {
     const cue = group.transcriptCueGroupRenderer?.cues?.[0]?.transcriptCueRenderer;
     if (!cue) return null;
-    const time = cue.startOffsetMs;
-    const text = (cue.cue?.simpleText || '').replace(/^♪\s*/, '').replace(/\s*♪$/, '').trim();
+    const startMs = parseInt(cue.startOffsetMs, 10) || 0;
+    return {
+      startMs,
+      endMs: startMs + (parseInt(cue.durationMs, 10) || 0),
+      text: (cue.cue?.simpleText || '').replace(/^♪\s*/, '').replace(/\s*♪$/, '').trim(),
+    };
+  }).filter(Boolean);
+}
+
+function parseTranscript(response) {
+  const cues = parseTranscriptCues(response);
+  if (!cues) return null;
+
+  return cues.map(({ startMs: time, text }) => {
     const min = Math.floor(time / 60000);
     const sec = Math.floor((time / 1000) % 60);
     const ms = time % 1000;
     return `[${String(min).padStart(2, '0')}:${String(sec).padStart(2, '0')}.${String(ms).padStart(3, '0')}]${text}`;
-  }).filter(Boolean).join('\n');
+  }).join('\n');
 }
 
 // ─── Queue Parser ───────────────────────────────────
@@ -855,9 +940,13 @@ function parseMusicResponsiveListItemRenderer(renderer) {
         }
       }
 
+      // Playlist items carry their per-playlist id (needed to remove / move them)
+      const setVideoId = renderer.playlistItemData?.playlistSetVideoId;
+
       return {
         type: 'song',
         id: videoId,
+        ...(setVideoId && { setVideoId }),
         title,
         artists,
         thumbnail,
@@ -1254,12 +1343,16 @@ module.exports = {
   parseChartsPage,
   parsePlaylistPage,
   parsePlaylistContinuation,
+  parseEditPlaylistResult,
+  parseCollaborationParams,
   parseNextResult,
   parseLyrics,
+  parseTimedLyrics,
   parseRelatedPage,
   parseHistoryPage,
   parsePlayerResponse,
   parseTranscript,
+  parseTranscriptCues,
   parseQueue,
   parseBrowseResult,
   parseLibraryPage,
@@ -0,0 +1,199 @@
+/**
+ * Playlist Edit Operations
+ *
+ * Translates the operations accepted by POST /api/youtube/playlist/:id/edit
+ * into browse/edit_playlist actions, and maps the response back onto them.
+ *
+ *   { type: 'add', videoIds: [...], skipDuplicates? }  → ACTION_ADD_VIDEO (one per video)
+ *   { type: 'remove', setVideoId, videoId? }           → ACTION_REMOVE_VIDEO
+ *   { type: 'move', setVideoId, beforeSetVideoId? }    → ACTION_MOVE_VIDEO_BEFORE (no successor: move to the end)
+ *   { type: 'rename', title }                          → ACTION_SET_PLAYLIST_NAME
+ *   { type: 'description', description }               → ACTION_SET_PLAYLIST_DESCRIPTION
+ *   { type: 'privacy', privacyStatus }                 → ACTION_SET_PLAYLIST_PRIVACY
+ *
+ * It also validates the playlist fields of POST /playlist/create and
+ * PATCH /playlist/:id ({ title, description, privacyStatus, videoIds,
+ * collaborative }) and turns them into operations.
+ */
+
+const { PLAYLIST_PRIVACY_STATUSES } = require('./constants');
+
+const EDIT_OPERATION_TYPES = ['add', 'remove', 'move', 'rename', 'description', 'privacy'];
+
+// Actions per edit_playlist request; longer lists are sent in order in several requests
+const MAX_EDIT_ACTIONS = 200;
+
+// Playlist settings InnerTube offers no request for; sending them is
+// answered with 501 instead of being ignored
+const UNSUPPORTED_PLAYLIST_FIELDS = {
+  thumbnail: 'Custom playlist thumbnails can only be set in the YouTube Music app',
+};
+
+class PlaylistEditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlaylistEditError';
+    this.status = 400;
+  }
+}
+
+const isId = (value) => typeof value === 'string' && value.length > 0;
+
+/**
+ * InnerTube actions for one operation. Throws PlaylistEditError when the
+ * operation is malformed; `label` prefixes the message ("actions[2]").
+ */
+function operationActions(op, label = 'action') {
+  const fail = (message) => { throw new PlaylistEditError(`${label}: ${message}`); };
+
+  switch (op?.type) {
+    case 'add': {
+      if (!Array.isArray(op.videoIds) || !op.videoIds.length || !op.videoIds.every(isId)) {
+        fail('"videoIds" must be a non-empty array of video IDs');
+      }
+      return op.videoIds.map((videoId) => ({
+        action: 'ACTION_ADD_VIDEO',
+        addedVideoId: videoId,
+        ...(op.skipDuplicates && { dedupeOption: 'DEDUPE_OPTION_SKIP' }),
+      }));
+    }
+    case 'remove':
+      if (!isId(op.setVideoId)) fail('"setVideoId" is required');
+      return [{
+        action: 'ACTION_REMOVE_VIDEO',
+        setVideoId: op.setVideoId,
+        ...(isId(op.videoId) && { removedVideoId: op.videoId }),
+      }];
+    case 'move':
+      if (!isId(op.setVideoId)) fail('"setVideoId" is required');
+      if (op.beforeSetVideoId !== undefined && op.beforeSetVideoId !== null && !isId(op.beforeSetVideoId)) {
+        fail('"beforeSetVideoId" must be a setVideoId or null');
+      }
+      return [{
+        action: 'ACTION_MOVE_VIDEO_BEFORE',
+        setVideoId: op.setVideoId,
+        ...(op.beforeSetVideoId && { movedSetVideoIdSuccessor: op.beforeSetVideoId }),
+      }];
+    case 'rename':
+      if (!isId(op.title)) fail('"title" is required');
+      return [{ action: 'ACTION_SET_PLAYLIST_NAME', playlistName: op.title }];
+    case 'description':
+      if (typeof op.description !== 'string') fail('"description" must be a string');
+      return [{ action: 'ACTION_SET_PLAYLIST_DESCRIPTION', playlistDescription: op.description }];
+    case 'privacy':
+      if (!PLAYLIST_PRIVACY_STATUSES.includes(op.privacyStatus)) {
+        fail(`"privacyStatus" must be one of: ${PLAYLIST_PRIVACY_STATUSES.join(', ')}`);
+      }
+      return [{ action: 'ACTION_SET_PLAYLIST_PRIVACY', playlistPrivacy: op.privacyStatus }];
+    default:
+      return fail(`"type" must be one of: ${EDIT_OPERATION_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Validate and translate a list of operations, keeping their order.
+ *
+ * @returns {object[]} edit_playlist actions
+ * @throws {PlaylistEditError}
+ */
+function buildEditActions(operations) {
+  if (!Array.isArray(operations) || !operations.length) {
+    throw new PlaylistEditError('"actions" must be a non-empty array');
+  }
+  return operations.flatMap((op, index) => operationActions(op, `actions[${index}]`));
+}
+
+/**
+ * Validate playlist fields. Only fields that are present are checked;
+ * `videoIds` is only accepted on creation. UNSUPPORTED_PLAYLIST_FIELDS are
+ * rejected with 501, and so is `collaborative` on an existing playlist:
+ * collaboration is only offered when creating one (see YouTube.createPlaylist).
+ *
+ * @throws {PlaylistEditError}
+ */
+function validatePlaylistFields(fields, { creating = false } = {}) {
+  const { title, description, privacyStatus, videoIds, collaborative } = fields || {};
+
+  for (const [field, message] of Object.entries(UNSUPPORTED_PLAYLIST_FIELDS)) {
+    if (fields?.[field] !== undefined) {
+      throw Object.assign(new PlaylistEditError(`"${field}" is not supported: ${message}`), { status: 501 });
+    }
+  }
+
+  if (title !== undefined && (!isId(title) || !title.trim())) {
+    throw new PlaylistEditError('"title" must be a non-empty string');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    throw new PlaylistEditError('"description" must be a string');
+  }
+  if (privacyStatus !== undefined && !PLAYLIST_PRIVACY_STATUSES.includes(privacyStatus)) {
+    throw new PlaylistEditError(`"privacyStatus" must be one of: ${PLAYLIST_PRIVACY_STATUSES.join(', ')}`);
+  }
+  if (collaborative !== undefined) {
+    if (typeof collaborative !== 'boolean') throw new PlaylistEditError('"collaborative" must be a boolean');
+    if (!creating) {
+      throw Object.assign(
+        new PlaylistEditError('"collaborative" is not supported here: collaboration can only be turned on when creating a playlist'),
+        { status: 501 },
+      );
+    }
+  }
+  if (videoIds !== undefined) {
+    if (!creating) throw new PlaylistEditError('"videoIds" can only be set on creation; use the edit endpoint to add songs');
+    if (!Array.isArray(videoIds) || !videoIds.every(isId)) {
+      throw new PlaylistEditError('"videoIds" must be an array of video IDs');
+    }
+  }
+}
+
+/**
+ * Edit operations that apply the given fields (see validatePlaylistFields).
+ */
+function fieldOperations({ title, description, privacyStatus } = {}) {
+  const operations = [];
+  if (title !== undefined) operations.push({ type: 'rename', title });
+  if (description !== undefined) operations.push({ type: 'description', description });
+  if (privacyStatus !== undefined) operations.push({ type: 'privacy', privacyStatus });
+  return operations;
+}
+
+/**
+ * Per-operation results. Added videos are paired with the setVideoIds from
+ * the response by video ID, in order, so skipped duplicates come back with
+ * `setVideoId: null`.
+ *
+ * @param {object[]} operations
+ * @param {{ added: { videoId, setVideoId }[] }} result - parseEditPlaylistResult output
+ */
+function editResults(operations, { added }) {
+  const pending = [...added];
+
+  return operations.map((op) => {
+    if (op.type === 'add') {
+      return {
+        type: 'add',
+        items: op.videoIds.map((videoId) => {
+          const index = pending.findIndex((item) => item.videoId === videoId);
+          const [item] = index >= 0 ? pending.splice(index, 1) : [null];
+          return { videoId, setVideoId: item?.setVideoId || null };
+        }),
+      };
+    }
+    if (op.type === 'remove') return { type: 'remove', setVideoId: op.setVideoId };
+    if (op.type === 'move') return { type: 'move', setVideoId: op.setVideoId, beforeSetVideoId: op.beforeSetVideoId || null };
+    if (op.type === 'rename') return { type: 'rename', title: op.title };
+    if (op.type === 'description') return { type: 'description', description: op.description };
+    return { type: 'privacy', privacyStatus: op.privacyStatus };
+  });
+}
+
+module.exports = {
+  EDIT_OPERATION_TYPES,
+  MAX_EDIT_ACTIONS,
+  UNSUPPORTED_PLAYLIST_FIELDS,
+  PlaylistEditError,
+  buildEditActions,
+  editResults,
+  validatePlaylistFields,
+  fieldOperations,
+};
@@ -0,0 +1,167 @@
+/**
+ * Playlist Sync
+ *
+ * Computes the edit operations (see playlistEdit.js) that turn a playlist
+ * into a desired ordered list of video IDs:
+ *
+ *   1. Pair every desired video with an item already in the playlist (the
+ *      n-th occurrence of a video with its n-th occurrence); unpaired items
+ *      are removed, unpaired videos are added (appended at the end).
+ *   2. Keep the longest run of items that is already in the desired order
+ *      and move every other item before its desired successor.
+ *
+ * This gives the fewest removes, adds and moves for the pairing. Added
+ * videos only get a setVideoId once they're in the playlist, so moves that
+ * involve them are planned after the adds have been applied.
+ */
+
+const { PlaylistEditError } = require('./playlistEdit');
+
+// Largest desired track list accepted
+const MAX_SYNC_TRACKS = 5000;
+
+/**
+ * Validate the desired track list. Accepts video ID strings or snapshot
+ * entries with a `videoId`.
+ *
+ * @returns {string[]} video IDs
+ * @throws {PlaylistEditError}
+ */
+function desiredVideoIds(tracks) {
+  if (!Array.isArray(tracks)) throw new PlaylistEditError('"videoIds" (or "tracks") must be an array');
+  if (tracks.length > MAX_SYNC_TRACKS) {
+    throw new PlaylistEditError(`A playlist can be synced with at most ${MAX_SYNC_TRACKS} tracks`);
+  }
+  return tracks.map((track, index) => {
+    const videoId = typeof track === 'string' ? track : track?.videoId;
+    if (typeof videoId !== 'string' || !videoId) {
+      throw new PlaylistEditError(`tracks[${index}]: a video ID is required`);
+    }
+    return videoId;
+  });
+}
+
+/**
+ * Indexes (into `values`) of one longest strictly increasing subsequence.
+ */
+function longestIncreasing(values) {
+  const tails = [];          // tails[k]: index of the smallest tail of a run of length k + 1
+  const previous = new Array(values.length).fill(-1);
+
+  values.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[i] = tails[low - 1];
+    tails[low] = i;
+  });
+
+  const result = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = previous[i]) result.add(i);
+  return result;
+}
+
+/**
+ * Plan the sync of `current` to `desired`.
+ *
+ * @param {{ videoId: string, setVideoId: string }[]} current - Playlist items, in order
+ * @param {string[]} desired - Video IDs, in order
+ * @returns {{ target: object[], removals: object[], additions: string[], stable: Set<number> }}
+ *   `target` has one { videoId, setVideoId, added } per desired video
+ *   (setVideoId is null for additions until fillAdded() is called).
+ */
+function planSync(current, desired) {
+  const available = new Map();
+  current.forEach((item, index) => {
+    if (!available.has(item.videoId)) available.set(item.videoId, []);
+    available.get(item.videoId).push({ ...item, index });
+  });
+
+  const target = desired.map((videoId) => {
+    const item = available.get(videoId)?.shift();
+    return { videoId, setVideoId: item?.setVideoId || null, index: item ? item.index : null, added: !item };
+  });
+
+  const removals = [...available.values()].flat()
+    .sort((a, b) => a.index - b.index)
+    .map(({ videoId, setVideoId }) => ({ type: 'remove', setVideoId, videoId }));
+
+  // Position of every item once removals are done and additions are appended
+  const kept = target.filter((item) => !item.added).sort((a, b) => a.index - b.index);
+  const positions = new Map([...kept, ...target.filter((item) => item.added)].map((item, i) => [item, i]));
+  const stable = longestIncreasing(target.map((item) => positions.get(item)));
+
+  return {
+    target: target.map(({ videoId, setVideoId, added }) => ({ videoId, setVideoId, added })),
+    removals,
+    additions: target.filter((item) => item.added).map((item) => item.videoId),
+    stable,
+  };
+}
+
+/**
+ * Move operations for every item outside the stable run, from the last to
+ * the first, so each successor is already in place when an item is moved
+ * before it.
+ */
+function moveOperations(plan) {
+  const { target, stable } = plan;
+  const moves = [];
+  for (let i = target.length - 1; i >= 0; i--) {
+    if (stable.has(i)) continue;
+    moves.push({
+      type: 'move',
+      videoId: target[i].videoId,
+      setVideoId: target[i].setVideoId,
+      beforeSetVideoId: target[i + 1]?.setVideoId || null,
+    });
+  }
+  return moves;
+}
+
+/**
+ * Store the setVideoIds of applied additions on the plan.
+ *
+ * @param {{ videoId, setVideoId }[]} items - Result items of the add operation, in order
+ * @returns {boolean} whether every added video got a setVideoId
+ */
+function fillAdded(plan, items) {
+  const added = plan.target.filter((item) => item.added);
+  added.forEach((item, i) => { item.setVideoId = items[i]?.setVideoId || null; });
+  return added.every((item) => item.setVideoId);
+}
+
+/**
+ * Every operation of a plan, in the order they are applied.
+ */
+function syncOperations(plan) {
+  return [
+    ...plan.removals,
+    ...(plan.additions.length ? [{ type: 'add', videoIds: plan.additions }] : []),
+    ...moveOperations(plan),
+  ];
+}
+
+function syncSummary(plan) {
+  const moved = plan.target.length - plan.stable.size;
+  return {
+    removed: plan.removals.length,
+    added: plan.additions.length,
+    moved,
+    unchanged: plan.target.filter((item, i) => !item.added && plan.stable.has(i)).length,
+  };
+}
+
+module.exports = {
+  MAX_SYNC_TRACKS,
+  desiredVideoIds,
+  planSync,
+  moveOperations,
+  fillAdded,
+  syncOperations,
+  syncSummary,
+};
@@ -9,10 +9,16 @@
 const InnerTube = require('./innertube');
 const { CLIENTS, SEARCH_FILTERS, LIBRARY_FILTERS, MAX_GET_QUEUE_SIZE } = require('./constants');
 const parsers = require('./parsers');
+const { buildEditActions, editResults, MAX_EDIT_ACTIONS, PlaylistEditError } = require('./playlistEdit');
+const playlistSync = require('./playlistSync');
+const { Paginator } = require('./paginate');
 
 class YouTube {
-  constructor() {
-    this.innerTube = new InnerTube();
+  /**
+   * @param {object} [options] - Account options forwarded to InnerTube ({ cookie, visitorData, dataSyncId })
+   */
+  constructor(options = {}) {
+    this.innerTube = new InnerTube(options);
   }
 
   get locale() { return this.innerTube.locale; }
@@ -47,6 +53,16 @@ class YouTube {
     return parsers.parseSearchContinuation(response);
   }
 
+  /**
+   * Every page of search() (see paginate.js).
+   */
+  searchPages(query, filter = null, options = {}) {
+    return new Paginator(
+      (continuation) => (continuation ? this.searchContinuation(continuation) : this.search(query, filter)),
+      options,
+    );
+  }
+
   // ─── Album ─────────────────────────────────────────
 
   async album(browseId, withSongs = true) {
@@ -63,35 +79,25 @@ class YouTube {
   }
 
   async albumSongs(playlistId, album = null) {
-    let response = await this.innerTube.browse(CLIENTS.WEB_REMIX, `VL${playlistId}`);
-    const parsed = parsers.parseAlbumSongs(response);
-    const songs = [...parsed.songs];
-    let continuation = parsed.continuation;
-
-    const seenContinuations = new Set();
-    let requestCount = 0;
-    const maxRequests = 50;
-
-    while (continuation && requestCount < maxRequests) {
-      if (seenContinuations.has(continuation)) break;
-      seenContinuations.add(continuation);
-      requestCount++;
+    const pager = new Paginator(async (continuation) => {
+      if (!continuation) {
+        const response = await this.innerTube.browse(CLIENTS.WEB_REMIX, `VL${playlistId}`);
+        return parsers.parseAlbumSongs(response);
+      }
 
-      response = await this.innerTube.browse(CLIENTS.WEB_REMIX, null, null, continuation);
+      const response = await this.innerTube.browse(CLIENTS.WEB_REMIX, null, null, continuation);
       const contItems = response.onResponseReceivedActions?.[0]
         ?.appendContinuationItemsAction?.continuationItems;
-      if (contItems) {
-        contItems.forEach((item) => {
-          const song = parsers.parseMusicResponsiveListItemRenderer(
-            item.musicResponsiveListItemRenderer
-          );
-          if (song) songs.push(song);
-        });
-      }
-      continuation = response.continuationContents?.musicPlaylistShelfContinuation
-        ?.continuations?.[0]?.nextContinuationData?.continuation || null;
-    }
+      return {
+        songs: contItems
+          ?.map((item) => parsers.parseMusicResponsiveListItemRenderer(item.musicResponsiveListItemRenderer))
+          .filter(Boolean) || [],
+        continuation: response.continuationContents?.musicPlaylistShelfContinuation
+          ?.continuations?.[0]?.nextContinuationData?.continuation || null,
+      };
+    }, { itemsKey: 'songs' });
 
+    const { songs } = await pager.collect();
     return songs;
   }
 
@@ -354,6 +360,16 @@ class YouTube {
     };
   }
 
+  /**
+   * Every page of artistItems() (see paginate.js).
+   */
+  artistItemsPages(browseId, params = null, options = {}) {
+    return new Paginator(
+      (continuation) => (continuation ? this.artistItemsContinuation(continuation) : this.artistItems(browseId, params)),
+      options,
+    );
+  }
+
   // ─── Playlist ──────────────────────────────────────
 
   async playlist(playlistId) {
@@ -368,6 +384,26 @@ class YouTube {
     return parsers.parsePlaylistContinuation(response);
   }
 
+  /**
+   * Every song page of playlist() (see paginate.js). Continuation pages are
+   * reshaped like the first one ({ songs, songsContinuation }).
+   */
+  playlistPages(playlistId, options = {}) {
+    return new Paginator(async (continuation) => {
+      if (!continuation) return this.playlist(playlistId);
+      const next = await this.playlistContinuation(continuation);
+      return { songs: next.songs, songsContinuation: next.continuation };
+    }, { ...options, itemsKey: 'songs', continuationKey: 'songsContinuation' });
+  }
+
+  /**
+   * Playlist page with every song. `truncated` is set when the request cap
+   * was reached before the last page.
+   */
+  async fullPlaylist(playlistId) {
+    return this.playlistPages(playlistId).collect();
+  }
+
   // ─── Home ──────────────────────────────────────────
 
   async home(continuation = null, params = null) {
@@ -379,6 +415,16 @@ class YouTube {
     return parsers.parseHomePage(response);
   }
 
+  /**
+   * Every section page of home() (see paginate.js).
+   */
+  homePages(params = null, options = {}) {
+    return new Paginator(
+      (continuation) => this.home(continuation, continuation ? null : params),
+      { ...options, itemsKey: 'sections' },
+    );
+  }
+
   // ─── Explore ───────────────────────────────────────
 
   async explore() {
@@ -433,6 +479,13 @@ class YouTube {
     return parsers.parseChartsPage(response);
   }
 
+  /**
+   * Every section page of charts() (see paginate.js).
+   */
+  chartsPages(options = {}) {
+    return new Paginator((continuation) => this.charts(continuation), { ...options, itemsKey: 'sections' });
+  }
+
   // ─── Browse ────────────────────────────────────────
 
   async browse(browseId, params = null) {
@@ -468,6 +521,16 @@ class YouTube {
     };
   }
 
+  /**
+   * Every page of library() (see paginate.js).
+   */
+  libraryPages(browseId, options = {}) {
+    return new Paginator(
+      (continuation) => (continuation ? this.libraryContinuation(continuation) : this.library(browseId)),
+      options,
+    );
+  }
+
   // ─── History ───────────────────────────────────────
 
   async musicHistory() {
@@ -508,6 +571,11 @@ class YouTube {
     return parsers.parseLyrics(response);
   }
 
+  async timedLyrics(browseId, params = null) {
+    const response = await this.innerTube.browse(CLIENTS.ANDROID_MUSIC, browseId, params);
+    return parsers.parseTimedLyrics(response);
+  }
+
   async related(browseId) {
     const response = await this.innerTube.browse(CLIENTS.WEB_REMIX, browseId);
     return parsers.parseRelatedPage(response);
@@ -520,6 +588,11 @@ class YouTube {
     return parsers.parseTranscript(response);
   }
 
+  async transcriptCues(videoId) {
+    const response = await this.innerTube.getTranscript(CLIENTS.WEB, videoId);
+    return parsers.parseTranscriptCues(response);
+  }
+
   // ─── Account ───────────────────────────────────────
 
   async accountInfo() {
@@ -557,9 +630,44 @@ class YouTube {
 
   // ─── Playlist Management ──────────────────────────
 
-  async createPlaylist(title) {
-    const response = await this.innerTube.createPlaylist(CLIENTS.WEB_REMIX, title);
-    return response.playlistId;
+  /**
+   * Create a playlist, optionally with a description, privacy status,
+   * initial songs and collaboration turned on. Songs past the first
+   * MAX_EDIT_ACTIONS are added afterwards.
+   *
+   * Collaboration has no field of its own: the "New playlist" dialog of
+   * get_add_to_playlist carries the playlist/create params that enable it.
+   *
+   * @param {string} title
+   * @param {{ description?: string, privacyStatus?: string, videoIds?: string[], collaborative?: boolean }} [options]
+   * @returns {Promise<string>} playlistId
+   * @throws {PlaylistEditError} 501 when collaboration isn't offered to the account
+   */
+  async createPlaylist(title, { description, privacyStatus, videoIds = [], collaborative = false } = {}) {
+    let params;
+    if (collaborative) {
+      const menu = await this.innerTube.addToPlaylistMenu(CLIENTS.WEB_REMIX, videoIds.slice(0, 1));
+      params = parsers.parseCollaborationParams(menu);
+      if (!params) {
+        throw Object.assign(new PlaylistEditError('YouTube Music does not offer collaborative playlists for this account'), { status: 501 });
+      }
+    }
+
+    const response = await this.innerTube.createPlaylist(CLIENTS.WEB_REMIX, title, {
+      description,
+      privacyStatus,
+      videoIds: videoIds.slice(0, MAX_EDIT_ACTIONS),
+      params,
+    });
+    const { playlistId } = response;
+
+    if (playlistId && videoIds.length > MAX_EDIT_ACTIONS) {
+      const { succeeded } = await this.batchEditPlaylist(playlistId, [
+        { type: 'add', videoIds: videoIds.slice(MAX_EDIT_ACTIONS) },
+      ]);
+      if (!succeeded) throw new Error(`Playlist ${playlistId} was created, but not every song could be added`);
+    }
+    return playlistId;
   }
 
   async deletePlaylist(playlistId) {
@@ -572,6 +680,91 @@ class YouTube {
     ]);
   }
 
+  /**
+   * Apply raw edit_playlist actions (ACTION_ADD_VIDEO, ACTION_REMOVE_VIDEO, ...) in one request.
+   */
+  async editPlaylist(playlistId, actions) {
+    const response = await this.innerTube.editPlaylist(CLIENTS.WEB_REMIX, playlistId, actions);
+    return parsers.parseEditPlaylistResult(response);
+  }
+
+  /**
+   * Apply a list of edit operations (see playlistEdit.js) in order, batched
+   * into as few edit_playlist requests as possible.
+   *
+   * @returns {Promise<{ succeeded: boolean, results: object[] }>} One result per operation; added videos carry their new setVideoId
+   */
+  async batchEditPlaylist(playlistId, operations) {
+    const actions = buildEditActions(operations);
+    const added = [];
+    let succeeded = true;
+
+    for (let i = 0; i < actions.length && succeeded; i += MAX_EDIT_ACTIONS) {
+      const result = await this.editPlaylist(playlistId, actions.slice(i, i + MAX_EDIT_ACTIONS));
+      succeeded = result.succeeded;
+      added.push(...result.added);
+    }
+
+    return { succeeded, results: editResults(operations, { added }) };
+  }
+
+  /**
+   * Make a playlist match `videoIds` (in order) with the fewest edits (see
+   * playlistSync.js). With `dryRun` nothing is changed and the planned
+   * operations are returned; moves of songs that are yet to be added have
+   * `setVideoId: null`.
+   *
+   * @returns {Promise<{ succeeded: boolean, dryRun: boolean, summary: object, operations: object[], songs: object[], inSync: boolean }>}
+   *   `operations` are the planned operations (dry run) or the applied ones with their results;
+   *   `songs` is the playlist after the sync
+   * @throws {PlaylistEditError} when the playlist can't be edited or is too long to load
+   */
+  async syncPlaylist(playlistId, videoIds, { dryRun = false } = {}) {
+    const page = await this.fullPlaylist(playlistId);
+    if (!page.playlist?.isEditable) {
+      throw Object.assign(new PlaylistEditError('Only your own playlists can be synced'), { status: 403 });
+    }
+    if (page.truncated) {
+      throw Object.assign(new PlaylistEditError('The playlist is too long to be loaded completely'), { status: 409 });
+    }
+
+    const current = page.songs.map((song) => ({ videoId: song.id, setVideoId: song.setVideoId }));
+    const plan = playlistSync.planSync(current, videoIds);
+    const summary = playlistSync.syncSummary(plan);
+    const inSync = (songs) => songs.length === videoIds.length && songs.every((song, i) => song.id === videoIds[i]);
+
+    if (dryRun) {
+      const operations = playlistSync.syncOperations(plan);
+      return { succeeded: true, dryRun, summary, operations, songs: page.songs, inSync: !operations.length };
+    }
+
+    // Moves of added songs need the setVideoIds that the add returns
+    const operations = [...plan.removals];
+    if (plan.additions.length) operations.push({ type: 'add', videoIds: plan.additions });
+    else operations.push(...playlistSync.moveOperations(plan));
+
+    const applied = [];
+    let succeeded = true;
+    if (operations.length) {
+      const result = await this.batchEditPlaylist(playlistId, operations);
+      applied.push(...result.results);
+      succeeded = result.succeeded;
+    }
+
+    if (succeeded && plan.additions.length) {
+      succeeded = playlistSync.fillAdded(plan, applied[applied.length - 1].items);
+      const moves = playlistSync.moveOperations(plan);
+      if (succeeded && moves.length) {
+        const result = await this.batchEditPlaylist(playlistId, moves);
+        applied.push(...result.results);
+        succeeded = result.succeeded;
+      }
+    }
+
+    const { songs } = await this.fullPlaylist(playlistId);
+    return { succeeded, dryRun, summary, operations: applied, songs, inSync: inSync(songs) };
+  }
+
   async addToPlaylist(playlistId, videoId) {
     return this.innerTube.editPlaylist(CLIENTS.WEB_REMIX, playlistId, [
       { action: 'ACTION_ADD_VIDEO', addedVideoId: videoId },
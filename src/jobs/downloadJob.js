@@ -0,0 +1,220 @@
+/**
+ * Album / Playlist Download Job
+ *
+ * Downloads every track of an album (browseId) or playlist (playlistId),
+ * encodes each one as a tagged file (see utils/tagging.js) and packs them
+ * into a ZIP with numbered file names and an .m3u8 playlist.
+ *
+ * A failing track is retried once, then recorded on the job and skipped;
+ * the job only fails when no track could be downloaded at all.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getYouTube } = require('../innertube/accounts');
+const { keyStore } = require('../stores/keyStore');
+const { jobStore } = require('../stores/jobStore');
+const { TRANSCODE_FORMATS, waitForTranscodeSlot } = require('../utils/ffmpeg');
+const { fetchTrackMetadata, fetchCoverArt, writeTaggedFile, downloadFilename } = require('../utils/tagging');
+const { ZipWriter } = require('../utils/zip');
+const { withRetry } = require('../utils/retry');
+const { extractStream, fetchUpstream } = require('../utils/streamExtract');
+
+// Attempts per track before it is marked failed and skipped
+const TRACK_ATTEMPTS = 2;
+
+// ─── Track Listing ──────────────────────────────────
+
+/**
+ * Resolve the job source to a title and ordered track list.
+ *
+ * @returns {Promise<{ title: string, artist: string|null, albumPage: object|null, songs: object[] }>}
+ */
+async function listTracks(yt, source) {
+  if (source.type === 'album') {
+    const albumPage = await yt.album(source.id);
+    return {
+      title: albumPage.album.title || source.id,
+      artist: albumPage.album.artists?.[0]?.name || null,
+      albumPage,
+      songs: albumPage.songs,
+    };
+  }
+
+  const page = await yt.fullPlaylist(source.id);
+  return {
+    title: page.playlist?.title || source.id,
+    artist: null,
+    albumPage: null,
+    songs: page.songs,
+  };
+}
+
+// ─── Helpers ────────────────────────────────────────
+
+function numbered(index, total, name) {
+  const width = Math.max(2, String(total).length);
+  return `${String(index + 1).padStart(width, '0')} - ${name}`;
+}
+
+function m3u8(tracks) {
+  const lines = ['#EXTM3U'];
+  for (const { artists, title, duration, filename } of tracks) {
+    const label = artists?.length ? `${artists.join(', ')} - ${title}` : title;
+    lines.push(`#EXTINF:${duration || -1},${label}`, filename);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Download, tag and write one track to `outputPath`.
+ */
+async function downloadTrack(yt, videoId, outputPath, { format, bitrate, albumPage, coverCache, signal }) {
+  const release = await waitForTranscodeSlot(signal);
+  try {
+    const [stream, metadata] = await Promise.all([
+      extractStream(videoId, { quality: 'high', codec: null }),
+      fetchTrackMetadata(yt, videoId, { album: albumPage }),
+    ]);
+    if (!stream.url) throw new Error('Could not decipher stream URL');
+
+    // Album tracks share one cover; fetch it once per job
+    if (!coverCache.has(metadata.coverUrl)) {
+      coverCache.set(metadata.coverUrl, fetchCoverArt(metadata.coverUrl));
+    }
+    const cover = await coverCache.get(metadata.coverUrl);
+
+    signal.throwIfAborted();
+    const upstream = await fetchUpstream(stream.url);
+    const ffmpeg = writeTaggedFile(upstream.data, `${outputPath}.part`, { format, bitrate, metadata, cover });
+    const abort = () => ffmpeg.kill('SIGKILL');
+    signal.addEventListener('abort', abort, { once: true });
+    try {
+      await ffmpeg.done;
+    } finally {
+      signal.removeEventListener('abort', abort);
+    }
+
+    // Only complete files get their final name, so a resumed job can trust them
+    await fs.promises.rename(`${outputPath}.part`, outputPath);
+    return metadata;
+  } finally {
+    release();
+  }
+}
+
+// ─── Handler ────────────────────────────────────────
+
+/**
+ * Job queue handler for "download" jobs (see jobs/queue.js).
+ *
+ * Progress is saved after every track. Finished tracks are kept in the job's
+ * work directory, so a retried or resumed job only downloads what is missing.
+ *
+ * @param {object} job - Job record ({ id, keyId, source: { type, id }, format, bitrate })
+ * @param {{ signal: AbortSignal, update: Function }} context
+ */
+async function runDownloadJob(job, { signal, update }) {
+  const apiKey = keyStore.get(job.keyId);
+  if (!apiKey) {
+    throw Object.assign(new Error('The API key that created this job was revoked'), { retryable: false });
+  }
+  const yt = getYouTube(apiKey);
+
+  const { format, bitrate } = job;
+  const extension = TRANSCODE_FORMATS[format].extension;
+  const workDir = jobStore.workDir(job.id);
+  await fs.promises.mkdir(workDir, { recursive: true });
+
+  const { title, artist, albumPage, songs } = await listTracks(yt, job.source);
+  const playable = songs.filter((song) => song.id);
+  if (!playable.length) {
+    throw Object.assign(new Error('Nothing to download: no playable tracks found'), { retryable: false });
+  }
+
+  // Keep tracks finished by an earlier attempt
+  const previous = new Map((job.tracks || []).map((track) => [track.videoId, track]));
+  const tracks = playable.map((song, index) => {
+    const done = previous.get(song.id);
+    if (done?.status === 'done' && fs.existsSync(path.join(workDir, `${song.id}.${extension}`))) {
+      const filename = numbered(index, playable.length, downloadFilename({ ...done, videoId: song.id }, extension));
+      return { ...done, index: index + 1, filename };
+    }
+    return {
+      index: index + 1,
+      videoId: song.id,
+      title: song.title || null,
+      artists: [],
+      duration: null,
+      status: 'pending',
+      filename: null,
+      error: null,
+    };
+  });
+
+  const progress = () => ({
+    total: tracks.length,
+    done: tracks.filter((t) => t.status === 'done').length,
+    failed: tracks.filter((t) => t.status === 'failed').length,
+  });
+  update({ title, tracks, progress: progress() });
+
+  const coverCache = new Map();
+
+  for (const track of tracks) {
+    if (track.status === 'done') continue;
+    signal.throwIfAborted();
+
+    track.status = 'running';
+    update({});
+
+    try {
+      const outputPath = path.join(workDir, `${track.videoId}.${extension}`);
+      const metadata = await withRetry(
+        () => downloadTrack(yt, track.videoId, outputPath, { format, bitrate, albumPage, coverCache, signal }),
+        { maxAttempts: TRACK_ATTEMPTS, signal },
+      );
+      Object.assign(track, {
+        status: 'done',
+        title: metadata.title,
+        artists: metadata.artists,
+        duration: metadata.duration,
+        filename: numbered(track.index - 1, tracks.length, downloadFilename(metadata, extension)),
+        error: null,
+      });
+    } catch (err) {
+      if (signal.aborted) throw err;
+      console.error(`[JOB ${job.id}] Track ${track.videoId} failed:`, err.message);
+      Object.assign(track, { status: 'failed', error: err.message });
+    }
+    update({ progress: progress() });
+  }
+
+  const entries = tracks.filter((track) => track.status === 'done');
+  if (!entries.length) {
+    throw new Error('No tracks could be downloaded');
+  }
+
+  const baseName = downloadFilename({ videoId: job.source.id, title, artists: artist ? [artist] : [] }, 'zip')
+    .replace(/\.zip$/, '');
+  const resultPath = jobStore.resultPath(job.id, 'zip');
+
+  const zip = new ZipWriter(resultPath);
+  try {
+    for (const track of entries) {
+      signal.throwIfAborted();
+      await zip.addFile(track.filename, path.join(workDir, `${track.videoId}.${extension}`));
+    }
+    await zip.addBuffer(`${baseName}.m3u8`, Buffer.from(m3u8(entries)));
+    await zip.finish();
+  } catch (err) {
+    zip.destroy();
+    await fs.promises.rm(resultPath, { force: true });
+    throw err;
+  }
+
+  const { size } = await fs.promises.stat(resultPath);
+  update({ result: { path: resultPath, filename: `${baseName}.zip`, size } });
+}
+
+module.exports = { runDownloadJob, listTracks };
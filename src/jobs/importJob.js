@@ -0,0 +1,166 @@
+/**
+ * Playlist Import
+ *
+ * Resolves the entries of an imported playlist file (see
+ * utils/playlistImport.js) to YouTube Music songs and copies them into a new
+ * playlist. Entries that already carry a video ID are used as-is; the rest
+ * are searched with search(query, 'SONG') and the top results are scored on
+ * title, artist and duration (see utils/trackMatch.js):
+ *
+ *   matched         confidence >= MATCH_CONFIDENCE, added to the playlist
+ *   low_confidence  confidence >= LOW_CONFIDENCE, added only with includeLowConfidence
+ *   unmatched       nothing close enough (or the search failed)
+ *
+ * Small files are imported during the request; larger ones run as
+ * "playlist-import" jobs. Resolved rows, the created playlist ID and added
+ * rows are saved on the job, so a retried or resumed job neither searches
+ * again nor creates a second playlist.
+ */
+
+const { getYouTube } = require('../innertube/accounts');
+const { keyStore } = require('../stores/keyStore');
+const { scoreMatch } = require('../utils/trackMatch');
+const { parseDurationText } = require('../utils/playlistFormat');
+
+const MATCH_CONFIDENCE = 0.8;
+const LOW_CONFIDENCE = 0.5;
+
+// Search results scored per entry
+const SEARCH_CANDIDATES = 5;
+
+// ACTION_ADD_VIDEO actions sent per edit_playlist request
+const ADD_BATCH_SIZE = 50;
+
+// Rows resolved between two saves of a running job
+const SAVE_EVERY = 10;
+
+// ─── Matching ───────────────────────────────────────
+
+function searchQuery(entry) {
+  return [entry.artists[0], entry.title].filter(Boolean).join(' ');
+}
+
+/**
+ * Find the YouTube Music song for one playlist entry.
+ *
+ * @returns {Promise<{ status: string, confidence: number, match: object|null }>}
+ */
+async function resolveEntry(yt, entry) {
+  if (entry.videoId) {
+    const { videoId, title, artists, album, duration } = entry;
+    return { status: 'matched', confidence: 1, match: { videoId, title, artists, album, duration } };
+  }
+  if (!entry.title) return { status: 'unmatched', confidence: 0, match: null };
+
+  const { items } = await yt.search(searchQuery(entry), 'SONG');
+  let best = null;
+
+  for (const item of items.filter((i) => i.type === 'song' && i.id).slice(0, SEARCH_CANDIDATES)) {
+    const candidate = {
+      videoId: item.id,
+      title: item.title,
+      artists: item.artists?.map((a) => a.name).filter(Boolean) || [],
+      album: item.album?.name || null,
+      duration: parseDurationText(item.duration),
+    };
+    const confidence = scoreMatch(entry, candidate);
+    if (!best || confidence > best.confidence) best = { confidence, match: candidate };
+  }
+
+  if (!best || best.confidence < LOW_CONFIDENCE) {
+    return { status: 'unmatched', confidence: best?.confidence || 0, match: best?.match || null };
+  }
+  return { status: best.confidence >= MATCH_CONFIDENCE ? 'matched' : 'low_confidence', ...best };
+}
+
+/**
+ * Counts per status.
+ */
+function summarize(rows) {
+  return {
+    total: rows.length,
+    matched: rows.filter((r) => r.status === 'matched').length,
+    lowConfidence: rows.filter((r) => r.status === 'low_confidence').length,
+    unmatched: rows.filter((r) => r.status === 'unmatched').length,
+    added: rows.filter((r) => r.added).length,
+  };
+}
+
+// ─── Import ─────────────────────────────────────────
+
+/**
+ * Resolve every entry of `state`, create the playlist and add the matches.
+ * `state` is updated in place ({ title, entries, includeLowConfidence,
+ * playlistId, rows }) and `update()` is called whenever it is worth saving.
+ *
+ * @returns {Promise<object>} summarize(rows)
+ */
+async function importPlaylist(yt, state, { signal, update = () => {} }) {
+  const { entries } = state;
+  state.rows = state.rows || [];
+
+  for (let i = state.rows.length; i < entries.length; i++) {
+    signal?.throwIfAborted();
+    const entry = entries[i];
+
+    let result;
+    try {
+      result = await resolveEntry(yt, entry);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      result = { status: 'unmatched', confidence: 0, match: null, error: err.message };
+    }
+    state.rows.push({ row: i + 1, input: entry, ...result, added: false });
+
+    if (state.rows.length % SAVE_EVERY === 0) update({ progress: { ...summarize(state.rows), total: entries.length } });
+  }
+  update({ progress: summarize(state.rows) });
+
+  if (!state.playlistId) {
+    signal?.throwIfAborted();
+    state.playlistId = await yt.createPlaylist(state.title);
+    if (!state.playlistId) throw new Error('Could not create the playlist');
+    update({ playlistId: state.playlistId });
+  }
+
+  const toAdd = state.rows.filter((row) => !row.added
+    && (row.status === 'matched' || (row.status === 'low_confidence' && state.includeLowConfidence)));
+
+  for (let i = 0; i < toAdd.length; i += ADD_BATCH_SIZE) {
+    signal?.throwIfAborted();
+    const batch = toAdd.slice(i, i + ADD_BATCH_SIZE);
+    await yt.editPlaylist(state.playlistId, batch.map((row) => ({
+      action: 'ACTION_ADD_VIDEO',
+      addedVideoId: row.match.videoId,
+    })));
+    for (const row of batch) row.added = true;
+    update({ progress: summarize(state.rows) });
+  }
+
+  return summarize(state.rows);
+}
+
+/**
+ * Job queue handler for "playlist-import" jobs (see jobs/queue.js).
+ *
+ * @param {object} job - Job record ({ id, keyId, title, entries, includeLowConfidence, playlistId, rows })
+ * @param {{ signal: AbortSignal, update: Function }} context
+ */
+async function runImportJob(job, { signal, update }) {
+  const apiKey = keyStore.get(job.keyId);
+  if (!apiKey) {
+    throw Object.assign(new Error('The API key that created this job was revoked'), { retryable: false });
+  }
+
+  const report = await importPlaylist(getYouTube(apiKey), job, { signal, update });
+  update({ report });
+}
+
+module.exports = {
+  importPlaylist,
+  runImportJob,
+  resolveEntry,
+  summarize,
+  MATCH_CONFIDENCE,
+  LOW_CONFIDENCE,
+};
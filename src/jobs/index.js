@@ -0,0 +1,18 @@
+/**
+ * Job Handlers
+ *
+ * Registers every background job type on the shared queue.
+ * Require this module (not queue.js) to get a queue that can run jobs.
+ */
+
+const { jobQueue } = require('./queue');
+const { runDownloadJob } = require('./downloadJob');
+const { runImportJob } = require('./importJob');
+
+// Downloads are ffmpeg-bound and already share the transcode slots
+jobQueue.register('download', runDownloadJob, { concurrency: 1, initialDelay: 5000 });
+
+// One import at a time keeps the search rate per account low
+jobQueue.register('playlist-import', runImportJob, { concurrency: 1, initialDelay: 5000 });
+
+module.exports = { jobQueue };
@@ -0,0 +1,188 @@
+/**
+ * Job Queue
+ *
+ * Runs jobs from the JobStore in the background with concurrency limits,
+ * retries and cancellation.
+ *
+ *   - At most JOB_CONCURRENCY jobs run at once, and at most `concurrency`
+ *     of any one type (set when the handler is registered).
+ *   - A handler that throws is retried with the same exponential backoff
+ *     as InnerTube._withRetry (see utils/retry.js). The next attempt time is
+ *     stored on the job, so backoff does not hold a worker slot and
+ *     survives a restart. Errors with `retryable === false` fail at once.
+ *   - cancel() drops a queued job or aborts the AbortSignal handed to a
+ *     running handler.
+ *   - start() resumes jobs that were queued or running when the process
+ *     stopped.
+ *
+ * Usage:
+ *   jobQueue.register('download', async (job, { signal, update }) => { ... }, { concurrency: 1 });
+ *   jobQueue.enqueue('download', keyId, { source });
+ */
+
+const { jobStore: defaultStore, FINISHED_STATUSES } = require('../stores/jobStore');
+const { retryDelay, DEFAULT_MAX_ATTEMPTS, DEFAULT_INITIAL_DELAY } = require('../utils/retry');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+
+class JobQueue {
+  constructor(store, { concurrency = JOB_CONCURRENCY } = {}) {
+    this.store = store;
+    this.concurrency = concurrency;
+    this.handlers = new Map(); // type → { handler, concurrency, maxAttempts, initialDelay }
+    this.running = new Map();  // job id → AbortController
+    this.started = false;
+    this._timer = null;
+  }
+
+  /**
+   * Register the handler for a job type. `handler(job, { signal, update })`
+   * resolves when the job is done; its return value is ignored.
+   */
+  register(type, handler, options = {}) {
+    const {
+      concurrency = this.concurrency,
+      maxAttempts = DEFAULT_MAX_ATTEMPTS,
+      initialDelay = DEFAULT_INITIAL_DELAY,
+    } = options;
+    this.handlers.set(type, { handler, concurrency, maxAttempts, initialDelay });
+  }
+
+  /**
+   * Load persisted jobs and resume the ones that never finished.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    const interrupted = this.store.list({ status: 'running' });
+    for (const job of interrupted) {
+      this.store.update(job.id, { status: 'queued', nextRunAt: null });
+    }
+
+    const pending = this.store.list({ status: 'queued' }).length;
+    if (pending) console.log(`[JOBS] Resuming ${pending} pending job(s)`);
+
+    this._drain();
+  }
+
+  /**
+   * Create a job and schedule it.
+   */
+  enqueue(type, keyId, fields = {}) {
+    if (!this.handlers.has(type)) throw new Error(`No handler registered for job type "${type}"`);
+    const job = this.store.create(type, keyId, fields);
+    this.start();
+    this._drain();
+    return job;
+  }
+
+  /**
+   * Cancel a job. Returns the updated job, or null when it had already finished.
+   */
+  cancel(id) {
+    const job = this.store.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return null;
+
+    const controller = this.running.get(id);
+    if (controller) {
+      // The handler stops at its next checkpoint; _run() records the outcome
+      controller.abort();
+      return job;
+    }
+
+    const cancelled = this.store.update(id, { status: 'cancelled', nextRunAt: null });
+    this.store.removeFiles(cancelled);
+    return cancelled;
+  }
+
+  _runningOfType(type) {
+    let count = 0;
+    for (const id of this.running.keys()) {
+      if (this.store.get(id)?.type === type) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Start as many due jobs as the limits allow (oldest first) and arm a
+   * timer for the earliest job still waiting out its backoff.
+   */
+  _drain() {
+    if (!this.started) return;
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    const now = Date.now();
+    let nextWake = Infinity;
+    const queued = this.store.list({ status: 'queued' }).reverse();
+
+    for (const job of queued) {
+      if (this.running.size >= this.concurrency) break;
+
+      const config = this.handlers.get(job.type);
+      if (!config || this._runningOfType(job.type) >= config.concurrency) continue;
+
+      const dueAt = job.nextRunAt ? Date.parse(job.nextRunAt) : 0;
+      if (dueAt > now) {
+        nextWake = Math.min(nextWake, dueAt);
+        continue;
+      }
+
+      this._run(job, config);
+    }
+
+    if (nextWake !== Infinity) {
+      this._timer = setTimeout(() => this._drain(), nextWake - now);
+      this._timer.unref();
+    }
+  }
+
+  async _run(job, { handler, maxAttempts, initialDelay }) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    const attempt = (job.attempts || 0) + 1;
+    this.store.update(job.id, {
+      status: 'running',
+      attempts: attempt,
+      nextRunAt: null,
+      startedAt: job.startedAt || new Date().toISOString(),
+    });
+
+    try {
+      await handler(job, {
+        signal: controller.signal,
+        update: (changes = {}) => this.store.update(job.id, changes),
+      });
+
+      if (controller.signal.aborted) throw new Error('Job was cancelled');
+      this.store.update(job.id, { status: 'completed', error: null });
+      this.store.removeWorkDir(job.id);
+    } catch (err) {
+      if (controller.signal.aborted) {
+        const cancelled = this.store.update(job.id, { status: 'cancelled', error: null });
+        this.store.removeFiles(cancelled);
+      } else if (attempt < maxAttempts && err.retryable !== false) {
+        const delay = retryDelay(attempt, initialDelay);
+        console.warn(`[JOBS] ${job.type} ${job.id} attempt ${attempt} failed, retrying in ${delay}ms: ${err.message}`);
+        this.store.update(job.id, {
+          status: 'queued',
+          error: err.message,
+          nextRunAt: new Date(Date.now() + delay).toISOString(),
+        });
+      } else {
+        console.error(`[JOBS] ${job.type} ${job.id} failed:`, err.message);
+        this.store.update(job.id, { status: 'failed', error: err.message });
+        this.store.removeWorkDir(job.id);
+      }
+    } finally {
+      this.running.delete(job.id);
+      this._drain();
+    }
+  }
+}
+
+const jobQueue = new JobQueue(defaultStore);
+
+module.exports = { JobQueue, jobQueue, JOB_CONCURRENCY };
@@ -0,0 +1,123 @@
+/**
+ * Lyrics Providers
+ *
+ * Lyrics are looked up in several providers, tried in the order given by
+ * LYRICS_PROVIDERS (default: "innertube,transcript"):
+ *
+ *   innertube    YouTube Music's lyrics tab (timed lyrics for synced requests)
+ *   transcript   the video's captions
+ *   lrclib       LRCLIB-compatible HTTP API at LRCLIB_URL (default: https://lrclib.net)
+ *   local        .lrc files in LYRICS_DIR
+ *
+ * A provider implements `find(track, { yt, synced, signal })` and resolves
+ * to { text, lines, attribution, confidence, match? } or null. `track` holds
+ * only the videoId unless the provider sets `needsMetadata`, in which case
+ * title, artists, album and duration are fetched once per lookup.
+ *
+ * The first answer with a confidence of at least LYRICS_MIN_CONFIDENCE
+ * (default: 0.7) wins. A provider that fails is logged and skipped.
+ */
+
+const { InnerTubeLyricsProvider } = require('./providers/innertube');
+const { TranscriptLyricsProvider } = require('./providers/transcript');
+const { LrclibLyricsProvider } = require('./providers/lrclib');
+const { LocalLyricsProvider } = require('./providers/local');
+const { fetchTrackMetadata } = require('../utils/tagging');
+
+const LYRICS_PROVIDER_NAMES = ['innertube', 'transcript', 'lrclib', 'local'];
+
+const DEFAULT_PROVIDERS = 'innertube,transcript';
+
+const MIN_CONFIDENCE = parseFloat(process.env.LYRICS_MIN_CONFIDENCE) || 0.7;
+
+/**
+ * Build the providers named in `names`, skipping unknown or unconfigured ones.
+ */
+function createProviders(names, { lrclibUrl, lyricsDir } = {}) {
+  const providers = [];
+
+  for (const name of names) {
+    if (name === 'innertube') providers.push(new InnerTubeLyricsProvider());
+    else if (name === 'transcript') providers.push(new TranscriptLyricsProvider());
+    else if (name === 'lrclib') providers.push(new LrclibLyricsProvider({ baseUrl: lrclibUrl || undefined }));
+    else if (name === 'local' && lyricsDir) providers.push(new LocalLyricsProvider({ dir: lyricsDir }));
+    else if (name === 'local') console.warn('[LYRICS] "local" provider skipped: LYRICS_DIR is not set');
+    else console.warn(`[LYRICS] Unknown provider "${name}" skipped`);
+  }
+
+  return providers;
+}
+
+/**
+ * Title, artists, album and duration (seconds) used to match external lyrics.
+ */
+async function trackInfo(yt, videoId) {
+  const metadata = await fetchTrackMetadata(yt, videoId, { album: false, lyrics: false });
+  const { title, artists, album, duration } = metadata;
+  return { videoId, title, artists, album, duration };
+}
+
+class LyricsResolver {
+  constructor(providers, { minConfidence = MIN_CONFIDENCE, trackInfo: loadTrack = trackInfo } = {}) {
+    this.providers = providers;
+    this.minConfidence = minConfidence;
+    this.trackInfo = loadTrack;
+  }
+
+  get names() {
+    return this.providers.map((provider) => provider.name);
+  }
+
+  /**
+   * Lyrics for a video from the first provider that has a confident match.
+   *
+   * @param {string} videoId
+   * @param {object} options
+   * @param {object} options.yt             - YouTube client of the caller
+   * @param {boolean} [options.synced]      - Only accept time-coded lines
+   * @param {string[]} [options.providers]  - Subset / order of providers to try
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{ videoId, provider, confidence, synced, text, lines, attribution, match }|null>}
+   */
+  async find(videoId, { yt, synced = false, providers = null, signal = null } = {}) {
+    const selected = providers
+      ? providers.map((name) => this.providers.find((provider) => provider.name === name)).filter(Boolean)
+      : this.providers;
+
+    let track = null;
+
+    for (const provider of selected) {
+      try {
+        if (provider.needsMetadata && !track) {
+          track = await this.trackInfo(yt, videoId);
+        }
+
+        const result = await provider.find(track || { videoId }, { yt, synced, signal });
+        if (!result || result.confidence < this.minConfidence) continue;
+
+        return {
+          videoId,
+          provider: provider.name,
+          confidence: result.confidence,
+          synced: Boolean(result.lines?.length),
+          text: result.text,
+          lines: result.lines,
+          attribution: result.attribution,
+          match: result.match || null,
+        };
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`[LYRICS] ${provider.name} failed for ${videoId}: ${err.message}`);
+      }
+    }
+
+    return null;
+  }
+}
+
+const lyricsResolver = new LyricsResolver(createProviders(
+  (process.env.LYRICS_PROVIDERS || DEFAULT_PROVIDERS).split(',').map((name) => name.trim()).filter(Boolean),
+  { lrclibUrl: process.env.LRCLIB_URL, lyricsDir: process.env.LYRICS_DIR },
+));
+
+module.exports = { LyricsResolver, lyricsResolver, createProviders, trackInfo, LYRICS_PROVIDER_NAMES };
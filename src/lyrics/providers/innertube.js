@@ -0,0 +1,30 @@
+/**
+ * InnerTube lyrics provider: the lyrics tab of the video's watch page.
+ * Synced requests use YouTube Music's timed lyrics (ANDROID_MUSIC client).
+ */
+
+const { linesText } = require('../../utils/lyricsFormat');
+
+class InnerTubeLyricsProvider {
+  constructor() {
+    this.name = 'innertube';
+    this.needsMetadata = false;
+  }
+
+  async find(track, { yt, synced }) {
+    const next = await yt.next(track.videoId);
+    const endpoint = next?.lyricsEndpoint;
+    if (!endpoint?.browseId) return null;
+
+    if (synced) {
+      const timed = await yt.timedLyrics(endpoint.browseId, endpoint.params || null);
+      if (!timed?.lines.length) return null;
+      return { text: linesText(timed.lines), lines: timed.lines, attribution: timed.source, confidence: 1 };
+    }
+
+    const text = await yt.lyrics(endpoint.browseId, endpoint.params || null);
+    return text ? { text, lines: null, attribution: null, confidence: 1 } : null;
+  }
+}
+
+module.exports = { InnerTubeLyricsProvider };
@@ -0,0 +1,103 @@
+/**
+ * Local lyrics provider: .lrc files in a directory (LYRICS_DIR), searched
+ * recursively.
+ *
+ * A file named after the video ID (dQw4w9WgXcQ.lrc) always matches. Other
+ * files are matched on their [ti:] / [ar:] / [length:] tags, or on an
+ * "Artist - Title.lrc" file name when the tags are missing. Files without
+ * timestamps are served as plain lyrics.
+ *
+ * Parsed files are cached and re-read when their modification time changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseLrc, linesText } = require('../../utils/lyricsFormat');
+const { scoreMatch } = require('../../utils/trackMatch');
+
+function parseLength(value) {
+  const match = value?.match(/^(\d+):(\d{1,2})/);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+class LocalLyricsProvider {
+  constructor({ dir }) {
+    this.name = 'local';
+    this.needsMetadata = true;
+    this.dir = dir;
+    this.files = new Map(); // path → { mtimeMs, entry }
+  }
+
+  async _read(filePath) {
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    const cached = this.files.get(filePath);
+    if (cached?.mtimeMs === mtimeMs) return cached.entry;
+
+    const raw = (await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+    const { tags, lines } = parseLrc(raw);
+    const basename = path.basename(filePath, path.extname(filePath));
+    const [fileArtist, fileTitle] = basename.includes(' - ') ? basename.split(/ - (.*)/s) : [null, basename];
+
+    const entry = {
+      file: path.relative(this.dir, filePath),
+      basename,
+      title: tags.ti || fileTitle,
+      artists: [tags.ar || fileArtist].filter(Boolean),
+      album: tags.al || null,
+      duration: parseLength(tags.length),
+      lines: lines.length ? lines : null,
+      text: lines.length
+        ? linesText(lines)
+        : raw.split(/\r?\n/).filter((line) => !/^\[[a-z#]+:.*\]$/i.test(line.trim())).join('\n').trim() || null,
+    };
+    this.files.set(filePath, { mtimeMs, entry });
+    return entry;
+  }
+
+  async _entries() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir, { recursive: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const entries = [];
+    for (const name of names) {
+      if (path.extname(name).toLowerCase() !== '.lrc') continue;
+      entries.push(await this._read(path.join(this.dir, name)));
+    }
+    return entries;
+  }
+
+  async find(track, { synced }) {
+    let best = null;
+
+    for (const entry of await this._entries()) {
+      if (synced ? !entry.lines : !entry.text) continue;
+
+      const confidence = entry.basename === track.videoId ? 1 : scoreMatch(track, entry);
+      if (!best || confidence > best.confidence) best = { entry, confidence };
+    }
+
+    if (!best) return null;
+
+    const { entry, confidence } = best;
+    return {
+      text: entry.text,
+      lines: entry.lines,
+      attribution: null,
+      confidence,
+      match: {
+        file: entry.file,
+        title: entry.title,
+        artist: entry.artists[0] || null,
+        album: entry.album,
+        duration: entry.duration,
+      },
+    };
+  }
+}
+
+module.exports = { LocalLyricsProvider };
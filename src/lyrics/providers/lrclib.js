@@ -0,0 +1,91 @@
+/**
+ * LRCLIB lyrics provider (https://lrclib.net/docs), or any server with the
+ * same API.
+ *
+ * Tries the exact lookup (/api/get with title, artist, album and duration)
+ * first and falls back to /api/search; every candidate is scored against
+ * the track (see utils/trackMatch.js) and the best one is returned.
+ */
+
+const axios = require('axios');
+const { parseLrc, linesText } = require('../../utils/lyricsFormat');
+const { scoreMatch } = require('../../utils/trackMatch');
+const { version } = require('../../../package.json');
+
+const DEFAULT_BASE_URL = 'https://lrclib.net';
+const DEFAULT_TIMEOUT = 10000;
+
+class LrclibLyricsProvider {
+  constructor({ baseUrl = DEFAULT_BASE_URL, timeout = DEFAULT_TIMEOUT } = {}) {
+    this.name = 'lrclib';
+    this.needsMetadata = true;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeout = timeout;
+  }
+
+  async _get(path, params, signal) {
+    const response = await axios.get(`${this.baseUrl}${path}`, {
+      params,
+      signal,
+      timeout: this.timeout,
+      // LRCLIB asks clients to identify themselves
+      headers: { 'User-Agent': `beat-api/${version}` },
+      validateStatus: (status) => status === 200 || status === 404,
+    });
+    return response.status === 200 ? response.data : null;
+  }
+
+  async _candidates(track, signal) {
+    const artist = track.artists[0];
+    if (!track.title || !artist) return [];
+
+    if (track.duration) {
+      const exact = await this._get('/api/get', {
+        track_name: track.title,
+        artist_name: artist,
+        album_name: track.album || undefined,
+        duration: track.duration,
+      }, signal);
+      if (exact) return [exact];
+    }
+
+    const results = await this._get('/api/search', { track_name: track.title, artist_name: artist }, signal);
+    return Array.isArray(results) ? results : [];
+  }
+
+  async find(track, { synced, signal }) {
+    let best = null;
+
+    for (const candidate of await this._candidates(track, signal)) {
+      if (candidate.instrumental) continue;
+      if (synced ? !candidate.syncedLyrics : !(candidate.plainLyrics || candidate.syncedLyrics)) continue;
+
+      const confidence = scoreMatch(track, {
+        title: candidate.trackName,
+        artists: candidate.artistName ? [candidate.artistName] : [],
+        duration: candidate.duration,
+      });
+      if (!best || confidence > best.confidence) best = { candidate, confidence };
+    }
+
+    if (!best) return null;
+
+    const { candidate, confidence } = best;
+    const lines = candidate.syncedLyrics ? parseLrc(candidate.syncedLyrics).lines : null;
+    return {
+      text: candidate.plainLyrics || linesText(lines),
+      lines,
+      attribution: 'LRCLIB',
+      confidence,
+      match: {
+        id: candidate.id,
+        title: candidate.trackName,
+        artist: candidate.artistName,
+        album: candidate.albumName || null,
+        duration: candidate.duration || null,
+      },
+    };
+  }
+}
+
+module.exports = { LrclibLyricsProvider };
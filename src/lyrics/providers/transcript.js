@@ -0,0 +1,21 @@
+/**
+ * Transcript lyrics provider: the video's caption track, one line per cue.
+ * Works for music videos that have no lyrics tab.
+ */
+
+const { linesText } = require('../../utils/lyricsFormat');
+
+class TranscriptLyricsProvider {
+  constructor() {
+    this.name = 'transcript';
+    this.needsMetadata = false;
+  }
+
+  async find(track, { yt }) {
+    const lines = await yt.transcriptCues(track.videoId);
+    if (!lines?.length) return null;
+    return { text: linesText(lines), lines, attribution: null, confidence: 1 };
+  }
+}
+
+module.exports = { TranscriptLyricsProvider };
@@ -0,0 +1,40 @@
+/**
+ * Admin Authentication Middleware
+ * Validates the Authorization header against the ADMIN_TOKEN master key.
+ * Regular API keys are never accepted here.
+ */
+
+const crypto = require('crypto');
+const { parseBearerToken } = require('./auth');
+
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function adminAuthMiddleware(req, res, next) {
+  const token = parseBearerToken(req, res);
+  if (!token) return;
+
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    console.error('[ADMIN_AUTH] ADMIN_TOKEN not configured in .env');
+    return res.status(500).json({
+      success: false,
+      error: 'Admin authentication not configured',
+    });
+  }
+
+  if (!safeEqual(token, adminToken)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid admin token',
+    });
+  }
+
+  next();
+}
+
+module.exports = adminAuthMiddleware;
@@ -1,45 +1,82 @@
 /**
  * Bearer Token Authentication Middleware
- * Validates the Authorization header against the configured BEARER_TOKEN.
+ * Validates the Authorization header against the API key store
+ * (per-key tokens from KEYS_FILE, plus the legacy BEARER_TOKEN).
+ *
+ * On success the matching key is attached as `req.apiKey`.
  */
 
-function authMiddleware(req, res, next) {
-  const authHeader = req.headers.authorization;
+const { keyStore } = require('../stores/keyStore');
 
-  if (!authHeader) {
-    return res.status(401).json({
-      success: false,
-      error: 'Missing Authorization header',
-    });
-  }
+/**
+ * Read the token from an "Authorization: Bearer <token>" header value.
+ *
+ * @returns {{ token: string } | { error: string }}
+ */
+function readBearerToken(authHeader) {
+  if (!authHeader) return { error: 'Missing Authorization header' };
 
   const parts = authHeader.split(' ');
   if (parts.length !== 2 || parts[0].toLowerCase() !== 'bearer') {
-    return res.status(401).json({
-      success: false,
-      error: 'Invalid Authorization format. Use: Bearer <token>',
-    });
+    return { error: 'Invalid Authorization format. Use: Bearer <token>' };
   }
 
-  const token = parts[1];
-  const expectedToken = process.env.BEARER_TOKEN;
+  return { token: parts[1] };
+}
 
-  if (!expectedToken) {
-    console.error('[AUTH] BEARER_TOKEN not configured in .env');
-    return res.status(500).json({
+/**
+ * Read the bearer token of a request.
+ * Sends a 401 response and returns null when the header is missing or malformed.
+ */
+function parseBearerToken(req, res) {
+  const { token, error } = readBearerToken(req.headers.authorization);
+  if (!token) {
+    res.status(401).json({
       success: false,
-      error: 'Server authentication not configured',
+      error,
     });
+    return null;
   }
 
-  if (token !== expectedToken) {
-    return res.status(403).json({
+  return token;
+}
+
+/**
+ * Resolve a bearer token to its API key. Shared by the middleware and the
+ * WebSocket upgrade (see src/rooms/socket.js).
+ *
+ * @returns {{ apiKey: object } | { status: number, error: string }}
+ */
+function authenticate(token) {
+  if (!keyStore.isConfigured()) {
+    console.error('[AUTH] No API keys configured (set BEARER_TOKEN or KEYS_FILE)');
+    return { status: 500, error: 'Server authentication not configured' };
+  }
+
+  const apiKey = keyStore.findByToken(token);
+  if (!apiKey) return { status: 403, error: 'Invalid token' };
+
+  keyStore.touch(apiKey.id);
+  return { apiKey };
+}
+
+function authMiddleware(req, res, next) {
+  const token = parseBearerToken(req, res);
+  if (!token) return;
+
+  const { apiKey, status, error } = authenticate(token);
+  if (!apiKey) {
+    return res.status(status).json({
       success: false,
-      error: 'Invalid token',
+      error,
     });
   }
 
+  req.apiKey = apiKey;
   next();
 }
 
 module.exports = authMiddleware;
+module.exports.readBearerToken = readBearerToken;
+module.exports.parseBearerToken = parseBearerToken;
+module.exports.authenticate = authenticate;
@@ -0,0 +1,19 @@
+/**
+ * Scope Middleware
+ * Restricts a route to API keys carrying the given scope.
+ * Must run after authMiddleware (reads `req.apiKey`).
+ */
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey?.scopes?.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is missing required scope "${scope}"`,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = requireScope;
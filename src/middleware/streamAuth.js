@@ -0,0 +1,48 @@
+/**
+ * Stream Authentication Middleware
+ *
+ * Accepts either a signed URL (exp, kid, sig query parameters — see utils/signedUrl.js)
+ * or a regular Bearer token. In both cases the API key must still exist and carry
+ * the "stream" scope, so revoking a key also kills the URLs it minted.
+ *
+ * On success the key is attached as `req.apiKey`.
+ */
+
+const authMiddleware = require('./auth');
+const requireScope = require('./scopes');
+const { keyStore } = require('../stores/keyStore');
+const { verifyStreamParams } = require('../utils/signedUrl');
+
+const canStream = requireScope('stream');
+
+/**
+ * @param {string} route       - Route name the signature was minted for ("play", "proxy", ...)
+ * @param {string} subjectKey  - Parameter the signature is bound to ("videoId", "url", ...): the
+ *                              route parameter when the path declares it, else the query parameter
+ */
+function streamAuth(route, subjectKey) {
+  return (req, res, next) => {
+    // Non-browser clients can keep using the Authorization header
+    if (req.headers.authorization && !req.query.sig) {
+      return authMiddleware(req, res, () => canStream(req, res, next));
+    }
+
+    // A path parameter is what the handler serves, so a ?videoId= can't stand in for it
+    const subject = subjectKey in req.params ? req.params[subjectKey] : req.query[subjectKey];
+    const result = verifyStreamParams(route, subject, req.query);
+    if (!result.valid) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const apiKey = keyStore.get(result.kid);
+    if (!apiKey) {
+      return res.status(403).json({ success: false, error: 'Signing key has been revoked' });
+    }
+
+    keyStore.touch(apiKey.id);
+    req.apiKey = apiKey;
+    canStream(req, res, next);
+  };
+}
+
+module.exports = streamAuth;
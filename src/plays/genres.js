@@ -0,0 +1,159 @@
+/**
+ * Genre Mix
+ *
+ * YouTube Music has no genre field on songs, artists or albums, so the
+ * report derives one from the "Genres" section of Moods & genres: each
+ * genre page lists editorial playlists, and an artist belongs to the
+ * genres whose playlists feature them (weighted by how many of their songs
+ * each genre has). A play's listening time is split across the genres of
+ * its artists; plays whose artists appear in no genre playlist are left
+ * out and counted in `coverage`.
+ *
+ * The index (artist → genres) is the same for every key, so it is built
+ * once and kept for GENRE_INDEX_TTL.
+ */
+
+const { listenedMs, artistKey } = require('./stats');
+
+// Rebuild the artist → genres index once a day
+const GENRE_INDEX_TTL = 24 * 60 * 60 * 1000;
+
+// Playlists read from each genre page, and playlist pages fetched at once
+const PLAYLISTS_PER_GENRE = 2;
+const INDEX_CONCURRENCY = 4;
+
+let cachedIndex = null; // { builtAt, promise }
+
+/**
+ * Run `fn` over `items`, at most `limit` at a time. Failed items are skipped.
+ */
+async function eachLimited(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item).catch(() => {});
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * Build the artist → genres index from the genre playlists of Moods & genres.
+ *
+ * @param {object} yt - YouTube client
+ * @returns {Promise<Map<string, Map<string, number>>>} artistKey → genre → songs
+ */
+async function buildGenreIndex(yt) {
+  const sections = (await yt.moodAndGenres()).filter(Boolean);
+  const section = sections.find((s) => /genre/i.test(s.title || '')) || sections.at(-1);
+  const genres = (section?.items || []).filter((genre) => genre.title && genre.browseId);
+
+  const playlists = [];
+  await eachLimited(genres, INDEX_CONCURRENCY, async (genre) => {
+    const page = await yt.browse(genre.browseId, genre.params);
+    const found = page.items
+      .flatMap((shelf) => shelf.items)
+      .filter((item) => item.type === 'playlist' && item.id);
+    for (const item of found.slice(0, PLAYLISTS_PER_GENRE)) playlists.push({ genre: genre.title, id: item.id });
+  });
+
+  const index = new Map();
+  await eachLimited(playlists, INDEX_CONCURRENCY, async ({ genre, id }) => {
+    const { songs } = await yt.playlist(id);
+    for (const song of songs || []) {
+      for (const artist of song.artists || []) {
+        if (!artist.name) continue;
+        const key = artistKey(artist);
+        if (!index.has(key)) index.set(key, new Map());
+        const weights = index.get(key);
+        weights.set(genre, (weights.get(genre) || 0) + 1);
+      }
+    }
+  });
+
+  if (!index.size) throw new Error('No genre playlists could be read');
+  return index;
+}
+
+/**
+ * The shared artist → genres index, rebuilt after GENRE_INDEX_TTL.
+ * Concurrent callers share one build; a failed build is not kept.
+ *
+ * @param {object} yt - YouTube client
+ * @param {number} [now]
+ * @returns {Promise<Map<string, Map<string, number>>>}
+ */
+function genreIndex(yt, now = Date.now()) {
+  if (!cachedIndex || now - cachedIndex.builtAt > GENRE_INDEX_TTL) {
+    const entry = { builtAt: now, promise: buildGenreIndex(yt) };
+    entry.promise.catch(() => {
+      if (cachedIndex === entry) cachedIndex = null;
+    });
+    cachedIndex = entry;
+  }
+  return cachedIndex.promise;
+}
+
+/**
+ * Forget the cached index (tests).
+ */
+function resetGenreIndex() {
+  cachedIndex = null;
+}
+
+/**
+ * Listening time per genre. Each play's time is split across the genres of
+ * its artists, in proportion to the index weights.
+ *
+ * @param {object[]} plays
+ * @param {Map<string, Map<string, number>>} index - From genreIndex()
+ * @param {number} limit - Genres returned
+ * @returns {{ items: { name, listenedMs, plays, share }[], coverage: number }}
+ *   share: of the listening time with a genre; coverage: share of the
+ *   period's listening time that has one
+ */
+function genreMix(plays, index, limit) {
+  const totals = new Map();
+  let totalMs = 0;
+  let matchedMs = 0;
+
+  for (const play of plays) {
+    const ms = listenedMs(play);
+    totalMs += ms;
+
+    const weights = new Map();
+    for (const artist of play.artists || []) {
+      for (const [genre, weight] of index.get(artistKey(artist)) || []) {
+        weights.set(genre, (weights.get(genre) || 0) + weight);
+      }
+    }
+    const sum = [...weights.values()].reduce((total, weight) => total + weight, 0);
+    if (!sum) continue;
+
+    matchedMs += ms;
+    for (const [genre, weight] of weights) {
+      if (!totals.has(genre)) totals.set(genre, { name: genre, listenedMs: 0, plays: 0 });
+      totals.get(genre).listenedMs += (ms * weight) / sum;
+      totals.get(genre).plays += 1;
+    }
+  }
+
+  const items = [...totals.values()]
+    .sort((a, b) => b.listenedMs - a.listenedMs || b.plays - a.plays)
+    .slice(0, limit)
+    .map((genre) => ({
+      ...genre,
+      listenedMs: Math.round(genre.listenedMs),
+      share: matchedMs ? Math.round((genre.listenedMs / matchedMs) * 1000) / 1000 : 0,
+    }));
+
+  return { items, coverage: totalMs ? Math.round((matchedMs / totalMs) * 1000) / 1000 : 0 };
+}
+
+module.exports = {
+  GENRE_INDEX_TTL,
+  genreIndex,
+  resetGenreIndex,
+  genreMix,
+};
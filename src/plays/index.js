@@ -0,0 +1,206 @@
+/**
+ * Play History
+ *
+ * Records plays on the server, independent of YouTube's own history page
+ * (which only covers the cookie account). Plays come from two places:
+ *
+ *   POST /api/plays   clients report what they played
+ *   /api/stream/play  a response that served at least AUTO_RECORD_SECONDS
+ *                     of a song counts as a play (PLAY_AUTO_RECORD_SECONDS,
+ *                     default 30; 0 turns it off)
+ *
+ * Each play keeps a snapshot of the song's metadata from get_queue, so the
+ * stats don't depend on YouTube later on. Plays are stored in
+ * stores/playStore.js; plays/stats.js aggregates them.
+ */
+
+const { resolveTracks } = require('../queues/playQueue');
+const { parseDurationText } = require('../utils/playlistFormat');
+const { playStore } = require('../stores/playStore');
+
+const AUTO_RECORD_SECONDS = process.env.PLAY_AUTO_RECORD_SECONDS !== undefined
+  ? Math.max(parseInt(process.env.PLAY_AUTO_RECORD_SECONDS, 10) || 0, 0)
+  : 30;
+
+// Plays per POST /api/plays
+const MAX_PLAYS_PER_REQUEST = 1000;
+
+// Reported plays may be this far in the future (client clock skew)
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Earliest accepted play: YouTube launched in 2005, and the daily timeline
+// spans every day from the first play on
+const MIN_PLAYED_AT = Date.parse('2005-01-01T00:00:00Z');
+
+// Streamed songs remembered for deduplication
+const MAX_RECENT_STREAMS = 10000;
+
+class PlayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PlayError';
+    this.status = status;
+  }
+}
+
+// ─── Reported plays ─────────────────────────────────
+
+function parseEntry(entry, prefix, now) {
+  const at = (field) => `${prefix}${field}`;
+  if (!entry || typeof entry !== 'object') throw new PlayError(`"${prefix.slice(0, -1)}" must be an object`);
+
+  const { videoId, playedAt, listenedMs, clientId } = entry;
+  if (typeof videoId !== 'string' || !videoId) throw new PlayError(`"${at('videoId')}" is required`);
+
+  let time = now;
+  if (playedAt !== undefined) {
+    time = Date.parse(playedAt);
+    if (typeof playedAt !== 'string' || Number.isNaN(time)) throw new PlayError(`"${at('playedAt')}" must be an ISO date`);
+    if (time > now + MAX_CLOCK_SKEW) throw new PlayError(`"${at('playedAt')}" is in the future`);
+    if (time < MIN_PLAYED_AT) throw new PlayError(`"${at('playedAt')}" must not be before 2005`);
+  }
+  if (listenedMs !== undefined && (!Number.isInteger(listenedMs) || listenedMs < 0)) {
+    throw new PlayError(`"${at('listenedMs')}" must be an integer >= 0`);
+  }
+  if (clientId !== undefined && (typeof clientId !== 'string' || clientId.length > 100)) {
+    throw new PlayError(`"${at('clientId')}" must be a string of at most 100 characters`);
+  }
+
+  return {
+    videoId,
+    playedAt: new Date(time).toISOString(),
+    listenedMs: listenedMs ?? null,
+    clientId: clientId || null,
+  };
+}
+
+/**
+ * Validate the body of POST /api/plays: one play, or { plays: [...] }.
+ *
+ *   { videoId, playedAt?: ISO date, listenedMs?: integer, clientId?: string }
+ *
+ * @throws {PlayError}
+ */
+function parsePlays(body = {}, now = Date.now()) {
+  if (!Array.isArray(body.plays)) return [parseEntry(body, '', now)];
+
+  if (!body.plays.length) throw new PlayError('"plays" must not be empty');
+  if (body.plays.length > MAX_PLAYS_PER_REQUEST) {
+    throw new PlayError(`At most ${MAX_PLAYS_PER_REQUEST} plays per request`);
+  }
+  return body.plays.map((entry, index) => parseEntry(entry, `plays[${index}].`, now));
+}
+
+/**
+ * Metadata snapshot of a get_queue song.
+ */
+function songSnapshot(song) {
+  return {
+    title: song.title || null,
+    artists: (song.artists || []).map(({ name, id }) => ({ name, id: id || null })),
+    album: song.album ? { name: song.album.name, id: song.album.id || null } : null,
+    thumbnail: song.thumbnail || null,
+    duration: parseDurationText(song.duration),
+  };
+}
+
+/**
+ * Store plays of `keyId` with the metadata of their songs. Plays of videos
+ * that get_queue doesn't know are left out and reported.
+ *
+ * @param {object} yt - YouTube client of the key
+ * @param {string} keyId
+ * @param {object[]} entries - From parsePlays()
+ * @param {{ source?: 'api'|'stream', store?: object }} [options]
+ * @returns {Promise<{ plays: object[], unavailable: string[] }>}
+ */
+async function recordPlays(yt, keyId, entries, { source = 'api', store = playStore } = {}) {
+  const { tracks, unavailable } = await resolveTracks(yt, [...new Set(entries.map((entry) => entry.videoId))]);
+  const songs = new Map(tracks.map((song) => [song.id, songSnapshot(song)]));
+
+  const plays = store.add(keyId, entries
+    .filter((entry) => songs.has(entry.videoId))
+    .map((entry) => ({
+      videoId: entry.videoId,
+      ...songs.get(entry.videoId),
+      playedAt: entry.playedAt,
+      listenedMs: entry.listenedMs,
+      clientId: entry.clientId,
+      source,
+    })));
+
+  return { plays, unavailable };
+}
+
+// ─── Streamed plays ─────────────────────────────────
+
+/**
+ * Decides which /api/stream/play responses count as plays. Players fetch a
+ * song in several range requests (probing, seeking), so a song counts once
+ * per key until its duration has passed since the last counted play.
+ */
+class StreamPlayTracker {
+  constructor({ threshold = AUTO_RECORD_SECONDS } = {}) {
+    this.threshold = threshold;
+    this.recent = new Map(); // "keyId\nvideoId" → time of the last counted play
+  }
+
+  /**
+   * @param {{ keyId: string, videoId: string, duration: number, servedBytes: number, totalBytes: number }} response
+   *   duration: seconds; totalBytes: size of the whole audio file
+   * @returns {number|null} Estimated listenedMs to record, or null when it doesn't count
+   */
+  check({ keyId, videoId, duration, servedBytes, totalBytes }, now = Date.now()) {
+    if (!this.threshold || !duration || !totalBytes) return null;
+
+    const seconds = Math.min(servedBytes / (totalBytes / duration), duration);
+    if (seconds < Math.min(this.threshold, duration)) return null;
+
+    const key = `${keyId}\n${videoId}`;
+    const last = this.recent.get(key);
+    if (last && now - last < Math.max(duration, this.threshold) * 1000) return null;
+
+    this.recent.delete(key);
+    this.recent.set(key, now);
+    if (this.recent.size > MAX_RECENT_STREAMS) this.recent.delete(this.recent.keys().next().value);
+    return Math.round(seconds * 1000);
+  }
+}
+
+const streamPlays = new StreamPlayTracker();
+
+/**
+ * Called when a /api/stream/play response closes: record it as a play when
+ * it served enough of the song. Never throws; failures are logged.
+ *
+ * @param {object} yt - YouTube client of the key
+ * @param {string} keyId
+ * @param {{ videoId: string, clientId?: string|null, startedAt: Date, duration: number,
+ *           servedBytes: number, totalBytes: number }} response
+ */
+async function recordStreamedPlay(yt, keyId, { videoId, clientId = null, startedAt, ...served }) {
+  const listenedMs = streamPlays.check({ keyId, videoId, ...served });
+  if (listenedMs === null) return;
+
+  try {
+    await recordPlays(yt, keyId, [{
+      videoId,
+      playedAt: startedAt.toISOString(),
+      listenedMs,
+      clientId: clientId ? String(clientId).slice(0, 100) : null,
+    }], { source: 'stream' });
+  } catch (err) {
+    console.warn(`[PLAYS] Could not record streamed play of ${videoId}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  PlayError,
+  parsePlays,
+  recordPlays,
+  songSnapshot,
+  StreamPlayTracker,
+  recordStreamedPlay,
+  AUTO_RECORD_SECONDS,
+  MAX_PLAYS_PER_REQUEST,
+};
@@ -0,0 +1,190 @@
+/**
+ * Listening Report
+ *
+ * A "Wrapped"-style summary of one month ("2026-09") or year ("2026") of
+ * the play history, for GET /api/stats/report: total minutes, top songs,
+ * artists and albums, listening streaks and the artists discovered in the
+ * period, and a genre mix (see plays/genres.js). Calendar days are taken
+ * in the requested time zone.
+ *
+ * buildReport() is pure; addThumbnails() replaces the song thumbnails that
+ * artists and albums inherit from their plays with their own, from YouTube.
+ */
+
+const { PlayError } = require('./index');
+const { dayKey, nextDay, listenedMs, artistKey, topTracks, topArtists, topAlbums } = require('./stats');
+const { genreMix } = require('./genres');
+
+const PERIOD_PATTERN = /^(\d{4})(?:-(0[1-9]|1[0-2]))?$/;
+
+// Entries in each top list of the report
+const REPORT_TOP_SIZE = 5;
+
+/**
+ * Validate ?period=: "YYYY-MM" for a month, "YYYY" for a year.
+ *
+ * @returns {{ period: string, type: 'month'|'year', first: string, last: string }}
+ *   first/last: "YYYY-MM-DD" days of the period
+ * @throws {PlayError}
+ */
+function parsePeriod(period) {
+  const match = typeof period === 'string' && PERIOD_PATTERN.exec(period);
+  if (!match) throw new PlayError('"period" must be a month (YYYY-MM) or a year (YYYY)');
+
+  const [, year, month] = match;
+  if (!month) return { period, type: 'year', first: `${year}-01-01`, last: `${year}-12-31` };
+
+  const days = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+  return { period, type: 'month', first: `${period}-01`, last: `${period}-${days}` };
+}
+
+/**
+ * Plays and listening time per day of the period, up to `today`.
+ */
+function periodDays(plays, { first, last }, timeZone, today) {
+  const totals = new Map();
+  for (const play of plays) {
+    const day = dayKey(play.playedAt, timeZone);
+    if (!totals.has(day)) totals.set(day, { date: day, plays: 0, listenedMs: 0 });
+    totals.get(day).plays += 1;
+    totals.get(day).listenedMs += listenedMs(play);
+  }
+
+  const days = [];
+  for (let day = first; day <= last && day <= today; day = nextDay(day)) {
+    days.push(totals.get(day) || { date: day, plays: 0, listenedMs: 0 });
+  }
+  return days;
+}
+
+/**
+ * Consecutive days with plays: the longest run in the period, and the run
+ * that reaches today (or yesterday, while nothing was played today yet).
+ * The current streak is 0 once the period is over.
+ */
+function streaks(days, today) {
+  let longest = { days: 0, from: null, to: null };
+  let run = null;
+  for (const day of days) {
+    run = day.plays ? { days: (run?.days || 0) + 1, from: run?.from || day.date, to: day.date } : null;
+    if (run && run.days > longest.days) longest = run;
+  }
+
+  let current = 0;
+  if (days.at(-1)?.date === today) {
+    let index = days.at(-1).plays ? days.length - 1 : days.length - 2;
+    while (index >= 0 && days[index].plays) {
+      current += 1;
+      index -= 1;
+    }
+  }
+
+  return { longest, current };
+}
+
+/**
+ * Artists whose first play in the whole history falls in the period, most
+ * played in the period first.
+ */
+function newArtists(history, plays, { first, last }, timeZone, limit) {
+  const firstPlayedAt = new Map();
+  for (const play of history) {
+    for (const artist of play.artists || []) {
+      const key = artistKey(artist);
+      if (!firstPlayedAt.has(key) || play.playedAt < firstPlayedAt.get(key)) firstPlayedAt.set(key, play.playedAt);
+    }
+  }
+
+  const discovered = topArtists(plays, Infinity).filter((artist) => {
+    const day = dayKey(firstPlayedAt.get(artistKey(artist)), timeZone);
+    return day >= first && day <= last;
+  });
+
+  return {
+    total: discovered.length,
+    items: discovered.slice(0, limit).map((artist) => ({
+      ...artist,
+      firstPlayedAt: firstPlayedAt.get(artistKey(artist)),
+    })),
+  };
+}
+
+/**
+ * Build the report of one period from the whole play history of a key
+ * (sorted by playedAt, as PlayStore.list returns it).
+ *
+ * @param {object[]} history - All plays of the key
+ * @param {{ period: string, timeZone?: string, now?: number, limit?: number, genres?: Map }} options
+ *   genres: artist → genres index from genreIndex(); without it `genres` is null
+ * @throws {PlayError} When the period is invalid
+ */
+function buildReport(history, { period, timeZone = 'UTC', now = Date.now(), limit = REPORT_TOP_SIZE, genres = null }) {
+  const range = parsePeriod(period);
+  const plays = history.filter((play) => {
+    const day = dayKey(play.playedAt, timeZone);
+    return day >= range.first && day <= range.last;
+  });
+
+  const today = dayKey(now, timeZone);
+  const days = periodDays(plays, range, timeZone, today);
+  const totalListenedMs = plays.reduce((total, play) => total + listenedMs(play), 0);
+  const busiestDay = days.reduce((best, day) => (!best || day.listenedMs > best.listenedMs ? day : best), null);
+
+  return {
+    period: range.period,
+    type: range.type,
+    timeZone,
+    from: range.first,
+    to: range.last,
+    totalPlays: plays.length,
+    totalMinutes: Math.round(totalListenedMs / 60000),
+    totalListenedMs,
+    uniqueTracks: new Set(plays.map((play) => play.videoId)).size,
+    uniqueArtists: new Set(plays.flatMap((play) => (play.artists || []).map(artistKey))).size,
+    activeDays: days.filter((day) => day.plays).length,
+    busiestDay: busiestDay?.plays ? busiestDay : null,
+    topTracks: topTracks(plays, limit),
+    topArtists: topArtists(plays, limit),
+    topAlbums: topAlbums(plays, limit),
+    streaks: streaks(days, today),
+    newArtists: newArtists(history, plays, range, timeZone, limit),
+    genres: genres ? genreMix(plays, genres, limit) : null,
+  };
+}
+
+/**
+ * Give the report's artists and albums their own thumbnails (artist and
+ * album pages) instead of the thumbnail of one of their songs. Lookups that
+ * fail keep the song thumbnail.
+ *
+ * @param {object} yt - YouTube client of the key
+ * @param {object} report - From buildReport()
+ */
+async function addThumbnails(yt, report) {
+  const artists = [...report.topArtists, ...report.newArtists.items].filter((artist) => artist.id);
+  const albums = report.topAlbums.filter((album) => album.id);
+
+  const artistThumbnails = new Map();
+  const albumThumbnails = new Map();
+  await Promise.allSettled([
+    ...[...new Set(artists.map((artist) => artist.id))].map(async (id) => {
+      const page = await yt.artist(id);
+      if (page?.artist?.thumbnail) artistThumbnails.set(id, page.artist.thumbnail);
+    }),
+    ...albums.map(async (album) => {
+      const page = await yt.album(album.id, false);
+      if (page?.album?.thumbnail) albumThumbnails.set(album.id, page.album.thumbnail);
+    }),
+  ]);
+
+  for (const artist of artists) artist.thumbnail = artistThumbnails.get(artist.id) || artist.thumbnail;
+  for (const album of albums) album.thumbnail = albumThumbnails.get(album.id) || album.thumbnail;
+  return report;
+}
+
+module.exports = {
+  REPORT_TOP_SIZE,
+  parsePeriod,
+  buildReport,
+  addThumbnails,
+};
@@ -0,0 +1,100 @@
+/**
+ * Report Card
+ *
+ * Renders a listening report (see plays/report.js) as a shareable SVG card
+ * for GET /api/stats/report?format=svg. Text only: cards are often shown
+ * through <img>, where browsers don't load external images like thumbnails.
+ */
+
+const WIDTH = 600;
+const HEIGHT = 940;
+
+// Characters per line before text is cut with "…"
+const MAX_LINE = 42;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function truncate(text, max = MAX_LINE) {
+  const chars = [...String(text)];
+  return chars.length > max ? `${chars.slice(0, max - 1).join('').trimEnd()}…` : chars.join('');
+}
+
+function text(x, y, content, { size = 18, weight = 'normal', fill = '#ffffff', anchor = 'start' } = {}) {
+  return `<text x="${x}" y="${y}" font-size="${size}" font-weight="${weight}" fill="${fill}" text-anchor="${anchor}">${escapeXml(content)}</text>`;
+}
+
+/**
+ * "September 2026" for a month, "2026" for a year.
+ */
+function periodTitle(report) {
+  if (report.type === 'year') return report.period;
+  return new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+    .format(new Date(`${report.from}T00:00:00Z`));
+}
+
+function topList(title, items, y, describe) {
+  const lines = [text(40, y, title, { size: 20, weight: 'bold', fill: '#ff4e45' })];
+  if (!items.length) lines.push(text(40, y + 34, 'Nothing played yet', { fill: '#aaaaaa' }));
+  items.forEach((item, index) => {
+    lines.push(text(40, y + 34 * (index + 1), `${index + 1}. ${truncate(describe(item))}`));
+  });
+  return lines;
+}
+
+const artistNames = (artists) => (artists || []).map((artist) => artist.name).join(', ');
+
+// Genres shown on the one line of the card
+const CARD_GENRES = 3;
+
+/**
+ * "Pop 48% · Rock 22% · Dance & Electronic 9%", or why there is no mix.
+ */
+function genreLine(genres) {
+  if (!genres) return 'Not available right now';
+  if (!genres.items.length) return 'Nothing to show yet';
+  return genres.items
+    .slice(0, CARD_GENRES)
+    .map((genre) => `${genre.name} ${Math.round(genre.share * 100)}%`)
+    .join(' · ');
+}
+
+/**
+ * @param {object} report - From buildReport()
+ * @returns {string} SVG document
+ */
+function renderReportCard(report) {
+  const { longest } = report.streaks;
+  const parts = [
+    `<rect width="${WIDTH}" height="${HEIGHT}" rx="24" fill="#121212"/>`,
+    text(40, 64, 'My listening', { size: 22, fill: '#aaaaaa' }),
+    text(40, 104, periodTitle(report), { size: 36, weight: 'bold' }),
+    text(40, 184, report.totalMinutes.toLocaleString('en-US'), { size: 64, weight: 'bold', fill: '#ff4e45' }),
+    text(40, 216, `minutes · ${report.totalPlays} plays · ${report.uniqueArtists} artists`, { fill: '#aaaaaa' }),
+    ...topList('Top songs', report.topTracks, 280, (track) => `${track.title} — ${artistNames(track.artists)}`),
+    ...topList('Top artists', report.topArtists, 520, (artist) => artist.name),
+    text(40, 760, 'Top genres', { size: 20, weight: 'bold', fill: '#ff4e45' }),
+    text(40, 794, truncate(genreLine(report.genres), 52), { fill: report.genres?.items.length ? '#ffffff' : '#aaaaaa' }),
+    text(40, 870, `Longest streak: ${longest.days} ${longest.days === 1 ? 'day' : 'days'}`, { size: 20 }),
+    text(WIDTH - 40, 870, `New artists: ${report.newArtists.total}`, { size: 20, anchor: 'end' }),
+    text(WIDTH / 2, 916, 'Beat API', { size: 14, fill: '#666666', anchor: 'middle' }),
+  ];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="Helvetica, Arial, sans-serif">`,
+    ...parts.map((part) => `  ${part}`),
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  renderReportCard,
+  escapeXml,
+};
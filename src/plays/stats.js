@@ -0,0 +1,159 @@
+/**
+ * Play Stats
+ *
+ * Aggregations over stored plays (see plays/index.js) for /api/stats:
+ * top tracks, artists and albums, and a per-day timeline. All functions are
+ * pure: they take the plays of one key and return plain objects.
+ *
+ * Listening time is `listenedMs` when the client reported it, the song's
+ * duration otherwise.
+ */
+
+// Days covered by each ?range= value (null: everything)
+const STATS_RANGES = { '7d': 7, '30d': 30, all: null };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of a range, or null for "all".
+ */
+function rangeStart(range, now = Date.now()) {
+  const days = STATS_RANGES[range];
+  return days ? new Date(now - days * DAY) : null;
+}
+
+/**
+ * Whether `timeZone` is an IANA zone name this runtime knows.
+ */
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const dayFormats = new Map();
+
+/**
+ * Calendar day ("YYYY-MM-DD") of an ISO time in `timeZone`.
+ */
+function dayKey(iso, timeZone = 'UTC') {
+  if (!dayFormats.has(timeZone)) {
+    dayFormats.set(timeZone, new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }));
+  }
+  return dayFormats.get(timeZone).format(new Date(iso));
+}
+
+/**
+ * The day after a "YYYY-MM-DD" day.
+ */
+function nextDay(day) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + DAY).toISOString().slice(0, 10);
+}
+
+function listenedMs(play) {
+  if (play.listenedMs !== null && play.listenedMs !== undefined) return play.listenedMs;
+  return play.duration ? play.duration * 1000 : 0;
+}
+
+/**
+ * Group plays by `keyOf(play)` (one play may count for several keys),
+ * most played first, then most listened.
+ */
+function rank(plays, keyOf, describe, limit) {
+  const groups = new Map();
+  for (const play of plays) {
+    for (const key of keyOf(play)) {
+      if (!groups.has(key)) groups.set(key, { ...describe(play, key), plays: 0, listenedMs: 0, lastPlayedAt: null });
+      const group = groups.get(key);
+      group.plays += 1;
+      group.listenedMs += listenedMs(play);
+      if (!group.lastPlayedAt || play.playedAt > group.lastPlayedAt) group.lastPlayedAt = play.playedAt;
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.plays - a.plays || b.listenedMs - a.listenedMs)
+    .slice(0, limit);
+}
+
+const artistKey = (artist) => artist.id || `name:${artist.name}`;
+
+function topTracks(plays, limit = 10) {
+  return rank(
+    plays,
+    (play) => [play.videoId],
+    (play) => ({
+      videoId: play.videoId,
+      title: play.title,
+      artists: play.artists,
+      album: play.album,
+      thumbnail: play.thumbnail,
+    }),
+    limit,
+  );
+}
+
+function topArtists(plays, limit = 10) {
+  return rank(
+    plays,
+    (play) => [...new Set((play.artists || []).map(artistKey))],
+    (play, key) => {
+      const artist = play.artists.find((candidate) => artistKey(candidate) === key);
+      return { id: artist.id, name: artist.name, thumbnail: play.thumbnail };
+    },
+    limit,
+  );
+}
+
+function topAlbums(plays, limit = 10) {
+  return rank(
+    plays,
+    (play) => (play.album ? [play.album.id || `name:${play.album.name}`] : []),
+    (play) => ({ id: play.album.id, name: play.album.name, artists: play.artists, thumbnail: play.thumbnail }),
+    limit,
+  );
+}
+
+/**
+ * Plays and listening time per day in `timeZone`, oldest first, with empty
+ * days included. The timeline runs from `since` (or the first play) to `until`.
+ *
+ * @returns {{ date: string, plays: number, listenedMs: number }[]}
+ */
+function timeline(plays, { since = null, until = new Date(), timeZone = 'UTC' } = {}) {
+  const days = new Map();
+  for (const play of plays) {
+    const day = dayKey(play.playedAt, timeZone);
+    if (!days.has(day)) days.set(day, { date: day, plays: 0, listenedMs: 0 });
+    const entry = days.get(day);
+    entry.plays += 1;
+    entry.listenedMs += listenedMs(play);
+  }
+
+  const first = since ? dayKey(since, timeZone) : [...days.keys()].sort()[0];
+  if (!first) return [];
+  const last = dayKey(until, timeZone);
+
+  const result = [];
+  for (let day = first; day <= last; day = nextDay(day)) {
+    result.push(days.get(day) || { date: day, plays: 0, listenedMs: 0 });
+  }
+  return result;
+}
+
+module.exports = {
+  STATS_RANGES,
+  rangeStart,
+  isTimeZone,
+  dayKey,
+  nextDay,
+  listenedMs,
+  artistKey,
+  topTracks,
+  topArtists,
+  topAlbums,
+  timeline,
+};
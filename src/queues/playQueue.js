@@ -0,0 +1,327 @@
+/**
+ * Play Queue
+ *
+ * Operations on a server-side play queue (stored by stores/queueStore.js).
+ * A queue is an ordered list of items plus a cursor:
+ *
+ *   items         [{ itemId, videoId, title, artists, album, duration, thumbnail, explicit }]
+ *   currentIndex  index of the playing item, null when the queue is empty
+ *   repeat        'off' | 'all' | 'one'
+ *   shuffled      true while shuffle is on
+ *   originalOrder itemIds in unshuffled order (only while shuffled)
+ *   history       last HISTORY_SIZE items that were left, newest first
+ *
+ * Items carry their own `itemId`, so the same song can be queued twice.
+ * Every function changes the queue in place and throws QueueError for
+ * invalid input; the caller saves it.
+ */
+
+const crypto = require('crypto');
+const { MAX_GET_QUEUE_SIZE } = require('../innertube/constants');
+
+const QUEUE_REPEAT_MODES = ['off', 'all', 'one'];
+
+// Items per queue
+const MAX_QUEUE_SIZE = 5000;
+
+const HISTORY_SIZE = 100;
+
+class QueueError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QueueError';
+    this.status = status;
+  }
+}
+
+// ─── Metadata ───────────────────────────────────────
+
+/**
+ * Validate a list of video IDs from a request body.
+ *
+ * @throws {QueueError}
+ */
+function videoIdList(videoIds) {
+  if (!Array.isArray(videoIds) || !videoIds.length || !videoIds.every((id) => typeof id === 'string' && id)) {
+    throw new QueueError('"videoIds" must be a non-empty array of video IDs');
+  }
+  if (videoIds.length > MAX_QUEUE_SIZE) throw new QueueError(`A queue holds at most ${MAX_QUEUE_SIZE} songs`);
+  return videoIds;
+}
+
+const QUEUE_SOURCES = ['videoIds', 'playlistId', 'browseId'];
+
+/**
+ * Video IDs (and a default name) for a new queue from exactly one of
+ * `videoIds`, `playlistId` or an album `browseId`.
+ *
+ * @returns {Promise<{ name: string|null, videoIds: string[], truncated: boolean }>}
+ * @throws {QueueError}
+ */
+async function sourceVideoIds(yt, body = {}) {
+  const given = QUEUE_SOURCES.filter((source) => body[source] !== undefined && body[source] !== null);
+  if (given.length !== 1) throw new QueueError(`Exactly one of ${QUEUE_SOURCES.join(', ')} is required`);
+
+  const [source] = given;
+  if (source === 'videoIds') return { name: null, videoIds: videoIdList(body.videoIds), truncated: false };
+  if (typeof body[source] !== 'string' || !body[source]) throw new QueueError(`"${source}" must be a string`);
+
+  if (source === 'playlistId') {
+    const page = await yt.fullPlaylist(body.playlistId);
+    return {
+      name: page.playlist?.title || null,
+      videoIds: page.songs.filter((song) => song.id).map((song) => song.id).slice(0, MAX_QUEUE_SIZE),
+      truncated: !!page.truncated || page.songs.length > MAX_QUEUE_SIZE,
+    };
+  }
+
+  const { album, songs } = await yt.album(body.browseId);
+  return { name: album.title || null, videoIds: songs.filter((song) => song.id).map((song) => song.id), truncated: false };
+}
+
+/**
+ * Song metadata for `videoIds` through get_queue, MAX_GET_QUEUE_SIZE at a
+ * time, in the order given. Videos that get_queue doesn't return are
+ * reported as unavailable.
+ *
+ * @returns {Promise<{ tracks: object[], unavailable: string[] }>}
+ */
+async function resolveTracks(yt, videoIds) {
+  const found = new Map();
+  const unique = [...new Set(videoIds)];
+  for (let i = 0; i < unique.length; i += MAX_GET_QUEUE_SIZE) {
+    const songs = await yt.queue(unique.slice(i, i + MAX_GET_QUEUE_SIZE));
+    for (const song of songs) if (song.id) found.set(song.id, song);
+  }
+
+  return {
+    tracks: videoIds.filter((id) => found.has(id)).map((id) => found.get(id)),
+    unavailable: [...new Set(videoIds.filter((id) => !found.has(id)))],
+  };
+}
+
+function queueItem(song) {
+  return {
+    itemId: crypto.randomBytes(6).toString('hex'),
+    videoId: song.id,
+    title: song.title || null,
+    artists: song.artists || [],
+    album: song.album || null,
+    duration: song.duration || null,
+    thumbnail: song.thumbnail || null,
+    explicit: !!song.explicit,
+  };
+}
+
+// ─── Helpers ────────────────────────────────────────
+
+function findIndex(queue, itemId) {
+  const index = queue.items.findIndex((item) => item.itemId === itemId);
+  if (index < 0) throw new QueueError('Item not found in this queue', 404);
+  return index;
+}
+
+function currentItemId(queue) {
+  return queue.currentIndex === null ? null : queue.items[queue.currentIndex]?.itemId || null;
+}
+
+function checkSize(queue, adding) {
+  if (queue.items.length + adding > MAX_QUEUE_SIZE) {
+    throw new QueueError(`A queue holds at most ${MAX_QUEUE_SIZE} songs`);
+  }
+}
+
+function remember(queue, item) {
+  if (!item) return;
+  queue.history.unshift({ itemId: item.itemId, videoId: item.videoId, title: item.title, leftAt: new Date().toISOString() });
+  queue.history.length = Math.min(queue.history.length, HISTORY_SIZE);
+}
+
+function shuffleInPlace(list, random) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+// ─── Operations ─────────────────────────────────────
+
+/**
+ * Fields of a new queue.
+ *
+ * @param {object[]} songs - Resolved songs, in order
+ * @param {{ startIndex?: number, repeat?: string, shuffle?: boolean, random?: Function }} [options]
+ */
+function newQueue(songs, { startIndex = 0, repeat = 'off', shuffle = false, random = Math.random } = {}) {
+  if (!QUEUE_REPEAT_MODES.includes(repeat)) {
+    throw new QueueError(`"repeat" must be one of: ${QUEUE_REPEAT_MODES.join(', ')}`);
+  }
+  if (!Number.isInteger(startIndex) || startIndex < 0 || (songs.length && startIndex >= songs.length)) {
+    throw new QueueError('"startIndex" is out of range');
+  }
+
+  const queue = {
+    items: songs.map(queueItem),
+    currentIndex: songs.length ? startIndex : null,
+    repeat,
+    shuffled: false,
+    originalOrder: null,
+    history: [],
+  };
+  if (shuffle) setShuffle(queue, true, { random });
+  return queue;
+}
+
+/**
+ * Add songs at the end, or right after the current item with `playNext`.
+ *
+ * @returns {object[]} The new items
+ */
+function addItems(queue, songs, { playNext = false } = {}) {
+  checkSize(queue, songs.length);
+  const items = songs.map(queueItem);
+  const ids = items.map((item) => item.itemId);
+
+  if (playNext && queue.currentIndex !== null) {
+    const current = currentItemId(queue);
+    queue.items.splice(queue.currentIndex + 1, 0, ...items);
+    if (queue.shuffled) {
+      queue.originalOrder.splice(queue.originalOrder.indexOf(current) + 1, 0, ...ids);
+    }
+  } else {
+    queue.items.push(...items);
+    if (queue.shuffled) queue.originalOrder.push(...ids);
+  }
+
+  if (queue.currentIndex === null && queue.items.length) queue.currentIndex = 0;
+  return items;
+}
+
+/**
+ * Remove an item. Removing the current item makes the following one current.
+ */
+function removeItem(queue, itemId) {
+  const index = findIndex(queue, itemId);
+  queue.items.splice(index, 1);
+  if (queue.shuffled) queue.originalOrder = queue.originalOrder.filter((id) => id !== itemId);
+
+  if (!queue.items.length) queue.currentIndex = null;
+  else if (index < queue.currentIndex) queue.currentIndex -= 1;
+  else if (queue.currentIndex >= queue.items.length) queue.currentIndex = queue.repeat === 'all' ? 0 : queue.items.length - 1;
+}
+
+/**
+ * Move an item to `toIndex` (its index after the move). The current item
+ * stays current.
+ */
+function moveItem(queue, itemId, toIndex) {
+  const from = findIndex(queue, itemId);
+  if (!Number.isInteger(toIndex) || toIndex < 0 || toIndex >= queue.items.length) {
+    throw new QueueError(`"toIndex" must be an integer between 0 and ${queue.items.length - 1}`);
+  }
+  const current = currentItemId(queue);
+  const [item] = queue.items.splice(from, 1);
+  queue.items.splice(toIndex, 0, item);
+  if (current) queue.currentIndex = findIndex(queue, current);
+}
+
+/**
+ * Turn shuffle on or off. On: the current item moves to the top and the
+ * others are shuffled after it. Off: the order from before the shuffle comes
+ * back (with songs added since in their place), keeping the current item.
+ */
+function setShuffle(queue, enabled, { random = Math.random } = {}) {
+  if (enabled === queue.shuffled) return;
+  const current = currentItemId(queue);
+
+  if (enabled) {
+    queue.originalOrder = queue.items.map((item) => item.itemId);
+    const rest = queue.items.filter((item) => item.itemId !== current);
+    const first = queue.items.filter((item) => item.itemId === current);
+    queue.items = [...first, ...shuffleInPlace(rest, random)];
+  } else {
+    const byId = new Map(queue.items.map((item) => [item.itemId, item]));
+    queue.items = queue.originalOrder.map((id) => byId.get(id)).filter(Boolean);
+    queue.originalOrder = null;
+  }
+
+  queue.shuffled = enabled;
+  queue.currentIndex = current ? findIndex(queue, current) : null;
+}
+
+function setRepeat(queue, mode) {
+  if (!QUEUE_REPEAT_MODES.includes(mode)) {
+    throw new QueueError(`"mode" must be one of: ${QUEUE_REPEAT_MODES.join(', ')}`);
+  }
+  queue.repeat = mode;
+}
+
+/**
+ * Make the item at `index` (or with `itemId`) current.
+ */
+function jump(queue, { index, itemId } = {}) {
+  const target = itemId !== undefined ? findIndex(queue, itemId) : index;
+  if (!Number.isInteger(target) || target < 0 || target >= queue.items.length) {
+    throw new QueueError('"index" or "itemId" must point to an item of the queue');
+  }
+  if (target !== queue.currentIndex) remember(queue, queue.items[queue.currentIndex]);
+  queue.currentIndex = target;
+}
+
+/**
+ * Step the cursor forward (`direction: 1`) or back (`-1`).
+ * `auto` marks a track that ended by itself: with repeat "one" it plays
+ * again. Past either end the queue wraps with repeat "all" and stops
+ * otherwise.
+ *
+ * @returns {{ ended: boolean }} ended: there was no item to move to
+ */
+function step(queue, { direction = 1, auto = false } = {}) {
+  if (queue.currentIndex === null) return { ended: true };
+  if (auto && queue.repeat === 'one') return { ended: false };
+
+  let target = queue.currentIndex + direction;
+  if (target < 0 || target >= queue.items.length) {
+    if (queue.repeat !== 'all') return { ended: true };
+    target = (target + queue.items.length) % queue.items.length;
+  }
+
+  remember(queue, queue.items[queue.currentIndex]);
+  queue.currentIndex = target;
+  return { ended: false };
+}
+
+/**
+ * Public view of a queue (no owner or shuffle bookkeeping).
+ */
+function describeQueue(queue, { summary = false } = {}) {
+  const { keyId, originalOrder, items, history, ...rest } = queue;
+  const current = queue.currentIndex === null ? null : items[queue.currentIndex];
+  return {
+    ...rest,
+    length: items.length,
+    current: current || null,
+    ...(!summary && { items, history }),
+  };
+}
+
+module.exports = {
+  QUEUE_REPEAT_MODES,
+  QUEUE_SOURCES,
+  MAX_QUEUE_SIZE,
+  HISTORY_SIZE,
+  QueueError,
+  videoIdList,
+  sourceVideoIds,
+  resolveTracks,
+  newQueue,
+  addItems,
+  removeItem,
+  moveItem,
+  setShuffle,
+  setRepeat,
+  jump,
+  step,
+  describeQueue,
+};
@@ -0,0 +1,306 @@
+/**
+ * Radio Sessions
+ *
+ * Endless autoplay on top of YouTube Music's radio playlists. A session is
+ * seeded from one of:
+ *
+ *   videoId     RDAMVM<videoId>, the "start radio" of a song
+ *   playlistId  RDAMPL<playlistId>
+ *   artistId    the radio playlist of the artist page ("RDEM...")
+ *   mood        { browseId, params } from /mood-and-genres; radio of its first playlist
+ *
+ * Pages come from next() with RADIO_PARAMS, following continuations. When a
+ * radio runs dry, the session goes on with the radio of one of its own songs,
+ * so it never ends. Songs are never handed out twice.
+ *
+ * Feedback steers later picks through a score per artist:
+ *
+ *   skip     +1 for each artist of the song
+ *   dislike  +2, and the song itself is never played again
+ *
+ * Songs by an artist scoring DEPRIORITIZE_SCORE or more are played after
+ * the others; artists reaching BLOCK_SCORE are dropped from the session.
+ *
+ * Sessions live in memory, belong to the API key that created them and
+ * expire RADIO_SESSION_TTL seconds (default: 30 min) after their last use.
+ */
+
+const crypto = require('crypto');
+const { RADIO_PARAMS } = require('../innertube/constants');
+
+const SESSION_TTL = (parseInt(process.env.RADIO_SESSION_TTL, 10) || 30 * 60) * 1000;
+
+// Sessions kept at most; the least recently used ones go first
+const MAX_SESSIONS = 1000;
+
+// Songs per /next call
+const MAX_NEXT_COUNT = 50;
+
+// next() requests per /next call
+const MAX_PAGE_REQUESTS = 10;
+
+const DEPRIORITIZE_SCORE = 2;
+const BLOCK_SCORE = 4;
+
+const FEEDBACK_SCORES = { skip: 1, dislike: 2 };
+const FEEDBACK_TYPES = Object.keys(FEEDBACK_SCORES);
+
+const SEED_TYPES = ['videoId', 'playlistId', 'artistId', 'mood'];
+
+class RadioError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RadioError';
+    this.status = status;
+  }
+}
+
+// ─── Seeds ──────────────────────────────────────────
+
+/**
+ * Validate a seed from the request body: exactly one of SEED_TYPES.
+ *
+ * @returns {{ type: string, value: string|object }}
+ * @throws {RadioError}
+ */
+function parseSeed(body = {}) {
+  const given = SEED_TYPES.filter((type) => body[type] !== undefined && body[type] !== null);
+  if (given.length !== 1) {
+    throw new RadioError(`Exactly one of ${SEED_TYPES.join(', ')} is required`);
+  }
+
+  const [type] = given;
+  const value = body[type];
+  if (type === 'mood') {
+    if (typeof value?.browseId !== 'string' || !value.browseId) {
+      throw new RadioError('"mood" must be { browseId, params } from /api/youtube/mood-and-genres');
+    }
+    return { type, value: { browseId: value.browseId, params: value.params || null } };
+  }
+  if (typeof value !== 'string' || !value) throw new RadioError(`"${type}" must be a string`);
+  return { type, value };
+}
+
+/**
+ * Radio playlist (and starting song) for a seed.
+ *
+ * @returns {Promise<{ playlistId: string, videoId: string|null, title: string|null }>}
+ */
+async function resolveSeed(yt, { type, value }) {
+  if (type === 'videoId') return { playlistId: `RDAMVM${value}`, videoId: value, title: null };
+  if (type === 'playlistId') return { playlistId: `RDAMPL${value.replace(/^VL/, '')}`, videoId: null, title: null };
+
+  if (type === 'artistId') {
+    const { artist } = await yt.artist(value);
+    if (!artist.radioPlaylistId) throw new RadioError('This artist has no radio', 404);
+    return { playlistId: artist.radioPlaylistId, videoId: null, title: artist.title || null };
+  }
+
+  const page = await yt.browse(value.browseId, value.params);
+  const playlist = page.items.flatMap((section) => section.items).find((item) => item.type === 'playlist' && item.id);
+  if (!playlist) throw new RadioError('This mood has no playlists to start a radio from', 404);
+  return { playlistId: `RDAMPL${playlist.id}`, videoId: null, title: page.title || playlist.title || null };
+}
+
+// ─── Sessions ───────────────────────────────────────
+
+class RadioSessions {
+  constructor({ ttl = SESSION_TTL, maxSessions = MAX_SESSIONS } = {}) {
+    this.ttl = ttl;
+    this.maxSessions = maxSessions;
+    this.sessions = new Map(); // id → session (insertion order = LRU order)
+  }
+
+  /**
+   * Start a session and load its first page, so a seed without a radio
+   * fails here rather than on the first /next.
+   */
+  async create(yt, keyId, seed) {
+    const { playlistId, videoId, title } = await resolveSeed(yt, seed);
+    const session = {
+      id: crypto.randomUUID(),
+      keyId,
+      seed,
+      title,
+      playlistId,
+      videoId,
+      continuation: null,
+      seeds: new Set([playlistId]),
+      buffer: [],
+      seen: new Set(videoId ? [videoId] : []),
+      played: new Map(),   // videoId → song handed out
+      scores: new Map(),   // artistId → feedback score
+      disliked: new Set(),
+      createdAt: Date.now(),
+      expiresAt: null,
+    };
+
+    await this._fetchPage(yt, session);
+    if (!session.buffer.length) throw new RadioError('YouTube Music returned no songs for this radio', 404);
+
+    this._touch(session);
+    this._prune();
+    return session;
+  }
+
+  /**
+   * The caller's session, or null when it doesn't exist, expired or belongs
+   * to another key. Extends its lifetime.
+   */
+  get(id, keyId) {
+    const session = this.sessions.get(id);
+    if (!session || session.keyId !== keyId) return null;
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    this._touch(session);
+    return session;
+  }
+
+  delete(id, keyId) {
+    const session = this.get(id, keyId);
+    if (session) this.sessions.delete(id);
+    return !!session;
+  }
+
+  /**
+   * Hand out the next `count` songs, fetching more pages as needed.
+   */
+  async next(yt, session, count) {
+    let requests = 0;
+    while (this._playable(session).preferred < count && requests < MAX_PAGE_REQUESTS) {
+      requests++;
+      const added = await this._fetchPage(yt, session);
+      // Out of pages: go on with the radio of another song
+      if (!session.continuation && !this._reseed(session) && !added) break;
+    }
+
+    const { songs } = this._playable(session);
+    const picked = songs.slice(0, count);
+    const pickedIds = new Set(picked.map((song) => song.id));
+    session.buffer = songs.filter((song) => !pickedIds.has(song.id));
+    for (const song of picked) session.played.set(song.id, song);
+    return picked;
+  }
+
+  /**
+   * Record a skip or dislike of a song handed out by this session.
+   *
+   * @throws {RadioError}
+   */
+  feedback(session, videoId, type) {
+    if (!FEEDBACK_TYPES.includes(type)) {
+      throw new RadioError(`"type" must be one of: ${FEEDBACK_TYPES.join(', ')}`);
+    }
+    const song = session.played.get(videoId);
+    if (!song) throw new RadioError('This song was not played in this radio session', 404);
+
+    if (type === 'dislike') session.disliked.add(videoId);
+    for (const artist of song.artists || []) {
+      if (artist.id) session.scores.set(artist.id, (session.scores.get(artist.id) || 0) + FEEDBACK_SCORES[type]);
+    }
+  }
+
+  /**
+   * Public view of a session.
+   */
+  describe(session) {
+    return {
+      id: session.id,
+      seed: session.seed,
+      title: session.title,
+      played: session.played.size,
+      buffered: session.buffer.length,
+      blockedArtists: [...session.scores].filter(([, score]) => score >= BLOCK_SCORE).map(([id]) => id),
+      createdAt: new Date(session.createdAt).toISOString(),
+      expiresAt: new Date(session.expiresAt).toISOString(),
+    };
+  }
+
+  // ─── Internals ────────────────────────────────────
+
+  _artistScore(session, song) {
+    return Math.max(0, ...(song.artists || []).map((artist) => session.scores.get(artist.id) || 0));
+  }
+
+  /**
+   * Buffered songs that may still be played, deprioritized ones last.
+   */
+  _playable(session) {
+    const allowed = session.buffer.filter((song) => !session.disliked.has(song.id)
+      && this._artistScore(session, song) < BLOCK_SCORE);
+    const preferred = allowed.filter((song) => this._artistScore(session, song) < DEPRIORITIZE_SCORE);
+    const later = allowed.filter((song) => this._artistScore(session, song) >= DEPRIORITIZE_SCORE);
+    return { songs: [...preferred, ...later], preferred: preferred.length };
+  }
+
+  /**
+   * Load the next page of the radio into the buffer.
+   *
+   * @returns {Promise<number>} new songs added
+   */
+  async _fetchPage(yt, session) {
+    const page = session.continuation
+      ? await yt.next(null, session.playlistId, null, null, RADIO_PARAMS, session.continuation)
+      : await yt.next(session.videoId, session.playlistId, null, null, RADIO_PARAMS);
+
+    session.continuation = page?.continuation || null;
+    let added = 0;
+    for (const song of page?.items || []) {
+      if (!song.id || session.seen.has(song.id)) continue;
+      session.seen.add(song.id);
+      session.buffer.push(song);
+      added++;
+    }
+    return added;
+  }
+
+  /**
+   * Continue with the radio of the most recent song (played or buffered)
+   * that hasn't seeded this session yet.
+   *
+   * @returns {boolean} false when there is nothing left to seed from
+   */
+  _reseed(session) {
+    const candidates = [...session.buffer, ...[...session.played.values()].reverse()]
+      .filter((song) => !session.disliked.has(song.id));
+    const song = candidates.find((candidate) => !session.seeds.has(`RDAMVM${candidate.id}`));
+    if (!song) return false;
+
+    session.playlistId = `RDAMVM${song.id}`;
+    session.videoId = song.id;
+    session.continuation = null;
+    session.seeds.add(session.playlistId);
+    return true;
+  }
+
+  _touch(session) {
+    session.expiresAt = Date.now() + this.ttl;
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) this.sessions.delete(id);
+    }
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+}
+
+const radioSessions = new RadioSessions();
+
+module.exports = {
+  RadioSessions,
+  radioSessions,
+  RadioError,
+  parseSeed,
+  resolveSeed,
+  SEED_TYPES,
+  FEEDBACK_TYPES,
+  MAX_NEXT_COUNT,
+};
@@ -0,0 +1,262 @@
+/**
+ * Playback Rooms
+ *
+ * Real-time playback sync for a server-side play queue (see
+ * queues/playQueue.js): every client connected to the room of a queue gets
+ * the same play/pause/seek/track events, so several devices can listen
+ * together, or one device (role "remote") can control another ("player").
+ *
+ * The room keeps the playback state, the queue keeps the songs:
+ *
+ *   status      'playing' | 'paused'
+ *   itemId      current queue item
+ *   positionMs  position at `updatedAt` (server time, ms since epoch)
+ *
+ * A client gets the live position as positionMs + (serverNow - updatedAt)
+ * while playing. Every event carries `serverTime`, and `ping` answers with
+ * the server clock, so clients can correct for drift and clock offset.
+ *
+ * Rooms are transport-agnostic: a member is { send(message), close() };
+ * rooms/socket.js connects WebSocket clients. Rooms live in memory and
+ * disappear with their last member; the queue itself stays.
+ */
+
+const crypto = require('crypto');
+const playQueue = require('../queues/playQueue');
+const { queueStore } = require('../stores/queueStore');
+const { signedStreamUrl } = require('../utils/signedUrl');
+
+const MEMBER_ROLES = ['player', 'remote'];
+
+const COMMANDS = ['play', 'pause', 'seek', 'next', 'previous', 'jump', 'ping'];
+
+// Members per room
+const MAX_MEMBERS = 20;
+
+class RoomError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RoomError';
+    this.status = status;
+  }
+}
+
+function positionArg(value, required) {
+  if (value === undefined && !required) return null;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new RoomError('"positionMs" must be a number of milliseconds >= 0');
+  }
+  return Math.round(value);
+}
+
+class Rooms {
+  constructor({ store = queueStore } = {}) {
+    this.store = store;
+    this.rooms = new Map(); // queueId → room
+  }
+
+  /**
+   * Add a member to the room of `queue`, creating the room if needed.
+   * The new member gets the full state; the others get the member list.
+   *
+   * @param {object} queue   - Queue owned by `apiKey`
+   * @param {object} apiKey  - Key of the connection
+   * @param {{ role?: string, name?: string, send: Function, close: Function }} member
+   * @throws {RoomError}
+   */
+  join(queue, apiKey, { role = 'player', name = null, send, close }) {
+    if (!MEMBER_ROLES.includes(role)) {
+      throw new RoomError(`"role" must be one of: ${MEMBER_ROLES.join(', ')}`);
+    }
+
+    let room = this.rooms.get(queue.id);
+    if (!room) {
+      const item = queue.items[queue.currentIndex] || null;
+      room = {
+        queueId: queue.id,
+        apiKey,
+        members: new Map(),
+        playback: { status: 'paused', itemId: item?.itemId || null, positionMs: 0, updatedAt: Date.now() },
+      };
+      this.rooms.set(queue.id, room);
+    }
+    if (room.members.size >= MAX_MEMBERS) throw new RoomError(`A room holds at most ${MAX_MEMBERS} members`, 409);
+
+    const member = { id: crypto.randomBytes(6).toString('hex'), role, name, room, send, close };
+    room.members.set(member.id, member);
+
+    member.send({ type: 'state', memberId: member.id, ...this._state(room, queue), members: this._members(room) });
+    this._broadcast(room, { type: 'members', members: this._members(room) }, member);
+    return member;
+  }
+
+  leave(member) {
+    const { room } = member;
+    if (!room.members.delete(member.id)) return;
+    if (!room.members.size) this.rooms.delete(room.queueId);
+    else this._broadcast(room, { type: 'members', members: this._members(room) });
+  }
+
+  /**
+   * Run a command from a member and tell the room what changed.
+   *
+   *   play      { positionMs? }
+   *   pause     { positionMs? }
+   *   seek      { positionMs }
+   *   next      { itemId?, auto? }   itemId: the item the client was playing;
+   *   previous  { itemId? }          the command is ignored when another one is
+   *                                  current, so players ending a song at the
+   *                                  same time only advance once
+   *   jump      { index | itemId }
+   *   ping      { clientTime? }      answered with pong to the sender only
+   *
+   * @throws {RoomError}
+   */
+  handle(member, message = {}) {
+    const { room } = member;
+    const { type } = message;
+    if (!COMMANDS.includes(type)) throw new RoomError(`"type" must be one of: ${COMMANDS.join(', ')}`);
+
+    if (type === 'ping') {
+      return member.send({ type: 'pong', clientTime: message.clientTime ?? null, serverTime: Date.now() });
+    }
+
+    const queue = this._queue(room);
+    if (!queue) return;
+    const { playback } = room;
+    const now = Date.now();
+
+    if (type === 'play' || type === 'pause' || type === 'seek') {
+      const position = positionArg(message.positionMs, type === 'seek');
+      if (!playback.itemId) throw new RoomError('The queue is empty');
+      playback.positionMs = position ?? this._position(room, now);
+      if (type !== 'seek') playback.status = type === 'play' ? 'playing' : 'paused';
+      playback.updatedAt = now;
+      return this._broadcast(room, this._event(room, type, member));
+    }
+
+    const current = queue.items[queue.currentIndex]?.itemId || null;
+    if ((type === 'next' || type === 'previous') && message.itemId !== undefined && message.itemId !== current) {
+      return member.send({ type: 'state', ...this._state(room, queue) });
+    }
+
+    let ended = false;
+    try {
+      if (type === 'jump') playQueue.jump(queue, { index: message.index, itemId: message.itemId });
+      else ({ ended } = playQueue.step(queue, { direction: type === 'next' ? 1 : -1, auto: message.auto === true }));
+    } catch (err) {
+      if (err instanceof playQueue.QueueError) throw new RoomError(err.message, err.status);
+      throw err;
+    }
+
+    this.store.touch(queue);
+    const repeated = !ended && queue.items[queue.currentIndex]?.itemId === current;
+    this._changed(room, queue, member, { ended, restart: repeated && type !== 'jump' });
+  }
+
+  /**
+   * The queue changed outside the room (REST routes): follow its cursor.
+   */
+  queueChanged(queue) {
+    const room = this.rooms.get(queue.id);
+    if (room) this._changed(room, queue, null, {});
+  }
+
+  /**
+   * The queue was deleted: close its room.
+   */
+  queueDeleted(queueId) {
+    const room = this.rooms.get(queueId);
+    if (!room) return;
+    this.rooms.delete(queueId);
+    this._broadcast(room, { type: 'closed', reason: 'Queue deleted' });
+    for (const member of room.members.values()) member.close();
+  }
+
+  // ─── Internals ────────────────────────────────────
+
+  _queue(room) {
+    const queue = this.store.get(room.queueId);
+    if (!queue) this.queueDeleted(room.queueId);
+    return queue;
+  }
+
+  _position(room, now = Date.now()) {
+    const { playback } = room;
+    return playback.status === 'playing' ? playback.positionMs + (now - playback.updatedAt) : playback.positionMs;
+  }
+
+  /**
+   * Broadcast the new cursor: a track event when the current item changed
+   * (or restarts with repeat "one"), a queue event otherwise.
+   */
+  _changed(room, queue, member, { ended = false, restart = false }) {
+    const { playback } = room;
+    const item = queue.items[queue.currentIndex] || null;
+
+    if ((item?.itemId || null) === playback.itemId && !ended && !restart) {
+      return this._broadcast(room, this._queueEvent(room, queue, member));
+    }
+
+    playback.itemId = item?.itemId || null;
+    playback.positionMs = 0;
+    playback.updatedAt = Date.now();
+    if (ended || !item) playback.status = 'paused';
+
+    this._broadcast(room, { ...this._event(room, 'track', member), ...this._track(room, item), ended });
+    this._broadcast(room, this._queueEvent(room, queue, member));
+  }
+
+  _event(room, type, member) {
+    const { playback } = room;
+    return {
+      type,
+      by: member?.id || null,
+      serverTime: Date.now(),
+      playback: { ...playback },
+    };
+  }
+
+  _queueEvent(room, queue, member) {
+    return {
+      type: 'queue',
+      by: member?.id || null,
+      serverTime: Date.now(),
+      queue: playQueue.describeQueue(queue, { summary: true }),
+    };
+  }
+
+  /**
+   * Current item plus a signed /api/stream/play URL when the key may stream.
+   */
+  _track(room, item) {
+    const streamUrl = item && room.apiKey.scopes?.includes('stream')
+      ? signedStreamUrl('play', { videoId: item.videoId }, 'videoId', room.apiKey.id).url
+      : null;
+    return { item, streamUrl };
+  }
+
+  _state(room, queue) {
+    const item = queue.items.find((candidate) => candidate.itemId === room.playback.itemId) || null;
+    return {
+      serverTime: Date.now(),
+      playback: { ...room.playback },
+      ...this._track(room, item),
+      queue: playQueue.describeQueue(queue, { summary: true }),
+    };
+  }
+
+  _members(room) {
+    return [...room.members.values()].map(({ id, role, name }) => ({ id, role, name }));
+  }
+
+  _broadcast(room, message, except = null) {
+    for (const member of room.members.values()) {
+      if (member !== except) member.send(message);
+    }
+  }
+}
+
+const rooms = new Rooms();
+
+module.exports = { Rooms, rooms, RoomError, MEMBER_ROLES, COMMANDS, MAX_MEMBERS };
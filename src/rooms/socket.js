@@ -0,0 +1,168 @@
+/**
+ * Room WebSocket
+ *
+ * Connects WebSocket clients to playback rooms (see rooms/index.js):
+ *
+ *   ws://host/api/rooms/<queueId>?role=player|remote&name=Kitchen
+ *
+ * The upgrade request is authenticated like any other API call, with an
+ * "Authorization: Bearer <token>" header. Browsers can't set headers on a
+ * WebSocket, so they connect with the signed URL from
+ * GET /api/queues/:id/room instead (exp, kid, sig; see utils/signedUrl.js).
+ * Either way the key needs the "read" scope and must own the queue.
+ *
+ * Messages are JSON in both directions; errors go back to the sender as
+ * { type: "error", error }.
+ */
+
+const { WebSocketServer } = require('ws');
+const { readBearerToken, authenticate } = require('../middleware/auth');
+const { keyStore } = require('../stores/keyStore');
+const { verifyStreamParams } = require('../utils/signedUrl');
+const { rooms: defaultRooms, RoomError } = require('./index');
+
+const ROOM_PATH = /^\/api\/rooms\/([^/]+)$/;
+
+// Max size of one client message, in bytes
+const MAX_MESSAGE_SIZE = 16 * 1024;
+
+// Sockets that don't answer a ping within this interval are dropped
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+const STATUS_TEXT = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict', 500: 'Internal Server Error' };
+
+/**
+ * Answer an upgrade request with a plain HTTP error in the API's JSON format.
+ */
+function rejectUpgrade(socket, status, error) {
+  const body = JSON.stringify({ success: false, error });
+  socket.end(
+    `HTTP/1.1 ${status} ${STATUS_TEXT[status]}\r\n`
+    + 'Content-Type: application/json\r\n'
+    + `Content-Length: ${Buffer.byteLength(body)}\r\n`
+    + 'Connection: close\r\n\r\n'
+    + body,
+  );
+}
+
+/**
+ * API key of an upgrade request: bearer header, or a signed URL for the room.
+ *
+ * @returns {{ apiKey: object } | { status: number, error: string }}
+ */
+function upgradeKey(req, queueId, query) {
+  if (req.headers.authorization || !query.sig) {
+    const { token, error } = readBearerToken(req.headers.authorization);
+    if (!token) return { status: 401, error };
+    return authenticate(token);
+  }
+
+  const result = verifyStreamParams('room', queueId, query);
+  if (!result.valid) return { status: result.status, error: result.error };
+
+  const apiKey = keyStore.get(result.kid);
+  if (!apiKey) return { status: 403, error: 'Signing key has been revoked' };
+  keyStore.touch(apiKey.id);
+  return { apiKey };
+}
+
+/**
+ * Handle room upgrades on an HTTP server. Other upgrade requests are
+ * rejected with 404.
+ *
+ * @param {import('http').Server} server
+ * @param {import('./index').Rooms} [rooms]
+ * @returns {WebSocketServer}
+ */
+function attachRoomSocket(server, rooms = defaultRooms) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+  server.on('upgrade', (req, socket, head) => {
+    // Anything thrown in this listener would end the process: reject malformed URLs here
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      return rejectUpgrade(socket, 400, 'Invalid URL');
+    }
+    const match = url.pathname.match(ROOM_PATH);
+    if (!match) return rejectUpgrade(socket, 404, `Route not found: ${url.pathname}`);
+
+    let queueId;
+    try {
+      queueId = decodeURIComponent(match[1]);
+    } catch {
+      return rejectUpgrade(socket, 400, 'Invalid room id');
+    }
+    const query = Object.fromEntries(url.searchParams);
+    const { apiKey, status, error } = upgradeKey(req, queueId, query);
+    if (!apiKey) return rejectUpgrade(socket, status, error);
+    if (!apiKey.scopes?.includes('read')) {
+      return rejectUpgrade(socket, 403, 'API key is missing required scope "read"');
+    }
+
+    const queue = rooms.store.get(queueId);
+    if (!queue || queue.keyId !== apiKey.id) return rejectUpgrade(socket, 404, 'Queue not found');
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const send = (message) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+      };
+
+      let member;
+      try {
+        member = rooms.join(queue, apiKey, {
+          role: query.role || undefined,
+          name: query.name ? query.name.slice(0, 100) : null,
+          send,
+          close: () => ws.close(1000, 'Queue deleted'),
+        });
+      } catch (err) {
+        if (!(err instanceof RoomError)) throw err;
+        send({ type: 'error', error: err.message });
+        return ws.close(1008, err.message);
+      }
+
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+      ws.on('close', () => rooms.leave(member));
+
+      ws.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString('utf8'));
+        } catch {
+          message = null;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+          return send({ type: 'error', error: 'Messages must be JSON objects' });
+        }
+
+        try {
+          rooms.handle(member, message);
+        } catch (err) {
+          if (err instanceof RoomError) return send({ type: 'error', error: err.message });
+          console.error('[ROOMS]', err.message);
+          send({ type: 'error', error: 'Internal error' });
+        }
+      });
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = { attachRoomSocket, ROOM_PATH };
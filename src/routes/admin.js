@@ -0,0 +1,120 @@
+/**
+ * Admin Routes
+ * Manage API keys at runtime (issue, list, scope, rotate, revoke).
+ * Mounted behind adminAuthMiddleware (ADMIN_TOKEN master key).
+ */
+
+const express = require('express');
+const { keyStore, SCOPES } = require('../stores/keyStore');
+const { forgetYouTube } = require('../innertube/accounts');
+
+const router = express.Router();
+
+// ─── Helper ─────────────────────────────────────────
+
+/**
+ * Returns an error message when `scopes` is not a list of known scopes, null otherwise.
+ */
+function validateScopes(scopes) {
+  if (scopes === undefined) return null;
+  if (!Array.isArray(scopes)) return '"scopes" must be an array';
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length) return `Unknown scopes: ${unknown.join(', ')}. Allowed: ${SCOPES.join(', ')}`;
+  return null;
+}
+
+function envKeyError(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'The default key is managed by the BEARER_TOKEN environment variable',
+  });
+}
+
+// ─── Keys ───────────────────────────────────────────
+
+/**
+ * GET /api/admin/keys
+ */
+router.get('/keys', (req, res) => {
+  const keys = keyStore.list().map((key) => keyStore.describe(key));
+  res.json({ success: true, data: { keys, scopes: SCOPES } });
+});
+
+/**
+ * GET /api/admin/keys/:id
+ */
+router.get('/keys/:id', (req, res) => {
+  const key = keyStore.get(req.params.id);
+  if (!key) return res.status(404).json({ success: false, error: 'Key not found' });
+  res.json({ success: true, data: keyStore.describe(key) });
+});
+
+/**
+ * POST /api/admin/keys
+ * Body: { id?, name?, scopes?: [...], cookie?, visitorData?, dataSyncId? }
+ * The token is only returned here and on rotation.
+ */
+router.post('/keys', (req, res) => {
+  const { id, name, scopes, cookie, visitorData, dataSyncId } = req.body || {};
+  const scopeError = validateScopes(scopes);
+  if (scopeError) return res.status(400).json({ success: false, error: scopeError });
+  if (id && keyStore.get(String(id))) {
+    return res.status(409).json({ success: false, error: `Key "${id}" already exists` });
+  }
+
+  const key = keyStore.create({ id, name, scopes, cookie, visitorData, dataSyncId });
+  res.status(201).json({ success: true, data: { ...keyStore.describe(key), token: key.token } });
+});
+
+/**
+ * PATCH /api/admin/keys/:id
+ * Body: { name?, scopes?, cookie?, visitorData?, dataSyncId? }
+ */
+router.patch('/keys/:id', (req, res) => {
+  const { id } = req.params;
+  if (keyStore.isEnvKey(id)) return envKeyError(res);
+
+  const scopeError = validateScopes(req.body?.scopes);
+  if (scopeError) return res.status(400).json({ success: false, error: scopeError });
+
+  const key = keyStore.update(id, req.body || {});
+  if (!key) return res.status(404).json({ success: false, error: 'Key not found' });
+  res.json({ success: true, data: keyStore.describe(key) });
+});
+
+/**
+ * POST /api/admin/keys/:id/rotate
+ */
+router.post('/keys/:id/rotate', (req, res) => {
+  const { id } = req.params;
+  if (keyStore.isEnvKey(id)) return envKeyError(res);
+
+  const key = keyStore.rotate(id);
+  if (!key) return res.status(404).json({ success: false, error: 'Key not found' });
+  res.json({ success: true, data: { ...keyStore.describe(key), token: key.token } });
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ */
+router.delete('/keys/:id', (req, res) => {
+  const { id } = req.params;
+  if (keyStore.isEnvKey(id)) return envKeyError(res);
+
+  if (!keyStore.revoke(id)) return res.status(404).json({ success: false, error: 'Key not found' });
+  forgetYouTube(id);
+  res.json({ success: true });
+});
+
+// ─── Error handler ──────────────────────────────────
+
+router.use((err, req, res, _next) => {
+  console.error(`[ADMIN_ROUTE_ERROR] ${req.method} ${req.path}:`, err.message);
+  res.status(500).json({
+    success: false,
+    error: err.message,
+    ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+/**
+ * Job Routes
+ * List, inspect and cancel background jobs (see jobs/queue.js), and start
+ * album/playlist ZIP downloads.
+ * Mounted behind authMiddleware; needs the "read" scope, and a key only
+ * sees its own jobs.
+ */
+
+const express = require('express');
+const requireScope = require('../middleware/scopes');
+const { jobStore, JOB_STATUSES } = require('../stores/jobStore');
+const { jobQueue } = require('../jobs');
+const { parseBitrate } = require('../utils/ffmpeg');
+const { DOWNLOAD_FORMATS } = require('../utils/tagging');
+
+const router = express.Router();
+
+const canRead = requireScope('read');
+const canStream = requireScope('stream');
+
+// ─── Helper ─────────────────────────────────────────
+
+/**
+ * Public view of a job (no owner, file system paths or import input).
+ * List views leave out per-track and per-row details.
+ */
+function describeJob(job, { summary = false } = {}) {
+  const { keyId, result, entries, ...rest } = job;
+  if (summary) {
+    delete rest.tracks;
+    delete rest.rows;
+  }
+  return {
+    ...rest,
+    result: result ? { filename: result.filename, size: result.size } : null,
+    resultUrl: job.status === 'completed' && result ? `/api/jobs/${job.id}/result` : null,
+  };
+}
+
+function findOwnJob(req, res) {
+  const job = jobStore.get(req.params.id);
+  if (!job || job.keyId !== req.apiKey.id) {
+    res.status(404).json({ success: false, error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+router.use(canRead);
+
+// ─── Jobs ───────────────────────────────────────────
+
+/**
+ * POST /api/jobs/download
+ * Body: { browseId: "MPREb..." } or { playlistId: "PL..." }, plus optional { format: "mp3", bitrate: 192 }
+ */
+router.post('/download', canStream, (req, res) => {
+  const { browseId, playlistId, format = 'mp3', bitrate: rawBitrate } = req.body || {};
+
+  if (!browseId === !playlistId) {
+    return res.status(400).json({ success: false, error: 'Exactly one of browseId or playlistId is required' });
+  }
+  if (!DOWNLOAD_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `"format" must be one of: ${DOWNLOAD_FORMATS.join(', ')}` });
+  }
+  const bitrate = parseBitrate(rawBitrate);
+  if (bitrate === null) {
+    return res.status(400).json({ success: false, error: '"bitrate" must be a number (kbps)' });
+  }
+
+  const source = browseId ? { type: 'album', id: browseId } : { type: 'playlist', id: playlistId };
+  const job = jobQueue.enqueue('download', req.apiKey.id, {
+    source,
+    format,
+    bitrate,
+    title: null,
+    progress: { total: 0, done: 0, failed: 0 },
+    tracks: [],
+  });
+
+  res.status(202).json({ success: true, data: describeJob(job) });
+});
+
+/**
+ * GET /api/jobs?status=running&type=download
+ * The caller's jobs, newest first (without per-track details).
+ */
+router.get('/', (req, res) => {
+  const { status, type } = req.query;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `"status" must be one of: ${JOB_STATUSES.join(', ')}` });
+  }
+
+  const jobs = jobStore.list({ keyId: req.apiKey.id, status, type })
+    .map((job) => describeJob(job, { summary: true }));
+  res.json({ success: true, data: { jobs } });
+});
+
+/**
+ * GET /api/jobs/:id
+ */
+router.get('/:id', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+  res.json({ success: true, data: describeJob(job) });
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Queued jobs are cancelled at once; running jobs stop at their next checkpoint.
+ */
+router.post('/:id/cancel', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+
+  const cancelled = jobQueue.cancel(job.id);
+  if (!cancelled) {
+    return res.status(409).json({ success: false, error: `Job is already ${job.status}`, data: describeJob(job) });
+  }
+  res.status(202).json({ success: true, data: describeJob(cancelled) });
+});
+
+/**
+ * GET /api/jobs/:id/result
+ * Downloads the finished ZIP.
+ */
+router.get('/:id/result', canStream, (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+
+  if (job.status === 'completed' && !job.result) {
+    return res.status(404).json({ success: false, error: 'This job has no result file', data: describeJob(job) });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ success: false, error: `Job is ${job.status}`, data: describeJob(job) });
+  }
+
+  res.download(job.result.path, job.result.filename, {
+    headers: { 'Content-Type': 'application/zip' },
+  }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(410).json({ success: false, error: 'Job result is no longer available' });
+    }
+  });
+});
+
+module.exports = router;
+module.exports.describeJob = describeJob;
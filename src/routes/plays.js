@@ -0,0 +1,69 @@
+/**
+ * Play Routes
+ * Local listening history (see plays/index.js). Mounted behind
+ * authMiddleware; a key only sees its own plays.
+ */
+
+const express = require('express');
+const requireScope = require('../middleware/scopes');
+const { getYouTube } = require('../innertube/accounts');
+const { playStore } = require('../stores/playStore');
+const { PlayError, parsePlays, recordPlays } = require('../plays');
+
+const router = express.Router();
+
+const canRead = requireScope('read');
+
+const MAX_LIST_LIMIT = 500;
+
+// ─── Helper ─────────────────────────────────────────
+
+function wrapAsync(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+router.use(canRead);
+
+// ─── Plays ──────────────────────────────────────────
+
+/**
+ * POST /api/plays
+ * Body: { videoId, playedAt?, listenedMs?, clientId? } or { plays: [...] }
+ * Stores the plays with a metadata snapshot of each song.
+ */
+router.post('/', wrapAsync(async (req, res) => {
+  let entries;
+  try {
+    entries = parsePlays(req.body || {});
+  } catch (err) {
+    if (err instanceof PlayError) return res.status(err.status).json({ success: false, error: err.message });
+    throw err;
+  }
+
+  const { plays, unavailable } = await recordPlays(getYouTube(req.apiKey), req.apiKey.id, entries);
+  if (!plays.length) {
+    return res.status(404).json({ success: false, error: 'None of the songs could be found', unavailable });
+  }
+  res.status(201).json({ success: true, data: { plays, unavailable } });
+}));
+
+/**
+ * GET /api/plays?limit=50&before=2026-10-01T00:00:00Z
+ * Most recent plays first.
+ */
+router.get('/', (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return res.status(400).json({ success: false, error: `"limit" must be an integer between 1 and ${MAX_LIST_LIMIT}` });
+  }
+  if (req.query.before !== undefined && Number.isNaN(Date.parse(req.query.before))) {
+    return res.status(400).json({ success: false, error: '"before" must be an ISO date' });
+  }
+
+  const plays = playStore.list(req.apiKey.id, { until: req.query.before || null });
+  res.json({ success: true, data: plays.slice(-limit).reverse() });
+});
+
+module.exports = router;
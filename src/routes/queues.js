@@ -0,0 +1,229 @@
+/**
+ * Queue Routes
+ * Server-side play queues (see queues/playQueue.js), stored per API key in
+ * stores/queueStore.js. Mounted behind authMiddleware; a key only sees its
+ * own queues. Changes are pushed to the queue's playback room (rooms/).
+ */
+
+const express = require('express');
+const requireScope = require('../middleware/scopes');
+const { getYouTube } = require('../innertube/accounts');
+const { queueStore } = require('../stores/queueStore');
+const { signStreamParams } = require('../utils/signedUrl');
+const playQueue = require('../queues/playQueue');
+const { rooms } = require('../rooms');
+
+const { QueueError } = playQueue;
+
+const router = express.Router();
+
+const canRead = requireScope('read');
+
+// ─── Helper ─────────────────────────────────────────
+
+function wrapAsync(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Run `fn`, answering QueueErrors with their status.
+ */
+function queueErrors(fn) {
+  return wrapAsync(async (req, res, next) => {
+    try {
+      await fn(req, res, next);
+    } catch (err) {
+      if (err instanceof QueueError) return res.status(err.status).json({ success: false, error: err.message });
+      throw err;
+    }
+  });
+}
+
+function findOwnQueue(req, res) {
+  const queue = queueStore.get(req.params.id);
+  if (!queue || queue.keyId !== req.apiKey.id) {
+    res.status(404).json({ success: false, error: 'Queue not found' });
+    return null;
+  }
+  return queue;
+}
+
+/**
+ * Route handler that changes the caller's queue. `prepare(req)` validates the
+ * request and does any lookups, then returns `apply(queue)`, which changes
+ * the queue and may return extra fields for the response.
+ */
+function updateQueue(prepare) {
+  return queueErrors(async (req, res) => {
+    if (!findOwnQueue(req, res)) return;
+    const apply = await prepare(req);
+    // Look the queue up again: it may have been deleted while `prepare` awaited
+    const queue = findOwnQueue(req, res);
+    if (!queue) return;
+
+    const extra = apply(queue);
+    queueStore.touch(queue);
+    rooms.queueChanged(queue);
+    res.json({ success: true, data: { ...playQueue.describeQueue(queue), ...extra } });
+  });
+}
+
+router.use(canRead);
+
+// ─── Queues ─────────────────────────────────────────
+
+/**
+ * POST /api/queues
+ * Body: exactly one of { videoIds: [...] }, { playlistId } or { browseId } (album),
+ *       plus optional { name, startIndex, shuffle, repeat: "off" | "all" | "one" }
+ */
+router.post('/', queueErrors(async (req, res) => {
+  const body = req.body || {};
+  if (body.name !== undefined && typeof body.name !== 'string') throw new QueueError('"name" must be a string');
+  if (body.shuffle !== undefined && typeof body.shuffle !== 'boolean') throw new QueueError('"shuffle" must be a boolean');
+
+  const yt = getYouTube(req.apiKey);
+  const source = await playQueue.sourceVideoIds(yt, body);
+  const { tracks, unavailable } = await playQueue.resolveTracks(yt, source.videoIds);
+  if (!tracks.length) throw new QueueError('None of the songs could be found', 404);
+
+  const fields = playQueue.newQueue(tracks, {
+    startIndex: body.startIndex,
+    shuffle: body.shuffle,
+    repeat: body.repeat,
+  });
+  const queue = queueStore.create(req.apiKey.id, { name: body.name || source.name, ...fields });
+
+  res.status(201).json({
+    success: true,
+    data: { ...playQueue.describeQueue(queue), unavailable, truncated: source.truncated },
+  });
+}));
+
+/**
+ * GET /api/queues
+ * The caller's queues (without items), most recently changed first.
+ */
+router.get('/', (req, res) => {
+  const queues = queueStore.list(req.apiKey.id).map((queue) => playQueue.describeQueue(queue, { summary: true }));
+  res.json({ success: true, data: queues });
+});
+
+/**
+ * GET /api/queues/:id
+ */
+router.get('/:id', (req, res) => {
+  const queue = findOwnQueue(req, res);
+  if (!queue) return;
+  res.json({ success: true, data: playQueue.describeQueue(queue) });
+});
+
+/**
+ * DELETE /api/queues/:id
+ */
+router.delete('/:id', (req, res) => {
+  if (!findOwnQueue(req, res)) return;
+  queueStore.remove(req.params.id);
+  rooms.queueDeleted(req.params.id);
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/queues/:id/room?ttl=3600
+ * Signed WebSocket URL of the queue's playback room, for clients that can't
+ * send an Authorization header (see rooms/socket.js).
+ */
+router.get('/:id/room', (req, res) => {
+  const queue = findOwnQueue(req, res);
+  if (!queue) return;
+
+  const params = signStreamParams('room', queue.id, req.apiKey.id, req.query.ttl);
+  res.json({
+    success: true,
+    data: {
+      url: `/api/rooms/${encodeURIComponent(queue.id)}?${new URLSearchParams(params)}`,
+      expiresAt: new Date(params.exp * 1000).toISOString(),
+    },
+  });
+});
+
+// ─── Items ──────────────────────────────────────────
+
+/**
+ * POST /api/queues/:id/items
+ * Body: { videoIds: [...], playNext: false }
+ * Appends the songs, or inserts them after the current one with playNext.
+ */
+router.post('/:id/items', updateQueue(async (req) => {
+  const { videoIds, playNext = false } = req.body || {};
+  if (typeof playNext !== 'boolean') throw new QueueError('"playNext" must be a boolean');
+
+  const { tracks, unavailable } = await playQueue.resolveTracks(getYouTube(req.apiKey), playQueue.videoIdList(videoIds));
+  return (queue) => ({ added: playQueue.addItems(queue, tracks, { playNext }), unavailable });
+}));
+
+/**
+ * DELETE /api/queues/:id/items/:itemId
+ */
+router.delete('/:id/items/:itemId', updateQueue((req) => (queue) => {
+  playQueue.removeItem(queue, req.params.itemId);
+}));
+
+/**
+ * POST /api/queues/:id/items/:itemId/move
+ * Body: { toIndex: 3 }
+ */
+router.post('/:id/items/:itemId/move', updateQueue((req) => (queue) => {
+  playQueue.moveItem(queue, req.params.itemId, req.body?.toIndex);
+}));
+
+// ─── Playback ───────────────────────────────────────
+
+/**
+ * POST /api/queues/:id/shuffle
+ * Body: { enabled: true }
+ * Turning shuffle off restores the order from before it was turned on.
+ */
+router.post('/:id/shuffle', updateQueue((req) => {
+  const { enabled } = req.body || {};
+  if (typeof enabled !== 'boolean') throw new QueueError('"enabled" must be a boolean');
+  return (queue) => {
+    playQueue.setShuffle(queue, enabled);
+  };
+}));
+
+/**
+ * POST /api/queues/:id/repeat
+ * Body: { mode: "off" | "all" | "one" }
+ */
+router.post('/:id/repeat', updateQueue((req) => (queue) => {
+  playQueue.setRepeat(queue, req.body?.mode);
+}));
+
+/**
+ * POST /api/queues/:id/jump
+ * Body: { index: 4 } or { itemId: "..." }
+ */
+router.post('/:id/jump', updateQueue((req) => (queue) => {
+  playQueue.jump(queue, req.body || {});
+}));
+
+/**
+ * POST /api/queues/:id/next
+ * Body: { auto: false } — set auto when the current song ended by itself,
+ * so repeat "one" plays it again.
+ */
+router.post('/:id/next', updateQueue((req) => (queue) => (
+  playQueue.step(queue, { direction: 1, auto: req.body?.auto === true })
+)));
+
+/**
+ * POST /api/queues/:id/previous
+ */
+router.post('/:id/previous', updateQueue(() => (queue) => (
+  playQueue.step(queue, { direction: -1 })
+)));
+
+module.exports = router;
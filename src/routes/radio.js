@@ -0,0 +1,109 @@
+/**
+ * Radio Routes
+ * Server-side radio sessions (see radio/index.js).
+ * Mounted behind authMiddleware; a key only sees its own sessions.
+ */
+
+const express = require('express');
+const requireScope = require('../middleware/scopes');
+const { getYouTube } = require('../innertube/accounts');
+const { radioSessions, RadioError, parseSeed, MAX_NEXT_COUNT } = require('../radio');
+
+const router = express.Router();
+
+const canRead = requireScope('read');
+
+// ─── Helper ─────────────────────────────────────────
+
+function wrapAsync(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Run `fn`, answering RadioErrors with their status.
+ */
+function radioErrors(fn) {
+  return wrapAsync(async (req, res, next) => {
+    try {
+      await fn(req, res, next);
+    } catch (err) {
+      if (err instanceof RadioError) return res.status(err.status).json({ success: false, error: err.message });
+      throw err;
+    }
+  });
+}
+
+function findOwnSession(req, res) {
+  const session = radioSessions.get(req.params.id, req.apiKey.id);
+  if (!session) {
+    res.status(404).json({ success: false, error: 'Radio session not found or expired' });
+    return null;
+  }
+  return session;
+}
+
+router.use(canRead);
+
+// ─── Sessions ───────────────────────────────────────
+
+/**
+ * POST /api/radio
+ * Body: exactly one of { videoId }, { playlistId }, { artistId } or { mood: { browseId, params } }
+ */
+router.post('/', radioErrors(async (req, res) => {
+  const seed = parseSeed(req.body || {});
+  const session = await radioSessions.create(getYouTube(req.apiKey), req.apiKey.id, seed);
+  res.status(201).json({ success: true, data: radioSessions.describe(session) });
+}));
+
+/**
+ * GET /api/radio/:id
+ */
+router.get('/:id', (req, res) => {
+  const session = findOwnSession(req, res);
+  if (!session) return;
+  res.json({ success: true, data: radioSessions.describe(session) });
+});
+
+/**
+ * GET /api/radio/:id/next?count=10
+ * The next songs of the radio; never repeats a song within the session.
+ */
+router.get('/:id/next', radioErrors(async (req, res) => {
+  const count = req.query.count === undefined ? 10 : Number(req.query.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_NEXT_COUNT) {
+    return res.status(400).json({ success: false, error: `"count" must be an integer between 1 and ${MAX_NEXT_COUNT}` });
+  }
+  const session = findOwnSession(req, res);
+  if (!session) return;
+
+  const tracks = await radioSessions.next(getYouTube(req.apiKey), session, count);
+  res.json({ success: true, data: { sessionId: session.id, tracks, expiresAt: new Date(session.expiresAt).toISOString() } });
+}));
+
+/**
+ * POST /api/radio/:id/feedback
+ * Body: { videoId: "...", type: "skip" | "dislike" }
+ */
+router.post('/:id/feedback', radioErrors(async (req, res) => {
+  const session = findOwnSession(req, res);
+  if (!session) return;
+
+  const { videoId, type } = req.body || {};
+  radioSessions.feedback(session, videoId, type);
+  res.json({ success: true, data: radioSessions.describe(session) });
+}));
+
+/**
+ * DELETE /api/radio/:id
+ */
+router.delete('/:id', (req, res) => {
+  if (!radioSessions.delete(req.params.id, req.apiKey.id)) {
+    return res.status(404).json({ success: false, error: 'Radio session not found or expired' });
+  }
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+/**
+ * Stats Routes
+ * Listening stats over the local play history (see plays/stats.js) and
+ * the monthly/yearly report (see plays/report.js).
+ * Mounted behind authMiddleware; a key only sees its own stats.
+ */
+
+const express = require('express');
+const requireScope = require('../middleware/scopes');
+const { getYouTube } = require('../innertube/accounts');
+const { playStore } = require('../stores/playStore');
+const { PlayError } = require('../plays');
+const stats = require('../plays/stats');
+const { parsePeriod, buildReport, addThumbnails } = require('../plays/report');
+const { genreIndex } = require('../plays/genres');
+const { renderReportCard } = require('../plays/reportCard');
+
+const router = express.Router();
+
+const canRead = requireScope('read');
+
+const MAX_TOP_LIMIT = 100;
+
+// ─── Helper ─────────────────────────────────────────
+
+function wrapAsync(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Parse ?range=7d|30d|all (default 30d), ?limit= and ?tz= (IANA zone,
+ * default UTC). Sends a 400 and returns undefined when one is invalid.
+ */
+function statsQuery(req, res) {
+  const { range = '30d', tz: timeZone = 'UTC' } = req.query;
+  if (!Object.hasOwn(stats.STATS_RANGES, range)) {
+    res.status(400).json({ success: false, error: `"range" must be one of: ${Object.keys(stats.STATS_RANGES).join(', ')}` });
+    return undefined;
+  }
+  if (!stats.isTimeZone(timeZone)) {
+    res.status(400).json({ success: false, error: '"tz" must be an IANA time zone, e.g. Europe/Madrid' });
+    return undefined;
+  }
+
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_LIMIT) {
+    res.status(400).json({ success: false, error: `"limit" must be an integer between 1 and ${MAX_TOP_LIMIT}` });
+    return undefined;
+  }
+
+  return { range, since: stats.rangeStart(range), limit, timeZone };
+}
+
+router.use(canRead);
+
+// ─── Top lists ──────────────────────────────────────
+
+const TOP_LISTS = {
+  'top-tracks': stats.topTracks,
+  'top-artists': stats.topArtists,
+  'top-albums': stats.topAlbums,
+};
+
+/**
+ * GET /api/stats/top-tracks?range=7d|30d|all&limit=10
+ * GET /api/stats/top-artists?range=...
+ * GET /api/stats/top-albums?range=...
+ * Most played first, ties broken by listening time.
+ */
+for (const [name, top] of Object.entries(TOP_LISTS)) {
+  router.get(`/${name}`, (req, res) => {
+    const query = statsQuery(req, res);
+    if (!query) return;
+
+    const plays = playStore.list(req.apiKey.id, { since: query.since });
+    res.json({
+      success: true,
+      data: {
+        range: query.range,
+        since: query.since?.toISOString() || null,
+        totalPlays: plays.length,
+        items: top(plays, query.limit),
+      },
+    });
+  });
+}
+
+// ─── Timeline ───────────────────────────────────────
+
+/**
+ * GET /api/stats/timeline?range=30d&tz=Europe/Madrid
+ * Plays and listening time per day, empty days included.
+ */
+router.get('/timeline', (req, res) => {
+  const query = statsQuery(req, res);
+  if (!query) return;
+
+  const plays = playStore.list(req.apiKey.id, { since: query.since });
+  const days = stats.timeline(plays, { since: query.since, timeZone: query.timeZone });
+  res.json({
+    success: true,
+    data: {
+      range: query.range,
+      timeZone: query.timeZone,
+      totalPlays: plays.length,
+      totalListenedMs: days.reduce((total, day) => total + day.listenedMs, 0),
+      days,
+    },
+  });
+});
+
+// ─── Report ─────────────────────────────────────────
+
+/**
+ * GET /api/stats/report?period=2026-09&tz=Europe/Madrid&format=json|svg
+ * Month (YYYY-MM) or year (YYYY) summary: minutes, top 5 songs, artists and
+ * albums, streaks, new artists and genre mix. format=svg returns a shareable
+ * card. The genre mix is null when the genre index can't be built.
+ */
+router.get('/report', wrapAsync(async (req, res) => {
+  const { period, tz: timeZone = 'UTC', format = 'json' } = req.query;
+  if (!stats.isTimeZone(timeZone)) {
+    return res.status(400).json({ success: false, error: '"tz" must be an IANA time zone, e.g. Europe/Madrid' });
+  }
+  if (!['json', 'svg'].includes(format)) {
+    return res.status(400).json({ success: false, error: '"format" must be one of: json, svg' });
+  }
+
+  const yt = getYouTube(req.apiKey);
+  let report;
+  try {
+    parsePeriod(period); // before waiting on the genre index
+    const genres = await genreIndex(yt).catch((err) => {
+      console.warn('[GENRE_INDEX_ERROR]', err.message);
+      return null;
+    });
+    report = buildReport(playStore.list(req.apiKey.id), { period, timeZone, genres });
+  } catch (err) {
+    if (err instanceof PlayError) return res.status(err.status).json({ success: false, error: err.message });
+    throw err;
+  }
+
+  if (format === 'svg') {
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="report-${report.period}.svg"`);
+    return res.send(renderReportCard(report));
+  }
+
+  await addThumbnails(yt, report);
+  res.json({ success: true, data: report });
+}));
+
+module.exports = router;
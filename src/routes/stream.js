@@ -3,38 +3,83 @@
  *
  * Endpoint 1: Extract streamable audio URL using youtubei.js (Innertube)
  * Endpoint 2: Proxy/stream the extracted audio URL in real-time
+ *
+ * JSON endpoints require a Bearer token with the "stream" scope.
+ * /play and /proxy also accept HMAC-signed URLs minted by /sign,
+ * so they can be used directly as an <audio> src.
  */
 
 const express = require("express");
 const { execFile } = require("child_process");
 const path = require("path");
-const axios = require("axios");
 const router = express.Router();
 const fs = require("fs");
-const { Innertube, UniversalCache, Platform } = require('youtubei.js');
-
-Platform.shim.eval = async (data, env) => {
-    const properties = [];
-    if (env.n) properties.push(`n: exportedVars.nFunction("${env.n}")`);
-    if (env.sig) properties.push(`sig: exportedVars.sigFunction("${env.sig}")`);
-    const code = `${data.output}\nreturn { ${properties.join(', ')} }`;
-    return new Function(code)();
-};
-
-
-// Lazy singleton for Innertube instance
-let _innertube = null;
-async function getInnertube() {
-  if (!_innertube) {
-    _innertube = await Innertube.create({
-      cache: new UniversalCache(false),
-      generate_session_locally: true,
-      cookie: process.env.YT_COOKIE || '',
+const os = require("os");
+const authMiddleware = require("../middleware/auth");
+const requireScope = require("../middleware/scopes");
+const streamAuth = require("../middleware/streamAuth");
+const { signStreamParams, signedStreamUrl } = require("../utils/signedUrl");
+const { ProxyBlockedError } = require("../utils/proxyGuard");
+const { AUDIO_QUALITIES, AUDIO_CODECS } = require("../utils/audioFormat");
+const {
+  streamUrlCache,
+  extractStream,
+  resetInnertube,
+  fetchUpstream,
+} = require("../utils/streamExtract");
+const {
+  TRANSCODE_FORMATS,
+  transcodeArgs,
+  parseBitrate,
+  spawnFfmpeg,
+  acquireTranscodeSlot,
+  waitForTranscodeSlot,
+} = require("../utils/ffmpeg");
+const {
+  HLS_VARIANTS,
+  segmentCount,
+  masterPlaylist,
+  mediaPlaylist,
+  HlsSegmentCache,
+} = require("../utils/hls");
+const {
+  DOWNLOAD_FORMATS,
+  fetchTrackMetadata,
+  fetchCoverArt,
+  writeTaggedFile,
+  downloadFilename,
+} = require("../utils/tagging");
+const { getYouTube } = require("../innertube/accounts");
+const { recordStreamedPlay } = require("../plays");
+
+const canStream = requireScope("stream");
+
+// ─── Format Selection ───────────────────────────────
+
+/**
+ * Read and validate the ?quality=low|medium|high&codec=opus|aac preferences.
+ * Returns null (after sending a 400) when a value is invalid.
+ */
+function parseAudioPreferences(req, res) {
+  const { quality = "high", codec } = req.query;
+
+  if (!AUDIO_QUALITIES.includes(quality)) {
+    res.status(400).json({
+      success: false,
+      error: `"quality" must be one of: ${AUDIO_QUALITIES.join(", ")}`,
     });
+    return null;
+  }
+  if (codec && !AUDIO_CODECS[codec]) {
+    res.status(400).json({
+      success: false,
+      error: `"codec" must be one of: ${Object.keys(AUDIO_CODECS).join(", ")}`,
+    });
+    return null;
   }
-  return _innertube;
-}
 
+  return { quality, codec: codec || null };
+}
 
 // yt-dlp binary path
 const YTDLP_PATH =
@@ -47,6 +92,18 @@ function getCookieArgs() {
   return [];
 }
 
+/**
+ * Structured 403 for a rejected proxy target.
+ */
+function sendProxyBlocked(res, err) {
+  return res.status(err.status).json({
+    success: false,
+    error: `Proxy target not allowed: ${err.message}`,
+    code: err.code,
+    host: err.host,
+  });
+}
+
 /**
  * Execute yt-dlp and return the result.
  */
@@ -63,11 +120,61 @@ function runYtDlp(args, timeout = 30000) {
   });
 }
 
+// ─── Signed URLs ────────────────────────────────────
+
 /**
- * GET /api/stream/extract?videoId=xxxx
+ * GET /api/stream/sign?videoId=xxxx&ttl=3600&quality=high&codec=opus&format=mp3&bitrate=192
+ *   or
+ * GET /api/stream/sign?url=ENCODED_STREAM_URL&ttl=3600
+ *
+ * Mints signed, expiring /play (videoId) or /proxy (url) URLs
+ * bound to the caller's API key, plus an HLS playlist URL for videos.
+ * With "format", also /transcode and /download URLs.
  */
+router.get("/sign", authMiddleware, canStream, (req, res) => {
+  const { videoId, url, ttl, quality, codec, format, bitrate } = req.query;
+
+  if (!videoId && !url) {
+    return res.status(400).json({
+      success: false,
+      error: 'Either "videoId" or "url" query parameter is required',
+    });
+  }
+
+  const data = {};
+  if (videoId) {
+    const preferences = Object.fromEntries(Object.entries({ quality, codec }).filter(([, v]) => v));
+    const play = signedStreamUrl("play", { videoId, ...preferences }, "videoId", req.apiKey.id, ttl);
+    data.playUrl = play.url;
+    data.expiresAt = play.expiresAt;
+
+    const hls = new URLSearchParams(signStreamParams("hls", videoId, req.apiKey.id, ttl));
+    data.hlsUrl = `/api/stream/hls/${encodeURIComponent(videoId)}/playlist.m3u8?${hls}`;
+
+    if (format) {
+      const query = { videoId, format, ...(bitrate && { bitrate }) };
+      data.transcodeUrl = signedStreamUrl("transcode", query, "videoId", req.apiKey.id, ttl).url;
+      if (DOWNLOAD_FORMATS.includes(format)) {
+        data.downloadUrl = signedStreamUrl("download", query, "videoId", req.apiKey.id, ttl).url;
+      }
+    }
+  }
+  if (url) {
+    const proxy = signedStreamUrl("proxy", { url }, "url", req.apiKey.id, ttl);
+    data.proxyUrl = proxy.url;
+    data.expiresAt = proxy.expiresAt;
+  }
 
-router.get("/extract", async (req, res) => {
+  res.json({ success: true, data });
+});
+
+/**
+ * GET /api/stream/extract?videoId=xxxx&quality=low|medium|high&codec=opus|aac
+ *
+ * Picks the best matching audio-only format, falling back to itag 18 (video+audio).
+ */
+
+router.get("/extract", authMiddleware, canStream, async (req, res) => {
   try {
     const { videoId } = req.query;
 
@@ -78,35 +185,39 @@ router.get("/extract", async (req, res) => {
       });
     }
 
-    const innertube = await getInnertube();
-    const info = await innertube.getBasicInfo(videoId);
-
-    // YouTube uses SABR for adaptive formats (no individual URLs).
-    // Only the combined video+audio format (itag 18) has a decodable URL.
-    const format = info.chooseFormat({
-      type: 'video+audio',
-      quality: 'best',
-      format: 'mp4',
-    });
+    const preferences = parseAudioPreferences(req, res);
+    if (!preferences) return;
 
-    const streamUrl = await format.decipher(innertube.session.player);
+    const stream = await extractStream(videoId, preferences);
+    const streamUrl = stream.url;
+    const encodedUrl = encodeURIComponent(streamUrl);
 
     res.json({
       success: true,
       data: {
         rawUrl: streamUrl || null,
-        streamUrl: encodeURIComponent(streamUrl),
-        mime_type: format.mime_type,
-        bitrate: format.bitrate,
-        quality: format.audio_quality || 'N/A',
-        duration: info.basic_info?.duration || 0,
-        title: info.basic_info?.title || '',
+        streamUrl: encodedUrl,
+        proxyUrl: signedStreamUrl("proxy", { url: encodedUrl }, "url", req.apiKey.id).url,
+        playUrl: signedStreamUrl(
+          "play",
+          { videoId, quality: preferences.quality, ...(preferences.codec && { codec: preferences.codec }) },
+          "videoId",
+          req.apiKey.id,
+        ).url,
+        itag: stream.itag,
+        mime_type: stream.mimeType,
+        audioOnly: stream.audioOnly,
+        bitrate: stream.bitrate,
+        quality: stream.audioQuality,
+        duration: stream.duration,
+        title: stream.title,
+        expiresAt: new Date(stream.expiresAt).toISOString(),
       },
     });
   } catch (err) {
     console.error("[EXTRACT_ERROR]", err.message);
     // Reset innertube instance on error so next request creates a fresh one
-    _innertube = null;
+    resetInnertube();
     res.status(500).json({
       success: false,
       error: `Failed to extract stream URL: ${err.message}`,
@@ -125,7 +236,7 @@ router.get("/extract", async (req, res) => {
  * Runs: yt-dlp -x --audio-format best -g "URL"
  * Returns the direct streamable URL(s).
  */
-router.get("/extract_old", async (req, res) => {
+router.get("/extract_old", authMiddleware, canStream, async (req, res) => {
   try {
     const { videoId, url } = req.query;
 
@@ -168,7 +279,7 @@ router.get("/extract_old", async (req, res) => {
         // Build proxy URLs for the client
         proxyUrls: urls.map((u, i) => ({
           index: i,
-          proxyUrl: `/api/stream/proxy?url=${encodeURIComponent(u)}`,
+          proxyUrl: signedStreamUrl("proxy", { url: encodeURIComponent(u) }, "url", req.apiKey.id).url,
         })),
       },
     });
@@ -187,7 +298,7 @@ router.get("/extract_old", async (req, res) => {
  * Runs: yt-dlp -j "URL"
  * Returns full metadata as JSON.
  */
-router.get("/info", async (req, res) => {
+router.get("/info", authMiddleware, canStream, async (req, res) => {
   try {
     const { videoId, url } = req.query;
 
@@ -257,7 +368,7 @@ router.get("/info", async (req, res) => {
 // ─── Endpoint 2: Proxy / Real-time Stream ───────────
 
 /**
- * GET /api/stream/proxy?url=ENCODED_STREAM_URL
+ * GET /api/stream/proxy?url=ENCODED_STREAM_URL&exp=...&kid=...&sig=...
  *
  * Acts as a reverse proxy for YouTube stream URLs.
  * Necessary because stream URLs are IP-locked to the server that requested them.
@@ -270,7 +381,7 @@ router.options("/proxy", (req, res) => {
   res.status(204).end();
 });
 
-router.get("/proxy", async (req, res) => {
+router.get("/proxy", streamAuth("proxy", "url"), async (req, res) => {
   try {
     const { url } = req.query;
 
@@ -283,29 +394,8 @@ router.get("/proxy", async (req, res) => {
 
     const streamUrl = decodeURIComponent(url);
 
-    // Headers to mimic a YouTube web client request
-    const requestHeaders = {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-      accept: "*/*",
-      referer: "https://www.youtube.com/",
-      origin: "https://www.youtube.com",
-    };
-
-    // Forward range headers for seeking support
-    if (req.headers.range) {
-      requestHeaders["Range"] = req.headers.range;
-    }
-
-    const response = await axios({
-      method: "get",
-      url: streamUrl,
-      responseType: "stream",
-      headers: requestHeaders,
-      timeout: 0,
-      maxRedirects: 5,
-      validateStatus: (status) => status >= 200 && status < 400,
-    });
+    // Validates the URL and every redirect hop against the allowlist
+    const response = await fetchUpstream(streamUrl, req.headers.range);
 
     // Forward relevant headers to the client
     const headersToForward = [
@@ -321,9 +411,10 @@ router.get("/proxy", async (req, res) => {
       }
     });
 
-    // Force audio MIME type to prevent ORB blocking by browsers
-    if (response.headers["content-type"] === "video/mp4") {
-      res.setHeader("Content-Type", "audio/webm");
+    // Forward the real media type (googlevideo also carries it in the "mime" parameter)
+    const contentType = response.headers["content-type"] || new URL(streamUrl).searchParams.get("mime");
+    if (contentType) {
+      res.setHeader("Content-Type", contentType);
     }
 
     // Ensure accept-ranges is set for seeking
@@ -360,6 +451,10 @@ router.get("/proxy", async (req, res) => {
       response.data.destroy();
     });
   } catch (err) {
+    if (err instanceof ProxyBlockedError) {
+      console.warn(`[STREAM_PROXY_BLOCKED] ${err.code}: ${err.message}`);
+      return sendProxyBlocked(res, err);
+    }
     const status = err.response?.status || 502;
     console.error(`[STREAM_PROXY_ERROR] ${status}:`, err.message);
     if (!res.headersSent) {
@@ -374,13 +469,18 @@ router.get("/proxy", async (req, res) => {
 // ─── Combined: Extract + Proxy URL ──────────────────
 
 /**
- * GET /api/stream/play?videoId=xxxx
+ * GET /api/stream/play?videoId=xxxx&quality=high&codec=opus&exp=...&kid=...&sig=...
  *
- * Convenience endpoint: extracts the audio URL using Innertube,
+ * Convenience endpoint: extracts the best audio-only format using Innertube,
  * then immediately streams it as an audio proxy.
  * Can be used directly as an audio src.
+ *
+ * Responses that serve PLAY_AUTO_RECORD_SECONDS of the song are recorded in
+ * the play history (see plays/index.js), tagged with ?clientId= or the
+ * X-Client-Id header when given.
  */
-router.get("/play", async (req, res) => {
+router.get("/play", streamAuth("play", "videoId"), async (req, res) => {
+  const startedAt = new Date();
   try {
     const { videoId } = req.query;
 
@@ -391,18 +491,12 @@ router.get("/play", async (req, res) => {
       });
     }
 
-    const innertube = await getInnertube();
-    const info = await innertube.getBasicInfo(videoId);
-
-    const format = info.chooseFormat({
-      type: 'video+audio',
-      quality: 'best',
-      format: 'mp4',
-    });
+    const preferences = parseAudioPreferences(req, res);
+    if (!preferences) return;
 
-    const streamUrl = await format.decipher(innertube.session.player);
+    let stream = await extractStream(videoId, preferences);
 
-    if (!streamUrl) {
+    if (!stream.url) {
       return res.status(502).json({
         success: false,
         error: "Could not decipher stream URL",
@@ -410,28 +504,17 @@ router.get("/play", async (req, res) => {
     }
 
     // Step 2: Proxy the stream
-    const requestHeaders = {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-      accept: "*/*",
-      referer: "https://www.youtube.com/",
-      origin: "https://www.youtube.com",
-    };
-
-    if (req.headers.range) {
-      requestHeaders["Range"] = req.headers.range;
+    let response;
+    try {
+      response = await fetchUpstream(stream.url, req.headers.range);
+    } catch (err) {
+      // A cached URL can be rejected before its expiry: re-extract once
+      if (!stream.cached || err.response?.status !== 403) throw err;
+      streamUrlCache.invalidate(stream.cacheKey);
+      stream = await extractStream(videoId, preferences);
+      response = await fetchUpstream(stream.url, req.headers.range);
     }
 
-    const response = await axios({
-      method: "get",
-      url: streamUrl,
-      responseType: "stream",
-      headers: requestHeaders,
-      timeout: 0,
-      maxRedirects: 5,
-      validateStatus: (status) => status >= 200 && status < 400,
-    });
-
     const headersToForward = [
       "content-length",
       "content-range",
@@ -443,10 +526,8 @@ router.get("/play", async (req, res) => {
       }
     });
 
-    // Force audio MIME type to prevent ORB blocking by browsers
-    if (response.headers["content-type"] === "video/mp4") {
-      res.setHeader("Content-Type", "audio/webm");
-    }
+    // Send the selected format's true MIME type (e.g. audio/webm; codecs="opus")
+    res.setHeader("Content-Type", stream.mimeType || response.headers["content-type"]);
 
     if (!response.headers["accept-ranges"]) {
       res.setHeader("Accept-Ranges", "bytes");
@@ -462,6 +543,24 @@ router.get("/play", async (req, res) => {
     res.status(response.status === 206 ? 206 : 200);
     response.data.pipe(res);
 
+    // Size of the whole file: "bytes 0-999/12345", or the length of a full response
+    const totalBytes = Number(String(response.headers["content-range"] || "").split("/")[1])
+      || (response.status === 206 ? 0 : Number(response.headers["content-length"]) || 0);
+    let servedBytes = 0;
+    response.data.on("data", (chunk) => {
+      servedBytes += chunk.length;
+    });
+    res.on("close", () => {
+      recordStreamedPlay(getYouTube(req.apiKey), req.apiKey.id, {
+        videoId,
+        clientId: req.query.clientId || req.get("X-Client-Id") || null,
+        startedAt,
+        duration: stream.duration,
+        servedBytes,
+        totalBytes,
+      });
+    });
+
     response.data.on("error", (err) => {
       console.error("[PLAY_STREAM_ERROR]", err.message);
       if (!res.headersSent) {
@@ -475,8 +574,12 @@ router.get("/play", async (req, res) => {
       response.data.destroy();
     });
   } catch (err) {
+    if (err instanceof ProxyBlockedError) {
+      console.warn(`[PLAY_BLOCKED] ${err.code}: ${err.message}`);
+      return sendProxyBlocked(res, err);
+    }
     console.error("[PLAY_ERROR]", err.message);
-    _innertube = null; // Reset on error
+    resetInnertube(); // Reset on error
     if (!res.headersSent) {
       res.status(500).json({
         success: false,
@@ -486,4 +589,396 @@ router.get("/play", async (req, res) => {
   }
 });
 
+// ─── Transcode ──────────────────────────────────────
+
+/**
+ * GET /api/stream/transcode?videoId=xxxx&format=mp3&bitrate=192&exp=...&kid=...&sig=...
+ *
+ * Pipes the extracted audio through a local ffmpeg process and streams the
+ * result. Formats: mp3, aac (ADTS), m4a, opus (ogg), ogg (vorbis), flac.
+ * No Range support: the output is produced on the fly.
+ */
+router.get("/transcode", streamAuth("transcode", "videoId"), async (req, res) => {
+  const { videoId, format = "mp3" } = req.query;
+
+  if (!videoId) {
+    return res.status(400).json({
+      success: false,
+      error: '"videoId" query parameter is required',
+    });
+  }
+
+  const preset = TRANSCODE_FORMATS[format];
+  if (!preset) {
+    return res.status(400).json({
+      success: false,
+      error: `"format" must be one of: ${Object.keys(TRANSCODE_FORMATS).join(", ")}`,
+    });
+  }
+
+  const bitrate = parseBitrate(req.query.bitrate);
+  if (bitrate === null) {
+    return res.status(400).json({
+      success: false,
+      error: '"bitrate" must be a number (kbps)',
+    });
+  }
+
+  const release = acquireTranscodeSlot();
+  if (!release) {
+    res.setHeader("Retry-After", "10");
+    return res.status(503).json({
+      success: false,
+      error: "Too many transcodes in progress, try again later",
+    });
+  }
+
+  let upstream = null;
+  let ffmpeg = null;
+
+  // Client went away (or the response ended): stop everything
+  res.on("close", () => {
+    if (upstream) upstream.data.destroy();
+    if (ffmpeg && ffmpeg.exitCode === null) ffmpeg.kill("SIGKILL");
+    release();
+  });
+
+  try {
+    const stream = await extractStream(videoId, { quality: "high", codec: null });
+    if (!stream.url) {
+      return res.status(502).json({
+        success: false,
+        error: "Could not decipher stream URL",
+      });
+    }
+
+    upstream = await fetchUpstream(stream.url);
+    if (res.destroyed) return upstream.data.destroy();
+
+    ffmpeg = spawnFfmpeg(["-i", "pipe:0", ...transcodeArgs(format, bitrate), "pipe:1"]);
+
+    ffmpeg.on("error", (err) => {
+      console.error("[TRANSCODE_ERROR] ffmpeg failed to start:", err.message);
+      upstream.data.destroy();
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: `ffmpeg not available: ${err.message}` });
+      } else {
+        res.end();
+      }
+    });
+
+    ffmpeg.on("close", (code, signal) => {
+      if (code !== 0 && signal !== "SIGKILL") {
+        console.error(`[TRANSCODE_ERROR] ffmpeg exited with ${code}: ${ffmpeg.stderrText.trim()}`);
+      }
+      release();
+    });
+
+    upstream.data.on("error", (err) => {
+      console.error("[TRANSCODE_STREAM_ERROR]", err.message);
+      ffmpeg.kill("SIGKILL");
+    });
+
+    const title = (stream.title || videoId).replace(/[^\w\s.-]/g, "").trim() || videoId;
+    res.setHeader("Content-Type", preset.mimeType);
+    res.setHeader("Content-Disposition", `inline; filename="${title}.${preset.extension}"`);
+    res.setHeader("Accept-Ranges", "none");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Expose-Headers", "Content-Type, Content-Disposition");
+    res.status(200);
+
+    upstream.data.pipe(ffmpeg.stdin);
+    ffmpeg.stdout.pipe(res);
+  } catch (err) {
+    release();
+    if (err instanceof ProxyBlockedError) {
+      console.warn(`[TRANSCODE_BLOCKED] ${err.code}: ${err.message}`);
+      return sendProxyBlocked(res, err);
+    }
+    console.error("[TRANSCODE_ERROR]", err.message);
+    resetInnertube(); // Reset on error
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: `Transcode failed: ${err.message}`,
+      });
+    }
+  }
+});
+
+// ─── Download ───────────────────────────────────────
+
+/**
+ * GET /api/stream/download?videoId=xxxx&format=mp3&bitrate=192&exp=...&kid=...&sig=...
+ *
+ * Encodes a finished file with title, artists, album, year, track number,
+ * lyrics and the album cover embedded, and sends it as an attachment named
+ * "Artist - Title.ext". Formats: mp3, m4a, opus, ogg, flac.
+ */
+router.get("/download", streamAuth("download", "videoId"), async (req, res) => {
+  const { videoId, format = "mp3" } = req.query;
+
+  if (!videoId) {
+    return res.status(400).json({
+      success: false,
+      error: '"videoId" query parameter is required',
+    });
+  }
+
+  if (!DOWNLOAD_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `"format" must be one of: ${DOWNLOAD_FORMATS.join(", ")}`,
+    });
+  }
+
+  const bitrate = parseBitrate(req.query.bitrate);
+  if (bitrate === null) {
+    return res.status(400).json({
+      success: false,
+      error: '"bitrate" must be a number (kbps)',
+    });
+  }
+
+  const release = acquireTranscodeSlot();
+  if (!release) {
+    res.setHeader("Retry-After", "10");
+    return res.status(503).json({
+      success: false,
+      error: "Too many transcodes in progress, try again later",
+    });
+  }
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "beat-download-"));
+  let ffmpeg = null;
+
+  res.on("close", () => {
+    if (ffmpeg && ffmpeg.exitCode === null) ffmpeg.kill("SIGKILL");
+    release();
+    fs.rm(tmpDir, { recursive: true, force: true }, () => {});
+  });
+
+  try {
+    const [stream, metadata] = await Promise.all([
+      extractStream(videoId, { quality: "high", codec: null }),
+      fetchTrackMetadata(getYouTube(req.apiKey), videoId),
+    ]);
+    if (!stream.url) {
+      return res.status(502).json({
+        success: false,
+        error: "Could not decipher stream URL",
+      });
+    }
+
+    const [cover, upstream] = await Promise.all([
+      fetchCoverArt(metadata.coverUrl),
+      fetchUpstream(stream.url),
+    ]);
+    if (res.destroyed) return upstream.data.destroy();
+
+    const preset = TRANSCODE_FORMATS[format];
+    const outputPath = path.join(tmpDir, `${videoId}.${preset.extension}`);
+    ffmpeg = writeTaggedFile(upstream.data, outputPath, { format, bitrate, metadata, cover });
+    await ffmpeg.done;
+    if (res.destroyed) return;
+
+    res.download(outputPath, downloadFilename(metadata, preset.extension), {
+      headers: {
+        "Content-Type": preset.mimeType,
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Expose-Headers": "Content-Length, Content-Disposition",
+      },
+    }, (err) => {
+      if (err && !res.headersSent) {
+        res.status(500).json({ success: false, error: `Download failed: ${err.message}` });
+      }
+    });
+  } catch (err) {
+    if (res.destroyed) return;
+    if (err instanceof ProxyBlockedError) {
+      console.warn(`[DOWNLOAD_BLOCKED] ${err.code}: ${err.message}`);
+      return sendProxyBlocked(res, err);
+    }
+    console.error("[DOWNLOAD_ERROR]", err.message);
+    resetInnertube(); // Reset on error
+    res.status(500).json({
+      success: false,
+      error: `Download failed: ${err.message}`,
+    });
+  }
+});
+
+// ─── HLS ────────────────────────────────────────────
+
+// How long a new encoding waits for a transcode slot before giving up
+const HLS_SLOT_TIMEOUT = 15000;
+
+// Encoded variants, shared by every segment request of a track
+const hlsSegments = new HlsSegmentCache();
+
+class TranscodeBusyError extends Error {
+  constructor() {
+    super("Too many transcodes in progress, try again later");
+    this.name = "TranscodeBusyError";
+  }
+}
+
+const M3U8_TYPE = "application/vnd.apple.mpegurl";
+
+/**
+ * Signature query for URIs inside HLS playlists: the request's own
+ * signature, or a fresh one when the caller used a Bearer token.
+ */
+function hlsQuery(req) {
+  const { exp, kid, sig } = req.query.sig
+    ? req.query
+    : signStreamParams("hls", req.params.videoId, req.apiKey.id);
+  return new URLSearchParams({ exp, kid, sig }).toString();
+}
+
+function hlsVariant(req, res) {
+  const variant = HLS_VARIANTS[req.params.variant];
+  if (!variant) {
+    res.status(404).json({
+      success: false,
+      error: `Unknown HLS variant, expected one of: ${Object.keys(HLS_VARIANTS).join(", ")}`,
+    });
+  }
+  return variant;
+}
+
+function sendPlaylist(res, body) {
+  res.setHeader("Content-Type", M3U8_TYPE);
+  res.setHeader("Cache-Control", "private, max-age=300");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.send(body);
+}
+
+/**
+ * GET /api/stream/hls/:videoId/playlist.m3u8?exp=...&kid=...&sig=...
+ *
+ * Master playlist with low/medium/high AAC variants. Mint the URL with
+ * /api/stream/sign (hlsUrl) or call it with a Bearer token.
+ */
+router.get("/hls/:videoId/playlist.m3u8", streamAuth("hls", "videoId"), (req, res) => {
+  sendPlaylist(res, masterPlaylist(hlsQuery(req)));
+});
+
+/**
+ * GET /api/stream/hls/:videoId/:variant/index.m3u8
+ *
+ * VOD media playlist: fixed-length segments covering the whole track.
+ */
+router.get("/hls/:videoId/:variant/index.m3u8", streamAuth("hls", "videoId"), async (req, res) => {
+  const variant = hlsVariant(req, res);
+  if (!variant) return;
+
+  try {
+    const stream = await extractStream(req.params.videoId, { quality: variant.quality, codec: null });
+    if (!stream.url || !stream.duration) {
+      return res.status(502).json({
+        success: false,
+        error: "Could not resolve stream URL and duration",
+      });
+    }
+    sendPlaylist(res, mediaPlaylist(stream.duration, hlsQuery(req)));
+  } catch (err) {
+    console.error("[HLS_ERROR]", err.message);
+    resetInnertube(); // Reset on error
+    res.status(500).json({
+      success: false,
+      error: `HLS playlist failed: ${err.message}`,
+    });
+  }
+});
+
+/**
+ * GET /api/stream/hls/:videoId/:variant/:segment.ts
+ *
+ * One MPEG-TS segment. The first request of a variant starts encoding the
+ * whole track from its source format; each request waits for its segment.
+ */
+router.get("/hls/:videoId/:variant/:segment.ts", streamAuth("hls", "videoId"), async (req, res) => {
+  const variant = hlsVariant(req, res);
+  if (!variant) return;
+
+  const index = Number(req.params.segment);
+  if (!Number.isInteger(index) || index < 0) {
+    return res.status(404).json({ success: false, error: "Unknown segment" });
+  }
+
+  // Stop waiting when the player gives up on the segment (the encoding goes on)
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  try {
+    let stream = await extractStream(req.params.videoId, { quality: variant.quality, codec: null });
+    if (!stream.url || !stream.duration) {
+      return res.status(502).json({
+        success: false,
+        error: "Could not resolve stream URL and duration",
+      });
+    }
+    if (index >= segmentCount(stream.duration)) {
+      return res.status(404).json({ success: false, error: "Unknown segment" });
+    }
+
+    // Runs once per variant: the whole track is encoded while holding one transcode slot
+    const startEncoding = async () => {
+      let release;
+      try {
+        release = await waitForTranscodeSlot(AbortSignal.timeout(HLS_SLOT_TIMEOUT));
+      } catch {
+        throw new TranscodeBusyError();
+      }
+
+      try {
+        // Fetched here, not by ffmpeg, so the proxy guard checks every hop
+        let upstream;
+        try {
+          upstream = await fetchUpstream(stream.url);
+        } catch (err) {
+          // A cached URL can be rejected before its expiry: re-extract once
+          if (!stream.cached || err.response?.status !== 403) throw err;
+          streamUrlCache.invalidate(stream.cacheKey);
+          stream = await extractStream(req.params.videoId, { quality: variant.quality, codec: null });
+          upstream = await fetchUpstream(stream.url);
+        }
+        return { source: upstream.data, bitrate: variant.bitrate, release };
+      } catch (err) {
+        release();
+        throw err;
+      }
+    };
+
+    const key = `${req.params.videoId}:${req.params.variant}`;
+    const segment = await hlsSegments.segment(key, index, startEncoding, controller.signal);
+    if (!segment) {
+      return res.status(404).json({ success: false, error: "Unknown segment" });
+    }
+
+    res.setHeader("Content-Type", "video/mp2t");
+    res.setHeader("Content-Length", segment.length);
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.end(segment);
+  } catch (err) {
+    if (res.destroyed) return;
+    if (err instanceof TranscodeBusyError) {
+      res.setHeader("Retry-After", "5");
+      return res.status(503).json({ success: false, error: err.message });
+    }
+    if (err instanceof ProxyBlockedError) {
+      console.warn(`[HLS_BLOCKED] ${err.code}: ${err.message}`);
+      return sendProxyBlocked(res, err);
+    }
+    console.error("[HLS_SEGMENT_ERROR]", err.message);
+    resetInnertube(); // Reset on error
+    res.status(500).json({
+      success: false,
+      error: `HLS segment failed: ${err.message}`,
+    });
+  }
+});
+
 module.exports = router;
@@ -4,10 +4,26 @@
  */
 
 const express = require('express');
-const YouTube = require('../innertube/youtube');
+const { getYouTube } = require('../innertube/accounts');
+const { cacheHeaders } = require('../innertube/cache');
+const requireScope = require('../middleware/scopes');
+const { LYRICS_FORMATS } = require('../utils/lyricsFormat');
+const { lyricsResolver } = require('../lyrics');
+const { PLAYLIST_FORMATS, parseDurationText } = require('../utils/playlistFormat');
+const { signedStreamUrl } = require('../utils/signedUrl');
+const { downloadFilename } = require('../utils/tagging');
+const { IMPORT_FORMATS, PlaylistParseError, parsePlaylistFile } = require('../utils/playlistImport');
+const { importPlaylist } = require('../jobs/importJob');
+const { jobQueue } = require('../jobs');
+const { describeJob } = require('./jobs');
+const { PlaylistEditError, validatePlaylistFields, fieldOperations } = require('../innertube/playlistEdit');
+const { desiredVideoIds } = require('../innertube/playlistSync');
 
 const router = express.Router();
-const yt = new YouTube();
+
+const canRead = requireScope('read');
+const canWriteLibrary = requireScope('library:write');
+const canStream = requireScope('stream');
 
 // ─── Helper ─────────────────────────────────────────
 
@@ -17,45 +33,91 @@ function wrapAsync(fn) {
   };
 }
 
+/**
+ * ?providers=lrclib,local → ['lrclib', 'local'] (only configured providers).
+ * Sends a 400 and returns undefined for unknown names.
+ */
+function lyricsProviders(req, res) {
+  if (!req.query.providers) return null;
+  const names = String(req.query.providers).split(',').map((name) => name.trim()).filter(Boolean);
+  const unknown = names.filter((name) => !lyricsResolver.names.includes(name));
+  if (unknown.length) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown or disabled lyrics provider(s): ${unknown.join(', ')}. Available: ${lyricsResolver.names.join(', ')}`,
+    });
+    return undefined;
+  }
+  return names;
+}
+
+/**
+ * ?all=true&limit=N → { limit } for the paginated routes, null without `all`.
+ * Sends a 400 and returns undefined for an invalid limit.
+ */
+function allPages(req, res) {
+  if (req.query.all !== 'true') return null;
+  if (req.query.limit === undefined) return {};
+  const limit = Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    res.status(400).json({ success: false, error: '"limit" must be a positive integer' });
+    return undefined;
+  }
+  return { limit };
+}
+
+// Resolve the YouTube client bound to the caller's API key (set by authMiddleware)
+router.use((req, res, next) => {
+  req.yt = getYouTube(req.apiKey);
+  next();
+});
+
+// X-Cache / Cache-Control headers from the InnerTube response cache
+router.use(cacheHeaders);
+
 // ─── Search ─────────────────────────────────────────
 
 /**
  * GET /api/youtube/search/suggestions?q=query
  */
-router.get('/search/suggestions', wrapAsync(async (req, res) => {
+router.get('/search/suggestions', canRead, wrapAsync(async (req, res) => {
   const { q } = req.query;
   if (!q) return res.status(400).json({ success: false, error: 'Query parameter "q" is required' });
-  const data = await yt.searchSuggestions(q);
+  const data = await req.yt.searchSuggestions(q);
   res.json({ success: true, data });
 }));
 
 /**
  * GET /api/youtube/search/summary?q=query
  */
-router.get('/search/summary', wrapAsync(async (req, res) => {
+router.get('/search/summary', canRead, wrapAsync(async (req, res) => {
   const { q } = req.query;
   if (!q) return res.status(400).json({ success: false, error: 'Query parameter "q" is required' });
-  const data = await yt.searchSummary(q);
+  const data = await req.yt.searchSummary(q);
   res.json({ success: true, data });
 }));
 
 /**
- * GET /api/youtube/search?q=query&filter=SONG|VIDEO|ALBUM|ARTIST|FEATURED_PLAYLIST|COMMUNITY_PLAYLIST
+ * GET /api/youtube/search?q=query&filter=SONG|VIDEO|ALBUM|ARTIST|FEATURED_PLAYLIST|COMMUNITY_PLAYLIST&all=true&limit=N
  */
-router.get('/search', wrapAsync(async (req, res) => {
+router.get('/search', canRead, wrapAsync(async (req, res) => {
   const { q, filter } = req.query;
   if (!q) return res.status(400).json({ success: false, error: 'Query parameter "q" is required' });
-  const data = await yt.search(q, filter || null);
+  const all = allPages(req, res);
+  if (all === undefined) return;
+  const data = all
+    ? await req.yt.searchPages(q, filter || null).collect(all)
+    : await req.yt.search(q, filter || null);
   res.json({ success: true, data });
 }));
 
 /**
  * GET /api/youtube/search/continuation?token=...
  */
-router.get('/search/continuation', wrapAsync(async (req, res) => {
+router.get('/search/continuation', canRead, wrapAsync(async (req, res) => {
   const { token } = req.query;
   if (!token) return res.status(400).json({ success: false, error: 'Query parameter "token" is required' });
-  const data = await yt.searchContinuation(token);
+  const data = await req.yt.searchContinuation(token);
   res.json({ success: true, data });
 }));
 
@@ -64,19 +126,19 @@ router.get('/search/continuation', wrapAsync(async (req, res) => {
 /**
  * GET /api/youtube/album/:browseId?withSongs=true
  */
-router.get('/album/:browseId', wrapAsync(async (req, res) => {
+router.get('/album/:browseId', canRead, wrapAsync(async (req, res) => {
   const { browseId } = req.params;
   const withSongs = req.query.withSongs !== 'false';
-  const data = await yt.album(browseId, withSongs);
+  const data = await req.yt.album(browseId, withSongs);
   res.json({ success: true, data });
 }));
 
 /**
  * GET /api/youtube/album/:playlistId/songs
  */
-router.get('/album/:playlistId/songs', wrapAsync(async (req, res) => {
+router.get('/album/:playlistId/songs', canRead, wrapAsync(async (req, res) => {
   const { playlistId } = req.params;
-  const songs = await yt.albumSongs(playlistId);
+  const songs = await req.yt.albumSongs(playlistId);
   res.json({ success: true, data: { songs } });
 }));
 
@@ -85,29 +147,33 @@ router.get('/album/:playlistId/songs', wrapAsync(async (req, res) => {
 /**
  * GET /api/youtube/artist/:browseId
  */
-router.get('/artist/:browseId', wrapAsync(async (req, res) => {
+router.get('/artist/:browseId', canRead, wrapAsync(async (req, res) => {
   const { browseId } = req.params;
-  const data = await yt.artist(browseId);
+  const data = await req.yt.artist(browseId);
   res.json({ success: true, data });
 }));
 
 /**
  * GET /api/youtube/artist/:browseId/albums
  */
-router.get('/artist/:browseId/albums', wrapAsync(async (req, res) => {
+router.get('/artist/:browseId/albums', canRead, wrapAsync(async (req, res) => {
   const { browseId } = req.params;
-  const data = await yt.artistAlbums(browseId);
+  const data = await req.yt.artistAlbums(browseId);
   res.json({ success: true, data });
 }));
 
 
 /**
- * GET /api/youtube/artist/:browseId/items?params=...
+ * GET /api/youtube/artist/:browseId/items?params=...&all=true&limit=N
  */
-router.get('/artist/:browseId/items', wrapAsync(async (req, res) => {
+router.get('/artist/:browseId/items', canRead, wrapAsync(async (req, res) => {
   const { browseId } = req.params;
   const { params } = req.query;
-  const data = await yt.artistItems(browseId, params || null);
+  const all = allPages(req, res);
+  if (all === undefined) return;
+  const data = all
+    ? await req.yt.artistItemsPages(browseId, params || null).collect(all)
+    : await req.yt.artistItems(browseId, params || null);
   const { _visitorData, ...publicData } = data; // Strip internal field
   res.json({ success: true, data: publicData });
 }));
@@ -115,10 +181,10 @@ router.get('/artist/:browseId/items', wrapAsync(async (req, res) => {
 /**
  * GET /api/youtube/artist/items/continuation?token=...
  */
-router.get('/artist/items/continuation', wrapAsync(async (req, res) => {
+router.get('/artist/items/continuation', canRead, wrapAsync(async (req, res) => {
   const { token } = req.query;
   if (!token) return res.status(400).json({ success: false, error: 'Query parameter "token" is required' });
-  const data = await yt.artistItemsContinuation(token);
+  const data = await req.yt.artistItemsContinuation(token);
   res.json({ success: true, data });
 }));
 
@@ -127,11 +193,11 @@ router.get('/artist/items/continuation', wrapAsync(async (req, res) => {
  * Paginates over artist albums. Requires the token AND visitorData from the previous response.
  * Both fields are returned together in /artist/:browseId/albums and each continuation response.
  */
-router.get('/artist/albums/continuation', wrapAsync(async (req, res) => {
+router.get('/artist/albums/continuation', canRead, wrapAsync(async (req, res) => {
   const { token, visitorData } = req.query;
   if (!token) return res.status(400).json({ success: false, error: 'Query parameter "token" is required' });
   if (!visitorData) return res.status(400).json({ success: false, error: 'Query parameter "visitorData" is required (returned alongside "continuation" in the albums response)' });
-  const data = await yt.artistAlbumsContinuation(token, visitorData);
+  const data = await req.yt.artistAlbumsContinuation(token, visitorData);
   res.json({ success: true, data });
 }));
 
@@ -141,32 +207,184 @@ router.get('/artist/albums/continuation', wrapAsync(async (req, res) => {
 
 
 /**
- * GET /api/youtube/playlist/:playlistId
+ * GET /api/youtube/playlist/:playlistId?all=true&limit=N
  */
-router.get('/playlist/:playlistId', wrapAsync(async (req, res) => {
+router.get('/playlist/:playlistId', canRead, wrapAsync(async (req, res) => {
   const { playlistId } = req.params;
-  const data = await yt.playlist(playlistId);
+  const all = allPages(req, res);
+  if (all === undefined) return;
+  const data = all
+    ? await req.yt.playlistPages(playlistId).collect(all)
+    : await req.yt.playlist(playlistId);
   res.json({ success: true, data });
 }));
 
 /**
  * GET /api/youtube/playlist/continuation?token=...
  */
-router.get('/playlist/continuation', wrapAsync(async (req, res) => {
+router.get('/playlist/continuation', canRead, wrapAsync(async (req, res) => {
   const { token } = req.query;
   if (!token) return res.status(400).json({ success: false, error: 'Query parameter "token" is required' });
-  const data = await yt.playlistContinuation(token);
+  const data = await req.yt.playlistContinuation(token);
   res.json({ success: true, data });
 }));
 
+/**
+ * GET /api/youtube/playlist/:playlistId/export?format=m3u8|xspf|jspf|csv&links=music|play&ttl=
+ * Whole playlist as a file. links=play uses signed /api/stream/play URLs
+ * (needs the "stream" scope; they expire after `ttl` seconds).
+ */
+router.get('/playlist/:playlistId/export', canRead, (req, res, next) => {
+  if (req.query.links === 'play') return canStream(req, res, next);
+  next();
+}, wrapAsync(async (req, res) => {
+  const { playlistId } = req.params;
+  const { format = 'm3u8', links = 'music', ttl } = req.query;
+  if (!PLAYLIST_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `"format" must be one of: ${Object.keys(PLAYLIST_FORMATS).join(', ')}`,
+    });
+  }
+  if (links !== 'music' && links !== 'play') {
+    return res.status(400).json({ success: false, error: '"links" must be one of: music, play' });
+  }
+
+  const page = await req.yt.fullPlaylist(playlistId);
+  const origin = `${req.protocol}://${req.get('host')}`;
+
+  const tracks = page.songs
+    .filter((song) => song.id)
+    .map((song) => {
+      const info = `https://music.youtube.com/watch?v=${song.id}`;
+      return {
+        videoId: song.id,
+        title: song.title || song.id,
+        artists: song.artists?.map((a) => a.name).filter(Boolean) || [],
+        album: song.album?.name || null,
+        duration: parseDurationText(song.duration),
+        image: song.thumbnail || null,
+        info,
+        location: links === 'play'
+          ? origin + signedStreamUrl('play', { videoId: song.id }, 'videoId', req.apiKey.id, ttl).url
+          : info,
+      };
+    });
+
+  const playlist = {
+    title: page.playlist?.title || playlistId,
+    author: page.playlist?.author?.name || null,
+    image: page.playlist?.thumbnail || null,
+    info: `https://music.youtube.com/playlist?list=${playlistId}`,
+  };
+
+  const { contentType, extension, serialize } = PLAYLIST_FORMATS[format];
+  res.attachment(downloadFilename({ videoId: playlistId, title: playlist.title }, extension));
+  res.set('Content-Type', contentType);
+  // Continuation limit reached before the end of the playlist
+  if (page.truncated) res.set('X-Playlist-Truncated', 'true');
+  res.send(serialize(playlist, tracks));
+}));
+
+// Imports larger than this run as a background job
+const SYNC_IMPORT_LIMIT = 25;
+
+// YouTube playlists hold at most 5000 videos
+const MAX_IMPORT_ENTRIES = 5000;
+
+const IMPORT_CONTENT_TYPES = [
+  'text/*',
+  'audio/x-mpegurl',
+  'audio/mpegurl',
+  'application/x-mpegurl',
+  'application/vnd.apple.mpegurl',
+  'application/xspf+xml',
+  'application/xml',
+];
+
+/**
+ * POST /api/youtube/playlist/import
+ * Body: the playlist file as text (M3U, XSPF, CSV: ?format=&title=&...),
+ * a Spotify / JSPF JSON document, or
+ * { content, format?, title?, includeLowConfidence?, background?, playlistName? }.
+ * Returns 201 with the report, or 202 with a "playlist-import" job for
+ * files over SYNC_IMPORT_LIMIT rows (or background=true).
+ */
+router.post('/playlist/import', canWriteLibrary, express.text({ type: IMPORT_CONTENT_TYPES, limit: '10mb' }), wrapAsync(async (req, res) => {
+  const body = req.body;
+  let content;
+  let options = req.query;
+
+  if (typeof body === 'string') {
+    content = body;
+  } else if (body?.content !== undefined) {
+    content = body.content;
+    options = { ...req.query, ...body };
+  } else if (body?.playlists || body?.tracks || body?.playlist) {
+    content = body;
+  }
+  if (!content) {
+    return res.status(400).json({ success: false, error: 'A playlist file (request body or "content") is required' });
+  }
+
+  const { format, title, playlistName } = options;
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `"format" must be one of: ${IMPORT_FORMATS.join(', ')}` });
+  }
+
+  let parsed;
+  try {
+    parsed = parsePlaylistFile(content, { format, playlistName });
+  } catch (err) {
+    if (err instanceof PlaylistParseError) return res.status(err.status).json({ success: false, error: err.message });
+    throw err;
+  }
+  if (parsed.entries.length > MAX_IMPORT_ENTRIES) {
+    return res.status(400).json({ success: false, error: `Playlists are limited to ${MAX_IMPORT_ENTRIES} tracks` });
+  }
+
+  const state = {
+    title: String(title || parsed.title || 'Imported playlist').slice(0, 150),
+    format: parsed.format,
+    includeLowConfidence: [true, 'true'].includes(options.includeLowConfidence),
+    entries: parsed.entries,
+    playlistId: null,
+    rows: [],
+  };
+
+  if ([true, 'true'].includes(options.background) || parsed.entries.length > SYNC_IMPORT_LIMIT) {
+    const job = jobQueue.enqueue('playlist-import', req.apiKey.id, {
+      ...state,
+      progress: { total: parsed.entries.length, matched: 0, lowConfidence: 0, unmatched: 0, added: 0 },
+      report: null,
+    });
+    return res.status(202).json({ success: true, data: describeJob(job) });
+  }
+
+  // Stop searching when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const report = await importPlaylist(req.yt, state, { signal: controller.signal });
+  res.status(201).json({
+    success: true,
+    data: { playlistId: state.playlistId, title: state.title, format: state.format, report: { ...report, rows: state.rows } },
+  });
+}));
+
 // ─── Home ───────────────────────────────────────────
 
 /**
  * GET /api/youtube/home?continuation=...&params=...
+ * GET /api/youtube/home?params=...&all=true&limit=N
  */
-router.get('/home', wrapAsync(async (req, res) => {
+router.get('/home', canRead, wrapAsync(async (req, res) => {
   const { continuation, params } = req.query;
-  const data = await yt.home(continuation || null, params || null);
+  const all = allPages(req, res);
+  if (all === undefined) return;
+  const data = all
+    ? await req.yt.homePages(params || null).collect(all)
+    : await req.yt.home(continuation || null, params || null);
   res.json({ success: true, data });
 }));
 
@@ -175,24 +393,24 @@ router.get('/home', wrapAsync(async (req, res) => {
 /**
  * GET /api/youtube/explore
  */
-router.get('/explore', wrapAsync(async (req, res) => {
-  const data = await yt.explore();
+router.get('/explore', canRead, wrapAsync(async (req, res) => {
+  const data = await req.yt.explore();
   res.json({ success: true, data });
 }));
 
 /**
  * GET /api/youtube/new-releases
  */
-router.get('/new-releases', wrapAsync(async (req, res) => {
-  const data = await yt.newReleaseAlbums();
+router.get('/new-releases', canRead, wrapAsync(async (req, res) => {
+  const data = await req.yt.newReleaseAlbums();
   res.json({ success: true, data: { albums: data } });
 }));
 
 /**
  * GET /api/youtube/mood-and-genres
  */
-router.get('/mood-and-genres', wrapAsync(async (req, res) => {
-  const data = await yt.moodAndGenres();
+router.get('/mood-and-genres', canRead, wrapAsync(async (req, res) => {
+  const data = await req.yt.moodAndGenres();
   res.json({ success: true, data });
 }));
 
@@ -200,10 +418,15 @@ router.get('/mood-and-genres', wrapAsync(async (req, res) => {
 
 /**
  * GET /api/youtube/charts?continuation=...
+ * GET /api/youtube/charts?all=true&limit=N
  */
-router.get('/charts', wrapAsync(async (req, res) => {
+router.get('/charts', canRead, wrapAsync(async (req, res) => {
   const { continuation } = req.query;
-  const data = await yt.charts(continuation || null);
+  const all = allPages(req, res);
+  if (all === undefined) return;
+  const data = all
+    ? await req.yt.chartsPages().collect(all)
+    : await req.yt.charts(continuation || null);
   res.json({ success: true, data });
 }));
 
@@ -212,31 +435,35 @@ router.get('/charts', wrapAsync(async (req, res) => {
 /**
  * GET /api/youtube/browse/:browseId?params=...
  */
-router.get('/browse/:browseId', wrapAsync(async (req, res) => {
+router.get('/browse/:browseId', canRead, wrapAsync(async (req, res) => {
   const { browseId } = req.params;
   const { params } = req.query;
-  const data = await yt.browse(browseId, params || null);
+  const data = await req.yt.browse(browseId, params || null);
   res.json({ success: true, data });
 }));
 
 // ─── Library ────────────────────────────────────────
 
 /**
- * GET /api/youtube/library/:browseId
+ * GET /api/youtube/library/:browseId?all=true&limit=N
  */
-router.get('/library/:browseId', wrapAsync(async (req, res) => {
+router.get('/library/:browseId', canRead, wrapAsync(async (req, res) => {
   const { browseId } = req.params;
-  const data = await yt.library(browseId);
+  const all = allPages(req, res);
+  if (all === undefined) return;
+  const data = all
+    ? await req.yt.libraryPages(browseId).collect(all)
+    : await req.yt.library(browseId);
   res.json({ success: true, data });
 }));
 
 /**
  * GET /api/youtube/library/continuation?token=...
  */
-router.get('/library/continuation', wrapAsync(async (req, res) => {
+router.get('/library/continuation', canRead, wrapAsync(async (req, res) => {
   const { token } = req.query;
   if (!token) return res.status(400).json({ success: false, error: 'Query parameter "token" is required' });
-  const data = await yt.libraryContinuation(token);
+  const data = await req.yt.libraryContinuation(token);
   res.json({ success: true, data });
 }));
 
@@ -245,8 +472,8 @@ router.get('/library/continuation', wrapAsync(async (req, res) => {
 /**
  * GET /api/youtube/history
  */
-router.get('/history', wrapAsync(async (req, res) => {
-  const data = await yt.musicHistory();
+router.get('/history', canRead, wrapAsync(async (req, res) => {
+  const data = await req.yt.musicHistory();
   res.json({ success: true, data });
 }));
 
@@ -255,10 +482,10 @@ router.get('/history', wrapAsync(async (req, res) => {
 /**
  * GET /api/youtube/player/:videoId?playlistId=...&client=WEB_REMIX
  */
-router.get('/player/:videoId', wrapAsync(async (req, res) => {
+router.get('/player/:videoId', canRead, wrapAsync(async (req, res) => {
   const { videoId } = req.params;
   const { playlistId, client, signatureTimestamp, poToken } = req.query;
-  const data = await yt.player(
+  const data = await req.yt.player(
     videoId,
     playlistId || null,
     client || 'WEB_REMIX',
@@ -273,10 +500,10 @@ router.get('/player/:videoId', wrapAsync(async (req, res) => {
 /**
  * GET /api/youtube/next/:videoId?playlistId=...
  */
-router.get('/next/:videoId', wrapAsync(async (req, res) => {
+router.get('/next/:videoId', canRead, wrapAsync(async (req, res) => {
   const { videoId } = req.params;
   const { playlistId, playlistSetVideoId, index, params, continuation } = req.query;
-  const data = await yt.next(
+  const data = await req.yt.next(
     videoId,
     playlistId || null,
     playlistSetVideoId || null,
@@ -291,30 +518,71 @@ router.get('/next/:videoId', wrapAsync(async (req, res) => {
  * POST /api/youtube/queue
  * Body: { videoIds: [...], playlistId: "..." }
  */
-router.post('/queue', wrapAsync(async (req, res) => {
+router.post('/queue', canRead, wrapAsync(async (req, res) => {
   const { videoIds, playlistId } = req.body;
-  const data = await yt.queue(videoIds || null, playlistId || null);
+  const data = await req.yt.queue(videoIds || null, playlistId || null);
   res.json({ success: true, data });
 }));
 
 // ─── Lyrics & Related ───────────────────────────────
 
+/**
+ * GET /api/youtube/lyrics/:videoId/find?providers=
+ * Lyrics for a video from the first lyrics provider with a confident match
+ * (plain text, plus time-coded lines when the provider has them).
+ */
+router.get('/lyrics/:videoId/find', canRead, wrapAsync(async (req, res) => {
+  const providers = lyricsProviders(req, res);
+  if (providers === undefined) return;
+
+  const data = await lyricsResolver.find(req.params.videoId, { yt: req.yt, providers });
+  if (!data) return res.status(404).json({ success: false, error: 'No lyrics found' });
+  res.json({ success: true, data });
+}));
+
+/**
+ * GET /api/youtube/lyrics/:videoId/synced?format=json|lrc|srt|vtt&providers=
+ * Time-coded lyrics from the first lyrics provider that has them.
+ */
+router.get('/lyrics/:videoId/synced', canRead, wrapAsync(async (req, res) => {
+  const { videoId } = req.params;
+  const { format = 'json' } = req.query;
+  if (format !== 'json' && !LYRICS_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `"format" must be one of: json, ${Object.keys(LYRICS_FORMATS).join(', ')}`,
+    });
+  }
+  const providers = lyricsProviders(req, res);
+  if (providers === undefined) return;
+
+  const data = await lyricsResolver.find(videoId, { yt: req.yt, synced: true, providers });
+  if (!data) return res.status(404).json({ success: false, error: 'No synced lyrics found' });
+
+  if (format === 'json') return res.json({ success: true, data });
+
+  const { contentType, serialize } = LYRICS_FORMATS[format];
+  res.set('Content-Type', contentType);
+  res.set('X-Lyrics-Provider', data.provider);
+  res.send(serialize(data.lines));
+}));
+
 /**
  * GET /api/youtube/lyrics/:browseId
  */
-router.get('/lyrics/:browseId', wrapAsync(async (req, res) => {
+router.get('/lyrics/:browseId', canRead, wrapAsync(async (req, res) => {
   const { browseId } = req.params;
   const { params } = req.query;
-  const data = await yt.lyrics(browseId, params || null);
+  const data = await req.yt.lyrics(browseId, params || null);
   res.json({ success: true, data: { lyrics: data } });
 }));
 
 /**
  * GET /api/youtube/related/:browseId
  */
-router.get('/related/:browseId', wrapAsync(async (req, res) => {
+router.get('/related/:browseId', canRead, wrapAsync(async (req, res) => {
   const { browseId } = req.params;
-  const data = await yt.related(browseId);
+  const data = await req.yt.related(browseId);
   res.json({ success: true, data });
 }));
 
@@ -323,9 +591,9 @@ router.get('/related/:browseId', wrapAsync(async (req, res) => {
 /**
  * GET /api/youtube/transcript/:videoId
  */
-router.get('/transcript/:videoId', wrapAsync(async (req, res) => {
+router.get('/transcript/:videoId', canRead, wrapAsync(async (req, res) => {
   const { videoId } = req.params;
-  const data = await yt.transcript(videoId);
+  const data = await req.yt.transcript(videoId);
   res.json({ success: true, data: { transcript: data } });
 }));
 
@@ -334,8 +602,8 @@ router.get('/transcript/:videoId', wrapAsync(async (req, res) => {
 /**
  * GET /api/youtube/account
  */
-router.get('/account', wrapAsync(async (req, res) => {
-  const data = await yt.accountInfo();
+router.get('/account', canRead, wrapAsync(async (req, res) => {
+  const data = await req.yt.accountInfo();
   res.json({ success: true, data });
 }));
 
@@ -345,10 +613,10 @@ router.get('/account', wrapAsync(async (req, res) => {
  * POST /api/youtube/like/video
  * Body: { videoId: "...", like: true|false }
  */
-router.post('/like/video', wrapAsync(async (req, res) => {
+router.post('/like/video', canWriteLibrary, wrapAsync(async (req, res) => {
   const { videoId, like = true } = req.body;
   if (!videoId) return res.status(400).json({ success: false, error: 'videoId is required' });
-  await yt.likeVideo(videoId, like);
+  await req.yt.likeVideo(videoId, like);
   res.json({ success: true });
 }));
 
@@ -356,10 +624,10 @@ router.post('/like/video', wrapAsync(async (req, res) => {
  * POST /api/youtube/like/playlist
  * Body: { playlistId: "...", like: true|false }
  */
-router.post('/like/playlist', wrapAsync(async (req, res) => {
+router.post('/like/playlist', canWriteLibrary, wrapAsync(async (req, res) => {
   const { playlistId, like = true } = req.body;
   if (!playlistId) return res.status(400).json({ success: false, error: 'playlistId is required' });
-  await yt.likePlaylist(playlistId, like);
+  await req.yt.likePlaylist(playlistId, like);
   res.json({ success: true });
 }));
 
@@ -367,10 +635,10 @@ router.post('/like/playlist', wrapAsync(async (req, res) => {
  * POST /api/youtube/subscribe
  * Body: { channelId: "...", subscribe: true|false }
  */
-router.post('/subscribe', wrapAsync(async (req, res) => {
+router.post('/subscribe', canWriteLibrary, wrapAsync(async (req, res) => {
   const { channelId, subscribe = true } = req.body;
   if (!channelId) return res.status(400).json({ success: false, error: 'channelId is required' });
-  await yt.subscribeChannel(channelId, subscribe);
+  await req.yt.subscribeChannel(channelId, subscribe);
   res.json({ success: true });
 }));
 
@@ -378,32 +646,68 @@ router.post('/subscribe', wrapAsync(async (req, res) => {
 
 /**
  * POST /api/youtube/playlist/create
- * Body: { title: "..." }
+ * Body: { title: "...", description?: "...", privacyStatus?: "PRIVATE", videoIds?: [...], collaborative?: true }
  */
-router.post('/playlist/create', wrapAsync(async (req, res) => {
-  const { title } = req.body;
+router.post('/playlist/create', canWriteLibrary, wrapAsync(async (req, res) => {
+  const { title, description, privacyStatus, videoIds, collaborative } = req.body || {};
   if (!title) return res.status(400).json({ success: false, error: 'title is required' });
-  const playlistId = await yt.createPlaylist(title);
+
+  let playlistId;
+  try {
+    validatePlaylistFields(req.body, { creating: true });
+    playlistId = await req.yt.createPlaylist(title, { description, privacyStatus, videoIds, collaborative });
+  } catch (err) {
+    if (err instanceof PlaylistEditError) return res.status(err.status).json({ success: false, error: err.message });
+    throw err;
+  }
   res.json({ success: true, data: { playlistId } });
 }));
 
+/**
+ * PATCH /api/youtube/playlist/:playlistId
+ * Body: any of { title, description, privacyStatus }
+ * Changes only the fields that are present.
+ */
+router.patch('/playlist/:playlistId', canWriteLibrary, wrapAsync(async (req, res) => {
+  const { playlistId } = req.params;
+  const fields = req.body || {};
+  try {
+    validatePlaylistFields(fields);
+  } catch (err) {
+    if (err instanceof PlaylistEditError) return res.status(err.status).json({ success: false, error: err.message });
+    throw err;
+  }
+
+  const operations = fieldOperations(fields);
+  if (!operations.length) {
+    return res.status(400).json({ success: false, error: 'Nothing to update: send title, description or privacyStatus' });
+  }
+
+  const { succeeded } = await req.yt.batchEditPlaylist(playlistId, operations);
+  if (!succeeded) {
+    return res.status(502).json({ success: false, error: 'YouTube Music did not apply the playlist changes' });
+  }
+  const { title, description, privacyStatus } = fields;
+  res.json({ success: true, data: { playlistId, title, description, privacyStatus } });
+}));
+
 /**
  * POST /api/youtube/playlist/rename
  * Body: { playlistId: "...", name: "..." }
  */
-router.post('/playlist/rename', wrapAsync(async (req, res) => {
+router.post('/playlist/rename', canWriteLibrary, wrapAsync(async (req, res) => {
   const { playlistId, name } = req.body;
   if (!playlistId || !name) return res.status(400).json({ success: false, error: 'playlistId and name are required' });
-  await yt.renamePlaylist(playlistId, name);
+  await req.yt.renamePlaylist(playlistId, name);
   res.json({ success: true });
 }));
 
 /**
  * DELETE /api/youtube/playlist/:playlistId
  */
-router.delete('/playlist/:playlistId', wrapAsync(async (req, res) => {
+router.delete('/playlist/:playlistId', canWriteLibrary, wrapAsync(async (req, res) => {
   const { playlistId } = req.params;
-  await yt.deletePlaylist(playlistId);
+  await req.yt.deletePlaylist(playlistId);
   res.json({ success: true });
 }));
 
@@ -411,10 +715,10 @@ router.delete('/playlist/:playlistId', wrapAsync(async (req, res) => {
  * POST /api/youtube/playlist/add
  * Body: { playlistId: "...", videoId: "..." }
  */
-router.post('/playlist/add', wrapAsync(async (req, res) => {
+router.post('/playlist/add', canWriteLibrary, wrapAsync(async (req, res) => {
   const { playlistId, videoId } = req.body;
   if (!playlistId || !videoId) return res.status(400).json({ success: false, error: 'playlistId and videoId are required' });
-  await yt.addToPlaylist(playlistId, videoId);
+  await req.yt.addToPlaylist(playlistId, videoId);
   res.json({ success: true });
 }));
 
@@ -422,25 +726,75 @@ router.post('/playlist/add', wrapAsync(async (req, res) => {
  * POST /api/youtube/playlist/remove
  * Body: { playlistId: "...", videoId: "...", setVideoId: "..." }
  */
-router.post('/playlist/remove', wrapAsync(async (req, res) => {
+router.post('/playlist/remove', canWriteLibrary, wrapAsync(async (req, res) => {
   const { playlistId, videoId, setVideoId } = req.body;
   if (!playlistId || !videoId || !setVideoId) {
     return res.status(400).json({ success: false, error: 'playlistId, videoId, and setVideoId are required' });
   }
-  await yt.removeFromPlaylist(playlistId, videoId, setVideoId);
+  await req.yt.removeFromPlaylist(playlistId, videoId, setVideoId);
   res.json({ success: true });
 }));
 
+/**
+ * POST /api/youtube/playlist/:playlistId/edit
+ * Body: { actions: [{ type: "add", videoIds: [...] }, { type: "remove", setVideoId },
+ *   { type: "move", setVideoId, beforeSetVideoId }, { type: "description", description },
+ *   { type: "privacy", privacyStatus }, { type: "rename", title }] }
+ * Applied in order; returns one result per action (added videos with their setVideoId).
+ */
+router.post('/playlist/:playlistId/edit', canWriteLibrary, wrapAsync(async (req, res) => {
+  const { playlistId } = req.params;
+  const { actions } = req.body || {};
+
+  let data;
+  try {
+    data = await req.yt.batchEditPlaylist(playlistId, actions);
+  } catch (err) {
+    if (err instanceof PlaylistEditError) return res.status(err.status).json({ success: false, error: err.message });
+    throw err;
+  }
+
+  if (!data.succeeded) {
+    return res.status(502).json({ success: false, error: 'YouTube Music did not apply every playlist edit', data });
+  }
+  res.json({ success: true, data: { playlistId, results: data.results } });
+}));
+
+/**
+ * POST /api/youtube/playlist/:playlistId/sync?dryRun=true
+ * Body: { videoIds: ["..."] } or { tracks: [{ videoId, ... }] } (a snapshot, in order)
+ * Adds, removes and moves songs until the playlist matches the list.
+ */
+router.post('/playlist/:playlistId/sync', canWriteLibrary, wrapAsync(async (req, res) => {
+  const { playlistId } = req.params;
+  const { videoIds, tracks } = req.body || {};
+  const dryRun = req.query.dryRun === 'true';
+
+  let data;
+  try {
+    data = await req.yt.syncPlaylist(playlistId, desiredVideoIds(videoIds ?? tracks), { dryRun });
+  } catch (err) {
+    if (err instanceof PlaylistEditError) return res.status(err.status).json({ success: false, error: err.message });
+    throw err;
+  }
+
+  const { succeeded, ...result } = data;
+  if (!succeeded) {
+    return res.status(502).json({ success: false, error: 'YouTube Music did not apply every playlist edit', data: { playlistId, ...result } });
+  }
+  res.json({ success: true, data: { playlistId, ...result } });
+}));
+
 // ─── Library Song Toggle ────────────────────────────
 
 /**
  * POST /api/youtube/library/add
  * Body: { videoId: "..." }
  */
-router.post('/library/add', wrapAsync(async (req, res) => {
+router.post('/library/add', canWriteLibrary, wrapAsync(async (req, res) => {
   const { videoId } = req.body;
   if (!videoId) return res.status(400).json({ success: false, error: 'videoId is required' });
-  const result = await yt.addSongToLibrary(videoId);
+  const result = await req.yt.addSongToLibrary(videoId);
   res.json({ success: true, data: { processed: result } });
 }));
 
@@ -448,10 +802,10 @@ router.post('/library/add', wrapAsync(async (req, res) => {
  * POST /api/youtube/library/remove
  * Body: { videoId: "..." }
  */
-router.post('/library/remove', wrapAsync(async (req, res) => {
+router.post('/library/remove', canWriteLibrary, wrapAsync(async (req, res) => {
   const { videoId } = req.body;
   if (!videoId) return res.status(400).json({ success: false, error: 'videoId is required' });
-  const result = await yt.removeSongFromLibrary(videoId);
+  const result = await req.yt.removeSongFromLibrary(videoId);
   res.json({ success: true, data: { processed: result } });
 }));
 
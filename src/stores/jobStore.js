@@ -0,0 +1,192 @@
+/**
+ * Job Store
+ *
+ * File-backed store for background jobs (album/playlist ZIP downloads,
+ * exports, imports). Each job is one JSON file in JOBS_DIR (default:
+ * data/jobs), written atomically on every update, so queued and running
+ * jobs survive a restart. Result files and per-job work directories live
+ * next to them:
+ *
+ *   data/jobs/<id>.json    job record
+ *   data/jobs/<id>.zip     result (download jobs)
+ *   data/jobs/<id>.work/   intermediate files, removed when the job ends
+ *
+ * Each job belongs to the API key that created it. Finished jobs and their
+ * files are dropped after JOB_TTL seconds (default: 24h).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOBS_DIR = process.env.JOBS_DIR || path.join(__dirname, '..', '..', 'data', 'jobs');
+
+const JOB_TTL = (parseInt(process.env.JOB_TTL, 10) || 24 * 60 * 60) * 1000;
+
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.jobs = new Map(); // id → job
+    this.loaded = false;
+    this._pruneTimer = null;
+  }
+
+  /**
+   * Read every job file from disk. A missing directory is an empty store.
+   */
+  load() {
+    this.jobs.clear();
+
+    if (fs.existsSync(this.dir)) {
+      for (const file of fs.readdirSync(this.dir)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          const job = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+          if (job.id) this.jobs.set(job.id, job);
+        } catch (err) {
+          console.warn(`[JOBS] Skipping unreadable job file ${file}: ${err.message}`);
+        }
+      }
+    }
+
+    this.loaded = true;
+    this._schedulePrune();
+    return this;
+  }
+
+  _ensureLoaded() {
+    if (!this.loaded) this.load();
+  }
+
+  /**
+   * Write one job back to disk (atomic rename).
+   */
+  save(job) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const filePath = path.join(this.dir, `${job.id}.json`);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(job, null, 2), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Create a queued job owned by `keyId`.
+   */
+  create(type, keyId, fields = {}) {
+    this._ensureLoaded();
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      keyId,
+      status: 'queued',
+      error: null,
+      attempts: 0,
+      nextRunAt: null,
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+    };
+    this.jobs.set(job.id, job);
+    this.save(job);
+    return job;
+  }
+
+  get(id) {
+    this._ensureLoaded();
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Jobs matching every given filter, newest first.
+   *
+   * @param {{ keyId?: string, status?: string, type?: string }} [filter]
+   */
+  list(filter = {}) {
+    this._ensureLoaded();
+    return [...this.jobs.values()]
+      .filter((job) => Object.entries(filter).every(([field, value]) => value === undefined || job[field] === value))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Merge `changes` into a job, bump updatedAt and persist it.
+   */
+  update(id, changes) {
+    const job = this.get(id);
+    if (!job) return null;
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    if (FINISHED_STATUSES.includes(job.status) && !job.finishedAt) {
+      job.finishedAt = job.updatedAt;
+    }
+    this.save(job);
+    return job;
+  }
+
+  /**
+   * Delete a job with its result file and work directory.
+   */
+  remove(id) {
+    const job = this.get(id);
+    if (!job) return false;
+    this.jobs.delete(id);
+    fs.rmSync(path.join(this.dir, `${id}.json`), { force: true });
+    this.removeFiles(job);
+    return true;
+  }
+
+  /**
+   * Delete a job's result file and work directory, keeping the record.
+   */
+  removeFiles(job) {
+    if (job.result?.path) fs.rmSync(job.result.path, { force: true });
+    this.removeWorkDir(job.id);
+  }
+
+  removeWorkDir(id) {
+    fs.rmSync(this.workDir(id), { recursive: true, force: true });
+  }
+
+  /**
+   * Where a job's result file is written.
+   */
+  resultPath(id, extension) {
+    return path.join(this.dir, `${id}.${extension}`);
+  }
+
+  /**
+   * Scratch directory for a job's intermediate files. It survives restarts
+   * so a resumed job can reuse work that was already done.
+   */
+  workDir(id) {
+    return path.join(this.dir, `${id}.work`);
+  }
+
+  /**
+   * Remove finished jobs older than JOB_TTL together with their files.
+   */
+  pruneExpired(now = Date.now()) {
+    for (const job of this.list()) {
+      if (!job.finishedAt || now - Date.parse(job.finishedAt) < JOB_TTL) continue;
+      this.remove(job.id);
+    }
+  }
+
+  _schedulePrune() {
+    if (this._pruneTimer) return;
+    this._pruneTimer = setInterval(() => this.pruneExpired(), PRUNE_INTERVAL);
+    this._pruneTimer.unref();
+  }
+}
+
+const jobStore = new JobStore(JOBS_DIR);
+
+module.exports = { JobStore, jobStore, JOBS_DIR, JOB_STATUSES, FINISHED_STATUSES };
@@ -0,0 +1,279 @@
+/**
+ * API Key Store
+ *
+ * File-backed store mapping API keys to their own YouTube account
+ * (cookie, visitorData, dataSyncId) and the scopes they are allowed to use.
+ * Each bearer token resolves to one key.
+ *
+ * File format (KEYS_FILE, default: data/keys.json):
+ *   {
+ *     "keys": [
+ *       { "id": "alice", "name": "Alice", "token": "...", "scopes": ["read", "stream"],
+ *         "cookie": "...", "visitorData": "...", "dataSyncId": "...",
+ *         "createdAt": "...", "lastUsedAt": "..." }
+ *     ]
+ *   }
+ *
+ * Keys without a "scopes" field get every scope.
+ * The legacy BEARER_TOKEN is still accepted and maps to the "default" key,
+ * which uses the YT_COOKIE / YT_VISITOR_DATA / YT_DATA_SYNC_ID environment variables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_KEY_ID = 'default';
+
+const SCOPES = ['read', 'library:write', 'stream'];
+
+// Delay before persisting lastUsedAt updates, so busy keys don't rewrite the file on every request
+const TOUCH_FLUSH_DELAY = 5000;
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+class KeyStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.keys = new Map();     // id → key
+    this.byToken = new Map();  // token → key
+    this.lastUsed = new Map(); // id → ISO timestamp
+    this.loaded = false;
+    this._flushTimer = null;
+  }
+
+  /**
+   * Read the keys file from disk. A missing file is treated as an empty store.
+   */
+  load() {
+    this.keys.clear();
+    this.byToken.clear();
+    this.lastUsed.clear();
+
+    if (fs.existsSync(this.filePath)) {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const entry of raw.keys || []) {
+        if (!entry.id || !entry.token) {
+          console.warn(`[KEYS] Skipping key without id/token in ${this.filePath}`);
+          continue;
+        }
+        this._index(this._normalize(entry));
+        if (entry.lastUsedAt) this.lastUsed.set(String(entry.id), entry.lastUsedAt);
+      }
+    }
+
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Write all keys back to disk (atomic rename).
+   */
+  save() {
+    const keys = [...this.keys.values()].map((key) => ({
+      ...key,
+      lastUsedAt: this.lastUsed.get(key.id) || null,
+    }));
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ keys }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  _ensureLoaded() {
+    if (!this.loaded) this.load();
+  }
+
+  _normalize(entry) {
+    return Object.freeze({
+      id: String(entry.id),
+      name: entry.name || String(entry.id),
+      token: entry.token,
+      scopes: Object.freeze(Array.isArray(entry.scopes) ? [...entry.scopes] : [...SCOPES]),
+      cookie: entry.cookie || null,
+      visitorData: entry.visitorData || null,
+      dataSyncId: entry.dataSyncId || null,
+      createdAt: entry.createdAt || null,
+    });
+  }
+
+  _index(key) {
+    const previous = this.keys.get(key.id);
+    if (previous) this.byToken.delete(previous.token);
+    this.keys.set(key.id, key);
+    this.byToken.set(key.token, key);
+  }
+
+  /**
+   * Key backed by the legacy BEARER_TOKEN and the YT_* environment variables.
+   */
+  _defaultKey() {
+    if (!process.env.BEARER_TOKEN) return null;
+    if (!this._envKey || this._envKey.token !== process.env.BEARER_TOKEN) {
+      this._envKey = this._normalize({
+        id: DEFAULT_KEY_ID,
+        name: 'Default (BEARER_TOKEN)',
+        token: process.env.BEARER_TOKEN,
+        cookie: process.env.YT_COOKIE,
+        visitorData: process.env.YT_VISITOR_DATA,
+        dataSyncId: process.env.YT_DATA_SYNC_ID,
+      });
+    }
+    return this._envKey;
+  }
+
+  /**
+   * True when at least one token can authenticate (keys file or BEARER_TOKEN).
+   */
+  isConfigured() {
+    this._ensureLoaded();
+    return this.keys.size > 0 || !!process.env.BEARER_TOKEN;
+  }
+
+  findByToken(token) {
+    if (!token) return null;
+    this._ensureLoaded();
+    const key = this.byToken.get(token);
+    if (key) return key;
+    const defaultKey = this._defaultKey();
+    return defaultKey && defaultKey.token === token ? defaultKey : null;
+  }
+
+  get(id) {
+    this._ensureLoaded();
+    if (this.keys.has(id)) return this.keys.get(id);
+    const defaultKey = this._defaultKey();
+    return defaultKey && defaultKey.id === id ? defaultKey : null;
+  }
+
+  /**
+   * All keys, including the BEARER_TOKEN default key when configured.
+   */
+  list() {
+    this._ensureLoaded();
+    const defaultKey = this.keys.has(DEFAULT_KEY_ID) ? null : this._defaultKey();
+    return [...(defaultKey ? [defaultKey] : []), ...this.keys.values()];
+  }
+
+  /**
+   * True for the key managed through the BEARER_TOKEN environment variable.
+   */
+  isEnvKey(id) {
+    this._ensureLoaded();
+    return id === DEFAULT_KEY_ID && !this.keys.has(DEFAULT_KEY_ID) && !!this._defaultKey();
+  }
+
+  /**
+   * Public representation of a key: never exposes the token or account cookie.
+   */
+  describe(key) {
+    return {
+      id: key.id,
+      name: key.name,
+      scopes: key.scopes,
+      tokenPreview: `${key.token.slice(0, 4)}…`,
+      hasCookie: !!key.cookie,
+      createdAt: key.createdAt,
+      lastUsedAt: this.lastUsed.get(key.id) || null,
+      managedBy: this.isEnvKey(key.id) ? 'env' : 'store',
+    };
+  }
+
+  /**
+   * Issue a new key. Returns the created key, including its token.
+   */
+  create({ id, name, scopes, cookie, visitorData, dataSyncId } = {}) {
+    this._ensureLoaded();
+    const keyId = id ? String(id) : crypto.randomUUID();
+    if (this.get(keyId)) throw new Error(`Key "${keyId}" already exists`);
+
+    const key = this._normalize({
+      id: keyId,
+      name,
+      token: generateToken(),
+      scopes,
+      cookie,
+      visitorData,
+      dataSyncId,
+      createdAt: new Date().toISOString(),
+    });
+    this._index(key);
+    this.save();
+    return key;
+  }
+
+  /**
+   * Update name, scopes or account fields of a key. Returns null if not found.
+   */
+  update(id, fields) {
+    this._ensureLoaded();
+    const current = this.keys.get(id);
+    if (!current) return null;
+
+    const allowed = ['name', 'scopes', 'cookie', 'visitorData', 'dataSyncId'];
+    const changes = Object.fromEntries(
+      Object.entries(fields).filter(([field, value]) => allowed.includes(field) && value !== undefined)
+    );
+    const key = this._normalize({ ...current, ...changes });
+    this._index(key);
+    this.save();
+    return key;
+  }
+
+  /**
+   * Replace a key's token. The old token stops working immediately.
+   */
+  rotate(id) {
+    this._ensureLoaded();
+    const current = this.keys.get(id);
+    if (!current) return null;
+
+    const key = this._normalize({ ...current, token: generateToken() });
+    this._index(key);
+    this.save();
+    return key;
+  }
+
+  /**
+   * Remove a key. Returns false if it did not exist.
+   */
+  revoke(id) {
+    this._ensureLoaded();
+    const key = this.keys.get(id);
+    if (!key) return false;
+
+    this.keys.delete(id);
+    this.byToken.delete(key.token);
+    this.lastUsed.delete(id);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Record that a key was just used. Persisted lazily.
+   */
+  touch(id) {
+    this.lastUsed.set(id, new Date().toISOString());
+    if (!this.keys.has(id) || this._flushTimer) return;
+
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      try {
+        this.save();
+      } catch (err) {
+        console.error('[KEYS] Failed to persist lastUsedAt:', err.message);
+      }
+    }, TOUCH_FLUSH_DELAY);
+    this._flushTimer.unref();
+  }
+}
+
+const keyStore = new KeyStore(
+  process.env.KEYS_FILE
+    ? path.resolve(process.env.KEYS_FILE)
+    : path.join(__dirname, '..', '..', 'data', 'keys.json')
+);
+
+module.exports = { KeyStore, keyStore, DEFAULT_KEY_ID, SCOPES };
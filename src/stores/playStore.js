@@ -0,0 +1,91 @@
+/**
+ * Play Store
+ *
+ * Local listening history (see plays/index.js), as one JSON object per line
+ * in PLAYS_FILE (default: data/plays.jsonl). Plays are only ever appended,
+ * so a crash loses at most the line being written; unreadable lines are
+ * skipped on load. The whole history is kept in memory for the stats.
+ *
+ * Each play belongs to the API key that recorded it:
+ *   { id, keyId, videoId, title, artists, album, thumbnail, duration,
+ *     playedAt, listenedMs, clientId, source, recordedAt }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PLAYS_FILE = process.env.PLAYS_FILE || path.join(__dirname, '..', '..', 'data', 'plays.jsonl');
+
+class PlayStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.plays = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Read the history file. A missing file is an empty history.
+   */
+  load() {
+    this.plays = [];
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          const play = JSON.parse(line);
+          if (play.id && play.keyId && play.videoId) this.plays.push(play);
+        } catch (err) {
+          console.warn(`[PLAYS] Skipping unreadable line ${index + 1} of ${this.filePath}: ${err.message}`);
+        }
+      });
+    }
+
+    this.loaded = true;
+    return this;
+  }
+
+  _ensureLoaded() {
+    if (!this.loaded) this.load();
+  }
+
+  /**
+   * Append plays of `keyId`.
+   *
+   * @param {string} keyId
+   * @param {object[]} entries - Play fields (videoId, playedAt, metadata, ...)
+   * @returns {object[]} The stored plays
+   */
+  add(keyId, entries) {
+    this._ensureLoaded();
+    const recordedAt = new Date().toISOString();
+    const plays = entries.map((entry) => ({ id: crypto.randomUUID(), keyId, ...entry, recordedAt }));
+    if (!plays.length) return plays;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, plays.map((play) => `${JSON.stringify(play)}\n`).join(''), 'utf8');
+    this.plays.push(...plays);
+    return plays;
+  }
+
+  /**
+   * Plays of one key, oldest first, optionally from `since` (inclusive) to
+   * `until` (exclusive), both as Dates or ISO strings.
+   */
+  list(keyId, { since = null, until = null } = {}) {
+    this._ensureLoaded();
+    const from = since ? new Date(since).toISOString() : null;
+    const to = until ? new Date(until).toISOString() : null;
+    return this.plays
+      .filter((play) => play.keyId === keyId
+        && (!from || play.playedAt >= from)
+        && (!to || play.playedAt < to))
+      .sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+  }
+}
+
+const playStore = new PlayStore(PLAYS_FILE);
+
+module.exports = { PlayStore, playStore, PLAYS_FILE };
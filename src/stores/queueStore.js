@@ -0,0 +1,139 @@
+/**
+ * Queue Store
+ *
+ * File-backed store for server-side play queues (see queues/playQueue.js).
+ * Each queue is one JSON file in QUEUES_DIR (default: data/queues), written
+ * atomically on every change, so every client of an API key sees the same
+ * queue, also after a restart.
+ *
+ * Each queue belongs to the API key that created it. Queues that haven't
+ * changed for QUEUE_TTL seconds (default: 30 days) are dropped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const QUEUES_DIR = process.env.QUEUES_DIR || path.join(__dirname, '..', '..', 'data', 'queues');
+
+const QUEUE_TTL = (parseInt(process.env.QUEUE_TTL, 10) || 30 * 24 * 60 * 60) * 1000;
+
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+class QueueStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.queues = new Map(); // id → queue
+    this.loaded = false;
+    this._pruneTimer = null;
+  }
+
+  /**
+   * Read every queue file from disk. A missing directory is an empty store.
+   */
+  load() {
+    this.queues.clear();
+
+    if (fs.existsSync(this.dir)) {
+      for (const file of fs.readdirSync(this.dir)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          const queue = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+          if (queue.id) this.queues.set(queue.id, queue);
+        } catch (err) {
+          console.warn(`[QUEUES] Skipping unreadable queue file ${file}: ${err.message}`);
+        }
+      }
+    }
+
+    this.loaded = true;
+    this._schedulePrune();
+    return this;
+  }
+
+  _ensureLoaded() {
+    if (!this.loaded) this.load();
+  }
+
+  /**
+   * Write one queue back to disk (atomic rename).
+   */
+  save(queue) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const filePath = path.join(this.dir, `${queue.id}.json`);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(queue, null, 2), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Create a queue owned by `keyId`.
+   */
+  create(keyId, fields = {}) {
+    this._ensureLoaded();
+    const now = new Date().toISOString();
+    const queue = {
+      id: crypto.randomUUID(),
+      keyId,
+      ...fields,
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.queues.set(queue.id, queue);
+    this.save(queue);
+    return queue;
+  }
+
+  get(id) {
+    this._ensureLoaded();
+    return this.queues.get(id) || null;
+  }
+
+  /**
+   * Queues of one key, most recently changed first.
+   */
+  list(keyId) {
+    this._ensureLoaded();
+    return [...this.queues.values()]
+      .filter((queue) => queue.keyId === keyId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Persist a queue changed in place, bumping its version and updatedAt.
+   */
+  touch(queue) {
+    queue.version += 1;
+    queue.updatedAt = new Date().toISOString();
+    this.save(queue);
+    return queue;
+  }
+
+  remove(id) {
+    const queue = this.get(id);
+    if (!queue) return false;
+    this.queues.delete(id);
+    fs.rmSync(path.join(this.dir, `${id}.json`), { force: true });
+    return true;
+  }
+
+  /**
+   * Remove queues that haven't changed for QUEUE_TTL.
+   */
+  pruneExpired(now = Date.now()) {
+    for (const queue of [...this.queues.values()]) {
+      if (now - Date.parse(queue.updatedAt) >= QUEUE_TTL) this.remove(queue.id);
+    }
+  }
+
+  _schedulePrune() {
+    if (this._pruneTimer) return;
+    this._pruneTimer = setInterval(() => this.pruneExpired(), PRUNE_INTERVAL);
+    this._pruneTimer.unref();
+  }
+}
+
+const queueStore = new QueueStore(QUEUES_DIR);
+
+module.exports = { QueueStore, queueStore, QUEUES_DIR };
@@ -0,0 +1,67 @@
+/**
+ * audioFormat.js
+ *
+ * Audio format selection for /api/stream: pick an audio-only adaptive
+ * format (opus/webm or m4a) from a youtubei.js VideoInfo according to the
+ * ?quality=low|medium|high&codec=opus|aac preferences, and fall back to the
+ * combined video+audio format (itag 18) only when there is none.
+ *
+ * Usage:
+ *   const { info, format } = await chooseAudioFormat(innertube, videoId, { quality: 'high', codec: 'opus' });
+ *   const url = await format.decipher(innertube.session.player);
+ */
+
+const AUDIO_QUALITIES = ['low', 'medium', 'high'];
+const AUDIO_CODECS = {
+  opus: (mimeType) => mimeType.includes('opus'),
+  aac: (mimeType) => mimeType.includes('mp4a'),
+};
+
+/**
+ * Pick an audio-only adaptive format (opus/webm or m4a).
+ * The preferred codec wins when available; quality picks the highest,
+ * middle or lowest bitrate among the candidates.
+ *
+ * @returns {object|null} youtubei.js Format
+ */
+function selectAudioFormat(info, { quality, codec }) {
+  const audioFormats = (info.streaming_data?.adaptive_formats || [])
+    .filter((f) => f.has_audio && !f.has_video && (f.url || f.signature_cipher));
+  if (!audioFormats.length) return null;
+
+  const preferred = codec ? audioFormats.filter((f) => AUDIO_CODECS[codec](f.mime_type || '')) : [];
+  const candidates = (preferred.length ? preferred : audioFormats)
+    .sort((a, b) => (a.bitrate || 0) - (b.bitrate || 0));
+
+  if (quality === 'low') return candidates[0];
+  if (quality === 'medium') return candidates[Math.floor((candidates.length - 1) / 2)];
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Fetch the video info and choose its format: audio-only through the IOS
+ * client (WEB uses SABR), else the video+audio mp4 (itag 18) from WEB.
+ *
+ * @param {object} innertube - youtubei.js Innertube
+ * @param {string} videoId
+ * @param {{ quality: string, codec: string|null }} preferences
+ * @returns {Promise<{ info: object, format: object }>}
+ */
+async function chooseAudioFormat(innertube, videoId, preferences) {
+  const info = await innertube.getBasicInfo(videoId, 'IOS');
+  const format = selectAudioFormat(info, preferences);
+  if (format) return { info, format };
+
+  const fallbackInfo = await innertube.getBasicInfo(videoId);
+  return {
+    info: fallbackInfo,
+    format: fallbackInfo.chooseFormat({ type: 'video+audio', quality: 'best', format: 'mp4' }),
+  };
+}
+
+module.exports = {
+  AUDIO_QUALITIES,
+  AUDIO_CODECS,
+  selectAudioFormat,
+  chooseAudioFormat,
+};
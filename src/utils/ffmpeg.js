@@ -0,0 +1,150 @@
+/**
+ * ffmpeg.js
+ *
+ * Helpers for running a local ffmpeg binary (FFMPEG_PATH) as a streaming
+ * transcoder: audio comes in on stdin, the encoded result goes out on stdout.
+ *
+ * Usage:
+ *   const release = acquireTranscodeSlot();
+ *   if (!release) // too many transcodes running
+ *   const ffmpeg = spawnFfmpeg(['-i', 'pipe:0', ...transcodeArgs('mp3', 192), 'pipe:1']);
+ *   ffmpeg.on('close', release);
+ */
+
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+const MAX_CONCURRENT_TRANSCODES = parseInt(process.env.MAX_CONCURRENT_TRANSCODES, 10) || 2;
+
+const DEFAULT_BITRATE = 192;
+const MIN_BITRATE = 32;
+const MAX_BITRATE = 320;
+
+/**
+ * Output presets: encoder/muxer arguments, MIME type and file extension.
+ * `bitrate` is ignored by lossless formats. `fileArgs` overrides `args`
+ * when writing to a seekable file instead of a pipe.
+ */
+const TRANSCODE_FORMATS = {
+  mp3: {
+    mimeType: 'audio/mpeg',
+    extension: 'mp3',
+    args: (bitrate) => ['-c:a', 'libmp3lame', '-b:a', `${bitrate}k`, '-f', 'mp3'],
+  },
+  aac: {
+    mimeType: 'audio/aac',
+    extension: 'aac',
+    args: (bitrate) => ['-c:a', 'aac', '-b:a', `${bitrate}k`, '-f', 'adts'],
+  },
+  m4a: {
+    mimeType: 'audio/mp4',
+    extension: 'm4a',
+    // Fragmented MP4 can be written to a pipe (no seek back to the moov atom)
+    args: (bitrate) => ['-c:a', 'aac', '-b:a', `${bitrate}k`, '-movflags', 'frag_keyframe+empty_moov', '-f', 'mp4'],
+    // Regular MP4 with the moov atom moved to the front, for finished files
+    fileArgs: (bitrate) => ['-c:a', 'aac', '-b:a', `${bitrate}k`, '-movflags', '+faststart', '-f', 'mp4'],
+  },
+  opus: {
+    mimeType: 'audio/ogg; codecs=opus',
+    extension: 'opus',
+    args: (bitrate) => ['-c:a', 'libopus', '-b:a', `${bitrate}k`, '-f', 'ogg'],
+  },
+  ogg: {
+    mimeType: 'audio/ogg; codecs=vorbis',
+    extension: 'ogg',
+    args: (bitrate) => ['-c:a', 'libvorbis', '-b:a', `${bitrate}k`, '-f', 'ogg'],
+  },
+  flac: {
+    mimeType: 'audio/flac',
+    extension: 'flac',
+    args: () => ['-c:a', 'flac', '-f', 'flac'],
+  },
+};
+
+/**
+ * Encoder/muxer arguments for an output format.
+ * With `file`, video streams (cover art) are kept and file-only muxer options apply.
+ */
+function transcodeArgs(format, bitrate = DEFAULT_BITRATE, { file = false } = {}) {
+  const preset = TRANSCODE_FORMATS[format];
+  if (file) return (preset.fileArgs || preset.args)(bitrate);
+  return ['-vn', ...preset.args(bitrate)];
+}
+
+/**
+ * Parse a bitrate in kbps, clamped to the supported range.
+ * Returns null when the value is not a number.
+ */
+function parseBitrate(value) {
+  if (value === undefined || value === '') return DEFAULT_BITRATE;
+  const bitrate = parseInt(value, 10);
+  if (!Number.isFinite(bitrate)) return null;
+  return Math.min(Math.max(bitrate, MIN_BITRATE), MAX_BITRATE);
+}
+
+/**
+ * Spawn ffmpeg with quiet logging. stderr is collected on `child.stderrText`.
+ */
+function spawnFfmpeg(args) {
+  const child = spawn(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-nostdin', ...args], {
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+
+  child.stderrText = '';
+  child.stderr.on('data', (chunk) => {
+    child.stderrText = (child.stderrText + chunk).slice(-4000);
+  });
+  // ffmpeg may exit before consuming all input; the writer sees EPIPE
+  child.stdin.on('error', () => {});
+
+  return child;
+}
+
+// ─── Concurrency Limit ──────────────────────────────
+
+let activeTranscodes = 0;
+
+/**
+ * Reserve one of the MAX_CONCURRENT_TRANSCODES slots.
+ *
+ * @returns {Function|null} idempotent release function, or null when all slots are busy
+ */
+function acquireTranscodeSlot() {
+  if (activeTranscodes >= MAX_CONCURRENT_TRANSCODES) return null;
+  activeTranscodes++;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    activeTranscodes--;
+  };
+}
+
+/**
+ * Wait until a transcode slot is free (for background work that should
+ * queue behind interactive requests instead of failing with 503).
+ * Rejects once `signal` is aborted.
+ *
+ * @returns {Promise<Function>} release function
+ */
+async function waitForTranscodeSlot(signal = null, pollInterval = 1000) {
+  for (;;) {
+    signal?.throwIfAborted();
+    const release = acquireTranscodeSlot();
+    if (release) return release;
+    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+  }
+}
+
+module.exports = {
+  TRANSCODE_FORMATS,
+  MAX_CONCURRENT_TRANSCODES,
+  DEFAULT_BITRATE,
+  transcodeArgs,
+  parseBitrate,
+  spawnFfmpeg,
+  acquireTranscodeSlot,
+  waitForTranscodeSlot,
+};
@@ -0,0 +1,317 @@
+/**
+ * hls.js
+ *
+ * HLS (HTTP Live Streaming) playlists and segment encoding for the
+ * /api/stream/hls routes. The first segment request of a variant has
+ * ffmpeg encode the whole track into fixed-length MPEG-TS segments of AAC
+ * audio in a temporary directory (HlsSegmentCache), which later requests
+ * read from:
+ *
+ *   playlist.m3u8            master playlist, one entry per variant
+ *   <variant>/index.m3u8     VOD media playlist for one bitrate
+ *   <variant>/<n>.ts         segment n, served once the encoding reaches it
+ *
+ * Every URI in the playlists is relative and carries the signature query of
+ * the request, so players that can't send headers (Safari, cast receivers)
+ * can follow them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { spawnFfmpeg } = require('./ffmpeg');
+
+const SEGMENT_DURATION = parseInt(process.env.HLS_SEGMENT_DURATION, 10) || 6;
+
+/**
+ * Bitrate variants. `quality` picks the source format (see selectAudioFormat
+ * in utils/audioFormat.js), `bitrate` is the AAC output bitrate in kbps.
+ */
+const HLS_VARIANTS = {
+  low: { quality: 'low', bitrate: 64 },
+  medium: { quality: 'medium', bitrate: 128 },
+  high: { quality: 'high', bitrate: 192 },
+};
+
+// AAC-LC, as announced in CODECS
+const AAC_CODEC = 'mp4a.40.2';
+
+function withQuery(uri, query) {
+  return query ? `${uri}?${query}` : uri;
+}
+
+/**
+ * Number of segments for a track of `duration` seconds.
+ */
+function segmentCount(duration) {
+  return Math.max(1, Math.ceil(duration / SEGMENT_DURATION));
+}
+
+/**
+ * Master playlist listing every variant.
+ *
+ * @param {string} query - Signature query string appended to each URI
+ */
+function masterPlaylist(query) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const [name, { bitrate }] of Object.entries(HLS_VARIANTS)) {
+    // BANDWIDTH is peak bits/s including MPEG-TS overhead (~10%)
+    const bandwidth = Math.round(bitrate * 1000 * 1.1);
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},AVERAGE-BANDWIDTH=${bitrate * 1000},CODECS="${AAC_CODEC}"`,
+      withQuery(`${name}/index.m3u8`, query),
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * VOD media playlist for a track of `duration` seconds.
+ */
+function mediaPlaylist(duration, query) {
+  const count = segmentCount(duration);
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${SEGMENT_DURATION}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+  ];
+  for (let i = 0; i < count; i++) {
+    const length = Math.min(SEGMENT_DURATION, duration - i * SEGMENT_DURATION);
+    lines.push(`#EXTINF:${length.toFixed(3)},`, withQuery(`${i}.ts`, query));
+  }
+  lines.push('#EXT-X-ENDLIST');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Encode a whole track as MPEG-TS/AAC segments 0.ts, 1.ts, ... in `dir`.
+ * The source is piped into ffmpeg's stdin (ffmpeg never opens a URL, so
+ * every fetch goes through the proxy guard). ffmpeg's segment muxer cuts
+ * every SEGMENT_DURATION seconds and prints the name of each segment once
+ * it is complete; timestamps run on from one segment to the next, so they
+ * play back to back.
+ *
+ * @param {object} options
+ * @param {import('stream').Readable} options.source - Audio of the whole track
+ * @param {number} options.bitrate   - kbps
+ * @param {string} options.dir
+ * @param {(index: number) => void} options.onSegment - Called for each finished segment
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<number>} number of segments written
+ */
+function encodeVariant({ source, bitrate, dir, onSegment, signal = null }) {
+  const ffmpeg = spawnFfmpeg([
+    '-i', 'pipe:0',
+    '-vn', '-c:a', 'aac', '-b:a', `${bitrate}k`, '-ac', '2', '-ar', '44100',
+    '-f', 'segment',
+    '-segment_time', String(SEGMENT_DURATION),
+    '-segment_format', 'mpegts',
+    '-segment_list', 'pipe:1',
+    '-segment_list_type', 'flat',
+    path.join(dir, '%d.ts'),
+  ]);
+
+  const abort = () => ffmpeg.kill('SIGKILL');
+  signal?.addEventListener('abort', abort, { once: true });
+
+  let sourceError = null;
+  source.on('error', (err) => {
+    sourceError = err;
+    ffmpeg.kill('SIGKILL');
+  });
+  source.pipe(ffmpeg.stdin);
+
+  return new Promise((resolve, reject) => {
+    let count = 0;
+    let pending = '';
+    ffmpeg.stdout.setEncoding('utf8');
+    ffmpeg.stdout.on('data', (text) => {
+      const lines = (pending + text).split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        const match = /^(\d+)\.ts$/.exec(path.basename(line.trim()));
+        if (!match) continue;
+        count++;
+        onSegment(Number(match[1]));
+      }
+    });
+    ffmpeg.on('error', (err) => {
+      source.destroy();
+      reject(err);
+    });
+    ffmpeg.on('close', (code, sig) => {
+      signal?.removeEventListener('abort', abort);
+      source.unpipe(ffmpeg.stdin);
+      source.destroy();
+      if (code === 0) return resolve(count);
+      if (sourceError) return reject(sourceError);
+      const reason = ffmpeg.stderrText.trim() || (sig ? `killed by ${sig}` : `exit code ${code}`);
+      reject(new Error(`ffmpeg failed: ${reason}`));
+    });
+  });
+}
+
+// ─── Segment Cache ──────────────────────────────────
+
+// Encodings kept on disk, and how long an unused one is kept
+const DEFAULT_MAX_ENCODINGS = 20;
+const DEFAULT_ENCODING_TTL = 30 * 60 * 1000;
+const PRUNE_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Encoded variants on disk, one temporary directory per videoId and
+ * variant. The first segment request starts the encoding of the whole
+ * variant; every request then waits for its own segment to be written, so
+ * a track is fetched and encoded once however it is played or seeked.
+ *
+ * Usage:
+ *   const cache = new HlsSegmentCache();
+ *   const segment = await cache.segment(`${videoId}:high`, 3, async (signal) => ({
+ *     source, bitrate: 192, release,
+ *   }));
+ */
+class HlsSegmentCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENCODINGS, ttl = DEFAULT_ENCODING_TTL, root = os.tmpdir() } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.root = root;
+    this.entries = new Map(); // key → encoding (insertion order = LRU order)
+    this._pruneTimer = null;
+  }
+
+  /**
+   * Read segment `index` of the encoding `key`, waiting until it is
+   * written. When the encoding doesn't exist yet, `start(signal)` opens
+   * it: it resolves to `{ source, bitrate, release? }`, and `release` is
+   * called once the encoding ends. A failed encoding is dropped, so the
+   * next request starts over.
+   *
+   * @param {AbortSignal} [signal] - Stops waiting (the encoding goes on)
+   * @returns {Promise<Buffer|null>} null when the track has no such segment
+   */
+  async segment(key, index, start, signal = null) {
+    let entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    } else {
+      entry = this._start(key, start);
+    }
+    entry.usedAt = Date.now();
+
+    await this._waitFor(entry, index, signal);
+    if (!entry.segments.has(index)) return null;
+    return fs.promises.readFile(path.join(entry.dir, `${index}.ts`));
+  }
+
+  /**
+   * Remove encodings that haven't been used for `ttl`.
+   */
+  pruneExpired(now = Date.now()) {
+    for (const [key, entry] of [...this.entries]) {
+      if (now - entry.usedAt >= this.ttl) this._remove(key);
+    }
+  }
+
+  /**
+   * Stop every encoding and delete its files.
+   */
+  clear() {
+    for (const key of [...this.entries.keys()]) this._remove(key);
+  }
+
+  _start(key, start) {
+    const entry = {
+      dir: fs.mkdtempSync(path.join(this.root, 'beat-hls-')),
+      segments: new Set(),
+      done: false,
+      error: null,
+      controller: new AbortController(),
+      events: new EventEmitter(),
+      usedAt: Date.now(),
+    };
+    entry.events.setMaxListeners(0);
+    this.entries.set(key, entry);
+    this.pruneExpired();
+    while (this.entries.size > this.maxEntries) this._remove(this.entries.keys().next().value);
+    this._schedulePrune();
+
+    const { signal } = entry.controller;
+    Promise.resolve()
+      .then(() => start(signal))
+      .then(({ source, bitrate, release }) => encodeVariant({
+        source,
+        bitrate,
+        dir: entry.dir,
+        signal,
+        onSegment: (index) => {
+          entry.segments.add(index);
+          entry.events.emit('change');
+        },
+      }).finally(() => release?.()))
+      .catch((err) => {
+        entry.error = err;
+        if (this.entries.get(key) === entry) this._remove(key);
+      })
+      .finally(() => {
+        entry.done = true;
+        entry.events.emit('change');
+      });
+
+    return entry;
+  }
+
+  _waitFor(entry, index, signal) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        entry.events.off('change', check);
+        signal?.removeEventListener('abort', abort);
+      };
+      const check = () => {
+        if (entry.segments.has(index)) {
+          cleanup();
+          resolve();
+        } else if (entry.done) {
+          cleanup();
+          if (entry.error) reject(entry.error);
+          else resolve();
+        }
+      };
+      const abort = () => {
+        cleanup();
+        reject(signal.reason);
+      };
+
+      entry.events.on('change', check);
+      signal?.addEventListener('abort', abort, { once: true });
+      check();
+    });
+  }
+
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    entry.controller.abort();
+    fs.rm(entry.dir, { recursive: true, force: true }, () => {});
+  }
+
+  _schedulePrune() {
+    if (this._pruneTimer) return;
+    this._pruneTimer = setInterval(() => this.pruneExpired(), PRUNE_INTERVAL);
+    this._pruneTimer.unref();
+  }
+}
+
+module.exports = {
+  SEGMENT_DURATION,
+  HLS_VARIANTS,
+  segmentCount,
+  masterPlaylist,
+  mediaPlaylist,
+  encodeVariant,
+  HlsSegmentCache,
+};
@@ -0,0 +1,121 @@
+/**
+ * lyricsFormat.js
+ *
+ * Serializes time-coded lyrics lines ({ startMs, endMs, text }) as LRC,
+ * SubRip (SRT) or WebVTT, and parses LRC files.
+ */
+
+// Fallback length of a line whose end time is unknown (last line only)
+const DEFAULT_LINE_MS = 5000;
+
+/**
+ * Sort lines and fill in missing or inverted end times with the start of
+ * the next line.
+ */
+function normalizeLines(lines) {
+  const sorted = [...lines].sort((a, b) => a.startMs - b.startMs);
+  return sorted.map((line, i) => {
+    const nextStart = sorted[i + 1]?.startMs;
+    const endMs = line.endMs > line.startMs
+      ? line.endMs
+      : (nextStart > line.startMs ? nextStart : line.startMs + DEFAULT_LINE_MS);
+    return { startMs: line.startMs, endMs, text: line.text };
+  });
+}
+
+/**
+ * Plain text of time-coded lines, one per row.
+ */
+function linesText(lines) {
+  return lines?.length ? lines.map((line) => line.text).join('\n') : null;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function clock(ms, separator) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms / 60000) % 60);
+  const seconds = Math.floor((ms / 1000) % 60);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * LRC: [mm:ss.xx] per line, optional [ti:] / [ar:] / [al:] / [length:] header tags.
+ */
+function toLrc(lines, meta = {}) {
+  const header = [];
+  if (meta.title) header.push(`[ti:${meta.title}]`);
+  if (meta.artist) header.push(`[ar:${meta.artist}]`);
+  if (meta.album) header.push(`[al:${meta.album}]`);
+  if (meta.durationMs) {
+    header.push(`[length:${pad(Math.floor(meta.durationMs / 60000))}:${pad(Math.floor((meta.durationMs / 1000) % 60))}]`);
+  }
+
+  const body = [...lines].sort((a, b) => a.startMs - b.startMs).map(({ startMs, text }) => {
+    const minutes = Math.floor(startMs / 60000);
+    const seconds = Math.floor((startMs / 1000) % 60);
+    const hundredths = Math.floor((startMs % 1000) / 10);
+    return `[${pad(minutes)}:${pad(seconds)}.${pad(hundredths)}]${text}`;
+  });
+
+  return `${[...header, ...body].join('\n')}\n`;
+}
+
+function toSrt(lines) {
+  return normalizeLines(lines)
+    .map((line, i) => `${i + 1}\n${clock(line.startMs, ',')} --> ${clock(line.endMs, ',')}\n${line.text}\n`)
+    .join('\n');
+}
+
+function toVtt(lines) {
+  const cues = normalizeLines(lines)
+    .map((line) => `${clock(line.startMs, '.')} --> ${clock(line.endMs, '.')}\n${line.text}\n`);
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+const LRC_TIME = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const LRC_TAG = /^\[([a-z#]+):(.*)\]$/i;
+
+/**
+ * Parse LRC text. Header tags (ti, ar, al, length, offset, ...) are returned
+ * by name; a line with several timestamps yields one line per timestamp.
+ *
+ * @returns {{ tags: object, lines: { startMs, endMs, text }[] }}
+ */
+function parseLrc(text) {
+  const tags = {};
+  const lines = [];
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    const times = [...line.matchAll(LRC_TIME)];
+
+    if (!times.length) {
+      const tag = line.match(LRC_TAG);
+      if (tag) tags[tag[1].toLowerCase()] = tag[2].trim();
+      continue;
+    }
+
+    const content = line.replace(LRC_TIME, '').trim();
+    for (const [, minutes, seconds, fraction = '0'] of times) {
+      const ms = parseInt(fraction.padEnd(3, '0'), 10);
+      lines.push({ startMs: (parseInt(minutes, 10) * 60 + parseInt(seconds, 10)) * 1000 + ms, endMs: 0, text: content });
+    }
+  }
+
+  // [offset:+500] shifts every line earlier by 500 ms
+  const offset = parseInt(tags.offset, 10) || 0;
+  const shifted = lines.map((line) => ({ ...line, startMs: Math.max(0, line.startMs - offset) }));
+
+  return { tags, lines: normalizeLines(shifted) };
+}
+
+const LYRICS_FORMATS = {
+  lrc: { contentType: 'text/plain; charset=utf-8', extension: 'lrc', serialize: toLrc },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt', serialize: toSrt },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt', serialize: toVtt },
+};
+
+module.exports = { LYRICS_FORMATS, normalizeLines, linesText, parseLrc, toLrc, toSrt, toVtt };
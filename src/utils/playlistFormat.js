@@ -0,0 +1,137 @@
+/**
+ * playlistFormat.js
+ *
+ * Serializes a playlist as M3U8, XSPF (https://xspf.org/spec), JSPF
+ * (XSPF as JSON) or CSV (RFC 4180) for /api/youtube/playlist/:id/export.
+ *
+ * Tracks are plain objects:
+ *   { videoId, title, artists: string[], album, duration (seconds|null), location, info, image }
+ * where `location` is the URL a player should open and `info` the
+ * YouTube Music page of the track.
+ */
+
+/**
+ * "3:45" / "1:02:03" → seconds, null when missing or malformed.
+ */
+function parseDurationText(text) {
+  if (!text || !/^\d+(:\d{1,2}){1,2}$/.test(text)) return null;
+  return text.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+function trackLabel(track) {
+  return track.artists.length ? `${track.artists.join(', ')} - ${track.title}` : track.title;
+}
+
+// ─── M3U8 ───────────────────────────────────────────
+
+function toM3u8(playlist, tracks) {
+  // EXTINF titles end at the line break
+  const line = (value) => String(value || '').replace(/[\r\n]+/g, ' ');
+
+  const lines = ['#EXTM3U'];
+  if (playlist.title) lines.push(`#PLAYLIST:${line(playlist.title)}`);
+  for (const track of tracks) {
+    lines.push(`#EXTINF:${track.duration ?? -1},${line(trackLabel(track))}`);
+    if (track.album) lines.push(`#EXTALB:${line(track.album)}`);
+    lines.push(track.location);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// ─── XSPF / JSPF ────────────────────────────────────
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toXspf(playlist, tracks) {
+  const element = (name, value, indent) => (value === null || value === undefined || value === ''
+    ? null
+    : `${indent}<${name}>${escapeXml(value)}</${name}>`);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    element('title', playlist.title, '  '),
+    element('creator', playlist.author, '  '),
+    element('info', playlist.info, '  '),
+    element('image', playlist.image, '  '),
+    '  <trackList>',
+  ];
+
+  for (const track of tracks) {
+    lines.push(
+      '    <track>',
+      element('location', track.location, '      '),
+      element('identifier', track.info, '      '),
+      element('title', track.title, '      '),
+      element('creator', track.artists.join(', '), '      '),
+      element('album', track.album, '      '),
+      element('duration', track.duration ? track.duration * 1000 : null, '      '),
+      element('image', track.image, '      '),
+      element('info', track.info, '      '),
+      '    </track>',
+    );
+  }
+
+  lines.push('  </trackList>', '</playlist>');
+  return `${lines.filter(Boolean).join('\n')}\n`;
+}
+
+function toJspf(playlist, tracks) {
+  const compact = (object) => Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== ''),
+  );
+
+  const json = {
+    playlist: compact({
+      title: playlist.title,
+      creator: playlist.author,
+      info: playlist.info,
+      image: playlist.image,
+      track: tracks.map((track) => compact({
+        location: [track.location],
+        identifier: [track.info],
+        title: track.title,
+        creator: track.artists.join(', '),
+        album: track.album,
+        duration: track.duration ? track.duration * 1000 : null,
+        image: track.image,
+        info: track.info,
+      })),
+    }),
+  };
+  return `${JSON.stringify(json, null, 2)}\n`;
+}
+
+// ─── CSV ────────────────────────────────────────────
+
+const CSV_COLUMNS = ['Title', 'Artists', 'Album', 'Duration', 'Video ID', 'URL'];
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(playlist, tracks) {
+  const rows = [CSV_COLUMNS];
+  for (const track of tracks) {
+    rows.push([track.title, track.artists.join(', '), track.album, track.duration, track.videoId, track.location]);
+  }
+  return `${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+const PLAYLIST_FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8', serialize: toM3u8 },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf', serialize: toXspf },
+  jspf: { contentType: 'application/jspf+json; charset=utf-8', extension: 'jspf', serialize: toJspf },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', serialize: toCsv },
+};
+
+module.exports = { PLAYLIST_FORMATS, parseDurationText, toM3u8, toXspf, toJspf, toCsv };
@@ -0,0 +1,377 @@
+/**
+ * playlistImport.js
+ *
+ * Parses playlist files for POST /api/youtube/playlist/import into a title
+ * and a list of entries:
+ *
+ *   { title, artists: string[], album, duration (seconds|null), videoId (when the file links to YouTube) }
+ *
+ * Supported formats: M3U/M3U8 (extended or plain file lists), XSPF, JSPF,
+ * CSV (our own export, Exportify and most spreadsheet exports) and Spotify
+ * JSON (Web API playlist objects and the "Playlist1.json" account data export).
+ */
+
+const { parseDurationText } = require('./playlistFormat');
+
+const IMPORT_FORMATS = ['m3u', 'm3u8', 'xspf', 'jspf', 'csv', 'spotify'];
+
+class PlaylistParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlaylistParseError';
+    this.status = 400;
+  }
+}
+
+// ─── Helpers ────────────────────────────────────────
+
+/**
+ * Video ID from a YouTube / YouTube Music URL, or null.
+ */
+function youtubeVideoId(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(String(value).trim());
+    const host = url.hostname.replace(/^(www|m|music)\./, '');
+    if (host === 'youtu.be') return url.pathname.slice(1) || null;
+    if (host === 'youtube.com') return url.searchParams.get('v');
+  } catch {
+    // Not a URL (local file path)
+  }
+  return null;
+}
+
+/**
+ * "Artist - Title" (file names, EXTINF titles) → { artists, title }.
+ */
+function splitLabel(label) {
+  const match = label.match(/^(.+?) [-–] (.+)$/);
+  return match
+    ? { artists: splitArtists(match[1]), title: match[2].trim() }
+    : { artists: [], title: label.trim() };
+}
+
+function splitArtists(value) {
+  if (!value) return [];
+  return String(value).split(/\s*[,;]\s*/).map((name) => name.trim()).filter(Boolean);
+}
+
+function entry(fields) {
+  return {
+    title: fields.title || null,
+    artists: fields.artists || [],
+    album: fields.album || null,
+    duration: fields.duration > 0 ? Math.round(fields.duration) : null,
+    videoId: fields.videoId || null,
+  };
+}
+
+// ─── M3U ────────────────────────────────────────────
+
+/**
+ * Song label from a file location: the file name without its extension,
+ * URL-decoded when it is a valid escape ("100% Pure Love.mp3" is kept as is).
+ */
+function fileLabel(location) {
+  const name = location.split(/[\\/]/).pop().replace(/\.[a-z0-9]{2,4}$/i, '');
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+}
+
+function parseM3u(content) {
+  let title = null;
+  let info = null;
+  let album = null;
+  const entries = [];
+
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#')) {
+      const [, tag, value = ''] = line.match(/^#([A-Z0-9-]+):?(.*)$/i) || [];
+      if (tag === 'PLAYLIST') title = value.trim();
+      else if (tag === 'EXTALB') album = value.trim();
+      else if (tag === 'EXTINF') {
+        const [, duration, label] = value.match(/^(-?[\d.]+)[^,]*,(.*)$/) || [];
+        info = { duration: parseFloat(duration), ...splitLabel(label || '') };
+      }
+      continue;
+    }
+
+    // A location line closes the entry
+    const videoId = youtubeVideoId(line);
+    const fileName = fileLabel(line);
+    const fields = info?.title ? info : { ...splitLabel(fileName), duration: info?.duration };
+    entries.push(entry({ ...fields, album, videoId }));
+    info = null;
+    album = null;
+  }
+
+  return { title, entries };
+}
+
+// ─── XSPF / JSPF ────────────────────────────────────
+
+function unescapeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function xmlElements(xml, name) {
+  const pattern = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'g');
+  return [...xml.matchAll(pattern)].map((match) => unescapeXml(match[1]));
+}
+
+function parseXspf(content) {
+  const trackList = content.match(/<trackList>([\s\S]*?)<\/trackList>/)?.[1];
+  if (trackList === undefined) throw new PlaylistParseError('Not an XSPF playlist: <trackList> is missing');
+
+  // The playlist title is the first <title> outside the track list
+  const header = content.replace(trackList, '');
+  const title = xmlElements(header, 'title')[0] || null;
+
+  const entries = [...trackList.matchAll(/<track>([\s\S]*?)<\/track>/g)].map(([, track]) => {
+    const one = (name) => xmlElements(track, name)[0] || null;
+    const links = [...xmlElements(track, 'location'), ...xmlElements(track, 'identifier'), ...xmlElements(track, 'info')];
+    return entry({
+      title: one('title'),
+      artists: splitArtists(one('creator')),
+      album: one('album'),
+      duration: parseInt(one('duration'), 10) / 1000,
+      videoId: links.map(youtubeVideoId).find(Boolean),
+    });
+  });
+
+  return { title, entries };
+}
+
+function parseJspf(json) {
+  const playlist = json.playlist;
+  if (!Array.isArray(playlist?.track)) throw new PlaylistParseError('Not a JSPF playlist: "playlist.track" is missing');
+
+  const list = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+  const entries = playlist.track.map((track) => entry({
+    title: track.title,
+    artists: splitArtists(track.creator),
+    album: track.album,
+    duration: track.duration / 1000,
+    videoId: [...list(track.location), ...list(track.identifier), ...list(track.info)].map(youtubeVideoId).find(Boolean),
+  }));
+
+  return { title: playlist.title || null, entries };
+}
+
+// ─── CSV ────────────────────────────────────────────
+
+/**
+ * RFC 4180 CSV → array of rows. Also accepts ";" as separator and LF line ends.
+ */
+function parseCsvRows(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// Header names (lowercase) recognised for each field
+const CSV_HEADERS = {
+  title: ['title', 'track name', 'track', 'name', 'song', 'song name', 'track title'],
+  artists: ['artists', 'artist', 'artist name(s)', 'artist name', 'artist names', 'creator'],
+  album: ['album', 'album name', 'album title'],
+  duration: ['duration', 'length', 'time', 'duration (ms)', 'duration_ms', 'track duration (ms)'],
+  videoId: ['video id', 'videoid', 'video_id'],
+  url: ['url', 'link', 'location', 'youtube url', 'track url'],
+};
+
+function parseCsv(content) {
+  const [header, ...rows] = parseCsvRows(content);
+  if (!header) throw new PlaylistParseError('The CSV file is empty');
+
+  const names = header.map((name) => name.trim().toLowerCase());
+  const column = Object.fromEntries(Object.entries(CSV_HEADERS).map(([field, aliases]) => (
+    [field, names.findIndex((name) => aliases.includes(name))]
+  )));
+  if (column.title < 0) {
+    throw new PlaylistParseError(`The CSV file needs a title column (one of: ${CSV_HEADERS.title.join(', ')})`);
+  }
+  const durationInMs = column.duration >= 0 && names[column.duration].includes('ms');
+
+  const entries = rows.map((cells) => {
+    const cell = (field) => (column[field] >= 0 ? cells[column[field]]?.trim() || null : null);
+    const rawDuration = cell('duration');
+    const duration = rawDuration?.includes(':')
+      ? parseDurationText(rawDuration)
+      : parseFloat(rawDuration) / (durationInMs ? 1000 : 1);
+
+    return entry({
+      title: cell('title'),
+      artists: splitArtists(cell('artists')),
+      album: cell('album'),
+      duration,
+      videoId: cell('videoId') || youtubeVideoId(cell('url')),
+    });
+  });
+
+  return { title: null, entries };
+}
+
+// ─── Spotify ────────────────────────────────────────
+
+/**
+ * Spotify Web API playlist ({ name, tracks: { items: [{ track }] } }) or the
+ * account data export ({ playlists: [{ name, items: [{ track: { trackName, ... } }] }] }).
+ * The data export holds every playlist of the account; `playlistName`
+ * picks one (default: the first).
+ */
+function parseSpotify(json, { playlistName = null } = {}) {
+  if (Array.isArray(json.playlists)) {
+    const playlist = playlistName
+      ? json.playlists.find((p) => p.name?.toLowerCase() === playlistName.toLowerCase())
+      : json.playlists[0];
+    if (!playlist) {
+      throw new PlaylistParseError(playlistName
+        ? `No playlist named "${playlistName}" in the Spotify export`
+        : 'The Spotify export has no playlists');
+    }
+
+    const entries = (playlist.items || [])
+      .filter((item) => item.track)
+      .map(({ track }) => entry({ title: track.trackName, artists: splitArtists(track.artistName), album: track.albumName }));
+    return { title: playlist.name || null, entries };
+  }
+
+  const items = json.tracks?.items || json.items;
+  if (!Array.isArray(items)) {
+    throw new PlaylistParseError('Not a Spotify playlist: expected "playlists" or "tracks.items"');
+  }
+
+  const entries = items
+    .map((item) => item.track || item)
+    .filter((track) => track?.name)
+    .map((track) => entry({
+      title: track.name,
+      artists: (track.artists || []).map((artist) => artist.name).filter(Boolean),
+      album: track.album?.name,
+      duration: track.duration_ms / 1000,
+    }));
+  return { title: json.name || null, entries };
+}
+
+// ─── Entry Point ────────────────────────────────────
+
+/**
+ * Guess the format of an uploaded playlist from its content.
+ */
+function detectFormat(content) {
+  if (typeof content === 'object') {
+    return content.playlist?.track ? 'jspf' : 'spotify';
+  }
+
+  const start = content.replace(/^\uFEFF/, '').trimStart();
+  if (start.startsWith('{')) {
+    return /"playlist"\s*:\s*{/.test(start) && /"track"\s*:/.test(start) ? 'jspf' : 'spotify';
+  }
+  if (start.startsWith('<')) return 'xspf';
+  if (start.startsWith('#EXTM3U')) return 'm3u8';
+
+  // CSV: the first line has a separator and a known title column
+  const firstLine = start.split(/\r?\n/, 1)[0].toLowerCase();
+  if (/[,;]/.test(firstLine) && firstLine.split(/[,;]/).some((name) => CSV_HEADERS.title.includes(name.replace(/"/g, '').trim()))) {
+    return 'csv';
+  }
+  return 'm3u';
+}
+
+/**
+ * @param {string|object} content - File content (already-parsed JSON is accepted for JSPF/Spotify)
+ * @param {object} [options]
+ * @param {string} [options.format]        - One of IMPORT_FORMATS (default: detected)
+ * @param {string} [options.playlistName]  - Spotify data export: which playlist to import
+ * @returns {{ format: string, title: string|null, entries: object[] }}
+ * @throws {PlaylistParseError}
+ */
+function parsePlaylistFile(content, { format = null, playlistName = null } = {}) {
+  const type = format || detectFormat(content);
+
+  let json = content;
+  if ((type === 'jspf' || type === 'spotify') && typeof content === 'string') {
+    try {
+      json = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (err) {
+      throw new PlaylistParseError(`Invalid JSON: ${err.message}`);
+    }
+  }
+  if (type !== 'jspf' && type !== 'spotify' && typeof content !== 'string') {
+    throw new PlaylistParseError(`A ${type} playlist must be sent as text`);
+  }
+
+  let parsed;
+  if (type === 'm3u' || type === 'm3u8') parsed = parseM3u(content);
+  else if (type === 'xspf') parsed = parseXspf(content);
+  else if (type === 'jspf') parsed = parseJspf(json);
+  else if (type === 'csv') parsed = parseCsv(content);
+  else parsed = parseSpotify(json, { playlistName });
+
+  const entries = parsed.entries.filter((e) => e.title || e.videoId);
+  if (!entries.length) throw new PlaylistParseError('The playlist has no tracks');
+
+  return { format: type, title: parsed.title, entries };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  PlaylistParseError,
+  parsePlaylistFile,
+  detectFormat,
+  parseCsvRows,
+  youtubeVideoId,
+};
@@ -0,0 +1,191 @@
+/**
+ * proxyGuard.js
+ *
+ * SSRF protection for the stream proxy. Every URL the server fetches on behalf
+ * of a client — and every redirect hop — must:
+ *   1. use http(s),
+ *   2. have a hostname matching the allowlist (e.g. "*.googlevideo.com"),
+ *   3. resolve only to public IP addresses (checked at connect time, so a
+ *      DNS answer can't change between the check and the request).
+ *
+ * Usage:
+ *   const guard = createProxyGuard();                 // STREAM_PROXY_ALLOWED_HOSTS
+ *   const response = await guard.request(url, { headers, responseType: 'stream' });
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+
+const DEFAULT_ALLOWED_HOSTS = ['*.googlevideo.com'];
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error thrown when a proxy target is rejected. Carries an HTTP status and a
+ * machine-readable code for the structured 403 response.
+ */
+class ProxyBlockedError extends Error {
+  constructor(message, code, host) {
+    super(message);
+    this.name = 'ProxyBlockedError';
+    this.status = 403;
+    this.code = code;
+    this.host = host || null;
+  }
+}
+
+/**
+ * Parse a comma-separated host pattern list ("*.googlevideo.com, example.com").
+ */
+function parseHostPatterns(value) {
+  if (!value) return null;
+  return value.split(',').map((p) => p.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * "*.example.com" matches any subdomain of example.com (not example.com itself);
+ * any other pattern must match the hostname exactly.
+ */
+function hostMatches(hostname, pattern) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.slice(1)) && host.length > pattern.length - 1;
+  }
+  return host === pattern;
+}
+
+/**
+ * True for loopback, private, link-local and other non-public addresses.
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4.
+ */
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * @param {object} [options]
+ * @param {string[]} [options.allowedHosts]  - Host patterns (default: STREAM_PROXY_ALLOWED_HOSTS or *.googlevideo.com)
+ * @param {boolean}  [options.allowPrivate]  - Skip the private-address check (tests only)
+ * @param {number}   [options.maxRedirects]  - Redirect hops to follow (default: 5)
+ * @param {Function} [options.lookup]        - dns.lookup-compatible resolver
+ */
+function createProxyGuard(options = {}) {
+  const {
+    allowedHosts = parseHostPatterns(process.env.STREAM_PROXY_ALLOWED_HOSTS) || DEFAULT_ALLOWED_HOSTS,
+    allowPrivate = false,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    lookup = dns.lookup,
+  } = options;
+
+  /**
+   * Validate protocol and hostname of a URL. Returns the parsed URL.
+   */
+  function assertAllowedUrl(rawUrl) {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch {
+      throw new ProxyBlockedError('Proxy target is not a valid URL', 'PROXY_INVALID_URL');
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new ProxyBlockedError(`Protocol "${url.protocol}" is not allowed`, 'PROXY_PROTOCOL_NOT_ALLOWED', hostname);
+    }
+
+    if (!allowedHosts.some((pattern) => hostMatches(hostname, pattern))) {
+      throw new ProxyBlockedError(`Host "${hostname}" is not in the proxy allowlist`, 'PROXY_HOST_NOT_ALLOWED', hostname);
+    }
+
+    // IP literals never go through DNS lookup, so check them here
+    if (!allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      throw new ProxyBlockedError(`Host "${hostname}" is a private address`, 'PROXY_PRIVATE_ADDRESS', hostname);
+    }
+
+    return url;
+  }
+
+  /**
+   * dns.lookup replacement used for the actual connection: rejects hostnames
+   * that resolve to any private address.
+   */
+  function guardedLookup(hostname, lookupOptions, callback) {
+    lookup(hostname, { ...lookupOptions, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+
+      const list = Array.isArray(addresses) ? addresses : [{ address: addresses, family: net.isIP(addresses) }];
+      const blocked = allowPrivate ? null : list.find((entry) => isPrivateAddress(entry.address));
+      if (blocked) {
+        return callback(new ProxyBlockedError(
+          `Host "${hostname}" resolves to a private address`, 'PROXY_PRIVATE_ADDRESS', hostname
+        ));
+      }
+
+      if (lookupOptions.all) return callback(null, list);
+      callback(null, list[0].address, list[0].family);
+    });
+  }
+
+  /**
+   * GET a URL, following redirects manually so each hop is validated.
+   * Accepts the usual axios config (headers, responseType, timeout, ...).
+   */
+  async function request(rawUrl, config = {}) {
+    let currentUrl = rawUrl;
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      assertAllowedUrl(currentUrl);
+
+      let response;
+      try {
+        response = await axios({
+          validateStatus: (status) => status >= 200 && status < 400,
+          ...config,
+          method: 'get',
+          url: currentUrl,
+          maxRedirects: 0,
+          lookup: guardedLookup,
+        });
+      } catch (err) {
+        // Surface lookup rejections as-is instead of a generic network error
+        if (err.cause instanceof ProxyBlockedError) throw err.cause;
+        throw err;
+      }
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) return response;
+
+      if (typeof response.data?.destroy === 'function') response.data.destroy();
+      currentUrl = new URL(location, currentUrl).toString();
+    }
+
+    throw new Error(`Too many redirects (max ${maxRedirects})`);
+  }
+
+  return { allowedHosts, assertAllowedUrl, request };
+}
+
+module.exports = {
+  createProxyGuard,
+  ProxyBlockedError,
+  hostMatches,
+  isPrivateAddress,
+};
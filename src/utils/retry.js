@@ -0,0 +1,46 @@
+/**
+ * retry.js
+ *
+ * Exponential backoff shared by the InnerTube client and the job queue:
+ * up to `maxAttempts` tries, waiting `initialDelay` ms after the first
+ * failure and doubling the wait after each further one.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_INITIAL_DELAY = 500;
+
+/**
+ * Delay before the retry that follows failed attempt number `attempt` (1-based).
+ */
+function retryDelay(attempt, initialDelay = DEFAULT_INITIAL_DELAY) {
+  return initialDelay * 2 ** (attempt - 1);
+}
+
+/**
+ * Run `fn` until it succeeds or `maxAttempts` is reached; the last error is rethrown.
+ * Errors with `retryable === false` and an aborted `signal` stop immediately.
+ *
+ * @param {Function} fn
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts=3]
+ * @param {number} [options.initialDelay=500] - ms
+ * @param {AbortSignal} [options.signal]
+ */
+async function withRetry(fn, options = {}) {
+  const {
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    initialDelay = DEFAULT_INITIAL_DELAY,
+    signal = null,
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= maxAttempts || err.retryable === false || signal?.aborted) throw err;
+      await new Promise((r) => setTimeout(r, retryDelay(attempt, initialDelay)));
+    }
+  }
+}
+
+module.exports = { withRetry, retryDelay, DEFAULT_MAX_ATTEMPTS, DEFAULT_INITIAL_DELAY };
@@ -0,0 +1,83 @@
+/**
+ * signedUrl.js
+ *
+ * HMAC-signed, expiring URLs for the /api/stream routes.
+ * Browsers can't attach an Authorization header to <audio src>, so an
+ * authenticated client mints a URL that carries its own proof of access:
+ *
+ *   /api/stream/play?videoId=xxxx&exp=1760000000&kid=alice&sig=...
+ *
+ * The signature covers the route, the subject (videoId or proxied URL),
+ * the expiry (unix seconds) and the id of the API key that minted it.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL = parseInt(process.env.STREAM_URL_TTL, 10) || 6 * 3600;
+const MAX_TTL = 7 * 24 * 3600;
+
+// Without a configured secret, signed URLs only survive until the next restart
+// (server.js warns about it at startup)
+const secret = process.env.STREAM_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+function computeSignature(route, subject, exp, kid) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${route}\n${subject}\n${exp}\n${kid}`)
+    .digest('base64url');
+}
+
+/**
+ * Build the signature query parameters for a stream route.
+ *
+ * @param {string} route    - Route name ("play", "proxy", ...)
+ * @param {string} subject  - videoId or proxied URL the signature is bound to
+ * @param {string} kid      - Id of the API key minting the URL
+ * @param {number} [ttl]    - Lifetime in seconds (default: STREAM_URL_TTL or 6h)
+ * @returns {{ exp: number, kid: string, sig: string }}
+ */
+function signStreamParams(route, subject, kid, ttl = DEFAULT_TTL) {
+  const lifetime = Math.min(Math.max(parseInt(ttl, 10) || DEFAULT_TTL, 1), MAX_TTL);
+  const exp = Math.floor(Date.now() / 1000) + lifetime;
+  return { exp, kid, sig: computeSignature(route, subject, exp, kid) };
+}
+
+/**
+ * Build a relative signed URL, e.g. signedStreamUrl('play', { videoId }, 'videoId', kid).
+ *
+ * @param {string} route       - Route name, also the path under /api/stream
+ * @param {object} query       - Query parameters of the URL
+ * @param {string} subjectKey  - Which query parameter the signature is bound to
+ * @param {string} kid         - Id of the API key minting the URL
+ * @param {number} [ttl]       - Lifetime in seconds
+ */
+function signedStreamUrl(route, query, subjectKey, kid, ttl) {
+  const params = signStreamParams(route, query[subjectKey], kid, ttl);
+  const search = new URLSearchParams({ ...query, ...params });
+  return { url: `/api/stream/${route}?${search}`, expiresAt: new Date(params.exp * 1000).toISOString() };
+}
+
+/**
+ * Check the exp/kid/sig parameters of a request.
+ *
+ * @returns {{ valid: true, kid: string } | { valid: false, status: number, error: string }}
+ */
+function verifyStreamParams(route, subject, { exp, kid, sig } = {}) {
+  if (!sig || !exp || !kid) {
+    return { valid: false, status: 401, error: 'Missing stream signature (exp, kid, sig)' };
+  }
+
+  const expected = Buffer.from(computeSignature(route, subject, exp, kid));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { valid: false, status: 403, error: 'Invalid stream signature' };
+  }
+
+  if (Number(exp) < Math.floor(Date.now() / 1000)) {
+    return { valid: false, status: 403, error: 'Signed stream URL has expired' };
+  }
+
+  return { valid: true, kid: String(kid) };
+}
+
+module.exports = { signStreamParams, signedStreamUrl, verifyStreamParams };
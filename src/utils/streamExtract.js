@@ -0,0 +1,121 @@
+/**
+ * streamExtract.js
+ *
+ * Stream URL extraction and upstream fetching, shared by the /api/stream
+ * routes and background jobs (jobs/downloadJob.js):
+ *
+ *   extractStream(videoId, preferences)  deciphered URL + format details,
+ *                                        cached until shortly before expiry
+ *   fetchUpstream(url, range)            audio response stream, fetched
+ *                                        through the proxy guard
+ *
+ * Extraction uses one youtubei.js Innertube session; resetInnertube()
+ * drops it after an error so the next extraction starts a fresh one.
+ */
+
+const { Innertube, UniversalCache, Platform } = require('youtubei.js');
+const { createProxyGuard } = require('./proxyGuard');
+const { StreamUrlCache, urlExpiry } = require('./streamUrlCache');
+const { chooseAudioFormat } = require('./audioFormat');
+
+// Only googlevideo hosts (STREAM_PROXY_ALLOWED_HOSTS) on public addresses can be fetched
+const proxyGuard = createProxyGuard();
+
+Platform.shim.eval = async (data, env) => {
+    const properties = [];
+    if (env.n) properties.push(`n: exportedVars.nFunction("${env.n}")`);
+    if (env.sig) properties.push(`sig: exportedVars.sigFunction("${env.sig}")`);
+    const code = `${data.output}\nreturn { ${properties.join(', ')} }`;
+    return new Function(code)();
+};
+
+
+// Lazy singleton for Innertube instance
+let _innertube = null;
+async function getInnertube() {
+  if (!_innertube) {
+    _innertube = await Innertube.create({
+      cache: new UniversalCache(false),
+      generate_session_locally: true,
+      cookie: process.env.YT_COOKIE || '',
+    });
+  }
+  return _innertube;
+}
+
+/**
+ * Drop the Innertube session so the next extraction creates a fresh one.
+ */
+function resetInnertube() {
+  _innertube = null;
+}
+
+
+// Deciphered stream URLs, kept until shortly before their "expire" timestamp
+const streamUrlCache = new StreamUrlCache();
+
+/**
+ * Extract the stream URL and format details for a video, reusing a cached
+ * URL while it is still valid (seeking issues many Range requests per track).
+ *
+ * @param {string} videoId
+ * @param {{ quality: string, codec: string|null }} [preferences]
+ * @returns {Promise<{ url, itag, mimeType, audioOnly, bitrate, audioQuality, duration, title, expiresAt, cached, cacheKey }>}
+ */
+async function extractStream(videoId, preferences = { quality: 'high', codec: null }) {
+  const cacheKey = `${videoId}:${preferences.quality}:${preferences.codec || 'any'}`;
+
+  const stream = await streamUrlCache.resolve(cacheKey, async () => {
+    const innertube = await getInnertube();
+    const { info, format } = await chooseAudioFormat(innertube, videoId, preferences);
+
+    const url = await format.decipher(innertube.session.player);
+
+    return {
+      url: url || null,
+      itag: format.itag,
+      mimeType: format.mime_type,
+      audioOnly: !format.has_video,
+      bitrate: format.bitrate,
+      audioQuality: format.audio_quality || 'N/A',
+      duration: info.basic_info?.duration || 0,
+      title: info.basic_info?.title || '',
+      expiresAt: urlExpiry(url) || info.streaming_data?.expires?.getTime() || null,
+    };
+  });
+
+  return { ...stream, cacheKey };
+}
+
+// Headers to mimic a YouTube web client request
+const UPSTREAM_HEADERS = {
+  'User-Agent':
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  accept: '*/*',
+  referer: 'https://www.youtube.com/',
+  origin: 'https://www.youtube.com',
+};
+
+/**
+ * Open an upstream media stream through the proxy guard,
+ * forwarding the client's Range header for seeking support.
+ */
+function fetchUpstream(streamUrl, range = null) {
+  const headers = { ...UPSTREAM_HEADERS };
+  if (range) {
+    headers['Range'] = range;
+  }
+
+  return proxyGuard.request(streamUrl, {
+    responseType: 'stream',
+    headers,
+    timeout: 0,
+  });
+}
+
+module.exports = {
+  streamUrlCache,
+  extractStream,
+  resetInnertube,
+  fetchUpstream,
+};
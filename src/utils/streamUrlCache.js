@@ -0,0 +1,93 @@
+/**
+ * streamUrlCache.js
+ *
+ * Caches deciphered stream URLs until shortly before they expire, so seeking
+ * through a track (one Range request per seek) costs a single extraction.
+ *
+ * Concurrent requests for the same key share one in-flight extraction.
+ *
+ * Usage:
+ *   const cache = new StreamUrlCache();
+ *   const entry = await cache.resolve(`${videoId}:itag18`, async () => ({
+ *     url, expiresAt, ...metadata,
+ *   }));
+ */
+
+// Re-extract this long before the googlevideo URL expires
+const DEFAULT_REFRESH_MARGIN = 2 * 60 * 1000;
+// Used when neither the URL nor the player response carries an expiry
+const DEFAULT_LIFETIME = 5 * 3600 * 1000;
+
+/**
+ * Expiry of a googlevideo URL from its "expire" query parameter (unix seconds).
+ *
+ * @returns {number|null} ms timestamp
+ */
+function urlExpiry(streamUrl) {
+  try {
+    const expire = parseInt(new URL(streamUrl).searchParams.get('expire'), 10);
+    return Number.isFinite(expire) ? expire * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+class StreamUrlCache {
+  constructor({ maxEntries = 1000, refreshMargin = DEFAULT_REFRESH_MARGIN } = {}) {
+    this.maxEntries = maxEntries;
+    this.refreshMargin = refreshMargin;
+    this.entries = new Map();  // key → entry (insertion order = LRU order)
+    this.pending = new Map();  // key → Promise<entry>
+  }
+
+  /**
+   * Return the cached entry for `key`, or run `extract` to produce one.
+   * `extract` resolves to an object with at least `url`; `expiresAt` (ms) is
+   * taken from it, else from the URL's "expire" parameter.
+   *
+   * @returns {Promise<object>} entry with a `cached` flag
+   */
+  async resolve(key, extract) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt - this.refreshMargin > Date.now()) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      return { ...entry, cached: true };
+    }
+
+    if (!this.pending.has(key)) {
+      const promise = Promise.resolve()
+        .then(extract)
+        .then((result) => {
+          const fresh = {
+            ...result,
+            expiresAt: result.expiresAt || urlExpiry(result.url) || Date.now() + DEFAULT_LIFETIME,
+          };
+          this._store(key, fresh);
+          return fresh;
+        })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, promise);
+    }
+
+    return { ...(await this.pending.get(key)), cached: false };
+  }
+
+  /**
+   * Forget an entry, e.g. when googlevideo rejected the URL before its expiry.
+   */
+  invalidate(key) {
+    this.entries.delete(key);
+  }
+
+  _store(key, entry) {
+    if (!entry.url) return; // failed decipher: retry on the next request
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = { StreamUrlCache, urlExpiry };
@@ -0,0 +1,260 @@
+/**
+ * tagging.js
+ *
+ * Builds tagged audio files: gathers track metadata from YouTube Music
+ * (player/next, album and lyrics), fetches the album cover and runs ffmpeg
+ * to encode the audio with the tags and cover art embedded.
+ *
+ * Usage:
+ *   const metadata = await fetchTrackMetadata(yt, videoId);
+ *   const cover = await fetchCoverArt(metadata.coverUrl);
+ *   const ffmpeg = writeTaggedFile(audioStream, outputPath, { format: 'mp3', metadata, cover });
+ *   await ffmpeg.done;
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createProxyGuard } = require('./proxyGuard');
+const { transcodeArgs, spawnFfmpeg } = require('./ffmpeg');
+
+// Formats whose containers can carry tags (raw ADTS aac cannot)
+const DOWNLOAD_FORMATS = ['mp3', 'm4a', 'opus', 'ogg', 'flac'];
+
+// Formats that take cover art as an attached picture stream; Ogg gets a
+// METADATA_BLOCK_PICTURE comment instead
+const PICTURE_STREAM_FORMATS = ['mp3', 'm4a', 'flac'];
+
+// Cover art only comes from YouTube image hosts
+const coverGuard = createProxyGuard({
+  allowedHosts: ['*.googleusercontent.com', '*.ytimg.com', '*.ggpht.com'],
+});
+
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+
+// ─── Metadata ───────────────────────────────────────
+
+/**
+ * Collect tag metadata for a video. Only the player request is required;
+ * album, track number and lyrics are best-effort and left null when missing.
+ *
+ * @param {YouTube} yt
+ * @param {string} videoId
+ * @param {object} [options]
+ * @param {object|false} [options.album] - Already-fetched album page ({ album, songs }) to skip the album request, or false for no album lookup
+ * @param {boolean} [options.lyrics=true]
+ */
+async function fetchTrackMetadata(yt, videoId, options = {}) {
+  const { lyrics: withLyrics = true } = options;
+
+  const [player, next] = await Promise.all([
+    yt.player(videoId),
+    yt.next(videoId).catch(() => null),
+  ]);
+
+  const details = player?.videoDetails;
+  if (!details) throw new Error('Video not found');
+
+  const track = next?.items?.find((item) => item.id === videoId)
+    || next?.items?.[next.currentIndex]
+    || null;
+
+  const metadata = {
+    videoId,
+    title: track?.title || details.title,
+    artists: track?.artists?.map((a) => a.name).filter(Boolean) || [],
+    album: track?.album?.name || null,
+    albumArtists: [],
+    year: null,
+    trackNumber: null,
+    trackCount: null,
+    duration: parseInt(details.lengthSeconds, 10) || null,
+    coverUrl: track?.thumbnail || details.thumbnail?.url || null,
+    lyrics: null,
+  };
+
+  if (!metadata.artists.length && details.author) {
+    metadata.artists = [details.author.replace(/ - Topic$/, '')];
+  }
+
+  const albumId = track?.album?.id;
+  const albumPage = options.album === false ? null : options.album
+    || (albumId ? await yt.album(albumId).catch(() => null) : null);
+
+  if (albumPage?.album) {
+    const { album, songs = [] } = albumPage;
+    metadata.album = album.title || metadata.album;
+    metadata.albumArtists = album.artists?.map((a) => a.name).filter(Boolean) || [];
+    metadata.year = album.year || null;
+    metadata.coverUrl = album.thumbnail || metadata.coverUrl;
+
+    const index = songs.findIndex((song) => song.id === videoId);
+    if (index >= 0) {
+      metadata.trackNumber = index + 1;
+      metadata.trackCount = songs.length;
+    }
+  }
+
+  if (withLyrics && next?.lyricsEndpoint?.browseId) {
+    const { browseId, params } = next.lyricsEndpoint;
+    metadata.lyrics = await yt.lyrics(browseId, params || null).catch(() => null);
+  }
+
+  return metadata;
+}
+
+/**
+ * Download cover art. Returns null when there is no URL or the fetch fails,
+ * so a missing cover never fails the download.
+ *
+ * @returns {Promise<{ data: Buffer, mimeType: string }|null>}
+ */
+async function fetchCoverArt(url) {
+  if (!url) return null;
+
+  try {
+    const response = await coverGuard.request(url, {
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_COVER_BYTES,
+      timeout: 15000,
+    });
+    const mimeType = (response.headers['content-type'] || 'image/jpeg').split(';')[0].trim();
+    if (!mimeType.startsWith('image/')) return null;
+    return { data: Buffer.from(response.data), mimeType };
+  } catch (err) {
+    console.warn(`[COVER_ART] Could not fetch cover art: ${err.message}`);
+    return null;
+  }
+}
+
+// ─── ffmpeg Arguments ───────────────────────────────
+
+/**
+ * Tag arguments for ffmpeg. ffmpeg maps these generic keys to ID3v2 frames,
+ * MP4 atoms or Vorbis comments depending on the output format.
+ */
+function metadataArgs(metadata) {
+  const tags = {
+    title: metadata.title,
+    artist: metadata.artists?.join(', '),
+    album_artist: metadata.albumArtists?.join(', '),
+    album: metadata.album,
+    date: metadata.year,
+    track: metadata.trackNumber
+      ? (metadata.trackCount ? `${metadata.trackNumber}/${metadata.trackCount}` : metadata.trackNumber)
+      : null,
+    lyrics: metadata.lyrics,
+    comment: `https://music.youtube.com/watch?v=${metadata.videoId}`,
+  };
+
+  return Object.entries(tags)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+}
+
+/**
+ * FLAC METADATA_BLOCK_PICTURE (front cover), base64-encoded as Ogg
+ * containers expect it in a Vorbis comment.
+ */
+function pictureBlock(cover) {
+  const mime = Buffer.from(cover.mimeType);
+  const header = Buffer.alloc(32 + mime.length);
+  let offset = 0;
+  header.writeUInt32BE(3, offset); offset += 4; // picture type: front cover
+  header.writeUInt32BE(mime.length, offset); offset += 4;
+  mime.copy(header, offset); offset += mime.length;
+  header.writeUInt32BE(0, offset); offset += 4; // description length
+  // width, height, colour depth, palette size: unknown (0)
+  offset += 16;
+  header.writeUInt32BE(cover.data.length, offset);
+  return Buffer.concat([header, cover.data]).toString('base64');
+}
+
+/**
+ * Full ffmpeg argument list for a tagged file. Audio arrives on stdin;
+ * the cover (if any) is read from `coverPath`.
+ */
+function taggedFileArgs({ format, bitrate, metadata, coverPath, cover, outputPath }) {
+  const embedStream = coverPath && PICTURE_STREAM_FORMATS.includes(format);
+  const args = ['-i', 'pipe:0'];
+
+  if (embedStream) {
+    args.push('-i', coverPath, '-map', '0:a', '-map', '1:v', '-c:v', 'mjpeg', '-disposition:v', 'attached_pic');
+    if (format === 'mp3') {
+      args.push('-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+    }
+  } else {
+    args.push('-map', '0:a');
+  }
+
+  args.push(...transcodeArgs(format, bitrate, { file: true }), ...metadataArgs(metadata));
+
+  if (format === 'mp3') args.push('-id3v2_version', '3');
+  if (cover && !PICTURE_STREAM_FORMATS.includes(format)) {
+    args.push('-metadata', `METADATA_BLOCK_PICTURE=${pictureBlock(cover)}`);
+  }
+
+  args.push('-y', outputPath);
+  return args;
+}
+
+// ─── Writing ────────────────────────────────────────
+
+/**
+ * Encode `input` (a readable audio stream) into a tagged file at `outputPath`.
+ *
+ * Returns the ffmpeg child process with a `done` promise that resolves when
+ * the file is complete and rejects if ffmpeg fails or is killed.
+ */
+function writeTaggedFile(input, outputPath, { format, bitrate, metadata, cover = null }) {
+  let coverPath = null;
+  if (cover && PICTURE_STREAM_FORMATS.includes(format)) {
+    coverPath = path.join(path.dirname(outputPath), `${path.basename(outputPath)}.cover`);
+    fs.writeFileSync(coverPath, cover.data);
+  }
+
+  const ffmpeg = spawnFfmpeg(taggedFileArgs({ format, bitrate, metadata, coverPath, cover, outputPath }));
+
+  ffmpeg.done = new Promise((resolve, reject) => {
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code, signal) => {
+      if (coverPath) fs.rm(coverPath, { force: true }, () => {});
+      if (code === 0) return resolve(outputPath);
+      const reason = ffmpeg.stderrText.trim() || (signal ? `killed by ${signal}` : `exit code ${code}`);
+      reject(new Error(`ffmpeg failed: ${reason}`));
+    });
+  });
+
+  input.on('error', (err) => {
+    console.error('[TAGGING_STREAM_ERROR]', err.message);
+    ffmpeg.kill('SIGKILL');
+  });
+  input.pipe(ffmpeg.stdin);
+
+  return ffmpeg;
+}
+
+/**
+ * "Artist - Title.ext" with characters that are invalid in file names removed.
+ */
+function downloadFilename(metadata, extension) {
+  const clean = (value) => String(value || '')
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const artist = clean(metadata.artists?.[0]);
+  const title = clean(metadata.title) || metadata.videoId;
+  const base = (artist ? `${artist} - ${title}` : title).slice(0, 180).replace(/[. ]+$/, '');
+
+  return `${base || metadata.videoId}.${extension}`;
+}
+
+module.exports = {
+  DOWNLOAD_FORMATS,
+  fetchTrackMetadata,
+  fetchCoverArt,
+  metadataArgs,
+  taggedFileArgs,
+  writeTaggedFile,
+  downloadFilename,
+};
@@ -0,0 +1,104 @@
+/**
+ * Track Matching
+ *
+ * Confidence score (0–1) that a candidate (external lyrics, a search result
+ * for an imported playlist row) is the wanted track, from title, artist and
+ * duration:
+ *
+ *   title     0.5   token overlap after normalization
+ *   artist    0.3   best overlap between any two artist names
+ *   duration  0.2   1 within 2 s, falling to 0 at 15 s apart
+ *
+ * A field missing on either side is left out and the weights of the others
+ * are scaled up.
+ */
+
+const WEIGHTS = { title: 0.5, artist: 0.3, duration: 0.2 };
+
+const DURATION_EXACT = 2;
+const DURATION_MAX = 15;
+
+/**
+ * Lowercase, strip accents, bracketed suffixes ("(feat. X)", "[Remastered]")
+ * and " - Remastered 2011" style tails, and split into word tokens.
+ */
+function tokens(value) {
+  if (!value) return [];
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s[-–]\s.*(remaster|version|edit|live|mix|mono|stereo).*$/, '')
+    .replace(/[([{].*?[)\]}]/g, ' ')
+    .replace(/\b(feat|ft|featuring)\b.*$/, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Dice coefficient over word tokens.
+ */
+function similarity(a, b) {
+  const left = tokens(a);
+  const right = tokens(b);
+  if (!left.length || !right.length) return null;
+
+  const pool = [...right];
+  let shared = 0;
+  for (const token of left) {
+    const index = pool.indexOf(token);
+    if (index >= 0) {
+      shared++;
+      pool.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (left.length + right.length);
+}
+
+function artistSimilarity(wanted = [], found = []) {
+  // Providers often return "A, B & C" as one name; compare every pair
+  const split = (names) => names.flatMap((name) => name.split(/\s*(?:,|&|\bx\b|\band\b|\by\b)\s*/i)).filter(Boolean);
+  const left = split(wanted);
+  const right = split(found);
+  if (!left.length || !right.length) return null;
+
+  let best = 0;
+  for (const a of left) {
+    for (const b of right) best = Math.max(best, similarity(a, b) ?? 0);
+  }
+  return best;
+}
+
+function durationSimilarity(wanted, found) {
+  if (!wanted || !found) return null;
+  const delta = Math.abs(wanted - found);
+  if (delta <= DURATION_EXACT) return 1;
+  return Math.max(0, 1 - (delta - DURATION_EXACT) / (DURATION_MAX - DURATION_EXACT));
+}
+
+/**
+ * @param {{ title, artists: string[], duration }} track        - What we are looking for (duration in seconds)
+ * @param {{ title, artists: string[], duration }} candidate    - What the provider returned
+ * @returns {number} 0–1, rounded to two decimals
+ */
+function scoreMatch(track, candidate) {
+  const scores = {
+    title: similarity(track.title, candidate.title),
+    artist: artistSimilarity(track.artists, candidate.artists),
+    duration: durationSimilarity(track.duration, candidate.duration),
+  };
+
+  let total = 0;
+  let weight = 0;
+  for (const [field, score] of Object.entries(scores)) {
+    if (score === null) continue;
+    total += score * WEIGHTS[field];
+    weight += WEIGHTS[field];
+  }
+
+  // Without a title to compare there is nothing to go on
+  if (scores.title === null || !weight) return 0;
+  return Math.round((total / weight) * 100) / 100;
+}
+
+module.exports = { scoreMatch, similarity, tokens };
@@ -0,0 +1,161 @@
+/**
+ * zip.js
+ *
+ * Minimal streaming ZIP writer. Entries are stored without compression —
+ * audio files are already compressed, so deflating them only costs CPU.
+ *
+ * Usage:
+ *   const zip = new ZipWriter('/tmp/album.zip');
+ *   await zip.addFile('01 - Song.mp3', '/tmp/work/01.mp3');
+ *   await zip.addBuffer('album.m3u8', Buffer.from(playlist));
+ *   await zip.finish();
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+// Without ZIP64 records, sizes and offsets must fit in 32 bits
+const MAX_ZIP_SIZE = 0xffffffff;
+
+// General purpose flag bit 11: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+class ZipWriter {
+  constructor(outputPath) {
+    this.output = fs.createWriteStream(outputPath);
+    this.entries = [];
+    this.offset = 0;
+  }
+
+  async _write(buffer) {
+    if (!this.output.write(buffer)) await once(this.output, 'drain');
+    this.offset += buffer.length;
+  }
+
+  _localHeader(name, crc, size, date) {
+    const { time, day } = dosDateTime(date);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);           // version needed
+    header.writeUInt16LE(FLAG_UTF8, 6);
+    header.writeUInt16LE(0, 8);            // method: stored
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(size, 18);        // compressed size
+    header.writeUInt32LE(size, 22);        // uncompressed size
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);           // extra field length
+    return Buffer.concat([header, name]);
+  }
+
+  _centralHeader({ name, crc, size, date, offset }) {
+    const { time, day } = dosDateTime(date);
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);           // version made by
+    header.writeUInt16LE(20, 6);           // version needed
+    header.writeUInt16LE(FLAG_UTF8, 8);
+    header.writeUInt16LE(0, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(day, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(size, 20);
+    header.writeUInt32LE(size, 24);
+    header.writeUInt16LE(name.length, 28);
+    // extra, comment, disk number, internal/external attributes: 0
+    header.writeUInt32LE(offset, 42);
+    return Buffer.concat([header, name]);
+  }
+
+  _checkSize(size) {
+    if (this.offset + size > MAX_ZIP_SIZE) {
+      throw new Error('ZIP archive would exceed 4 GB');
+    }
+  }
+
+  /**
+   * Add an in-memory entry.
+   */
+  async addBuffer(entryName, data, date = new Date()) {
+    const name = Buffer.from(entryName);
+    this._checkSize(data.length);
+
+    const entry = { name, crc: crc32(data), size: data.length, date, offset: this.offset };
+    await this._write(this._localHeader(name, entry.crc, entry.size, date));
+    await this._write(data);
+    this.entries.push(entry);
+  }
+
+  /**
+   * Add a file from disk. The file is read twice (CRC first, then contents)
+   * so it never has to be held in memory.
+   */
+  async addFile(entryName, filePath) {
+    const name = Buffer.from(entryName);
+    const { size, mtime } = await fs.promises.stat(filePath);
+    this._checkSize(size);
+
+    let crc = 0;
+    for await (const chunk of fs.createReadStream(filePath)) {
+      crc = crc32(chunk, crc);
+    }
+
+    const entry = { name, crc, size, date: mtime, offset: this.offset };
+    await this._write(this._localHeader(name, crc, size, mtime));
+    for await (const chunk of fs.createReadStream(filePath)) {
+      await this._write(chunk);
+    }
+    this.entries.push(entry);
+  }
+
+  /**
+   * Write the central directory and close the file.
+   */
+  async finish() {
+    const centralOffset = this.offset;
+    for (const entry of this.entries) {
+      await this._write(this._centralHeader(entry));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - centralOffset, 12);
+    end.writeUInt32LE(centralOffset, 16);
+    await this._write(end);
+
+    this.output.end();
+    await once(this.output, 'close');
+  }
+
+  /**
+   * Abort and close the output (the partial file is left for the caller to remove).
+   */
+  destroy() {
+    this.output.destroy();
+  }
+}
+
+module.exports = { ZipWriter, crc32 };
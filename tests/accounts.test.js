@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getYouTube, getSharedYouTube, forgetYouTube } from '../src/innertube/accounts.js';
+import { KeyStore, DEFAULT_KEY_ID, SCOPES } from '../src/stores/keyStore.js';
+
+describe('Key Store', () => {
+  let dir;
+  let store;
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+    store = new KeyStore(path.join(dir, 'keys.json'));
+    delete process.env.BEARER_TOKEN;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('debería guardar cada clave con su propia cuenta y encontrarla por token', () => {
+    const alice = store.create({ id: 'alice', cookie: 'SAPISID=a', visitorData: 'va', dataSyncId: 'da' });
+    const bob = store.create({ id: 'bob', scopes: ['read'] });
+
+    expect(store.findByToken(alice.token)).toMatchObject({ id: 'alice', cookie: 'SAPISID=a', scopes: SCOPES });
+    expect(store.findByToken(bob.token)).toMatchObject({ id: 'bob', cookie: null, scopes: ['read'] });
+    expect(store.findByToken('otro')).toBeNull();
+
+    const reloaded = new KeyStore(store.filePath).load();
+    expect(reloaded.findByToken(alice.token).dataSyncId).toBe('da');
+    expect(fs.statSync(store.filePath).mode & 0o777).toBe(0o600);
+  });
+
+  it('debería mapear BEARER_TOKEN a la clave por defecto con las variables YT_*', () => {
+    process.env.BEARER_TOKEN = 'legacy';
+    process.env.YT_COOKIE = 'SAPISID=env';
+
+    const key = store.findByToken('legacy');
+    expect(key).toMatchObject({ id: DEFAULT_KEY_ID, cookie: 'SAPISID=env' });
+    expect(store.isEnvKey(DEFAULT_KEY_ID)).toBe(true);
+    expect(store.describe(key)).not.toHaveProperty('cookie');
+  });
+});
+
+describe('Per-key YouTube accounts', () => {
+  const key = (id, fields = {}) => Object.freeze({ id, token: `t-${id}`, scopes: SCOPES, ...fields });
+
+  it('debería dar a cada clave su propio cliente con su cookie', () => {
+    const alice = key('alice', { cookie: 'SAPISID=a', visitorData: 'va', dataSyncId: 'da' });
+    const bob = key('bob', { cookie: 'SAPISID=b' });
+
+    const aliceYt = getYouTube(alice);
+    const bobYt = getYouTube(bob);
+    expect(aliceYt).not.toBe(bobYt);
+    expect(aliceYt.cookie).toBe('SAPISID=a');
+    expect(aliceYt.visitorData).toBe('va');
+    expect(bobYt.cookie).toBe('SAPISID=b');
+    expect(getYouTube(alice)).toBe(aliceYt);
+  });
+
+  it('debería rehacer el cliente cuando cambia la clave o se olvida', () => {
+    const before = getYouTube(key('carol', { cookie: 'SAPISID=c1' }));
+    const after = getYouTube(key('carol', { cookie: 'SAPISID=c2' }));
+    expect(after).not.toBe(before);
+    expect(after.cookie).toBe('SAPISID=c2');
+
+    const same = key('dave', { cookie: 'SAPISID=d' });
+    const first = getYouTube(same);
+    forgetYouTube('dave');
+    expect(getYouTube(same)).not.toBe(first);
+  });
+
+  it('debería usar el cliente anónimo compartido para las claves sin cuenta', () => {
+    const previous = process.env.YT_COOKIE;
+    process.env.YT_COOKIE = 'SAPISID=env';
+    try {
+      const shared = getSharedYouTube();
+      expect(getYouTube(key('erin'))).toBe(shared);
+      expect(getYouTube(key('frank'))).toBe(shared);
+      expect(shared.cookie).toBeNull();
+    } finally {
+      if (previous === undefined) delete process.env.YT_COOKIE;
+      else process.env.YT_COOKIE = previous;
+    }
+  });
+
+  it('debería pasar al cliente compartido cuando se quita la cuenta de una clave', () => {
+    const own = getYouTube(key('grace', { cookie: 'SAPISID=g' }));
+    expect(getYouTube(key('grace'))).toBe(getSharedYouTube());
+    expect(getYouTube(key('grace', { cookie: 'SAPISID=g' }))).not.toBe(own);
+  });
+});
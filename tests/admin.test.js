@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+
+// Fichero de claves temporal; todo se carga con require para compartir el keyStore
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-'));
+process.env.KEYS_FILE = path.join(dir, 'keys.json');
+process.env.ADMIN_TOKEN = 'admin-test-token';
+delete process.env.BEARER_TOKEN;
+
+const require = createRequire(import.meta.url);
+const authMiddleware = require('../src/middleware/auth');
+const adminAuthMiddleware = require('../src/middleware/adminAuth');
+const requireScope = require('../src/middleware/scopes');
+const adminRoutes = require('../src/routes/admin');
+
+const ADMIN = 'Bearer admin-test-token';
+
+// App mínima: rutas de administración y dos rutas protegidas por scope
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminAuthMiddleware, adminRoutes);
+  app.get('/read', authMiddleware, requireScope('read'), (req, res) => res.json({ success: true, key: req.apiKey.id }));
+  app.post('/write', authMiddleware, requireScope('library:write'), (req, res) => res.json({ success: true }));
+  return app;
+}
+
+describe('Admin & Scopes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createKey = (body) => request(app).post('/api/admin/keys').set('Authorization', ADMIN).send(body);
+
+  it('debería exigir el token maestro', async () => {
+    expect((await request(app).get('/api/admin/keys')).status).toBe(401);
+
+    const key = (await createKey({ id: 'front' })).body.data;
+    const res = await request(app).get('/api/admin/keys').set('Authorization', `Bearer ${key.token}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('debería crear claves con scopes y listarlas sin el token', async () => {
+    const res = await createKey({ id: 'reader', name: 'Web', scopes: ['read'], cookie: 'SAPISID=x' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ id: 'reader', name: 'Web', scopes: ['read'], hasCookie: true });
+    expect(res.body.data.token).toBeTruthy();
+
+    expect((await createKey({ id: 'reader' })).status).toBe(409);
+    expect((await createKey({ scopes: ['todo'] })).status).toBe(400);
+
+    const list = await request(app).get('/api/admin/keys').set('Authorization', ADMIN);
+    const reader = list.body.data.keys.find((key) => key.id === 'reader');
+    expect(reader).toMatchObject({ tokenPreview: `${res.body.data.token.slice(0, 4)}…`, managedBy: 'store' });
+    expect(reader).not.toHaveProperty('token');
+    expect(reader).not.toHaveProperty('cookie');
+  });
+
+  it('debería responder 403 cuando falta el scope', async () => {
+    const { token } = (await createKey({ id: 'readonly', scopes: ['read'] })).body.data;
+
+    const read = await request(app).get('/read').set('Authorization', `Bearer ${token}`);
+    expect(read.status).toBe(200);
+    expect(read.body.key).toBe('readonly');
+
+    const write = await request(app).post('/write').set('Authorization', `Bearer ${token}`);
+    expect(write.status).toBe(403);
+    expect(write.body.error).toContain('"library:write"');
+  });
+
+  it('debería aplicar los scopes cambiados con PATCH', async () => {
+    const { token } = (await createKey({ id: 'editor', scopes: ['read'] })).body.data;
+    const patch = await request(app).patch('/api/admin/keys/editor').set('Authorization', ADMIN)
+      .send({ scopes: ['read', 'library:write'] });
+    expect(patch.status).toBe(200);
+
+    expect((await request(app).post('/write').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+  });
+
+  it('debería invalidar el token anterior al rotar', async () => {
+    const { token } = (await createKey({ id: 'rotated' })).body.data;
+    const rotate = await request(app).post('/api/admin/keys/rotated/rotate').set('Authorization', ADMIN);
+    expect(rotate.status).toBe(200);
+    expect(rotate.body.data.token).not.toBe(token);
+
+    expect((await request(app).get('/read').set('Authorization', `Bearer ${token}`)).status).toBe(403);
+    expect((await request(app).get('/read').set('Authorization', `Bearer ${rotate.body.data.token}`)).status).toBe(200);
+  });
+
+  it('debería rechazar una clave revocada', async () => {
+    const { token } = (await createKey({ id: 'revoked' })).body.data;
+    expect((await request(app).get('/read').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+
+    const revoke = await request(app).delete('/api/admin/keys/revoked').set('Authorization', ADMIN);
+    expect(revoke.status).toBe(200);
+    expect((await request(app).get('/read').set('Authorization', `Bearer ${token}`)).status).toBe(403);
+    expect((await request(app).delete('/api/admin/keys/revoked').set('Authorization', ADMIN)).status).toBe(404);
+  });
+
+  it('no debería dejar gestionar la clave de BEARER_TOKEN', async () => {
+    process.env.BEARER_TOKEN = 'legacy-token';
+    try {
+      const res = await request(app).post('/api/admin/keys/default/rotate').set('Authorization', ADMIN);
+      expect(res.status).toBe(400);
+      expect((await request(app).get('/read').set('Authorization', 'Bearer legacy-token')).status).toBe(200);
+    } finally {
+      delete process.env.BEARER_TOKEN;
+    }
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+import { selectAudioFormat, chooseAudioFormat } from '../src/utils/audioFormat.js';
+
+// Formatos adaptativos como los de youtubei.js (cliente IOS)
+const format = (itag, mime_type, bitrate, extra = {}) => ({
+  itag, mime_type, bitrate, has_audio: true, has_video: false, url: `https://example.com/${itag}`, ...extra,
+});
+
+const OPUS_LOW = format(249, 'audio/webm; codecs="opus"', 50000);
+const OPUS_MID = format(250, 'audio/webm; codecs="opus"', 70000);
+const OPUS_HIGH = format(251, 'audio/webm; codecs="opus"', 160000);
+const AAC_LOW = format(139, 'audio/mp4; codecs="mp4a.40.5"', 48000);
+const AAC_HIGH = format(140, 'audio/mp4; codecs="mp4a.40.2"', 128000);
+const VIDEO = format(137, 'video/mp4; codecs="avc1"', 4000000, { has_audio: false, has_video: true });
+
+const info = (...adaptive_formats) => ({ streaming_data: { adaptive_formats } });
+const all = info(OPUS_MID, AAC_HIGH, VIDEO, OPUS_HIGH, AAC_LOW, OPUS_LOW);
+
+describe('Audio Format Selection', () => {
+  it('debería elegir por calidad entre todos los formatos solo de audio', () => {
+    expect(selectAudioFormat(all, { quality: 'high', codec: null }).itag).toBe(251);
+    expect(selectAudioFormat(all, { quality: 'low', codec: null }).itag).toBe(139);
+    expect(selectAudioFormat(all, { quality: 'medium', codec: null }).itag).toBe(250);
+  });
+
+  it('debería preferir el códec pedido', () => {
+    expect(selectAudioFormat(all, { quality: 'high', codec: 'aac' }).itag).toBe(140);
+    expect(selectAudioFormat(all, { quality: 'low', codec: 'aac' }).itag).toBe(139);
+    expect(selectAudioFormat(all, { quality: 'medium', codec: 'opus' }).itag).toBe(250);
+  });
+
+  it('debería usar otro códec cuando el preferido no está', () => {
+    const opusOnly = info(OPUS_LOW, OPUS_HIGH);
+    expect(selectAudioFormat(opusOnly, { quality: 'high', codec: 'aac' }).itag).toBe(251);
+  });
+
+  it('debería ignorar vídeo y formatos sin URL ni firma', () => {
+    const unusable = format(251, 'audio/webm; codecs="opus"', 160000, { url: null });
+    expect(selectAudioFormat(info(VIDEO, unusable), { quality: 'high', codec: null })).toBeNull();
+    expect(selectAudioFormat(info({ ...unusable, signature_cipher: 's=x' }), { quality: 'high', codec: null }).itag).toBe(251);
+    expect(selectAudioFormat({}, { quality: 'high', codec: null })).toBeNull();
+  });
+
+  it('debería usar el cliente IOS cuando hay audio', async () => {
+    const innertube = { getBasicInfo: vi.fn(async () => all) };
+    const { format: chosen } = await chooseAudioFormat(innertube, 'v1', { quality: 'high', codec: 'opus' });
+    expect(chosen.itag).toBe(251);
+    expect(innertube.getBasicInfo).toHaveBeenCalledExactlyOnceWith('v1', 'IOS');
+  });
+
+  it('debería recurrir al itag 18 sin formatos solo de audio', async () => {
+    const itag18 = { itag: 18, mime_type: 'video/mp4; codecs="avc1.42001E, mp4a.40.2"', has_audio: true, has_video: true };
+    const web = { ...info(), chooseFormat: vi.fn(() => itag18) };
+    const innertube = {
+      getBasicInfo: vi.fn(async (videoId, client) => (client === 'IOS' ? info(VIDEO) : web)),
+    };
+
+    const result = await chooseAudioFormat(innertube, 'v1', { quality: 'high', codec: null });
+    expect(result).toEqual({ info: web, format: itag18 });
+    expect(innertube.getBasicInfo).toHaveBeenLastCalledWith('v1');
+    expect(web.chooseFormat).toHaveBeenCalledWith({ type: 'video+audio', quality: 'best', format: 'mp4' });
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import express from 'express';
+import request from 'supertest';
+
+// require: InnerTube, cache.js y axios deben ser las mismas instancias que usa el código
+const require = createRequire(import.meta.url);
+const axios = require('axios');
+const InnerTube = require('../src/innertube/innertube');
+const { MemoryCache, cacheHeaders } = require('../src/innertube/cache');
+const { CLIENTS } = require('../src/innertube/constants');
+
+const client = CLIENTS.WEB_REMIX;
+
+describe('InnerTube Response Cache', () => {
+  let cache;
+  let calls;
+
+  beforeEach(() => {
+    cache = new MemoryCache();
+    calls = [];
+    // Cada respuesta lleva el número de llamada para distinguir HIT de MISS
+    vi.spyOn(axios, 'post').mockImplementation(async (url, body) => {
+      calls.push({ endpoint: url.split('/youtubei/v1/')[1], body });
+      return { data: { call: calls.length } };
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const account = (cookie) => new InnerTube({ cookie, visitorData: null, dataSyncId: null, cache });
+
+  it('debería servir de la caché la segunda petición igual', async () => {
+    const innerTube = account(null);
+    expect(await innerTube.browse(client, 'MPREb_1')).toEqual({ call: 1 });
+    expect(await innerTube.browse(client, 'MPREb_1')).toEqual({ call: 1 });
+    expect(await innerTube.browse(client, 'MPREb_2')).toEqual({ call: 2 });
+    expect(calls).toHaveLength(2);
+  });
+
+  it('debería ignorar visitorData en la clave y compartir las respuestas públicas', async () => {
+    await account(null).browse(client, 'MPREb_1');
+    const other = account(null);
+    other.visitorData = 'otro-visitante';
+    expect(await other.browse(client, 'MPREb_1')).toEqual({ call: 1 });
+  });
+
+  it('no debería cachear los endpoints sin TTL', async () => {
+    const innerTube = account(null);
+    await innerTube.player(client, 'v1');
+    await innerTube.player(client, 'v1');
+    expect(calls.map((call) => call.endpoint)).toEqual(['player', 'player']);
+  });
+
+  it('debería separar la caché de cada cuenta', async () => {
+    const alice = account('SAPISID=a');
+    const bob = account('SAPISID=b');
+
+    expect(await alice.browse(client, 'FEmusic_liked_videos', null, null, true)).toEqual({ call: 1 });
+    expect(await bob.browse(client, 'FEmusic_liked_videos', null, null, true)).toEqual({ call: 2 });
+    expect(await alice.browse(client, 'FEmusic_liked_videos', null, null, true)).toEqual({ call: 1 });
+    // Una página pública no usa la de la cuenta
+    expect(await account(null).browse(client, 'FEmusic_liked_videos')).toEqual({ call: 3 });
+  });
+
+  it('debería invalidar la caché de la cuenta solo tras una escritura', async () => {
+    const alice = account('SAPISID=a');
+    const liked = () => alice.browse(client, 'FEmusic_liked_videos', null, null, true);
+
+    await liked();
+    await alice.player(client, 'v1');
+    await alice.accountMenu(client);
+    expect(await liked()).toEqual({ call: 1 });
+
+    await alice.likeVideo(client, 'v1');
+    expect(await liked()).toEqual({ call: 5 });
+    expect(await liked()).toEqual({ call: 5 });
+
+    await alice.editPlaylist(client, 'PL1', []);
+    expect(await liked()).toEqual({ call: 7 });
+  });
+
+  it('debería saltarse la caché autenticada con CACHE_AUTHENTICATED=bypass', async () => {
+    vi.stubEnv('CACHE_AUTHENTICATED', 'bypass');
+    try {
+      const alice = account('SAPISID=a');
+      await alice.browse(client, 'FEmusic_liked_videos', null, null, true);
+      await alice.browse(client, 'FEmusic_liked_videos', null, null, true);
+      expect(calls).toHaveLength(2);
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+
+  it('debería expulsar las entradas menos usadas', async () => {
+    const lru = new MemoryCache({ maxEntries: 2 });
+    await lru.set('a', 1, 60000);
+    await lru.set('b', 2, 60000);
+    await lru.get('a');
+    await lru.set('c', 3, 60000);
+    expect(await lru.get('b')).toBeNull();
+    expect((await lru.get('a')).value).toBe(1);
+
+    await lru.set('d', 4, -1);
+    expect(await lru.get('d')).toBeNull();
+  });
+
+  describe('X-Cache headers', () => {
+    let innerTube;
+    let app;
+
+    beforeEach(() => {
+      innerTube = account(null);
+      app = express();
+      app.use(cacheHeaders);
+      app.get('/album/:id', async (req, res) => res.json(await innerTube.browse(client, req.params.id)));
+      app.get('/player/:id', async (req, res) => res.json(await innerTube.player(client, req.params.id)));
+    });
+
+    it('debería responder MISS y luego HIT con max-age', async () => {
+      const miss = await request(app).get('/album/MPREb_1');
+      expect(miss.headers['x-cache']).toBe('MISS');
+      expect(miss.headers['cache-control']).toMatch(/^private, max-age=(1799|1800)$/);
+
+      const hit = await request(app).get('/album/MPREb_1');
+      expect(hit.headers['x-cache']).toBe('HIT');
+      expect(hit.headers['cache-control']).toMatch(/^private, max-age=(1799|1800)$/);
+    });
+
+    it('debería marcar no-store las respuestas no cacheables', async () => {
+      const res = await request(app).get('/player/v1');
+      expect(res.headers['x-cache']).toBeUndefined();
+      expect(res.headers['cache-control']).toBe('no-store');
+    });
+  });
+});
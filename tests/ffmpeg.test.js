@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TRANSCODE_FORMATS,
+  MAX_CONCURRENT_TRANSCODES,
+  DEFAULT_BITRATE,
+  transcodeArgs,
+  parseBitrate,
+  acquireTranscodeSlot,
+  waitForTranscodeSlot,
+} from '../src/utils/ffmpeg.js';
+
+// Ocupa todos los huecos libres y devuelve sus funciones de liberación
+function fillSlots() {
+  const releases = [];
+  for (let release = acquireTranscodeSlot(); release; release = acquireTranscodeSlot()) releases.push(release);
+  return releases;
+}
+
+describe('ffmpeg', () => {
+  it('debería generar los argumentos de cada formato', () => {
+    expect(transcodeArgs('mp3', 192)).toEqual(['-vn', '-c:a', 'libmp3lame', '-b:a', '192k', '-f', 'mp3']);
+    expect(transcodeArgs('opus', 96)).toEqual(['-vn', '-c:a', 'libopus', '-b:a', '96k', '-f', 'ogg']);
+    expect(transcodeArgs('flac', 320)).toEqual(['-vn', '-c:a', 'flac', '-f', 'flac']);
+    expect(transcodeArgs('aac')).toContain(`${DEFAULT_BITRATE}k`);
+
+    // m4a: MP4 fragmentado por pipe, faststart en archivo (y sin -vn, para la portada)
+    expect(transcodeArgs('m4a', 128)).toContain('frag_keyframe+empty_moov');
+    expect(transcodeArgs('m4a', 128, { file: true })).toEqual(['-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart', '-f', 'mp4']);
+    expect(transcodeArgs('mp3', 128, { file: true })).not.toContain('-vn');
+
+    for (const preset of Object.values(TRANSCODE_FORMATS)) {
+      expect(preset.mimeType).toMatch(/^audio\//);
+      expect(preset.extension).toBeTruthy();
+    }
+  });
+
+  it('debería validar y acotar el bitrate', () => {
+    expect(parseBitrate(undefined)).toBe(DEFAULT_BITRATE);
+    expect(parseBitrate('')).toBe(DEFAULT_BITRATE);
+    expect(parseBitrate('128')).toBe(128);
+    expect(parseBitrate('8')).toBe(32);
+    expect(parseBitrate('1000')).toBe(320);
+    expect(parseBitrate('alto')).toBeNull();
+    expect(parseBitrate('NaN')).toBeNull();
+  });
+
+  it('debería limitar las transcodificaciones simultáneas', () => {
+    const releases = fillSlots();
+    expect(releases).toHaveLength(MAX_CONCURRENT_TRANSCODES);
+    expect(acquireTranscodeSlot()).toBeNull();
+
+    // Liberar dos veces no libera un hueco de más
+    releases[0]();
+    releases[0]();
+    const again = acquireTranscodeSlot();
+    expect(again).toBeTypeOf('function');
+    expect(acquireTranscodeSlot()).toBeNull();
+
+    again();
+    releases.slice(1).forEach((release) => release());
+    expect(fillSlots().map((release) => release())).toHaveLength(MAX_CONCURRENT_TRANSCODES);
+  });
+
+  it('debería esperar un hueco libre o rendirse al abortar', async () => {
+    const releases = fillSlots();
+
+    const waiting = waitForTranscodeSlot(null, 10);
+    setTimeout(() => releases[0](), 30);
+    const release = await waiting;
+    expect(acquireTranscodeSlot()).toBeNull();
+
+    const controller = new AbortController();
+    const aborted = waitForTranscodeSlot(controller.signal, 10);
+    controller.abort();
+    await expect(aborted).rejects.toThrow();
+
+    [release, ...releases.slice(1)].forEach((free) => free());
+    expect(fillSlots().map((free) => free())).toHaveLength(MAX_CONCURRENT_TRANSCODES);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, afterAll, vi } from 'vitest';
+import { createRequire } from 'module';
+import { PassThrough, Readable } from 'stream';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// ffmpeg falso con el comportamiento del muxer segment: corta stdin en
+// segmentos de FAKE_FFMPEG_SEGMENT bytes, los escribe en el patrón de salida
+// (último argumento), imprime el nombre de cada uno y guarda sus argumentos.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-'));
+const fakeFfmpeg = path.join(dir, 'ffmpeg');
+fs.writeFileSync(fakeFfmpeg, `#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const args = process.argv.slice(2);
+const pattern = args[args.length - 1];
+const size = Number(process.env.FAKE_FFMPEG_SEGMENT) || 4096;
+fs.writeFileSync(path.join(path.dirname(pattern), 'args.json'), JSON.stringify(args));
+let index = 0;
+let pending = Buffer.alloc(0);
+const flush = (data) => {
+  const file = pattern.replace('%d', index++);
+  fs.writeFileSync(file, data);
+  process.stdout.write(path.basename(file) + '\\n');
+};
+process.stdin.on('data', (chunk) => {
+  pending = Buffer.concat([pending, chunk]);
+  while (pending.length >= size) {
+    flush(pending.subarray(0, size));
+    pending = pending.subarray(size);
+  }
+});
+process.stdin.on('end', () => {
+  if (pending.length) flush(pending);
+  process.exit(0);
+});
+`, { mode: 0o755 });
+process.env.FFMPEG_PATH = fakeFfmpeg;
+
+const require = createRequire(import.meta.url);
+const { encodeVariant, HlsSegmentCache, SEGMENT_DURATION } = require('../src/utils/hls');
+
+// Fuente que entrega `segments` segmentos de 4 KB (el byte indica el segmento)
+function source(segments) {
+  return Readable.from(Array.from({ length: segments }, (_, i) => Buffer.alloc(4096, i)));
+}
+
+const workDir = () => fs.mkdtempSync(path.join(dir, 'work-'));
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('HLS Encoding', () => {
+  it('debería codificar la pista entera desde stdin y avisar de cada segmento', async () => {
+    const out = workDir();
+    const finished = [];
+    const count = await encodeVariant({ source: source(3), bitrate: 128, dir: out, onSegment: (i) => finished.push(i) });
+
+    expect(count).toBe(3);
+    expect(finished).toEqual([0, 1, 2]);
+    expect(fs.readFileSync(path.join(out, '2.ts'))[0]).toBe(2);
+
+    const args = JSON.parse(fs.readFileSync(path.join(out, 'args.json'), 'utf8'));
+    expect(args[args.indexOf('-i') + 1]).toBe('pipe:0');
+    expect(args[args.indexOf('-f') + 1]).toBe('segment');
+    expect(args[args.indexOf('-segment_time') + 1]).toBe(String(SEGMENT_DURATION));
+    expect(args[args.indexOf('-segment_list') + 1]).toBe('pipe:1');
+    expect(args).toContain('128k');
+    expect(args.some((arg) => /^https?:/.test(arg))).toBe(false);
+    expect(args).not.toContain('-ss');
+  });
+
+  it('debería fallar con el error de la fuente', async () => {
+    const broken = new Readable({
+      read() {
+        this.destroy(new Error('upstream reset'));
+      },
+    });
+    await expect(encodeVariant({ source: broken, bitrate: 64, dir: workDir(), onSegment() {} }))
+      .rejects.toThrow('upstream reset');
+  });
+
+  it('debería parar ffmpeg al abortar', async () => {
+    const controller = new AbortController();
+    const endless = new Readable({ read() {} });
+    const encoding = encodeVariant({ source: endless, bitrate: 64, dir: workDir(), onSegment() {}, signal: controller.signal });
+    controller.abort();
+    await expect(encoding).rejects.toThrow('killed by SIGKILL');
+    expect(endless.destroyed).toBe(true);
+  });
+});
+
+describe('HLS Segment Cache', () => {
+  it('debería codificar una sola vez para todos los segmentos de una variante', async () => {
+    const cache = new HlsSegmentCache({ root: dir });
+    const audio = new PassThrough();
+    const release = vi.fn();
+    const start = vi.fn(async () => ({ source: audio, bitrate: 64, release }));
+
+    const first = cache.segment('v1:low', 0, start);
+    const second = cache.segment('v1:low', 1, start);
+    audio.write(Buffer.alloc(4096, 0));
+    audio.end(Buffer.alloc(4096, 1));
+
+    expect((await first)[0]).toBe(0);
+    expect((await second)[0]).toBe(1);
+    expect((await cache.segment('v1:low', 1, start))[0]).toBe(1);
+    expect(await cache.segment('v1:low', 7, start)).toBeNull();
+    expect(start).toHaveBeenCalledTimes(1);
+    expect(release).toHaveBeenCalledTimes(1);
+    cache.clear();
+  });
+
+  it('debería descartar una codificación fallida y volver a empezar', async () => {
+    const cache = new HlsSegmentCache({ root: dir });
+    await expect(cache.segment('v1:low', 0, async () => { throw new Error('bloqueado'); })).rejects.toThrow('bloqueado');
+
+    const start = vi.fn(async () => ({ source: source(1), bitrate: 64 }));
+    expect((await cache.segment('v1:low', 0, start)).length).toBe(4096);
+    expect(start).toHaveBeenCalledTimes(1);
+    cache.clear();
+  });
+
+  it('debería dejar de esperar sin parar la codificación', async () => {
+    const cache = new HlsSegmentCache({ root: dir });
+    const audio = new PassThrough();
+    const start = async () => ({ source: audio, bitrate: 64 });
+
+    const controller = new AbortController();
+    const waiting = cache.segment('v1:low', 0, start, controller.signal);
+    controller.abort();
+    await expect(waiting).rejects.toThrow();
+
+    audio.end(Buffer.alloc(4096, 0));
+    expect((await cache.segment('v1:low', 0, start))[0]).toBe(0);
+    cache.clear();
+  });
+
+  it('debería borrar las codificaciones sin uso y las que exceden el máximo', async () => {
+    const cache = new HlsSegmentCache({ root: dir, maxEntries: 1, ttl: 1000 });
+    await cache.segment('a', 0, async () => ({ source: source(1), bitrate: 64 }));
+    const first = cache.entries.get('a').dir;
+
+    await cache.segment('b', 0, async () => ({ source: source(1), bitrate: 64 }));
+    expect(cache.entries.has('a')).toBe(false);
+
+    cache.pruneExpired(Date.now() + 1000);
+    expect(cache.entries.size).toBe(0);
+    await vi.waitFor(() => expect(fs.existsSync(first)).toBe(false));
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JobStore } from '../src/stores/jobStore.js';
+import { JobQueue } from '../src/jobs/queue.js';
+
+const tmpDirs = [];
+
+function createQueue(options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+  tmpDirs.push(dir);
+  return new JobQueue(new JobStore(dir), options);
+}
+
+function waitFor(queue, id, statuses) {
+  return new Promise((resolve) => {
+    const check = () => {
+      const job = queue.store.get(id);
+      if (statuses.includes(job.status)) return resolve(job);
+      setTimeout(check, 5);
+    };
+    check();
+  });
+}
+
+afterAll(() => tmpDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+describe('JobQueue', () => {
+  it('debería respetar el límite de concurrencia por tipo', async () => {
+    const queue = createQueue({ concurrency: 4 });
+    let active = 0;
+    let maxActive = 0;
+    queue.register('test', async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((r) => setTimeout(r, 20));
+      active--;
+    }, { concurrency: 2 });
+
+    const jobs = [1, 2, 3, 4, 5].map(() => queue.enqueue('test', 'alice'));
+    await Promise.all(jobs.map((job) => waitFor(queue, job.id, ['completed'])));
+
+    expect(maxActive).toBe(2);
+  });
+
+  it('debería reintentar con backoff y fallar al agotar los intentos', async () => {
+    const queue = createQueue();
+    let calls = 0;
+    queue.register('flaky', async () => {
+      calls++;
+      throw new Error(`fallo ${calls}`);
+    }, { maxAttempts: 3, initialDelay: 10 });
+
+    const job = queue.enqueue('flaky', 'alice');
+    const finished = await waitFor(queue, job.id, ['failed']);
+
+    expect(calls).toBe(3);
+    expect(finished.attempts).toBe(3);
+    expect(finished.error).toBe('fallo 3');
+  });
+
+  it('no debería reintentar errores marcados como no reintentables', async () => {
+    const queue = createQueue();
+    let calls = 0;
+    queue.register('fatal', async () => {
+      calls++;
+      throw Object.assign(new Error('permanente'), { retryable: false });
+    }, { initialDelay: 10 });
+
+    const job = queue.enqueue('fatal', 'alice');
+    await waitFor(queue, job.id, ['failed']);
+
+    expect(calls).toBe(1);
+  });
+
+  it('debería cancelar un trabajo en ejecución mediante su AbortSignal', async () => {
+    const queue = createQueue();
+    queue.register('slow', (job, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+
+    const job = queue.enqueue('slow', 'alice');
+    await waitFor(queue, job.id, ['running']);
+    queue.cancel(job.id);
+    const finished = await waitFor(queue, job.id, ['cancelled']);
+
+    expect(finished.status).toBe('cancelled');
+    expect(queue.cancel(job.id)).toBeNull();
+  });
+
+  it('debería reanudar trabajos pendientes tras un reinicio', async () => {
+    const first = createQueue();
+    first.register('resume', () => new Promise(() => {}));
+    const job = first.enqueue('resume', 'alice');
+    await waitFor(first, job.id, ['running']);
+
+    // Un proceso nuevo lee los mismos ficheros
+    const restarted = new JobQueue(new JobStore(first.store.dir));
+    const seen = [];
+    restarted.register('resume', async (j) => { seen.push(j.id); });
+    restarted.start();
+    const finished = await waitFor(restarted, job.id, ['completed']);
+
+    expect(seen).toEqual([job.id]);
+    expect(finished.attempts).toBe(2);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import request from 'supertest';
+import app from '../server.js';
+
+const TOKEN = process.env.BEARER_TOKEN;
+const AUTH_HEADER = `Bearer ${TOKEN}`;
+
+// Mismo keyStore que usa el servidor
+const require = createRequire(import.meta.url);
+const { keyStore } = require('../src/stores/keyStore');
+
+describe('Job Endpoints', () => {
+  const streamOnly = keyStore.create({ scopes: ['stream'] });
+
+  afterAll(() => {
+    keyStore.revoke(streamOnly.id);
+  });
+
+  it('POST /api/jobs/download - debería exigir browseId o playlistId', async () => {
+    const res = await request(app)
+      .post('/api/jobs/download')
+      .set('Authorization', AUTH_HEADER)
+      .send({ format: 'mp3' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('POST /api/jobs/download - debería rechazar formatos no soportados', async () => {
+    const res = await request(app)
+      .post('/api/jobs/download')
+      .set('Authorization', AUTH_HEADER)
+      .send({ browseId: 'MPREb_IQ2lhYRnNcO', format: 'wav' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('GET /api/jobs/:id - debería devolver 404 para trabajos inexistentes', async () => {
+    const res = await request(app)
+      .get('/api/jobs/00000000-0000-0000-0000-000000000000')
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('GET /api/jobs/:id - debería rechazar peticiones sin token', async () => {
+    const res = await request(app).get('/api/jobs/00000000-0000-0000-0000-000000000000');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('GET /api/jobs - debería listar los trabajos del token', async () => {
+    const res = await request(app)
+      .get('/api/jobs')
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(200);
+    expect(Array.isArray(res.body.data.jobs)).toBe(true);
+  });
+
+  it('POST /api/jobs/:id/cancel - debería devolver 404 para trabajos inexistentes', async () => {
+    const res = await request(app)
+      .post('/api/jobs/00000000-0000-0000-0000-000000000000/cancel')
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('GET /api/jobs - debería exigir el scope read', async () => {
+    const auth = `Bearer ${streamOnly.token}`;
+    for (const res of [
+      await request(app).get('/api/jobs').set('Authorization', auth),
+      await request(app).get('/api/jobs/00000000-0000-0000-0000-000000000000').set('Authorization', auth),
+      await request(app).post('/api/jobs/00000000-0000-0000-0000-000000000000/cancel').set('Authorization', auth),
+    ]) {
+      expect(res.status).toBe(403);
+      expect(res.body.error).toContain('"read"');
+    }
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { toLrc, toSrt, toVtt } from '../src/utils/lyricsFormat.js';
+
+const lines = [
+  { startMs: 65432, endMs: 70000, text: 'segunda línea' },
+  { startMs: 1500, endMs: 0, text: 'primera línea' },
+];
+
+describe('lyricsFormat', () => {
+  it('debería generar LRC con etiquetas de cabecera', () => {
+    const lrc = toLrc(lines, { title: 'Canción', artist: 'Artista' });
+    expect(lrc).toBe('[ti:Canción]\n[ar:Artista]\n[00:01.50]primera línea\n[01:05.43]segunda línea\n');
+  });
+
+  it('debería generar SRT ordenado y completar tiempos de fin', () => {
+    expect(toSrt(lines)).toBe(
+      '1\n00:00:01,500 --> 00:01:05,432\nprimera línea\n\n'
+      + '2\n00:01:05,432 --> 00:01:10,000\nsegunda línea\n',
+    );
+  });
+
+  it('debería generar WebVTT', () => {
+    const vtt = toVtt(lines);
+    expect(vtt.startsWith('WEBVTT\n\n')).toBe(true);
+    expect(vtt).toContain('00:00:01.500 --> 00:01:05.432\nprimera línea');
+  });
+});
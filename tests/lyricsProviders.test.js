@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LrclibLyricsProvider } from '../src/lyrics/providers/lrclib.js';
+import { LocalLyricsProvider } from '../src/lyrics/providers/local.js';
+import { LyricsResolver } from '../src/lyrics/index.js';
+import { scoreMatch } from '../src/utils/trackMatch.js';
+
+const track = {
+  videoId: 'abc123def45',
+  title: 'Canción de Prueba (feat. Otro)',
+  artists: ['Artista Local'],
+  album: 'Álbum',
+  duration: 200,
+};
+
+// Servidor local que imita la API de LRCLIB
+let server;
+let baseUrl;
+const requests = [];
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname);
+    res.setHeader('Content-Type', 'application/json');
+
+    if (url.pathname === '/api/get') {
+      res.statusCode = 404;
+      return res.end(JSON.stringify({ code: 404, name: 'TrackNotFound' }));
+    }
+    if (url.pathname === '/api/search') {
+      return res.end(JSON.stringify([
+        { id: 1, trackName: 'Otra Canción', artistName: 'Otra Banda', duration: 120, plainLyrics: 'no', syncedLyrics: null },
+        {
+          id: 2,
+          trackName: 'Canción de Prueba',
+          artistName: 'Artista Local',
+          albumName: 'Álbum',
+          duration: 201,
+          instrumental: false,
+          plainLyrics: 'primera\nsegunda',
+          syncedLyrics: '[00:01.00]primera\n[00:04.50]segunda',
+        },
+      ]));
+    }
+    res.statusCode = 500;
+    res.end('{}');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+const lyricsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lyrics-test-'));
+
+afterAll(() => fs.rmSync(lyricsDir, { recursive: true, force: true }));
+
+describe('Lyrics Providers', () => {
+  it('scoreMatch - debería puntuar alto la misma canción y bajo otra distinta', () => {
+    expect(scoreMatch(track, { title: 'Cancion de prueba', artists: ['Artista Local'], duration: 199 })).toBe(1);
+    expect(scoreMatch(track, { title: 'Otra Canción', artists: ['Otra Banda'], duration: 120 })).toBeLessThan(0.5);
+  });
+
+  it('lrclib - debería buscar tras un 404 y elegir el mejor candidato', async () => {
+    const provider = new LrclibLyricsProvider({ baseUrl });
+    const result = await provider.find(track, { synced: true });
+
+    expect(requests).toEqual(['/api/get', '/api/search']);
+    expect(result.match.id).toBe(2);
+    expect(result.confidence).toBeGreaterThan(0.9);
+    expect(result.lines).toEqual([
+      { startMs: 1000, endMs: 4500, text: 'primera' },
+      { startMs: 4500, endMs: 9500, text: 'segunda' },
+    ]);
+    expect(result.attribution).toBe('LRCLIB');
+  });
+
+  it('local - debería encontrar archivos .lrc por etiquetas, nombre o videoId', async () => {
+    fs.mkdirSync(path.join(lyricsDir, 'sub'));
+    fs.writeFileSync(path.join(lyricsDir, 'sub', 'Artista Local - Canción de Prueba.lrc'), '[00:02.00]hola\n[00:05.00]adiós\n');
+    fs.writeFileSync(path.join(lyricsDir, 'otra.lrc'), '[ti:Otra]\n[ar:Nadie]\n[00:01.00]x\n');
+
+    const provider = new LocalLyricsProvider({ dir: lyricsDir });
+    const byName = await provider.find(track, { synced: true });
+    expect(byName.match.file).toBe(path.join('sub', 'Artista Local - Canción de Prueba.lrc'));
+    expect(byName.text).toBe('hola\nadiós');
+
+    fs.writeFileSync(path.join(lyricsDir, `${track.videoId}.lrc`), 'sólo texto\n');
+    const byId = await provider.find(track, { synced: false });
+    expect(byId.confidence).toBe(1);
+    expect(byId.lines).toBeNull();
+    expect(byId.text).toBe('sólo texto');
+  });
+
+  it('resolver - debería respetar el orden, el umbral de confianza y los errores', async () => {
+    const calls = [];
+    const fake = (name, result, options = {}) => ({
+      name,
+      needsMetadata: options.needsMetadata || false,
+      async find(received) {
+        calls.push([name, received.title || null]);
+        if (result instanceof Error) throw result;
+        return result;
+      },
+    });
+
+    const resolver = new LyricsResolver([
+      fake('roto', new Error('boom')),
+      fake('vacio', null),
+      fake('dudoso', { text: 'x', lines: null, confidence: 0.3 }, { needsMetadata: true }),
+      fake('bueno', { text: 'letra', lines: null, attribution: 'A', confidence: 0.8 }, { needsMetadata: true }),
+    ], { minConfidence: 0.7, trackInfo: async () => track });
+
+    const result = await resolver.find(track.videoId, { yt: null });
+    expect(result.provider).toBe('bueno');
+    expect(result.synced).toBe(false);
+    expect(calls.map(([name]) => name)).toEqual(['roto', 'vacio', 'dudoso', 'bueno']);
+    expect(calls[3][1]).toBe(track.title);
+
+    const only = await resolver.find(track.videoId, { yt: null, providers: ['vacio'] });
+    expect(only).toBeNull();
+  });
+});
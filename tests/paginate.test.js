@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import YouTube from '../src/innertube/youtube.js';
+import { Paginator } from '../src/innertube/paginate.js';
+
+// Páginas falsas: { token: { items, continuation } }, la primera con la clave null
+function fakePages(pages) {
+  const requests = [];
+  const fetchPage = async (continuation) => {
+    requests.push(continuation);
+    return { title: 'Primera', ...pages[continuation] };
+  };
+  return { fetchPage, requests };
+}
+
+const threePages = {
+  null: { items: [1, 2], continuation: 'b' },
+  b: { items: [3, 4], continuation: 'c' },
+  c: { items: [5], continuation: null },
+};
+
+describe('Paginator', () => {
+  it('debería recorrer todas las páginas como un iterador asíncrono', async () => {
+    const { fetchPage, requests } = fakePages(threePages);
+    const items = [];
+    for await (const item of new Paginator(fetchPage)) items.push(item);
+
+    expect(items).toEqual([1, 2, 3, 4, 5]);
+    expect(requests).toEqual([null, 'b', 'c']);
+  });
+
+  it('collect - debería devolver la primera página con todos los elementos', async () => {
+    const { fetchPage } = fakePages(threePages);
+    expect(await new Paginator(fetchPage).collect())
+      .toEqual({ title: 'Primera', items: [1, 2, 3, 4, 5], continuation: null, truncated: false });
+  });
+
+  it('collect - debería parar en el límite sin pedir más páginas', async () => {
+    const { fetchPage, requests } = fakePages(threePages);
+    const data = await new Paginator(fetchPage).collect({ limit: 3 });
+
+    expect(data).toMatchObject({ items: [1, 2, 3], continuation: 'c', truncated: true });
+    expect(requests).toEqual([null, 'b']);
+
+    const exact = await new Paginator(fakePages(threePages).fetchPage).collect({ limit: 5 });
+    expect(exact.truncated).toBe(false);
+  });
+
+  it('debería respetar el máximo de peticiones', async () => {
+    const { fetchPage, requests } = fakePages(threePages);
+    const data = await new Paginator(fetchPage, { maxRequests: 2 }).collect();
+
+    expect(requests).toHaveLength(2);
+    expect(data).toMatchObject({ items: [1, 2, 3, 4], continuation: 'c', truncated: true });
+  });
+
+  it('debería detectar un token repetido', async () => {
+    const { fetchPage, requests } = fakePages({
+      null: { items: [1], continuation: 'b' },
+      b: { items: [2], continuation: 'b' },
+    });
+    const data = await new Paginator(fetchPage).collect();
+
+    expect(requests).toEqual([null, 'b']);
+    expect(data).toMatchObject({ items: [1, 2], continuation: null, truncated: true });
+  });
+
+  it('fullPlaylist - debería unir las páginas de canciones con la cabecera', async () => {
+    const yt = new YouTube();
+    yt.playlist = async () => ({ playlist: { id: 'PL1' }, songs: [{ id: 'a' }], songsContinuation: 'x', continuation: null });
+    yt.playlistContinuation = async () => ({ songs: [{ id: 'b' }], continuation: null });
+
+    expect(await yt.fullPlaylist('PL1')).toEqual({
+      playlist: { id: 'PL1' },
+      songs: [{ id: 'a' }, { id: 'b' }],
+      songsContinuation: null,
+      continuation: null,
+      truncated: false,
+    });
+  });
+});
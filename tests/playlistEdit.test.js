@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import YouTube from '../src/innertube/youtube.js';
+import {
+  buildEditActions, editResults, validatePlaylistFields, fieldOperations, MAX_EDIT_ACTIONS,
+} from '../src/innertube/playlistEdit.js';
+import { parseEditPlaylistResult, parsePlaylistPage, parseCollaborationParams } from '../src/innertube/parsers.js';
+
+// InnerTube falso: registra las acciones y devuelve un setVideoId por vídeo añadido
+function fakeYouTube({ dialog = {} } = {}) {
+  const yt = new YouTube();
+  const requests = [];
+  yt.innerTube = {
+    async addToPlaylistMenu(client, videoIds) {
+      requests.push({ menu: videoIds });
+      return { contents: [{ addToPlaylistRenderer: { createPlaylistDialogFormViewModel: dialog } }] };
+    },
+    async createPlaylist(client, title, options) {
+      requests.push({ title, ...options });
+      return { playlistId: 'PLnew' };
+    },
+    async editPlaylist(client, playlistId, actions) {
+      requests.push(actions);
+      return {
+        status: 'STATUS_SUCCEEDED',
+        playlistEditResults: actions
+          .filter((a) => a.action === 'ACTION_ADD_VIDEO' && a.addedVideoId !== 'dup')
+          .map((a) => ({ playlistEditVideoAddedResultData: { videoId: a.addedVideoId, setVideoId: `set-${a.addedVideoId}` } })),
+      };
+    },
+  };
+  return { yt, requests };
+}
+
+describe('Playlist Edit', () => {
+  it('debería traducir las operaciones en orden a acciones de edit_playlist', () => {
+    expect(buildEditActions([
+      { type: 'add', videoIds: ['a', 'b'], skipDuplicates: true },
+      { type: 'remove', setVideoId: 's1', videoId: 'x' },
+      { type: 'move', setVideoId: 's2', beforeSetVideoId: 's3' },
+      { type: 'move', setVideoId: 's4', beforeSetVideoId: null },
+      { type: 'description', description: '' },
+      { type: 'privacy', privacyStatus: 'UNLISTED' },
+    ])).toEqual([
+      { action: 'ACTION_ADD_VIDEO', addedVideoId: 'a', dedupeOption: 'DEDUPE_OPTION_SKIP' },
+      { action: 'ACTION_ADD_VIDEO', addedVideoId: 'b', dedupeOption: 'DEDUPE_OPTION_SKIP' },
+      { action: 'ACTION_REMOVE_VIDEO', setVideoId: 's1', removedVideoId: 'x' },
+      { action: 'ACTION_MOVE_VIDEO_BEFORE', setVideoId: 's2', movedSetVideoIdSuccessor: 's3' },
+      { action: 'ACTION_MOVE_VIDEO_BEFORE', setVideoId: 's4' },
+      { action: 'ACTION_SET_PLAYLIST_DESCRIPTION', playlistDescription: '' },
+      { action: 'ACTION_SET_PLAYLIST_PRIVACY', playlistPrivacy: 'UNLISTED' },
+    ]);
+  });
+
+  it('debería rechazar operaciones inválidas indicando su posición', () => {
+    expect(() => buildEditActions([])).toThrow('"actions" must be a non-empty array');
+    expect(() => buildEditActions([{ type: 'add', videoIds: ['a'] }, { type: 'remove' }]))
+      .toThrow('actions[1]: "setVideoId" is required');
+    expect(() => buildEditActions([{ type: 'privacy', privacyStatus: 'FRIENDS' }])).toThrow('actions[0]');
+    expect(() => buildEditActions([{ type: 'shuffle' }])).toThrow('"type" must be one of');
+  });
+
+  it('debería emparejar los setVideoId añadidos por videoId', () => {
+    const added = parseEditPlaylistResult({
+      status: 'STATUS_SUCCEEDED',
+      playlistEditResults: [
+        { playlistEditVideoAddedResultData: { videoId: 'b', setVideoId: 'sb' } },
+        { playlistEditVideoAddedResultData: { videoId: 'a', setVideoId: 'sa' } },
+      ],
+    });
+    expect(added.succeeded).toBe(true);
+    expect(editResults([{ type: 'add', videoIds: ['a', 'b', 'c'] }, { type: 'remove', setVideoId: 's1' }], added)).toEqual([
+      { type: 'add', items: [{ videoId: 'a', setVideoId: 'sa' }, { videoId: 'b', setVideoId: 'sb' }, { videoId: 'c', setVideoId: null }] },
+      { type: 'remove', setVideoId: 's1' },
+    ]);
+  });
+
+  it('batchEditPlaylist - debería agrupar las acciones en el menor número de peticiones', async () => {
+    const { yt, requests } = fakeYouTube();
+    const videoIds = Array.from({ length: MAX_EDIT_ACTIONS + 5 }, (_, i) => `v${i}`);
+
+    const data = await yt.batchEditPlaylist('PL1', [
+      { type: 'add', videoIds: [...videoIds, 'dup'] },
+      { type: 'move', setVideoId: 'set-v0' },
+    ]);
+
+    expect(requests.map((actions) => actions.length)).toEqual([MAX_EDIT_ACTIONS, 7]);
+    expect(data.succeeded).toBe(true);
+    expect(data.results[0].items[0]).toEqual({ videoId: 'v0', setVideoId: 'set-v0' });
+    expect(data.results[0].items.at(-1)).toEqual({ videoId: 'dup', setVideoId: null });
+    expect(data.results[1]).toEqual({ type: 'move', setVideoId: 'set-v0', beforeSetVideoId: null });
+  });
+
+  it('debería validar los campos de la playlist y convertirlos en operaciones', () => {
+    expect(() => validatePlaylistFields({ title: ' ' })).toThrow('"title"');
+    expect(() => validatePlaylistFields({ privacyStatus: 'private' })).toThrow('"privacyStatus"');
+    expect(() => validatePlaylistFields({ videoIds: ['a'] })).toThrow('only be set on creation');
+    expect(() => validatePlaylistFields({ videoIds: ['a', 1] }, { creating: true })).toThrow('"videoIds"');
+    expect(() => validatePlaylistFields({ description: '' })).not.toThrow();
+
+    expect(fieldOperations({ description: '', privacyStatus: 'PUBLIC' })).toEqual([
+      { type: 'description', description: '' },
+      { type: 'privacy', privacyStatus: 'PUBLIC' },
+    ]);
+  });
+
+  it('debería aceptar colaboración solo al crear y rechazar con 501 la miniatura', () => {
+    expect(() => validatePlaylistFields({ title: 'Mix', collaborative: true }, { creating: true })).not.toThrow();
+    expect(() => validatePlaylistFields({ collaborative: 'sí' }, { creating: true })).toThrow('"collaborative" must be a boolean');
+    for (const fields of [{ collaborative: true }, { thumbnail: 'https://example.com/a.jpg' }]) {
+      expect(() => validatePlaylistFields(fields))
+        .toThrow(expect.objectContaining({ status: 501, message: expect.stringContaining('not supported') }));
+    }
+    expect(() => validatePlaylistFields({ thumbnail: null }, { creating: true })).toThrow('"thumbnail"');
+  });
+
+  it('createPlaylist - debería crear la playlist colaborativa con los params del diálogo', async () => {
+    expect(parseCollaborationParams({ a: [{ b: { createPlaylistDialogFormViewModel: { createPlaylistParamsCollaborationEnabled: 'CAE%3D' } } }] }))
+      .toBe('CAE%3D');
+    expect(parseCollaborationParams({ createPlaylistDialogFormViewModel: { disablePlaylistCollaborate: true, createPlaylistParamsCollaborationEnabled: 'CAE%3D' } }))
+      .toBeNull();
+
+    const { yt, requests } = fakeYouTube({ dialog: { createPlaylistParamsCollaborationEnabled: 'CAE%3D', createPlaylistParamsCollaborationDisabled: 'CAA%3D' } });
+    await yt.createPlaylist('Mix', { videoIds: ['a', 'b'], collaborative: true });
+    expect(requests).toEqual([{ menu: ['a'] }, expect.objectContaining({ title: 'Mix', params: 'CAE%3D' })]);
+
+    // Sin colaboración no hay petición extra ni params
+    const plain = fakeYouTube();
+    await plain.yt.createPlaylist('Mix', { collaborative: false });
+    expect(plain.requests).toEqual([expect.objectContaining({ title: 'Mix', params: undefined })]);
+
+    // Si YouTube Music no la ofrece, no se crea nada
+    const unavailable = fakeYouTube({ dialog: { disablePlaylistCollaborate: true } });
+    await expect(unavailable.yt.createPlaylist('Mix', { collaborative: true }))
+      .rejects.toMatchObject({ status: 501 });
+    expect(unavailable.requests).toEqual([{ menu: [] }]);
+  });
+
+  it('createPlaylist - debería añadir por separado las canciones que no caben en la creación', async () => {
+    const { yt, requests } = fakeYouTube();
+    const videoIds = Array.from({ length: MAX_EDIT_ACTIONS + 3 }, (_, i) => `v${i}`);
+
+    const playlistId = await yt.createPlaylist('Mix', { privacyStatus: 'UNLISTED', videoIds });
+
+    expect(playlistId).toBe('PLnew');
+    expect(requests[0]).toMatchObject({ title: 'Mix', privacyStatus: 'UNLISTED' });
+    expect(requests[0].videoIds).toHaveLength(MAX_EDIT_ACTIONS);
+    expect(requests[1].map((a) => a.addedVideoId)).toEqual(['v200', 'v201', 'v202']);
+  });
+
+  it('parsePlaylistPage - debería devolver descripción, privacidad, duración y año', () => {
+    const runs = (...texts) => ({ runs: texts.flatMap((text, i) => (i ? [{ text: ' • ' }, { text }] : [{ text }])) });
+    const header = {
+      title: { runs: [{ text: 'Road Trip' }] },
+      subtitle: runs('Playlist', 'Unlisted', '2024'),
+      secondSubtitle: runs('42 songs', '2 hours, 31 minutes'),
+      description: { musicDescriptionShelfRenderer: { description: { runs: [{ text: 'Songs for ' }, { text: 'the road' }] } } },
+    };
+    const page = (content) => ({
+      contents: { twoColumnBrowseResultsRenderer: { tabs: [{ tabRenderer: { content: { sectionListRenderer: { contents: [content] } } } }] } },
+    });
+
+    const { playlist } = parsePlaylistPage(page({ musicResponsiveHeaderRenderer: header }), 'PL1');
+    expect(playlist).toMatchObject({
+      songCountText: '42 songs',
+      description: 'Songs for the road',
+      privacy: 'UNLISTED',
+      durationText: '2 hours, 31 minutes',
+      year: '2024',
+      isEditable: false,
+    });
+
+    const editable = parsePlaylistPage(page({
+      musicEditablePlaylistDetailHeaderRenderer: {
+        header: { musicResponsiveHeaderRenderer: { ...header, subtitle: runs('Playlist', '2024') } },
+        editHeader: { musicPlaylistEditHeaderRenderer: { privacy: 'PRIVATE' } },
+      },
+    }), 'PL1');
+    expect(editable.playlist).toMatchObject({ privacy: 'PRIVATE', isEditable: true });
+  });
+});
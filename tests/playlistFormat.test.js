@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { parseDurationText, toM3u8, toXspf, toJspf, toCsv } from '../src/utils/playlistFormat.js';
+
+const playlist = { title: 'Mi "Lista" & más', author: 'Yo', image: null, info: 'https://music.youtube.com/playlist?list=PL1' };
+const tracks = [
+  {
+    videoId: 'abc',
+    title: 'Uno, dos',
+    artists: ['A', 'B'],
+    album: 'Disco',
+    duration: 225,
+    image: null,
+    info: 'https://music.youtube.com/watch?v=abc',
+    location: 'https://music.youtube.com/watch?v=abc',
+  },
+  {
+    videoId: 'def',
+    title: 'Sin <artista>',
+    artists: [],
+    album: null,
+    duration: null,
+    image: null,
+    info: 'https://music.youtube.com/watch?v=def',
+    location: 'http://localhost/api/stream/play?videoId=def&exp=1&kid=k&sig=s',
+  },
+];
+
+describe('playlistFormat', () => {
+  it('debería convertir duraciones de texto a segundos', () => {
+    expect(parseDurationText('3:45')).toBe(225);
+    expect(parseDurationText('1:02:03')).toBe(3723);
+    expect(parseDurationText('3 songs')).toBeNull();
+  });
+
+  it('debería generar M3U8 extendido', () => {
+    expect(toM3u8(playlist, tracks)).toBe([
+      '#EXTM3U',
+      '#PLAYLIST:Mi "Lista" & más',
+      '#EXTINF:225,A, B - Uno, dos',
+      '#EXTALB:Disco',
+      'https://music.youtube.com/watch?v=abc',
+      '#EXTINF:-1,Sin <artista>',
+      'http://localhost/api/stream/play?videoId=def&exp=1&kid=k&sig=s',
+      '',
+    ].join('\n'));
+  });
+
+  it('debería generar XSPF con XML escapado y duración en ms', () => {
+    const xml = toXspf(playlist, tracks);
+    expect(xml).toContain('<title>Mi &quot;Lista&quot; &amp; más</title>');
+    expect(xml).toContain('<duration>225000</duration>');
+    expect(xml).toContain('<title>Sin &lt;artista&gt;</title>');
+    expect(xml).toContain('<location>http://localhost/api/stream/play?videoId=def&amp;exp=1&amp;kid=k&amp;sig=s</location>');
+    expect(xml.match(/<track>/g)).toHaveLength(2);
+  });
+
+  it('debería generar JSPF con location e identifier como arrays', () => {
+    const json = JSON.parse(toJspf(playlist, tracks));
+    expect(json.playlist.title).toBe('Mi "Lista" & más');
+    expect(json.playlist.track[0]).toMatchObject({
+      location: ['https://music.youtube.com/watch?v=abc'],
+      creator: 'A, B',
+      duration: 225000,
+    });
+    expect(json.playlist.track[1].duration).toBeUndefined();
+  });
+
+  it('debería generar CSV con comillas según RFC 4180', () => {
+    const lines = toCsv(playlist, tracks).split('\r\n');
+    expect(lines[0]).toBe('Title,Artists,Album,Duration,Video ID,URL');
+    expect(lines[1]).toBe('"Uno, dos","A, B",Disco,225,abc,https://music.youtube.com/watch?v=abc');
+    expect(lines[2]).toBe('Sin <artista>,,,,def,http://localhost/api/stream/play?videoId=def&exp=1&kid=k&sig=s');
+  });
+});
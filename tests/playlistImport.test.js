@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { parsePlaylistFile, detectFormat } from '../src/utils/playlistImport.js';
+import { toXspf, toJspf, toCsv } from '../src/utils/playlistFormat.js';
+import { importPlaylist } from '../src/jobs/importJob.js';
+
+const exported = [{
+  videoId: 'abc',
+  title: 'A & B',
+  artists: ['X'],
+  album: 'Disco',
+  duration: 100,
+  image: null,
+  info: 'https://music.youtube.com/watch?v=abc',
+  location: 'https://music.youtube.com/watch?v=abc',
+}];
+
+// Cliente falso: search() devuelve resultados fijos por consulta
+function fakeYouTube(results) {
+  const calls = { search: [], create: [], edit: [] };
+  return {
+    calls,
+    async search(query, filter) {
+      calls.search.push([query, filter]);
+      if (results[query] instanceof Error) throw results[query];
+      return { items: results[query] || [] };
+    },
+    async createPlaylist(title) {
+      calls.create.push(title);
+      return 'PLnew';
+    },
+    async editPlaylist(playlistId, actions) {
+      calls.edit.push([playlistId, actions]);
+      return {};
+    },
+  };
+}
+
+const song = (id, title, artist, duration) => ({ type: 'song', id, title, artists: [{ name: artist }], album: null, duration });
+
+describe('Playlist Import', () => {
+  it('debería leer M3U extendido, nombres de archivo y enlaces de YouTube', () => {
+    const m3u = [
+      '#EXTM3U',
+      '#PLAYLIST:Mi lista',
+      '#EXTINF:225,Daft Punk - One More Time',
+      '#EXTALB:Discovery',
+      '/music/01.mp3',
+      '/music/Queen - Bohemian Rhapsody.flac',
+      'https://youtu.be/dQw4w9WgXcQ',
+    ].join('\n');
+    const parsed = parsePlaylistFile(m3u);
+
+    expect(parsed.format).toBe('m3u8');
+    expect(parsed.title).toBe('Mi lista');
+    expect(parsed.entries).toEqual([
+      { title: 'One More Time', artists: ['Daft Punk'], album: 'Discovery', duration: 225, videoId: null },
+      { title: 'Bohemian Rhapsody', artists: ['Queen'], album: null, duration: null, videoId: null },
+      { title: 'dQw4w9WgXcQ', artists: [], album: null, duration: null, videoId: 'dQw4w9WgXcQ' },
+    ]);
+  });
+
+  it('debería aceptar nombres de archivo con % que no son escapes de URL', () => {
+    const parsed = parsePlaylistFile('#EXTM3U\nmusic/100% Pure Love.mp3\nmusic/Crystal%20Waters%20-%20Gypsy%20Woman.mp3\n');
+
+    expect(parsed.entries.map(({ title, artists }) => ({ title, artists }))).toEqual([
+      { title: '100% Pure Love', artists: [] },
+      { title: 'Gypsy Woman', artists: ['Crystal Waters'] },
+    ]);
+  });
+
+  it('debería leer de vuelta sus propias exportaciones XSPF, JSPF y CSV', () => {
+    const expected = [{ title: 'A & B', artists: ['X'], album: 'Disco', duration: 100, videoId: 'abc' }];
+    for (const [format, content] of [
+      ['xspf', toXspf({ title: 'T' }, exported)],
+      ['jspf', toJspf({ title: 'T' }, exported)],
+      ['csv', toCsv({ title: 'T' }, exported)],
+    ]) {
+      expect(detectFormat(content)).toBe(format);
+      expect(parsePlaylistFile(content).entries).toEqual(expected);
+    }
+  });
+
+  it('debería leer CSV de Exportify y JSON de Spotify', () => {
+    const csv = '"Track Name","Artist Name(s)","Album Name","Duration (ms)"\r\n"Uno, dos","A, B",X,225000\r\n';
+    expect(parsePlaylistFile(csv).entries).toEqual([
+      { title: 'Uno, dos', artists: ['A', 'B'], album: 'X', duration: 225, videoId: null },
+    ]);
+
+    const webApi = { name: 'W', tracks: { items: [{ track: { name: 'S', artists: [{ name: 'Z' }], album: { name: 'Q' }, duration_ms: 61000 } }] } };
+    expect(parsePlaylistFile(JSON.stringify(webApi))).toMatchObject({
+      format: 'spotify',
+      title: 'W',
+      entries: [{ title: 'S', artists: ['Z'], album: 'Q', duration: 61 }],
+    });
+
+    const dataExport = { playlists: [
+      { name: 'Primera', items: [] },
+      { name: 'Segunda', items: [{ track: { trackName: 'T', artistName: 'A', albumName: 'Al' } }] },
+    ] };
+    expect(parsePlaylistFile(dataExport, { playlistName: 'segunda' }).entries).toHaveLength(1);
+    expect(() => parsePlaylistFile(dataExport)).toThrow('The playlist has no tracks');
+  });
+
+  it('debería clasificar filas, crear la lista y añadir solo las coincidencias', async () => {
+    const yt = fakeYouTube({
+      'Daft Punk One More Time': [song('v1', 'One More Time', 'Daft Punk', '5:20')],
+      'Queen Bohemian Rhapsody': [song('v2', 'Bohemian Rhapsody (Live)', 'Queen Tribute Band', '6:30')],
+      'Nadie Nada': [song('v3', 'Otra cosa', 'Alguien', '2:00')],
+      'Error Falla': new Error('rate limited'),
+    });
+    const state = {
+      title: 'Importada',
+      includeLowConfidence: false,
+      entries: [
+        { title: 'One More Time', artists: ['Daft Punk'], album: null, duration: 320, videoId: null },
+        { title: 'Bohemian Rhapsody', artists: ['Queen'], album: null, duration: 355, videoId: null },
+        { title: 'Nada', artists: ['Nadie'], album: null, duration: null, videoId: null },
+        { title: 'Falla', artists: ['Error'], album: null, duration: null, videoId: null },
+        { title: 'Directo', artists: [], album: null, duration: null, videoId: 'v9' },
+      ],
+    };
+
+    const report = await importPlaylist(yt, state, {});
+
+    expect(state.rows.map((row) => row.status)).toEqual(['matched', 'low_confidence', 'unmatched', 'unmatched', 'matched']);
+    expect(state.rows[3].error).toBe('rate limited');
+    expect(report).toEqual({ total: 5, matched: 2, lowConfidence: 1, unmatched: 2, added: 2 });
+    expect(yt.calls.search).toHaveLength(4);
+    expect(yt.calls.search[0][1]).toBe('SONG');
+    expect(yt.calls.create).toEqual(['Importada']);
+    expect(yt.calls.edit).toEqual([['PLnew', [
+      { action: 'ACTION_ADD_VIDEO', addedVideoId: 'v1' },
+      { action: 'ACTION_ADD_VIDEO', addedVideoId: 'v9' },
+    ]]]);
+
+    // Reanudar no vuelve a buscar ni a crear la lista; añade lo pendiente
+    state.includeLowConfidence = true;
+    const resumed = await importPlaylist(yt, state, {});
+    expect(resumed.added).toBe(3);
+    expect(yt.calls.search).toHaveLength(4);
+    expect(yt.calls.create).toHaveLength(1);
+    expect(yt.calls.edit[1][1]).toEqual([{ action: 'ACTION_ADD_VIDEO', addedVideoId: 'v2' }]);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import YouTube from '../src/innertube/youtube.js';
+import { buildEditActions } from '../src/innertube/playlistEdit.js';
+import {
+  planSync, syncOperations, syncSummary, moveOperations, fillAdded, desiredVideoIds,
+} from '../src/innertube/playlistSync.js';
+
+// Aplica acciones de edit_playlist sobre una lista de { videoId, setVideoId }
+function applyActions(items, actions, nextId = () => `s${Math.random()}`) {
+  const added = [];
+  for (const action of actions) {
+    if (action.action === 'ACTION_ADD_VIDEO') {
+      const item = { videoId: action.addedVideoId, setVideoId: nextId() };
+      items.push(item);
+      added.push(item);
+    } else if (action.action === 'ACTION_REMOVE_VIDEO') {
+      items.splice(items.findIndex((i) => i.setVideoId === action.setVideoId), 1);
+    } else if (action.action === 'ACTION_MOVE_VIDEO_BEFORE') {
+      const [item] = items.splice(items.findIndex((i) => i.setVideoId === action.setVideoId), 1);
+      const before = items.findIndex((i) => i.setVideoId === action.movedSetVideoIdSuccessor);
+      items.splice(before < 0 ? items.length : before, 0, item);
+    }
+  }
+  return added;
+}
+
+const playlistOf = (videoIds) => videoIds.map((videoId, i) => ({ videoId, setVideoId: `s${i}` }));
+
+// YouTube con una playlist editable simulada en memoria
+function fakeYouTube(videoIds) {
+  const yt = new YouTube();
+  const items = playlistOf(videoIds);
+  let counter = 0;
+  const requests = [];
+  yt.fullPlaylist = async () => ({
+    playlist: { isEditable: true },
+    songs: items.map((i) => ({ id: i.videoId, setVideoId: i.setVideoId })),
+    truncated: false,
+  });
+  yt.innerTube = {
+    async editPlaylist(client, playlistId, actions) {
+      requests.push(actions);
+      const added = applyActions(items, actions, () => `n${counter++}`);
+      return {
+        status: 'STATUS_SUCCEEDED',
+        playlistEditResults: added.map((i) => ({ playlistEditVideoAddedResultData: i })),
+      };
+    },
+  };
+  return { yt, items, requests };
+}
+
+describe('Playlist Sync', () => {
+  it('debería mover solo lo que está fuera de orden', () => {
+    const plan = planSync(playlistOf(['a', 'b', 'c', 'd']), ['b', 'c', 'd', 'a']);
+    expect(syncOperations(plan)).toEqual([
+      { type: 'move', videoId: 'a', setVideoId: 's0', beforeSetVideoId: null },
+    ]);
+    expect(syncSummary(plan)).toEqual({ removed: 0, added: 0, moved: 1, unchanged: 3 });
+  });
+
+  it('debería eliminar, añadir y emparejar duplicados por orden de aparición', () => {
+    const plan = planSync(playlistOf(['a', 'x', 'a', 'b']), ['a', 'b', 'c', 'a']);
+    expect(plan.removals).toEqual([{ type: 'remove', setVideoId: 's1', videoId: 'x' }]);
+    expect(plan.additions).toEqual(['c']);
+    expect(syncSummary(plan)).toEqual({ removed: 1, added: 1, moved: 1, unchanged: 2 });
+  });
+
+  it('debería llegar al orden deseado con cualquier permutación', () => {
+    const current = playlistOf(['a', 'b', 'c', 'd', 'e', 'f', 'a']);
+    const cases = [
+      ['f', 'e', 'd', 'c', 'b', 'a', 'a'],
+      ['a', 'g', 'c', 'h', 'b'],
+      [],
+      ['a', 'b', 'c', 'd', 'e', 'f', 'a'],
+      ['z', 'a', 'a', 'a', 'd'],
+    ];
+    for (const desired of cases) {
+      const items = current.map((i) => ({ ...i }));
+      const plan = planSync(current, desired);
+      const first = [...plan.removals, ...(plan.additions.length ? [{ type: 'add', videoIds: plan.additions }] : [])];
+      fillAdded(plan, first.length ? applyActions(items, buildEditActions(first)) : []);
+      const moves = moveOperations(plan);
+      if (moves.length) applyActions(items, buildEditActions(moves));
+      expect(items.map((i) => i.videoId)).toEqual(desired);
+    }
+  });
+
+  it('debería validar la lista deseada', () => {
+    expect(desiredVideoIds(['a', { videoId: 'b', title: 'B' }])).toEqual(['a', 'b']);
+    expect(() => desiredVideoIds('a')).toThrow('must be an array');
+    expect(() => desiredVideoIds(['a', { title: 'B' }])).toThrow('tracks[1]');
+  });
+
+  it('syncPlaylist - dryRun no debería modificar la playlist', async () => {
+    const { yt, requests } = fakeYouTube(['a', 'b']);
+    const data = await yt.syncPlaylist('PL1', ['c', 'a'], { dryRun: true });
+
+    expect(requests).toHaveLength(0);
+    expect(data.inSync).toBe(false);
+    expect(data.operations).toEqual([
+      { type: 'remove', setVideoId: 's1', videoId: 'b' },
+      { type: 'add', videoIds: ['c'] },
+      { type: 'move', videoId: 'c', setVideoId: null, beforeSetVideoId: 's0' },
+    ]);
+  });
+
+  it('syncPlaylist - debería aplicar los cambios y devolver el estado final', async () => {
+    const { yt, items, requests } = fakeYouTube(['a', 'b', 'c']);
+    const data = await yt.syncPlaylist('PL1', ['d', 'c', 'a']);
+
+    expect(requests).toHaveLength(2);
+    expect(items.map((i) => i.videoId)).toEqual(['d', 'c', 'a']);
+    expect(data).toMatchObject({ succeeded: true, inSync: true, summary: { removed: 1, added: 1, moved: 2 } });
+    expect(data.operations.at(-1)).toEqual({ type: 'move', setVideoId: 'n0', beforeSetVideoId: 's2' });
+  });
+});
@@ -0,0 +1,284 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parsePlays, recordPlays, StreamPlayTracker } from '../src/plays/index.js';
+import { topTracks, topArtists, topAlbums, timeline, rangeStart, isTimeZone } from '../src/plays/stats.js';
+import { buildReport, parsePeriod, addThumbnails } from '../src/plays/report.js';
+import { renderReportCard } from '../src/plays/reportCard.js';
+import { GENRE_INDEX_TTL, genreIndex, resetGenreIndex } from '../src/plays/genres.js';
+import { PlayStore } from '../src/stores/playStore.js';
+
+const artist = (id) => ({ name: `Artista ${id}`, id });
+const play = (videoId, playedAt, { artists = [artist('UCa')], album = null, listenedMs = null, duration = 200 } = {}) => ({
+  videoId, title: videoId, artists, album, thumbnail: null, duration, playedAt, listenedMs,
+});
+
+// YouTube falso: get_queue conoce las canciones de `known`
+function fakeYouTube(known) {
+  return {
+    async queue(videoIds) {
+      return videoIds.filter((id) => known.includes(id)).map((id) => ({
+        id,
+        title: `Canción ${id}`,
+        artists: [artist('UCa')],
+        album: { name: 'Álbum', id: 'MPREb1' },
+        thumbnail: 'https://example.com/t.jpg',
+        duration: '3:20',
+        libraryAddToken: 'x',
+      }));
+    },
+  };
+}
+
+describe('Play History', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plays-'));
+    store = new PlayStore(path.join(dir, 'plays.jsonl'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('debería validar las reproducciones enviadas', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    expect(parsePlays({ videoId: 'v1' }, now)).toEqual([
+      { videoId: 'v1', playedAt: '2026-10-19T12:00:00.000Z', listenedMs: null, clientId: null },
+    ]);
+    expect(parsePlays({ plays: [{ videoId: 'v1', listenedMs: 1000 }, { videoId: 'v2' }] }, now)).toHaveLength(2);
+    expect(() => parsePlays({}, now)).toThrow('"videoId"');
+    expect(() => parsePlays({ plays: [{ videoId: 'v1' }, { videoId: 'v2', listenedMs: -1 }] }, now)).toThrow('"plays[1].listenedMs"');
+    expect(() => parsePlays({ videoId: 'v1', playedAt: 'ayer' }, now)).toThrow('"playedAt"');
+    expect(() => parsePlays({ videoId: 'v1', playedAt: '2026-10-20T00:00:00Z' }, now)).toThrow('future');
+    expect(() => parsePlays({ videoId: 'v1', playedAt: '0001-01-01T00:00:00Z' }, now)).toThrow('before 2005');
+    expect(parsePlays({ videoId: 'v1', playedAt: '2005-01-01T00:00:00Z' }, now)[0].playedAt).toBe('2005-01-01T00:00:00.000Z');
+    expect(() => parsePlays({ plays: [] }, now)).toThrow('empty');
+  });
+
+  it('debería guardar una instantánea de los metadatos y omitir las canciones desconocidas', async () => {
+    const entries = parsePlays({ plays: [{ videoId: 'v1', clientId: 'móvil' }, { videoId: 'nope' }, { videoId: 'v1' }] });
+    const { plays, unavailable } = await recordPlays(fakeYouTube(['v1']), 'key1', entries, { store });
+
+    expect(unavailable).toEqual(['nope']);
+    expect(plays).toHaveLength(2);
+    expect(plays[0]).toMatchObject({
+      keyId: 'key1',
+      videoId: 'v1',
+      title: 'Canción v1',
+      album: { name: 'Álbum', id: 'MPREb1' },
+      duration: 200,
+      clientId: 'móvil',
+      source: 'api',
+    });
+    expect(plays[0]).not.toHaveProperty('libraryAddToken');
+
+    const reloaded = new PlayStore(store.filePath).load();
+    expect(reloaded.list('key1')).toHaveLength(2);
+    expect(reloaded.list('key2')).toHaveLength(0);
+  });
+
+  it('debería ignorar líneas dañadas del fichero', () => {
+    fs.writeFileSync(store.filePath, `${JSON.stringify({ id: '1', keyId: 'k', videoId: 'v', playedAt: '2026-01-01T00:00:00Z' })}\n{roto\n`);
+    expect(store.load().list('k')).toHaveLength(1);
+  });
+
+  it('debería filtrar por rango de fechas', () => {
+    store.add('key1', [play('a', '2026-10-01T10:00:00.000Z'), play('b', '2026-10-18T10:00:00.000Z')]);
+    const since = rangeStart('7d', Date.parse('2026-10-19T12:00:00Z'));
+    expect(store.list('key1', { since }).map((p) => p.videoId)).toEqual(['b']);
+    expect(rangeStart('all')).toBeNull();
+  });
+});
+
+describe('Play Stats', () => {
+  const plays = [
+    play('a', '2026-10-17T23:30:00.000Z', { artists: [artist('UCa'), artist('UCb')], album: { name: 'X', id: 'MPREbx' } }),
+    play('a', '2026-10-18T10:00:00.000Z', { album: { name: 'X', id: 'MPREbx' }, listenedMs: 30000 }),
+    play('b', '2026-10-18T11:00:00.000Z', { artists: [artist('UCb')] }),
+    play('c', '2026-10-20T09:00:00.000Z', { artists: [{ name: 'Sin canal', id: null }], album: { name: 'Y', id: 'MPREby' } }),
+  ];
+
+  it('debería ordenar por reproducciones y luego por tiempo escuchado', () => {
+    const tracks = topTracks(plays);
+    expect(tracks.map((t) => [t.videoId, t.plays])).toEqual([['a', 2], ['b', 1], ['c', 1]]);
+    expect(tracks[0]).toMatchObject({ listenedMs: 230000, lastPlayedAt: '2026-10-18T10:00:00.000Z' });
+
+    expect(topArtists(plays).map((a) => [a.name, a.plays])).toEqual([
+      ['Artista UCb', 2], ['Artista UCa', 2], ['Sin canal', 1],
+    ]);
+    expect(topAlbums(plays, 1)).toEqual([expect.objectContaining({ id: 'MPREbx', plays: 2 })]);
+  });
+
+  it('debería agrupar por día en la zona horaria pedida, incluyendo días vacíos', () => {
+    const utc = timeline(plays, { until: new Date('2026-10-20T12:00:00Z') });
+    expect(utc.map((d) => [d.date, d.plays])).toEqual([
+      ['2026-10-17', 1], ['2026-10-18', 2], ['2026-10-19', 0], ['2026-10-20', 1],
+    ]);
+
+    const madrid = timeline(plays, { until: new Date('2026-10-20T12:00:00Z'), timeZone: 'Europe/Madrid' });
+    expect(madrid[0]).toEqual({ date: '2026-10-18', plays: 3, listenedMs: 430000 });
+
+    expect(timeline([], { since: new Date('2026-10-19T00:00:00Z'), until: new Date('2026-10-20T00:00:00Z') })).toHaveLength(2);
+    expect(isTimeZone('Europe/Madrid')).toBe(true);
+    expect(isTimeZone('Marte/Olympus')).toBe(false);
+  });
+});
+
+describe('Listening report', () => {
+  const history = [
+    play('a', '2026-08-30T10:00:00.000Z', { artists: [artist('UCa')] }),
+    play('a', '2026-09-01T10:00:00.000Z', { artists: [artist('UCa')], album: { name: 'X', id: 'MPREbx' } }),
+    play('b', '2026-09-02T10:00:00.000Z', { artists: [artist('UCb')], listenedMs: 60000 }),
+    play('b', '2026-09-03T10:00:00.000Z', { artists: [artist('UCb')] }),
+    play('c', '2026-09-10T10:00:00.000Z', { artists: [artist('UCc')] }),
+    play('c', '2026-09-30T22:30:00.000Z', { artists: [artist('UCc')] }),
+    play('d', '2026-10-01T10:00:00.000Z', { artists: [artist('UCd')] }),
+  ];
+  const now = Date.parse('2026-10-19T12:00:00Z');
+
+  it('debería validar el periodo', () => {
+    expect(parsePeriod('2026-02')).toEqual({ period: '2026-02', type: 'month', first: '2026-02-01', last: '2026-02-28' });
+    expect(parsePeriod('2026')).toMatchObject({ type: 'year', first: '2026-01-01', last: '2026-12-31' });
+    for (const period of [undefined, '2026-13', '26-09', '2026-9']) {
+      expect(() => parsePeriod(period)).toThrow('"period"');
+    }
+  });
+
+  it('debería resumir un mes: minutos, tops, rachas y artistas nuevos', () => {
+    const report = buildReport(history, { period: '2026-09', now });
+    expect(report).toMatchObject({
+      totalPlays: 5,
+      totalMinutes: 14,
+      uniqueTracks: 3,
+      activeDays: 5,
+      streaks: { longest: { days: 3, from: '2026-09-01', to: '2026-09-03' }, current: 0 },
+    });
+    expect(report.topTracks.map((t) => t.videoId)).toEqual(['c', 'b', 'a']);
+    expect(report.topAlbums).toEqual([expect.objectContaining({ id: 'MPREbx' })]);
+    expect(report.newArtists.total).toBe(2);
+    expect(report.newArtists.items.map((a) => [a.id, a.firstPlayedAt])).toEqual([
+      ['UCc', '2026-09-10T10:00:00.000Z'], ['UCb', '2026-09-02T10:00:00.000Z'],
+    ]);
+
+    // En Madrid la última reproducción de septiembre cae ya en octubre
+    const madrid = buildReport(history, { period: '2026-09', timeZone: 'Europe/Madrid', now });
+    expect(madrid.totalPlays).toBe(4);
+  });
+
+  it('debería contar la racha actual hasta hoy o ayer', () => {
+    const recent = [
+      play('a', '2026-10-16T10:00:00.000Z'),
+      play('a', '2026-10-17T10:00:00.000Z'),
+      play('a', '2026-10-18T10:00:00.000Z'),
+    ];
+    expect(buildReport(recent, { period: '2026', now }).streaks.current).toBe(3);
+    expect(buildReport(recent, { period: '2026-10', now: Date.parse('2026-10-21T12:00:00Z') }).streaks.current).toBe(0);
+    expect(buildReport([], { period: '2026-10', now })).toMatchObject({ totalPlays: 0, busiestDay: null });
+  });
+
+  it('debería usar las miniaturas de artistas y álbumes y renderizar la tarjeta SVG', async () => {
+    const yt = {
+      async artist(id) {
+        if (id === 'UCc') throw new Error('HTTP 500');
+        return { artist: { id, thumbnail: `https://example.com/${id}.jpg` } };
+      },
+      async album(id) {
+        return { album: { browseId: id, thumbnail: `https://example.com/${id}.jpg` } };
+      },
+    };
+    const report = buildReport(history.map((p) => ({ ...p, thumbnail: 'https://example.com/song.jpg' })), { period: '2026-09', now });
+    await addThumbnails(yt, report);
+    expect(Object.fromEntries(report.topArtists.map((a) => [a.id, a.thumbnail]))).toEqual({
+      UCa: 'https://example.com/UCa.jpg',
+      UCb: 'https://example.com/UCb.jpg',
+      UCc: 'https://example.com/song.jpg',
+    });
+    expect(report.topAlbums[0].thumbnail).toBe('https://example.com/MPREbx.jpg');
+
+    const svg = renderReportCard({ ...report, topArtists: [{ name: 'Tom & <Jerry>' }] });
+    expect(svg).toMatch(/^<svg /);
+    expect(svg).toContain('September 2026');
+    expect(svg).toContain('Tom &amp; &lt;Jerry&gt;');
+  });
+
+  it('debería derivar la mezcla de géneros de las listas de Moods & genres', async () => {
+    const calls = { moods: 0, playlists: [] };
+    const songs = (...ids) => ({ songs: ids.map((id) => ({ id: `s-${id}`, artists: [artist(id)] })) });
+    const yt = {
+      async moodAndGenres() {
+        calls.moods += 1;
+        return [
+          { title: 'Moods & moments', items: [{ title: 'Chill', browseId: 'FEmusic_moods_and_genres_category', params: 'chill' }] },
+          { title: 'Genres', items: ['pop', 'rock', 'jazz'].map((params) => ({ title: params[0].toUpperCase() + params.slice(1), browseId: 'FEmusic_moods_and_genres_category', params })) },
+        ];
+      },
+      async browse(browseId, params) {
+        if (params === 'jazz') throw new Error('HTTP 500');
+        return { items: [{ title: 'Destacadas', items: [
+          { type: 'playlist', id: `${params}1` }, { type: 'album', id: 'MPREbx' },
+          { type: 'playlist', id: `${params}2` }, { type: 'playlist', id: `${params}3` },
+        ] }] };
+      },
+      async playlist(id) {
+        calls.playlists.push(id);
+        if (id === 'rock2') throw new Error('HTTP 404');
+        return { pop1: songs('UCa', 'UCb'), pop2: songs('UCa'), rock1: songs('UCb') }[id];
+      },
+    };
+
+    resetGenreIndex();
+    const [genres, shared] = await Promise.all([genreIndex(yt, now), genreIndex(yt, now)]);
+    expect(shared).toBe(genres);
+    expect(calls.moods).toBe(1);
+    expect(calls.playlists.sort()).toEqual(['pop1', 'pop2', 'rock1', 'rock2']);
+
+    // a (UCa, solo Pop) 200 s; b (UCb, mitad Pop y mitad Rock) 60 + 200 s; c (sin género) no cuenta
+    const report = buildReport(history, { period: '2026-09', now, genres });
+    expect(report.genres).toEqual({
+      coverage: 0.535,
+      items: [
+        { name: 'Pop', listenedMs: 330000, plays: 3, share: 0.717 },
+        { name: 'Rock', listenedMs: 130000, plays: 2, share: 0.283 },
+      ],
+    });
+    expect(buildReport(history, { period: '2026-09', now }).genres).toBeNull();
+    expect(renderReportCard(report)).toContain('Pop 72% · Rock 28%');
+
+    // El índice se reconstruye al caducar; un fallo no se guarda
+    await genreIndex(yt, now + GENRE_INDEX_TTL / 2);
+    expect(calls.moods).toBe(1);
+    const broken = { async moodAndGenres() { throw new Error('HTTP 503'); } };
+    await expect(genreIndex(broken, now + GENRE_INDEX_TTL + 1)).rejects.toThrow('HTTP 503');
+    await genreIndex(yt, now + GENRE_INDEX_TTL + 1);
+    expect(calls.moods).toBe(2);
+    resetGenreIndex();
+  });
+});
+
+describe('Streamed plays', () => {
+  const response = { keyId: 'key1', videoId: 'v1', duration: 200, totalBytes: 2000000 };
+
+  it('debería contar una reproducción a partir de N segundos servidos', () => {
+    const tracker = new StreamPlayTracker({ threshold: 30 });
+    expect(tracker.check({ ...response, servedBytes: 100000 })).toBeNull();
+    expect(tracker.check({ ...response, servedBytes: 500000 })).toBe(50000);
+  });
+
+  it('debería contar una sola vez las peticiones de la misma reproducción', () => {
+    const tracker = new StreamPlayTracker({ threshold: 30 });
+    const now = Date.now();
+    expect(tracker.check({ ...response, servedBytes: 2000000 }, now)).toBe(200000);
+    expect(tracker.check({ ...response, servedBytes: 2000000 }, now + 60000)).toBeNull();
+    expect(tracker.check({ ...response, keyId: 'key2', servedBytes: 2000000 }, now + 60000)).toBe(200000);
+    expect(tracker.check({ ...response, servedBytes: 2000000 }, now + 201000)).toBe(200000);
+  });
+
+  it('no debería contar nada con el umbral a 0 o sin tamaño', () => {
+    expect(new StreamPlayTracker({ threshold: 0 }).check({ ...response, servedBytes: 2000000 })).toBeNull();
+    expect(new StreamPlayTracker({ threshold: 30 }).check({ ...response, totalBytes: 0, servedBytes: 10 })).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { createProxyGuard, hostMatches, isPrivateAddress } from '../src/utils/proxyGuard.js';
+
+// Servidor local que simula un host de streams y varios intentos de bypass por redirección
+let server;
+let port;
+const hits = [];
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    hits.push(req.url);
+    const redirects = {
+      '/to-metadata': 'http://169.254.169.254/latest/meta-data/',
+      '/to-loopback-ip': `http://127.0.0.1:${port}/secret`,
+      '/to-lookalike': `http://localhost.attacker.test:${port}/secret`,
+      '/to-file': 'file:///etc/passwd',
+      '/relative': '/audio',
+      '/loop': '/loop',
+    };
+    if (redirects[req.url]) {
+      res.writeHead(302, { Location: redirects[req.url] });
+      return res.end();
+    }
+    if (req.url === '/audio') {
+      res.writeHead(200, { 'Content-Type': 'audio/webm' });
+      return res.end('audio-bytes');
+    }
+    res.writeHead(200);
+    res.end('internal secret');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+// Resolver falso: cualquier nombre apunta al servidor local
+const fakeLookup = (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]);
+
+function localGuard(extra = {}) {
+  return createProxyGuard({ allowedHosts: ['localhost'], allowPrivate: true, lookup: fakeLookup, ...extra });
+}
+
+describe('Proxy Guard', () => {
+  it('hostMatches - debería aceptar subdominios y rechazar dominios parecidos', () => {
+    expect(hostMatches('rr1---sn-abc.googlevideo.com', '*.googlevideo.com')).toBe(true);
+    expect(hostMatches('googlevideo.com', '*.googlevideo.com')).toBe(false);
+    expect(hostMatches('evilgooglevideo.com', '*.googlevideo.com')).toBe(false);
+    expect(hostMatches('rr1.googlevideo.com.attacker.test', '*.googlevideo.com')).toBe(false);
+  });
+
+  it('isPrivateAddress - debería detectar rangos privados y de loopback', () => {
+    expect(isPrivateAddress('127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('10.1.2.3')).toBe(true);
+    expect(isPrivateAddress('169.254.169.254')).toBe(true);
+    expect(isPrivateAddress('::1')).toBe(true);
+    expect(isPrivateAddress('::ffff:192.168.1.1')).toBe(true);
+    expect(isPrivateAddress('142.250.190.14')).toBe(false);
+  });
+
+  it('debería hacer proxy de un host permitido', async () => {
+    const response = await localGuard().request(`http://localhost:${port}/audio`, { responseType: 'text' });
+    expect(response.status).toBe(200);
+    expect(response.data).toBe('audio-bytes');
+  });
+
+  it('debería seguir redirecciones relativas dentro del mismo host', async () => {
+    const response = await localGuard().request(`http://localhost:${port}/relative`, { responseType: 'text' });
+    expect(response.data).toBe('audio-bytes');
+  });
+
+  it('debería rechazar hosts fuera de la lista permitida', async () => {
+    await expect(localGuard().request('http://example.com/'))
+      .rejects.toMatchObject({ status: 403, code: 'PROXY_HOST_NOT_ALLOWED', host: 'example.com' });
+  });
+
+  it('debería bloquear una redirección al endpoint de metadatos', async () => {
+    await expect(localGuard().request(`http://localhost:${port}/to-metadata`))
+      .rejects.toMatchObject({ status: 403, code: 'PROXY_HOST_NOT_ALLOWED', host: '169.254.169.254' });
+  });
+
+  it('debería bloquear una redirección a una IP de loopback sin alcanzarla', async () => {
+    hits.length = 0;
+    await expect(localGuard().request(`http://localhost:${port}/to-loopback-ip`))
+      .rejects.toMatchObject({ code: 'PROXY_HOST_NOT_ALLOWED', host: '127.0.0.1' });
+    expect(hits).not.toContain('/secret');
+  });
+
+  it('debería bloquear una redirección a un dominio parecido', async () => {
+    await expect(localGuard().request(`http://localhost:${port}/to-lookalike`))
+      .rejects.toMatchObject({ code: 'PROXY_HOST_NOT_ALLOWED', host: 'localhost.attacker.test' });
+  });
+
+  it('debería bloquear una redirección a otro protocolo', async () => {
+    await expect(localGuard().request(`http://localhost:${port}/to-file`))
+      .rejects.toMatchObject({ code: 'PROXY_PROTOCOL_NOT_ALLOWED' });
+  });
+
+  it('debería cortar bucles de redirección', async () => {
+    await expect(localGuard({ maxRedirects: 3 }).request(`http://localhost:${port}/loop`))
+      .rejects.toThrow('Too many redirects');
+  });
+
+  it('debería bloquear hosts permitidos que resuelven a direcciones privadas', async () => {
+    hits.length = 0;
+    const guard = createProxyGuard({ allowedHosts: ['*.rebind.test'], lookup: fakeLookup });
+    await expect(guard.request(`http://media.rebind.test:${port}/audio`))
+      .rejects.toMatchObject({ status: 403, code: 'PROXY_PRIVATE_ADDRESS', host: 'media.rebind.test' });
+    expect(hits).toHaveLength(0);
+  });
+});
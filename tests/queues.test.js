@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  newQueue, addItems, removeItem, moveItem, setShuffle, setRepeat, jump, step,
+  resolveTracks, sourceVideoIds, describeQueue,
+} from '../src/queues/playQueue.js';
+import { QueueStore } from '../src/stores/queueStore.js';
+
+const song = (id) => ({ type: 'song', id, title: `Canción ${id}`, artists: [{ name: 'Artista', id: 'UCa' }] });
+const songs = (...ids) => ids.map(song);
+const order = (queue) => queue.items.map((item) => item.videoId);
+const current = (queue) => queue.items[queue.currentIndex]?.videoId;
+
+// Aleatoriedad determinista para las pruebas de shuffle
+const seeded = (values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+
+describe('Play Queue', () => {
+  it('debería crear la cola con el cursor en startIndex', () => {
+    const queue = newQueue(songs('a', 'b', 'c'), { startIndex: 1, repeat: 'all' });
+    expect(order(queue)).toEqual(['a', 'b', 'c']);
+    expect(current(queue)).toBe('b');
+    expect(queue.repeat).toBe('all');
+    expect(() => newQueue(songs('a'), { startIndex: 3 })).toThrow('"startIndex"');
+    expect(() => newQueue(songs('a'), { repeat: 'siempre' })).toThrow('"repeat"');
+  });
+
+  it('debería añadir al final o justo después de la canción actual', () => {
+    const queue = newQueue(songs('a', 'b', 'c'), { startIndex: 1 });
+    addItems(queue, songs('d'));
+    addItems(queue, songs('x', 'y'), { playNext: true });
+    expect(order(queue)).toEqual(['a', 'b', 'x', 'y', 'c', 'd']);
+    expect(current(queue)).toBe('b');
+  });
+
+  it('debería mantener la canción actual al quitar y mover', () => {
+    const queue = newQueue(songs('a', 'b', 'c', 'd'), { startIndex: 2 });
+    removeItem(queue, queue.items[0].itemId);
+    expect(current(queue)).toBe('c');
+
+    moveItem(queue, queue.items[1].itemId, 0);
+    expect(order(queue)).toEqual(['c', 'b', 'd']);
+    expect(current(queue)).toBe('c');
+
+    // Quitar la actual pasa a la siguiente
+    removeItem(queue, queue.items[0].itemId);
+    expect(current(queue)).toBe('b');
+
+    expect(() => moveItem(queue, queue.items[0].itemId, 5)).toThrow('"toIndex"');
+    expect(() => removeItem(queue, 'nada')).toThrow('not found');
+  });
+
+  it('debería dejar la cola vacía sin cursor', () => {
+    const queue = newQueue(songs('a'));
+    removeItem(queue, queue.items[0].itemId);
+    expect(queue.currentIndex).toBeNull();
+    expect(step(queue)).toEqual({ ended: true });
+
+    addItems(queue, songs('b'), { playNext: true });
+    expect(current(queue)).toBe('b');
+  });
+
+  it('debería permitir la misma canción dos veces', () => {
+    const queue = newQueue(songs('a', 'a'));
+    expect(queue.items[0].itemId).not.toBe(queue.items[1].itemId);
+    removeItem(queue, queue.items[1].itemId);
+    expect(order(queue)).toEqual(['a']);
+  });
+
+  it('debería mezclar con la actual primero y restaurar el orden original', () => {
+    const queue = newQueue(songs('a', 'b', 'c', 'd', 'e'), { startIndex: 2 });
+    setShuffle(queue, true, { random: seeded([0, 0.5, 0.9, 0.1]) });
+    expect(queue.shuffled).toBe(true);
+    expect(current(queue)).toBe('c');
+    expect(queue.currentIndex).toBe(0);
+    expect([...order(queue)].sort()).toEqual(['a', 'b', 'c', 'd', 'e']);
+
+    // Cambios mientras está mezclada
+    addItems(queue, songs('x'), { playNext: true });
+    addItems(queue, songs('z'));
+    removeItem(queue, queue.items.find((item) => item.videoId === 'a').itemId);
+    step(queue);
+    expect(current(queue)).toBe('x');
+
+    setShuffle(queue, false);
+    expect(queue.shuffled).toBe(false);
+    expect(queue.originalOrder).toBeNull();
+    expect(order(queue)).toEqual(['b', 'c', 'x', 'd', 'e', 'z']);
+    expect(current(queue)).toBe('x');
+  });
+
+  it('debería avanzar y retroceder según el modo de repetición', () => {
+    const queue = newQueue(songs('a', 'b'), { startIndex: 1 });
+    expect(step(queue)).toEqual({ ended: true });
+    expect(current(queue)).toBe('b');
+
+    setRepeat(queue, 'all');
+    step(queue);
+    expect(current(queue)).toBe('a');
+    step(queue, { direction: -1 });
+    expect(current(queue)).toBe('b');
+
+    // Repetir una: solo cuando la canción termina sola
+    setRepeat(queue, 'one');
+    step(queue, { auto: true });
+    expect(current(queue)).toBe('b');
+    step(queue, { direction: -1 });
+    expect(current(queue)).toBe('a');
+
+    expect(queue.history.map((entry) => entry.videoId)).toEqual(['b', 'a', 'b']);
+    expect(() => setRepeat(queue, 'nunca')).toThrow('"mode"');
+  });
+
+  it('debería saltar por índice o por itemId', () => {
+    const queue = newQueue(songs('a', 'b', 'c'));
+    jump(queue, { index: 2 });
+    expect(current(queue)).toBe('c');
+    jump(queue, { itemId: queue.items[1].itemId });
+    expect(current(queue)).toBe('b');
+    expect(() => jump(queue, { index: 9 })).toThrow('"index"');
+  });
+
+  it('debería ocultar el propietario y el orden original', () => {
+    const queue = { id: 'q1', keyId: 'key1', ...newQueue(songs('a', 'b')) };
+    setShuffle(queue, true);
+    const view = describeQueue(queue);
+    expect(view).not.toHaveProperty('keyId');
+    expect(view).not.toHaveProperty('originalOrder');
+    expect(view.current.videoId).toBe('a');
+    expect(view.length).toBe(2);
+    expect(describeQueue(queue, { summary: true })).not.toHaveProperty('items');
+  });
+});
+
+describe('Play Queue metadata', () => {
+  it('debería resolver en bloques de 1000 conservando el orden', async () => {
+    const calls = [];
+    const yt = {
+      async queue(videoIds) {
+        calls.push(videoIds.length);
+        return videoIds.filter((id) => id !== 'v5').reverse().map(song);
+      },
+    };
+    const ids = Array.from({ length: 2500 }, (_, i) => `v${i}`);
+    const { tracks, unavailable } = await resolveTracks(yt, [...ids, 'v1']);
+
+    expect(calls).toEqual([1000, 1000, 500]);
+    expect(tracks.map((track) => track.id).slice(0, 6)).toEqual(['v0', 'v1', 'v2', 'v3', 'v4', 'v6']);
+    expect(tracks.at(-1).id).toBe('v1');
+    expect(unavailable).toEqual(['v5']);
+  });
+
+  it('debería aceptar exactamente una fuente', async () => {
+    const yt = {
+      async fullPlaylist() {
+        return { playlist: { title: 'Lista' }, songs: [song('p1'), { id: null }, song('p2')], truncated: false };
+      },
+      async album() {
+        return { album: { title: 'Álbum' }, songs: [song('al1')] };
+      },
+    };
+    expect(await sourceVideoIds(yt, { playlistId: 'PL1' })).toEqual({ name: 'Lista', videoIds: ['p1', 'p2'], truncated: false });
+    expect((await sourceVideoIds(yt, { browseId: 'MPREb1' })).videoIds).toEqual(['al1']);
+    await expect(sourceVideoIds(yt, {})).rejects.toThrow('Exactly one of');
+    await expect(sourceVideoIds(yt, { videoIds: [] })).rejects.toThrow('"videoIds"');
+  });
+});
+
+describe('Queue Store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queues-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('debería persistir las colas y filtrarlas por clave', () => {
+    const store = new QueueStore(dir);
+    const queue = store.create('key1', newQueue(songs('a', 'b')));
+    store.create('key2', newQueue(songs('c')));
+    step(queue);
+    store.touch(queue);
+
+    const reloaded = new QueueStore(dir).load();
+    expect(reloaded.list('key1')).toHaveLength(1);
+    expect(reloaded.get(queue.id)).toMatchObject({ version: 2, currentIndex: 1 });
+    expect(reloaded.remove(queue.id)).toBe(true);
+    expect(new QueueStore(dir).load().get(queue.id)).toBeNull();
+  });
+
+  it('debería eliminar las colas caducadas', () => {
+    const store = new QueueStore(dir);
+    const queue = store.create('key1', newQueue(songs('a')));
+    store.pruneExpired(Date.now() + 31 * 24 * 60 * 60 * 1000);
+    expect(store.get(queue.id)).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { RadioSessions, parseSeed } from '../src/radio/index.js';
+
+const song = (id, artist = 'UCa') => ({ type: 'song', id, title: id, artists: [{ name: artist, id: artist }] });
+
+// YouTube falso: next() devuelve las páginas de cada radio por token de continuación
+function fakeYouTube(radios) {
+  const calls = [];
+  return {
+    calls,
+    async next(videoId, playlistId, setVideoId, index, params, continuation) {
+      calls.push({ videoId, playlistId, continuation });
+      const pages = radios[playlistId] || [];
+      const page = pages[continuation ? Number(continuation) : 0];
+      if (!page) return null;
+      const next = pages.indexOf(page) + 1;
+      return { items: page, continuation: next < pages.length ? String(next) : null };
+    },
+    async artist() {
+      return { artist: { title: 'Artista', radioPlaylistId: 'RDEMartist' } };
+    },
+  };
+}
+
+describe('Radio Sessions', () => {
+  it('debería validar la semilla', () => {
+    expect(parseSeed({ videoId: 'v1' })).toEqual({ type: 'videoId', value: 'v1' });
+    expect(parseSeed({ mood: { browseId: 'FEmusic_moods_and_genres_category', params: 'p' } }).type).toBe('mood');
+    expect(() => parseSeed({})).toThrow('Exactly one of');
+    expect(() => parseSeed({ videoId: 'v1', playlistId: 'PL1' })).toThrow('Exactly one of');
+    expect(() => parseSeed({ mood: 'chill' })).toThrow('"mood"');
+  });
+
+  it('debería seguir las continuaciones sin repetir canciones', async () => {
+    const yt = fakeYouTube({
+      RDAMVMv0: [[song('v0'), song('v1'), song('v2')], [song('v2'), song('v3'), song('v4')]],
+    });
+    const radio = new RadioSessions();
+    const session = await radio.create(yt, 'key1', { type: 'videoId', value: 'v0' });
+
+    expect((await radio.next(yt, session, 2)).map((s) => s.id)).toEqual(['v1', 'v2']);
+    expect((await radio.next(yt, session, 2)).map((s) => s.id)).toEqual(['v3', 'v4']);
+    expect(yt.calls[1]).toMatchObject({ playlistId: 'RDAMVMv0', continuation: '1' });
+  });
+
+  it('debería continuar con la radio de otra canción cuando se agota', async () => {
+    const yt = fakeYouTube({
+      RDAMPLPL1: [[song('a'), song('b')]],
+      RDAMVMb: [[song('b'), song('c')]],
+    });
+    const radio = new RadioSessions();
+    const session = await radio.create(yt, 'key1', { type: 'playlistId', value: 'VLPL1' });
+
+    expect((await radio.next(yt, session, 3)).map((s) => s.id)).toEqual(['a', 'b', 'c']);
+    expect(yt.calls.map((c) => c.playlistId)).toContain('RDAMVMb');
+  });
+
+  it('debería relegar y luego bloquear artistas según las valoraciones', async () => {
+    const yt = fakeYouTube({
+      RDEMartist: [[song('a1', 'UCa'), song('b1', 'UCb'), song('a2', 'UCa'), song('b2', 'UCb'), song('a3', 'UCa')]],
+    });
+    const radio = new RadioSessions();
+    const session = await radio.create(yt, 'key1', { type: 'artistId', value: 'UCartist' });
+    expect(session.title).toBe('Artista');
+
+    const [first] = await radio.next(yt, session, 1);
+    expect(first.id).toBe('a1');
+    radio.feedback(session, 'a1', 'dislike');
+    expect((await radio.next(yt, session, 2)).map((s) => s.id)).toEqual(['b1', 'b2']);
+
+    radio.feedback(session, 'b1', 'skip');
+    radio.feedback(session, 'b2', 'dislike');
+    radio.feedback(session, 'b2', 'skip');
+    expect(radio.describe(session).blockedArtists).toEqual(['UCb']);
+    expect((await radio.next(yt, session, 5)).map((s) => s.id)).toEqual(['a2', 'a3']);
+
+    expect(() => radio.feedback(session, 'zz', 'skip')).toThrow('not played');
+    expect(() => radio.feedback(session, 'a2', 'like')).toThrow('"type"');
+  });
+
+  it('debería aislar las sesiones por clave y caducarlas', async () => {
+    const yt = fakeYouTube({ RDAMVMv0: [[song('v1')]] });
+    const radio = new RadioSessions({ ttl: 50 });
+    const session = await radio.create(yt, 'key1', { type: 'videoId', value: 'v0' });
+
+    expect(radio.get(session.id, 'key2')).toBeNull();
+    expect(radio.get(session.id, 'key1')).toBe(session);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(radio.get(session.id, 'key1')).toBeNull();
+  });
+
+  it('debería rechazar una radio sin canciones', async () => {
+    const radio = new RadioSessions();
+    await expect(radio.create(fakeYouTube({}), 'key1', { type: 'videoId', value: 'v0' }))
+      .rejects.toMatchObject({ name: 'RadioError', status: 404 });
+  });
+});
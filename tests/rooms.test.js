@@ -0,0 +1,252 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import net from 'net';
+import WebSocket from 'ws';
+import { Rooms } from '../src/rooms/index.js';
+import { attachRoomSocket } from '../src/rooms/socket.js';
+import { QueueStore } from '../src/stores/queueStore.js';
+import { newQueue } from '../src/queues/playQueue.js';
+import { signStreamParams } from '../src/utils/signedUrl.js';
+
+// El secreto debe existir antes de cargar signedUrl.js (se importa dos veces: ESM y require)
+vi.hoisted(() => {
+  process.env.STREAM_SIGNING_SECRET = 'rooms-test-secret';
+});
+
+const song = (id) => ({ type: 'song', id, title: id, artists: [] });
+const apiKey = { id: 'key1', scopes: ['read', 'stream'] };
+
+// Miembro falso: guarda los mensajes recibidos
+function fakeMember(overrides = {}) {
+  const messages = [];
+  return {
+    messages,
+    last: (type) => messages.filter((m) => m.type === type).at(-1),
+    send: (message) => messages.push(message),
+    close: () => messages.push({ type: 'socket-closed' }),
+    ...overrides,
+  };
+}
+
+describe('Playback Rooms', () => {
+  let dir;
+  let store;
+  let rooms;
+  let queue;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+    store = new QueueStore(dir);
+    rooms = new Rooms({ store });
+    queue = store.create('key1', newQueue(['a', 'b', 'c'].map(song)));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('debería enviar el estado al unirse y avisar a los demás', () => {
+    const speaker = fakeMember();
+    const remote = fakeMember();
+    rooms.join(queue, apiKey, { ...speaker, name: 'Salón' });
+    rooms.join(queue, apiKey, { ...remote, role: 'remote' });
+
+    const state = remote.last('state');
+    expect(state.playback).toMatchObject({ status: 'paused', positionMs: 0, itemId: queue.items[0].itemId });
+    expect(state.item.videoId).toBe('a');
+    expect(state.streamUrl).toMatch(/^\/api\/stream\/play\?videoId=a&exp=\d+&kid=key1&sig=/);
+    expect(state.members.map((m) => m.role)).toEqual(['player', 'remote']);
+    expect(speaker.last('members').members).toHaveLength(2);
+    expect(() => rooms.join(queue, apiKey, { ...fakeMember(), role: 'dj' })).toThrow('"role"');
+  });
+
+  it('debería difundir play, pause y seek con la hora del servidor', async () => {
+    const speaker = fakeMember();
+    const remote = fakeMember();
+    rooms.join(queue, apiKey, speaker);
+    const control = rooms.join(queue, apiKey, { ...remote, role: 'remote' });
+
+    rooms.handle(control, { type: 'play', positionMs: 1000 });
+    const play = speaker.last('play');
+    expect(play.by).toBe(control.id);
+    expect(play.playback).toMatchObject({ status: 'playing', positionMs: 1000 });
+    expect(play.serverTime).toBeGreaterThanOrEqual(play.playback.updatedAt);
+
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    rooms.handle(control, { type: 'pause' });
+    expect(speaker.last('pause').playback.positionMs).toBeGreaterThanOrEqual(1025);
+
+    rooms.handle(control, { type: 'seek', positionMs: 5000 });
+    expect(speaker.last('seek').playback).toMatchObject({ status: 'paused', positionMs: 5000 });
+
+    expect(() => rooms.handle(control, { type: 'seek' })).toThrow('"positionMs"');
+    expect(() => rooms.handle(control, { type: 'stop' })).toThrow('"type"');
+  });
+
+  it('debería cambiar de pista una sola vez aunque varios reproductores terminen a la vez', () => {
+    const first = fakeMember();
+    const second = fakeMember();
+    const a = rooms.join(queue, apiKey, first);
+    const b = rooms.join(queue, apiKey, second);
+    const itemId = queue.items[0].itemId;
+
+    rooms.handle(a, { type: 'play' });
+    rooms.handle(a, { type: 'next', itemId, auto: true });
+    rooms.handle(b, { type: 'next', itemId, auto: true });
+
+    expect(first.messages.filter((m) => m.type === 'track')).toHaveLength(1);
+    const track = first.last('track');
+    expect(track.item.videoId).toBe('b');
+    expect(track.playback).toMatchObject({ status: 'playing', positionMs: 0 });
+    expect(second.last('state').item.videoId).toBe('b');
+    expect(store.get(queue.id)).toMatchObject({ currentIndex: 1, version: 2 });
+  });
+
+  it('debería repetir la pista con repeat "one" y pausar al final de la cola', () => {
+    const player = fakeMember();
+    const member = rooms.join(queue, apiKey, player);
+    rooms.handle(member, { type: 'jump', index: 2 });
+    expect(player.last('track').item.videoId).toBe('c');
+
+    rooms.handle(member, { type: 'play', positionMs: 0 });
+    rooms.handle(member, { type: 'next', auto: true });
+    expect(player.last('track')).toMatchObject({ ended: true, playback: { status: 'paused' } });
+
+    queue.repeat = 'one';
+    rooms.handle(member, { type: 'play' });
+    rooms.handle(member, { type: 'next', auto: true });
+    expect(player.last('track')).toMatchObject({ ended: false, item: { videoId: 'c' }, playback: { status: 'playing' } });
+  });
+
+  it('debería seguir los cambios de la cola hechos por REST y cerrarse al borrarla', () => {
+    const player = fakeMember();
+    rooms.join(queue, apiKey, player);
+
+    queue.currentIndex = 1;
+    rooms.queueChanged(queue);
+    expect(player.last('track').item.videoId).toBe('b');
+    expect(player.last('queue').queue).toMatchObject({ currentIndex: 1, length: 3 });
+    expect(player.last('queue').queue).not.toHaveProperty('items');
+
+    rooms.queueDeleted(queue.id);
+    expect(player.last('closed')).toBeTruthy();
+    expect(player.last('socket-closed')).toBeTruthy();
+    expect(rooms.rooms.size).toBe(0);
+  });
+
+  it('debería responder al ping con la hora del servidor', () => {
+    const player = fakeMember();
+    const member = rooms.join(queue, apiKey, player);
+    rooms.handle(member, { type: 'ping', clientTime: 123 });
+    expect(player.last('pong')).toMatchObject({ clientTime: 123 });
+    expect(player.last('pong').serverTime).toBeTypeOf('number');
+  });
+
+  it('no debería firmar URLs de stream sin el scope "stream"', () => {
+    const player = fakeMember();
+    rooms.join(queue, { id: 'key1', scopes: ['read'] }, player);
+    expect(player.last('state').streamUrl).toBeNull();
+  });
+});
+
+describe('Room WebSocket', () => {
+  const TOKEN = 'rooms-test-token';
+  let dir;
+  let server;
+  let wss;
+  let port;
+  let queue;
+  let previousToken;
+
+  beforeAll(async () => {
+    previousToken = process.env.BEARER_TOKEN;
+    process.env.BEARER_TOKEN = TOKEN;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-ws-'));
+    const store = new QueueStore(dir);
+    queue = store.create('default', newQueue(['a', 'b'].map(song)));
+
+    server = http.createServer((req, res) => res.end());
+    wss = attachRoomSocket(server, new Rooms({ store }));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    for (const ws of wss.clients) ws.terminate();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (previousToken === undefined) delete process.env.BEARER_TOKEN;
+    else process.env.BEARER_TOKEN = previousToken;
+  });
+
+  // Abre un socket y devuelve el primer mensaje, o el estado HTTP si se rechaza
+  function connect(pathname, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${port}${pathname}`, { headers });
+      ws.once('message', (data) => resolve({ ws, message: JSON.parse(data) }));
+      ws.once('unexpected-response', (req, res) => resolve({ status: res.statusCode }));
+      ws.once('error', reject);
+    });
+  }
+
+  const nextMessage = (ws, type) => new Promise((resolve) => {
+    ws.on('message', function onMessage(data) {
+      const message = JSON.parse(data);
+      if (message.type !== type) return;
+      ws.off('message', onMessage);
+      resolve(message);
+    });
+  });
+
+  it('debería rechazar conexiones sin autenticar o a colas ajenas', async () => {
+    expect((await connect(`/api/rooms/${queue.id}`)).status).toBe(401);
+    expect((await connect(`/api/rooms/${queue.id}`, { Authorization: 'Bearer nope' })).status).toBe(403);
+    expect((await connect('/api/rooms/otra', { Authorization: `Bearer ${TOKEN}` })).status).toBe(404);
+    expect((await connect('/api/otra-ruta', { Authorization: `Bearer ${TOKEN}` })).status).toBe(404);
+  });
+
+  it('debería responder 400 a ids o URLs mal formados sin caerse', async () => {
+    expect((await connect('/api/rooms/%E0')).status).toBe(400);
+
+    // Petición cruda: una URL absoluta que URL no sabe leer
+    const raw = await new Promise((resolve, reject) => {
+      const socket = net.connect(port, '127.0.0.1', () => {
+        socket.write('GET http://[ HTTP/1.1\r\nHost: x\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n'
+          + 'Sec-WebSocket-Version: 13\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n');
+      });
+      let data = '';
+      socket.on('data', (chunk) => { data += chunk; });
+      socket.on('end', () => resolve(data));
+      socket.on('error', reject);
+    });
+    expect(raw).toMatch(/^HTTP\/1\.1 400 /);
+
+    expect((await connect(`/api/rooms/${queue.id}`)).status).toBe(401);
+  });
+
+  it('debería sincronizar a los miembros con token o con URL firmada', async () => {
+    const speaker = await connect(`/api/rooms/${queue.id}?name=Altavoz`, { Authorization: `Bearer ${TOKEN}` });
+    expect(speaker.message).toMatchObject({ type: 'state', members: [{ role: 'player', name: 'Altavoz' }] });
+
+    const params = new URLSearchParams(signStreamParams('room', queue.id, 'default'));
+    const remote = await connect(`/api/rooms/${queue.id}?role=remote&${params}`);
+    expect(remote.message.members).toHaveLength(2);
+
+    const played = nextMessage(speaker.ws, 'play');
+    remote.ws.send(JSON.stringify({ type: 'play', positionMs: 2000 }));
+    expect((await played).playback).toMatchObject({ status: 'playing', positionMs: 2000 });
+
+    const error = nextMessage(remote.ws, 'error');
+    remote.ws.send('no es json');
+    expect((await error).error).toContain('JSON');
+
+    const forged = new URLSearchParams({ ...Object.fromEntries(params), sig: 'x' });
+    expect((await connect(`/api/rooms/${queue.id}?${forged}`)).status).toBe(403);
+
+    speaker.ws.close();
+    remote.ws.close();
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { signStreamParams, signedStreamUrl, verifyStreamParams } from '../src/utils/signedUrl.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+describe('Signed Stream URLs', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('debería verificar la firma de su propia ruta y sujeto', () => {
+    const params = signStreamParams('play', 'v1', 'alice', 3600);
+    expect(verifyStreamParams('play', 'v1', params)).toEqual({ valid: true, kid: 'alice' });
+
+    // La firma no sirve para otra ruta ni para otro vídeo
+    expect(verifyStreamParams('download', 'v1', params)).toMatchObject({ valid: false, status: 403 });
+    expect(verifyStreamParams('play', 'v2', params)).toMatchObject({ valid: false, status: 403 });
+  });
+
+  it('debería rechazar firmas alteradas, otra clave o una caducidad cambiada', () => {
+    const params = signStreamParams('play', 'v1', 'alice', 3600);
+    const invalid = { valid: false, status: 403, error: 'Invalid stream signature' };
+
+    expect(verifyStreamParams('play', 'v1', { ...params, sig: `${params.sig.slice(0, -1)}A` })).toEqual(invalid);
+    expect(verifyStreamParams('play', 'v1', { ...params, sig: 'corta' })).toEqual(invalid);
+    expect(verifyStreamParams('play', 'v1', { ...params, kid: 'bob' })).toEqual(invalid);
+    expect(verifyStreamParams('play', 'v1', { ...params, exp: params.exp + 3600 })).toEqual(invalid);
+  });
+
+  it('debería pedir exp, kid y sig', () => {
+    const { exp, kid } = signStreamParams('play', 'v1', 'alice');
+    expect(verifyStreamParams('play', 'v1', { exp, kid })).toMatchObject({ valid: false, status: 401 });
+    expect(verifyStreamParams('play', 'v1')).toMatchObject({ valid: false, status: 401 });
+  });
+
+  it('debería caducar y acotar la duración pedida', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+
+    const params = signStreamParams('play', 'v1', 'alice', 60);
+    expect(params.exp).toBe(NOW / 1000 + 60);
+    vi.setSystemTime(NOW + 61 * 1000);
+    expect(verifyStreamParams('play', 'v1', params)).toEqual({
+      valid: false, status: 403, error: 'Signed stream URL has expired',
+    });
+
+    expect(signStreamParams('play', 'v1', 'alice', 30 * 24 * 3600).exp - Date.now() / 1000).toBe(7 * 24 * 3600);
+    expect(signStreamParams('play', 'v1', 'alice', -5).exp - Date.now() / 1000).toBe(1);
+    expect(signStreamParams('play', 'v1', 'alice', 'mucho').exp - Date.now() / 1000).toBe(6 * 3600);
+  });
+
+  it('debería firmar solo el sujeto: quality, format y bitrate van sin firmar', () => {
+    const { url, expiresAt } = signedStreamUrl('transcode', { videoId: 'v1', format: 'mp3', bitrate: '128' }, 'videoId', 'alice', 3600);
+    expect(url.startsWith('/api/stream/transcode?')).toBe(true);
+
+    const query = Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+    expect(query).toMatchObject({ videoId: 'v1', format: 'mp3', bitrate: '128', kid: 'alice' });
+    expect(expiresAt).toBe(new Date(Number(query.exp) * 1000).toISOString());
+
+    // Cambiar los parámetros sin firmar no invalida la URL; cambiar el vídeo sí
+    expect(verifyStreamParams('transcode', 'v1', { ...query, format: 'flac', bitrate: '320' }).valid).toBe(true);
+    expect(verifyStreamParams('transcode', 'v2', query).valid).toBe(false);
+  });
+});
@@ -3,30 +3,43 @@ import request from 'supertest';
 import app from '../server.js';
 import config from './test.config.js';
 
+// process.env.BEARER_TOKEN is loaded inside server.js because it calls require('dotenv').config()
+const TOKEN = process.env.BEARER_TOKEN;
+const AUTH_HEADER = `Bearer ${TOKEN}`;
+
 describe('Stream Endpoints', () => {
-  let extractUrl = '';
+  let proxyUrl = '';
 
   it('GET /api/stream/extract?videoId= - debería extraer la url del stream', async () => {
     const res = await request(app)
-      .get(`/api/stream/extract?videoId=${config.stream.videoId}`);
+      .get(`/api/stream/extract?videoId=${config.stream.videoId}`)
+      .set('Authorization', AUTH_HEADER);
 
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
     expect(res.body.data).toBeDefined();
     expect(res.body.data.streamUrl).toBeDefined();
+    expect(res.body.data.proxyUrl).toContain('sig=');
 
-    // Guardar la URL extraída para la prueba de proxy proxy URL
-    extractUrl = res.body.data.streamUrl;
+    // Guardar la URL firmada del proxy para la prueba de proxy
+    proxyUrl = res.body.data.proxyUrl;
   }, 20000); // 20 seg por ytdlp extraction
 
+  it('GET /api/stream/extract?videoId= - debería rechazar peticiones sin token', async () => {
+    const res = await request(app)
+      .get(`/api/stream/extract?videoId=${config.stream.videoId}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+
   it('GET /api/stream/proxy?url= - debería hacer proxy del stream sin descargar por completo', (done) => {
-    // Si extractUrl falló, usa una dummy y espera el error, pero preferible saltar o fallar
-    if (!extractUrl) {
-      throw new Error('extractUrl está vación. La prueba de extract falló.');
+    // Si extract falló no hay URL firmada que probar
+    if (!proxyUrl) {
+      throw new Error('proxyUrl está vacía. La prueba de extract falló.');
     }
 
-    const req = request(app)
-      .get(`/api/stream/proxy?url=${encodeURIComponent(extractUrl)}`);
+    const req = request(app).get(proxyUrl);
 
     req.buffer(false).end((err, res) => {
       // Para evitar descargar todo el archivo en memoria, solo verificamos las cabeceras/status
@@ -36,14 +49,91 @@ describe('Stream Endpoints', () => {
     });
   }, 30000);
 
-  it('GET /api/stream/play?videoId= - debería procesar un url de play sin buffer completo', (done) => {
-    const req = request(app)
+  it('GET /api/stream/play?videoId= - debería rechazar URLs sin firma', async () => {
+    const res = await request(app)
       .get(`/api/stream/play?videoId=${config.stream.videoId}`);
 
-    req.buffer(false).end((err, res) => {
-      if (err) return done(err);
-      expect(res.status).toBe(200);
-      done();
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('GET /api/stream/play?videoId= - debería rechazar firmas alteradas', async () => {
+    const sign = await request(app)
+      .get(`/api/stream/sign?videoId=${config.stream.videoId}`)
+      .set('Authorization', AUTH_HEADER);
+
+    const tampered = sign.body.data.playUrl.replace(config.stream.videoId, 'dQw4w9WgXcQ');
+    const res = await request(app).get(tampered);
+
+    expect(res.status).toBe(403);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('GET /api/stream/play?videoId= - debería procesar un url de play firmado sin buffer completo', async () => {
+    const sign = await request(app)
+      .get(`/api/stream/sign?videoId=${config.stream.videoId}`)
+      .set('Authorization', AUTH_HEADER);
+
+    expect(sign.status).toBe(200);
+    expect(sign.body.data.playUrl).toContain('sig=');
+
+    await new Promise((resolve, reject) => {
+      request(app)
+        .get(sign.body.data.playUrl)
+        .buffer(false)
+        .end((err, res) => {
+          if (err) return reject(err);
+          expect(res.status).toBe(200);
+          resolve();
+        });
     });
   }, 30000);
+
+  it('GET /api/stream/sign?videoId=&format= - debería firmar también un url de transcode', async () => {
+    const res = await request(app)
+      .get(`/api/stream/sign?videoId=${config.stream.videoId}&format=mp3&bitrate=128`)
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.transcodeUrl).toContain('/api/stream/transcode?');
+    expect(res.body.data.transcodeUrl).toContain('bitrate=128');
+    expect(res.body.data.transcodeUrl).toContain('sig=');
+  });
+
+  it('GET /api/stream/transcode?videoId= - debería rechazar formatos no soportados', async () => {
+    const res = await request(app)
+      .get(`/api/stream/transcode?videoId=${config.stream.videoId}&format=wav`)
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('GET /api/stream/download?videoId= - debería rechazar formatos sin soporte de etiquetas', async () => {
+    const res = await request(app)
+      .get(`/api/stream/download?videoId=${config.stream.videoId}&format=aac`)
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('GET /api/stream/hls/:videoId/playlist.m3u8 - debería devolver la playlist maestra con URIs firmadas', async () => {
+    const res = await request(app)
+      .get(`/api/stream/hls/${config.stream.videoId}/playlist.m3u8`)
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('application/vnd.apple.mpegurl');
+    expect(res.text).toContain('#EXT-X-STREAM-INF');
+    expect(res.text).toMatch(/low\/index\.m3u8\?exp=\d+&kid=[^&]+&sig=/);
+  });
+
+  it('GET /api/stream/hls/:videoId/:variant/index.m3u8 - debería rechazar variantes desconocidas', async () => {
+    const res = await request(app)
+      .get(`/api/stream/hls/${config.stream.videoId}/ultra/index.m3u8`)
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(404);
+  });
 });
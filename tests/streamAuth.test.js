@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+
+// Fichero de claves temporal; todo se carga con require para compartir el keyStore
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-auth-'));
+process.env.KEYS_FILE = path.join(dir, 'keys.json');
+delete process.env.BEARER_TOKEN;
+
+const require = createRequire(import.meta.url);
+const { keyStore } = require('../src/stores/keyStore');
+const streamAuth = require('../src/middleware/streamAuth');
+const { signStreamParams } = require('../src/utils/signedUrl');
+
+// App mínima con una ruta firmada por query y otra por parámetro de ruta
+function createApp() {
+  const app = express();
+  const served = (req, res) => res.json({ success: true, videoId: req.params.videoId ?? req.query.videoId });
+  app.get('/play', streamAuth('play', 'videoId'), served);
+  app.get('/hls/:videoId/playlist.m3u8', streamAuth('hls', 'videoId'), served);
+  return app;
+}
+
+describe('Stream Auth', () => {
+  let app;
+  let query;
+
+  beforeAll(() => {
+    app = createApp();
+    keyStore.create({ id: 'player', scopes: ['stream'] });
+    query = (route, videoId) => new URLSearchParams(signStreamParams(route, videoId, 'player')).toString();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('debería aceptar la firma del vídeo del parámetro de ruta', async () => {
+    const res = await request(app).get(`/hls/signed/playlist.m3u8?${query('hls', 'signed')}`);
+    expect(res.status).toBe(200);
+    expect(res.body.videoId).toBe('signed');
+  });
+
+  it('no debería aceptar ?videoId= firmado para otro vídeo de la ruta', async () => {
+    const res = await request(app).get(`/hls/other/playlist.m3u8?videoId=signed&${query('hls', 'signed')}`);
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Invalid stream signature');
+  });
+
+  it('debería seguir usando la query cuando la ruta no tiene el parámetro', async () => {
+    expect((await request(app).get(`/play?videoId=signed&${query('play', 'signed')}`)).status).toBe(200);
+    expect((await request(app).get(`/play?videoId=other&${query('play', 'signed')}`)).status).toBe(403);
+  });
+});
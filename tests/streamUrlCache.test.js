@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StreamUrlCache, urlExpiry } from '../src/utils/streamUrlCache.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+// URL de googlevideo que caduca `minutes` minutos después de NOW
+const googlevideoUrl = (minutes, n = 1) =>
+  `https://rr1---sn-abc.googlevideo.com/videoplayback?itag=251&n=${n}&expire=${(NOW + minutes * MINUTE) / 1000}`;
+
+// Extracción falsa que cuenta sus llamadas
+function fakeExtract(build) {
+  const extract = vi.fn(async () => build(extract.mock.calls.length));
+  return extract;
+}
+
+describe('Stream URL Cache', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('debería leer la caducidad del parámetro expire', () => {
+    expect(urlExpiry(googlevideoUrl(60))).toBe(NOW + 60 * MINUTE);
+    expect(urlExpiry('https://example.com/audio.webm')).toBeNull();
+    expect(urlExpiry('no es una url')).toBeNull();
+  });
+
+  it('debería reutilizar la URL mientras no esté cerca de caducar', async () => {
+    const cache = new StreamUrlCache();
+    const extract = fakeExtract((n) => ({ url: googlevideoUrl(60, n), mimeType: 'audio/webm' }));
+
+    const first = await cache.resolve('v1:251', extract);
+    expect(first).toMatchObject({ cached: false, expiresAt: NOW + 60 * MINUTE, mimeType: 'audio/webm' });
+
+    vi.setSystemTime(NOW + 50 * MINUTE);
+    const second = await cache.resolve('v1:251', extract);
+    expect(second).toMatchObject({ cached: true, url: first.url });
+    expect(extract).toHaveBeenCalledTimes(1);
+  });
+
+  it('debería volver a extraer poco antes de que caduque', async () => {
+    const cache = new StreamUrlCache({ refreshMargin: 2 * MINUTE });
+    const extract = fakeExtract((n) => ({ url: googlevideoUrl(60 * n, n) }));
+
+    const first = await cache.resolve('v1:251', extract);
+    vi.setSystemTime(NOW + 59 * MINUTE);
+    const refreshed = await cache.resolve('v1:251', extract);
+
+    expect(refreshed.cached).toBe(false);
+    expect(refreshed.url).not.toBe(first.url);
+    expect(extract).toHaveBeenCalledTimes(2);
+  });
+
+  it('debería preferir expiresAt y usar 5 horas sin caducidad', async () => {
+    const cache = new StreamUrlCache();
+    const withExpiry = await cache.resolve('a', async () => ({ url: googlevideoUrl(60), expiresAt: NOW + 10 * MINUTE }));
+    expect(withExpiry.expiresAt).toBe(NOW + 10 * MINUTE);
+
+    const without = await cache.resolve('b', async () => ({ url: 'https://example.com/audio.m4a' }));
+    expect(without.expiresAt).toBe(NOW + 5 * 60 * MINUTE);
+  });
+
+  it('debería compartir una sola extracción entre peticiones simultáneas', async () => {
+    const cache = new StreamUrlCache();
+    const extract = fakeExtract(() => ({ url: googlevideoUrl(60) }));
+
+    const results = await Promise.all([1, 2, 3].map(() => cache.resolve('v1:251', extract)));
+    expect(extract).toHaveBeenCalledTimes(1);
+    expect(new Set(results.map((result) => result.url)).size).toBe(1);
+  });
+
+  it('no debería guardar extracciones fallidas', async () => {
+    const cache = new StreamUrlCache();
+    await expect(cache.resolve('v1', async () => { throw new Error('bloqueado'); })).rejects.toThrow('bloqueado');
+
+    const extract = fakeExtract((n) => ({ url: n === 1 ? null : googlevideoUrl(60) }));
+    expect((await cache.resolve('v1', extract)).url).toBeNull();
+    expect((await cache.resolve('v1', extract)).url).toBe(googlevideoUrl(60));
+    expect(extract).toHaveBeenCalledTimes(2);
+  });
+
+  it('debería expulsar la entrada usada hace más tiempo', async () => {
+    const cache = new StreamUrlCache({ maxEntries: 2 });
+    const extract = fakeExtract((n) => ({ url: googlevideoUrl(60, n) }));
+
+    await cache.resolve('a', extract);
+    await cache.resolve('b', extract);
+    await cache.resolve('a', extract); // "a" pasa a ser la más reciente
+    await cache.resolve('c', extract);
+    expect(extract).toHaveBeenCalledTimes(3);
+
+    expect((await cache.resolve('a', extract)).cached).toBe(true);
+    expect((await cache.resolve('b', extract)).cached).toBe(false);
+    expect(extract).toHaveBeenCalledTimes(4);
+  });
+
+  it('debería olvidar una entrada invalidada', async () => {
+    const cache = new StreamUrlCache();
+    const extract = fakeExtract((n) => ({ url: googlevideoUrl(60, n) }));
+
+    await cache.resolve('v1', extract);
+    cache.invalidate('v1');
+    expect((await cache.resolve('v1', extract)).cached).toBe(false);
+    expect(extract).toHaveBeenCalledTimes(2);
+  });
+});
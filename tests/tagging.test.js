@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { metadataArgs, taggedFileArgs, downloadFilename, fetchTrackMetadata } from '../src/utils/tagging.js';
+
+const metadata = {
+  videoId: 'v1',
+  title: 'One More Time',
+  artists: ['Daft Punk'],
+  albumArtists: ['Daft Punk'],
+  album: 'Discovery',
+  year: '2001',
+  trackNumber: 1,
+  trackCount: 14,
+  lyrics: null,
+};
+
+const cover = { data: Buffer.from('jpeg-data'), mimeType: 'image/jpeg' };
+
+// Pares clave=valor de los -metadata globales
+const tags = (args) => Object.fromEntries(args
+  .flatMap((arg, i) => (args[i - 1] === '-metadata' ? [arg] : []))
+  .map((tag) => [tag.slice(0, tag.indexOf('=')), tag.slice(tag.indexOf('=') + 1)]));
+
+describe('Tagging', () => {
+  it('debería escribir las etiquetas con la pista como n/m', () => {
+    expect(tags(metadataArgs(metadata))).toEqual({
+      title: 'One More Time',
+      artist: 'Daft Punk',
+      album_artist: 'Daft Punk',
+      album: 'Discovery',
+      date: '2001',
+      track: '1/14',
+      comment: 'https://music.youtube.com/watch?v=v1',
+    });
+
+    expect(tags(metadataArgs({ ...metadata, trackCount: null })).track).toBe('1');
+    const bare = tags(metadataArgs({ videoId: 'v2', title: 'Sin álbum', artists: [], trackNumber: null }));
+    expect(bare).not.toHaveProperty('track');
+    expect(bare).not.toHaveProperty('artist');
+  });
+
+  it('debería adjuntar la portada como stream de imagen en mp3, m4a y flac', () => {
+    for (const format of ['mp3', 'm4a', 'flac']) {
+      const args = taggedFileArgs({ format, bitrate: 192, metadata, coverPath: '/tmp/c.cover', cover, outputPath: `/tmp/out.${format}` });
+      expect(args.slice(0, 6)).toEqual(['-i', 'pipe:0', '-i', '/tmp/c.cover', '-map', '0:a']);
+      expect(args).toContain('attached_pic');
+      expect(tags(args)).not.toHaveProperty('METADATA_BLOCK_PICTURE');
+      expect(args.at(-1)).toBe(`/tmp/out.${format}`);
+    }
+
+    const mp3 = taggedFileArgs({ format: 'mp3', bitrate: 192, metadata, coverPath: '/tmp/c.cover', cover, outputPath: '/tmp/out.mp3' });
+    expect(mp3[mp3.indexOf('-id3v2_version') + 1]).toBe('3');
+  });
+
+  it('debería usar METADATA_BLOCK_PICTURE en lugar de un stream de imagen en Ogg', () => {
+    for (const format of ['opus', 'ogg']) {
+      const args = taggedFileArgs({ format, bitrate: 128, metadata, coverPath: null, cover, outputPath: `/tmp/out.${format}` });
+      expect(args).not.toContain('attached_pic');
+      expect(args.filter((arg) => arg === '-i')).toHaveLength(1);
+
+      const block = Buffer.from(tags(args).METADATA_BLOCK_PICTURE, 'base64');
+      expect(block.readUInt32BE(0)).toBe(3); // portada frontal
+      expect(block.toString('utf8', 8, 8 + block.readUInt32BE(4))).toBe('image/jpeg');
+      expect(block.readUInt32BE(8 + 10 + 4 + 16)).toBe(cover.data.length);
+      expect(block.subarray(-cover.data.length).toString()).toBe('jpeg-data');
+    }
+  });
+
+  it('debería limpiar el nombre de archivo y cortarlo a 180 caracteres', () => {
+    expect(downloadFilename(metadata, 'mp3')).toBe('Daft Punk - One More Time.mp3');
+    expect(downloadFilename({ videoId: 'v1', title: 'AC/DC: "Back"  in   Black?', artists: ['AC/DC'] }, 'flac'))
+      .toBe('ACDC - ACDC Back in Black.flac');
+    expect(downloadFilename({ videoId: 'v1', title: '???', artists: [] }, 'opus')).toBe('v1.opus');
+
+    const long = downloadFilename({ videoId: 'v1', title: 'a'.repeat(300), artists: ['Artista'] }, 'm4a');
+    expect(long).toBe(`${`Artista - ${'a'.repeat(300)}`.slice(0, 180)}.m4a`);
+    expect(downloadFilename({ videoId: 'v1', title: `${'b'.repeat(178)}. x`, artists: [] }, 'mp3'))
+      .toBe(`${'b'.repeat(178)}.mp3`);
+  });
+
+  it('debería tomar número de pista, año y portada de la página del álbum', async () => {
+    const yt = {
+      player: async () => ({ videoDetails: { title: 'Título', author: 'Daft Punk - Topic', lengthSeconds: '320' } }),
+      next: async () => ({ items: [{ id: 'v2', title: 'Aerodynamic', artists: [{ name: 'Daft Punk' }], album: { id: 'MPREb_1' } }] }),
+      album: async () => ({
+        album: { title: 'Discovery', artists: [{ name: 'Daft Punk' }], year: '2001', thumbnail: 'https://lh3.googleusercontent.com/c' },
+        songs: [{ id: 'v1' }, { id: 'v2' }, { id: 'v3' }],
+      }),
+    };
+
+    expect(await fetchTrackMetadata(yt, 'v2', { lyrics: false })).toMatchObject({
+      title: 'Aerodynamic',
+      artists: ['Daft Punk'],
+      album: 'Discovery',
+      year: '2001',
+      trackNumber: 2,
+      trackCount: 3,
+      duration: 320,
+      coverUrl: 'https://lh3.googleusercontent.com/c',
+    });
+  });
+});
@@ -95,4 +95,90 @@ describe('YouTube Endpoints', () => {
     expect(res.body.success).toBe(true);
     expect(res.body.data).toBeDefined();
   }, 15000);
+
+  it('GET /api/youtube/lyrics/:videoId/synced - debería rechazar un formato inválido', async () => {
+    const res = await request(app)
+      .get(`/api/youtube/lyrics/${config.stream.videoId}/synced?format=txt`)
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('GET /api/youtube/lyrics/:videoId/find - debería rechazar proveedores desconocidos', async () => {
+    const res = await request(app)
+      .get(`/api/youtube/lyrics/${config.stream.videoId}/find?providers=inexistente`)
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('GET /api/youtube/playlist/:playlistId/export - debería exportar la lista en M3U8', async () => {
+    const res = await request(app)
+      .get(`/api/youtube/playlist/${config.youtube.playlistId}/export?format=m3u8`)
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename=".+\.m3u8"/);
+    expect(res.text.startsWith('#EXTM3U\n')).toBe(true);
+  }, 30000);
+
+  it('GET /api/youtube/playlist/:playlistId/export - debería rechazar un formato inválido', async () => {
+    const res = await request(app)
+      .get(`/api/youtube/playlist/${config.youtube.playlistId}/export?format=pls`)
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('POST /api/youtube/playlist/import - debería rechazar una petición sin archivo', async () => {
+    const res = await request(app)
+      .post('/api/youtube/playlist/import')
+      .set('Authorization', AUTH_HEADER)
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('POST /api/youtube/playlist/:playlistId/edit - debería rechazar acciones inválidas', async () => {
+    const res = await request(app)
+      .post(`/api/youtube/playlist/${config.youtube.playlistId}/edit`)
+      .set('Authorization', AUTH_HEADER)
+      .send({ actions: [{ type: 'remove' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^actions\[0\]/);
+  });
+
+  it('GET /api/youtube/search?all=true - debería rechazar un límite inválido', async () => {
+    const res = await request(app)
+      .get('/api/youtube/search?q=test&all=true&limit=0')
+      .set('Authorization', AUTH_HEADER);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/limit/);
+  });
+
+  it('POST /api/youtube/playlist/:playlistId/sync - debería rechazar una lista sin video IDs', async () => {
+    const res = await request(app)
+      .post(`/api/youtube/playlist/${config.youtube.playlistId}/sync?dryRun=true`)
+      .set('Authorization', AUTH_HEADER)
+      .send({ tracks: [{ title: 'Sin ID' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^tracks\[0\]/);
+  });
+
+  it('PATCH /api/youtube/playlist/:playlistId - debería rechazar un estado de privacidad inválido', async () => {
+    const res = await request(app)
+      .patch(`/api/youtube/playlist/${config.youtube.playlistId}`)
+      .set('Authorization', AUTH_HEADER)
+      .send({ privacyStatus: 'FRIENDS' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
 });
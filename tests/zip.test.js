@@ -0,0 +1,37 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ZipWriter, crc32 } from '../src/utils/zip.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+
+afterAll(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+describe('ZipWriter', () => {
+  it('debería calcular el CRC-32 estándar', () => {
+    expect(crc32(Buffer.from('hello'))).toBe(0x3610a686);
+  });
+
+  it('debería escribir entradas y el directorio central', async () => {
+    const source = path.join(tmpDir, 'track.bin');
+    fs.writeFileSync(source, Buffer.alloc(100000, 7));
+
+    const output = path.join(tmpDir, 'out.zip');
+    const zip = new ZipWriter(output);
+    await zip.addFile('01 - Canción.mp3', source);
+    await zip.addBuffer('album.m3u8', Buffer.from('#EXTM3U\n'));
+    await zip.finish();
+
+    const data = fs.readFileSync(output);
+    const end = data.subarray(data.length - 22);
+    expect(end.readUInt32LE(0)).toBe(0x06054b50);
+    expect(end.readUInt16LE(10)).toBe(2);
+
+    const centralOffset = end.readUInt32LE(16);
+    expect(data.readUInt32LE(centralOffset)).toBe(0x02014b50);
+    const nameLength = data.readUInt16LE(centralOffset + 28);
+    expect(data.subarray(centralOffset + 46, centralOffset + 46 + nameLength).toString()).toBe('01 - Canción.mp3');
+    expect(data.readUInt32LE(centralOffset + 16)).toBe(crc32(fs.readFileSync(source)));
+  });
+});